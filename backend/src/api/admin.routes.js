@@ -0,0 +1,35 @@
+const express = require('express');
+const { getRenderCacheStats } = require('../core/renderCache');
+
+const router = express.Router();
+
+// Admins are the GitHub users listed in ADMIN_USERS, separated by commas
+const adminUsernames = () => (process.env.ADMIN_USERS || '')
+  .split(',')
+  .map(username => username.trim().toLowerCase())
+  .filter(Boolean);
+
+// Middleware to ensure the user is signed in and an admin for all admin routes
+const isAdmin = (req, res, next) => {
+  if (!req.isAuthenticated()) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+  if (!adminUsernames().includes(String(req.user.username).toLowerCase())) {
+    return res.status(403).json({ error: 'Admin access required.' });
+  }
+  next();
+};
+
+router.use(isAdmin);
+
+// GET /api/admin/render-cache - Render cache hit rate since the server started, and its disk usage
+router.get('/render-cache', async (req, res) => {
+  try {
+    res.json(await getRenderCacheStats());
+  } catch (error) {
+    console.error('Error getting render cache stats:', error);
+    res.status(500).json({ error: 'Failed to get render cache stats.' });
+  }
+});
+
+module.exports = router;
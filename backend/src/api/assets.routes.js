@@ -9,16 +9,17 @@ const CACHE_DIR = path.join(__dirname, '../../cache');
 
 // This endpoint is public but the paths are unguessable.
 // In a production app, you might add more security here.
-// Example: /api/assets/1/a1b2c3d4/index_files/figure-jats/fig.png
+// Example: /api/assets/1/<render key>/index_files/figure-jats/fig.png, where the render key is the
+// render's key in the render cache.
 // NOTE: The ':assetPath(*)' is a wildcard to capture the full file path.
-router.get('/:repoId/:commitHash/:assetPath(*)', (req, res) => {
-  const { repoId, commitHash, assetPath } = req.params;
+router.get('/:repoId/:renderKey/:assetPath(*)', (req, res) => {
+  const { repoId, renderKey, assetPath } = req.params;
 
   // Basic path traversal protection
   const safeAssetPath = path.normalize(assetPath).replace(/^(\.\.[\/\\])+/, '');
   
   // Construct the asset path using the new cache structure
-  const fullAssetPath = path.join(CACHE_DIR, 'renders', repoId, commitHash, safeAssetPath);
+  const fullAssetPath = path.join(CACHE_DIR, 'renders', repoId, renderKey, safeAssetPath);
   
   // More robust security check
   const safeResolvedPath = path.resolve(fullAssetPath);
@@ -6,17 +6,33 @@ const http = require('isomorphic-git/http/node'); // Add http for git operations
 const fs = require('fs/promises');
 const fsForGit = require('fs'); // Add synchronous fs for isomorphic-git
 const matter = require('gray-matter'); // For YAML extraction
-const { renderToJATS, jatsToProseMirrorJSON } = require('../core/astParser'); // Keep for GET, might remove if GET switches path
 // const { proseMirrorJSON_to_qmd } = require('../core/astSerializer'); // Replaced by new serializer
 const { proseMirrorJSON_to_qmd } = require('../core/astSerializer'); // Use improved serializer
-// Import the QMD parser to create blockMap - still needed for GET /:shareToken if rendering from branch
-const { parseQmd } = require('../core/qmdBlockParser');
 // Import comment utilities to extract comments from QMD
-const { extractCommentsAppendix } = require('../core/commentUtils');
+const { mergeStoredComments } = require('../core/commentUtils');
+const { collectTrackedChanges } = require('../core/trackedChanges');
+const { listComments, importComments } = require('../core/commentStore');
+const { listNotifications, countUnread, markNotificationsRead } = require('../core/notifications');
+const { commentRoutes, syncStoredComments } = require('./comments.routes');
+const { roomNameForShareLink, seedRoom, setRoomBaseCommit, getRoomDocument } = require('../core/yjsServer');
+const { openEventStream, publishCollabEvent, publishBranchEvent } = require('../core/collabEvents');
+const { registerRenderHandler, requestRender, renderJobKey } = require('../core/renderQueue');
+const { validateChunkRun, requestChunkRun } = require('../core/chunkRuns');
+const { getRenderMode } = require('../core/freezer');
+const { renderDocumentForEditor } = require('../core/documentView');
 
 const router = express.Router();
 const REPOS_DIR = path.join(__dirname, '../../repos');
 
+// Renders a collaboration branch for GET /:shareToken. Runs as a render job, since executing the
+// chunks can take minutes.
+registerRenderHandler('collab-branch', async ({ repoId, repoFullName, filepath, branchName, mode }, { signal, reportProgress, appendOutput }) => {
+  const projectDir = path.join(REPOS_DIR, repoFullName);
+  // Check out the specific collaboration branch
+  await git.checkout({ fs: fsForGit, dir: projectDir, ref: branchName });
+  return renderDocumentForEditor(projectDir, filepath, repoId, { mode, signal, reportProgress, appendOutput });
+});
+
 // GET /api/collab/:shareToken - Load the document for a collaborator
 router.get('/:shareToken', async (req, res) => {
   const { shareToken } = req.params;
@@ -52,10 +68,11 @@ router.get('/:shareToken', async (req, res) => {
       liveDoc = await new Promise((resolve, reject) => {
         const placeholders = allShareLinks.map(() => '?').join(',');
         const sql = `
-          SELECT prosemirror_json, base_commit_hash, comments_json, share_token 
-          FROM live_documents 
-          WHERE share_token IN (${placeholders}) 
-          ORDER BY updated_at DESC
+          SELECT l.prosemirror_json, l.base_commit_hash, l.comments_json, l.share_token, s.collaborator_label
+          FROM live_documents l
+          JOIN share_links s ON s.share_token = l.share_token
+          WHERE l.share_token IN (${placeholders}) 
+          ORDER BY l.updated_at DESC
         `;
         db.all(sql, allShareLinks, (err, rows) => {
           if (err) {
@@ -95,9 +112,11 @@ router.get('/:shareToken', async (req, res) => {
       }
 
       if (prosemirrorJson) {
+        await seedRoom(roomNameForShareLink(linkInfo), prosemirrorJson);
         return res.json({ 
           prosemirrorJson: prosemirrorJson, 
-          comments: comments,
+          // Saved by the collaborator whose live document this is, who is the only author it can vouch for
+          comments: await syncStoredComments(linkInfo.doc_id, liveDoc.share_token, comments, { author: liveDoc.collaborator_label || 'Anonymous' }),
           currentCommitHash: liveDoc.base_commit_hash,
           collaboratorLabel: linkInfo.collaborator_label || null
         });
@@ -107,67 +126,50 @@ router.get('/:shareToken', async (req, res) => {
     // 5. If no unsaved changes, render from the collaboration branch
     console.log(`No valid unsaved changes found for shareToken ${shareToken}, rendering from branch`);
     
-    // Check out the specific collaboration branch
     const projectDir = path.join(REPOS_DIR, linkInfo.full_name);
-    
-    // Try to checkout the branch - handle local branch references
+
+    // Get the current commit hash for the collaboration branch
+    let commitHash;
     try {
-      await git.checkout({ fs: fsForGit, dir: projectDir, ref: linkInfo.collab_branch_name });
-    } catch (checkoutError) {
+      commitHash = await git.resolveRef({ fs: fsForGit, dir: projectDir, ref: linkInfo.collab_branch_name });
+    } catch (resolveError) {
       // If local branch doesn't exist, create it from the main branch
-      if (checkoutError.message.includes('Could not find')) {
-        console.log(`Branch ${linkInfo.collab_branch_name} not found locally, creating from main branch`);
-        await git.branch({
-          fs: fsForGit,
-          dir: projectDir,
-          ref: linkInfo.collab_branch_name,
-          checkout: true
-        });
-      } else {
-        throw checkoutError;
-      }
+      if (!resolveError.message.includes('Could not find')) throw resolveError;
+      console.log(`Branch ${linkInfo.collab_branch_name} not found locally, creating from main branch`);
+      await git.branch({
+        fs: fsForGit,
+        dir: projectDir,
+        ref: linkInfo.collab_branch_name,
+        checkout: true
+      });
+      commitHash = await git.resolveRef({ fs: fsForGit, dir: projectDir, ref: linkInfo.collab_branch_name });
     }
 
-    // Get the current commit hash for the collaboration branch
-    const commitHash = await git.resolveRef({ fs: fsForGit, dir: projectDir, ref: linkInfo.collab_branch_name });
-
-    // Read the original QMD file to create the blockMap
-    const fullFilepath = path.join(projectDir, linkInfo.filepath);
-    const qmdContent = await fs.readFile(fullFilepath, 'utf8');
-    
-    console.log(`Processing QMD file: ${linkInfo.filepath}`);
-    console.log(`Original QMD content length: ${qmdContent.length} characters`);
-    
-    // Extract comments from the QMD content before rendering
-    const { comments: extractedComments, remainingQmdString: qmdWithoutComments } = extractCommentsAppendix(qmdContent);
-    
-    console.log(`Extracted ${extractedComments.length} comments from QMD`);
-    console.log(`QMD content without comments length: ${qmdWithoutComments.length} characters`);
-    
-    // Create blockMap from the QMD content without comments
-    const { blockMap } = parseQmd(qmdWithoutComments);
-
-    // Render the document from that branch using the QMD content without comments
-    // Temporarily replace the file content with the version without comments for rendering
-    // so that the JATS rendering process can find the expected output file
-    const originalContent = qmdContent; // We already have the original content
-    await fs.writeFile(fullFilepath, qmdWithoutComments);
-    
-    try {
-      const { jatsXml } = await renderToJATS(fullFilepath, projectDir, linkInfo.repoId, commitHash);
-      const proseMirrorJson = await jatsToProseMirrorJSON(jatsXml, blockMap, linkInfo.repoId, commitHash, fullFilepath);
-      
-      res.json({ 
-        prosemirrorJson: proseMirrorJson, 
-        comments: extractedComments, // Return the extracted comments
-        currentCommitHash: commitHash,
-        collaboratorLabel: linkInfo.collaborator_label || null // Include collaborator label
-      });
-    } finally {
-      // Restore the original content
-      await fs.writeFile(fullFilepath, originalContent);
+    // Render in the queue; collaborators opening the same commit share the job
+    const mode = getRenderMode();
+    const jobKey = renderJobKey(linkInfo.repoId, commitHash, linkInfo.filepath);
+    const job = await requestRender(
+      'collab-branch',
+      { repoId: linkInfo.repoId, key: mode === 'full' ? jobKey : `${jobKey}:${mode}` },
+      { repoId: linkInfo.repoId, repoFullName: linkInfo.full_name, filepath: linkInfo.filepath, branchName: linkInfo.collab_branch_name, commitHash, mode }
+    );
+    if (job.status !== 'succeeded') {
+      // 202 with the job to follow; the client asks again once it has succeeded
+      return res.status(202).json({ jobId: job.id, status: job.status, progress: job.progress });
     }
 
+    const { prosemirrorJson: proseMirrorJson, comments } = job.result;
+    // Collaborators edit the shared Yjs room; it only takes this content if nobody has started yet,
+    // or if the branch moved since it was seeded
+    await seedRoom(roomNameForShareLink(linkInfo), proseMirrorJson, commitHash);
+
+    res.json({ 
+      prosemirrorJson: proseMirrorJson, 
+      comments: await syncStoredComments(linkInfo.doc_id, shareToken, comments), // Orphaned comments, whose text is gone, are flagged
+      currentCommitHash: commitHash,
+      collaboratorLabel: linkInfo.collaborator_label || null // Include collaborator label
+    });
+
   } catch (error) {
     console.error('Error loading collab doc:', error);
     res.status(404).json({ error: error.message });
@@ -184,9 +186,57 @@ router.post('/:shareToken', async (req, res) => {
     return res.status(400).json({ error: 'Missing prosemirror_json or base_commit_hash.' });
   }
 
-  const comments_json = comments ? JSON.stringify(comments) : JSON.stringify([]); // Ensure comments_json is always a string
-
   try {
+    // The document's event channel and the comments saved last time, to spot new ones
+    const saveInfo = await new Promise((resolve) => {
+      const sql = `
+        SELECT s.doc_id, s.collaborator_label, l.comments_json
+        FROM share_links s
+        LEFT JOIN live_documents l ON l.share_token = s.share_token
+        WHERE s.share_token = ?
+      `;
+      db.get(sql, [shareToken], (err, row) => {
+        if (err) console.error('Error looking up share link for save events:', err.message);
+        resolve(row || null);
+      });
+    });
+
+    // Replies and resolutions posted since the editor last loaded them must not be undone. Comments
+    // only this save has are stored as the collaborator's, so the saved copy can't claim other authors.
+    const storedComments = saveInfo ? await importComments(saveInfo.doc_id, shareToken, comments, { author: saveInfo.collaborator_label || 'Anonymous' })
+      .then(() => listComments(saveInfo.doc_id))
+      .catch((err) => {
+        console.error('Error loading stored comments for save:', err.message);
+        return [];
+      }) : [];
+    const savedComments = mergeStoredComments(comments || [], storedComments);
+    const comments_json = JSON.stringify(savedComments); // Ensure comments_json is always a string
+
+    const publishSaveEvents = () => {
+      if (!saveInfo) return;
+      publishCollabEvent(saveInfo.doc_id, 'live-save', {
+        shareToken,
+        collaboratorLabel: saveInfo.collaborator_label,
+        updatedAt: new Date().toISOString()
+      });
+
+      // Comments posted through the comments API were announced then
+      const previousIds = new Set(storedComments.map(comment => comment.id));
+      try {
+        JSON.parse(saveInfo.comments_json || '[]').forEach(comment => previousIds.add(comment.id));
+      } catch {
+        // Unreadable old comments: treat them all as new
+      }
+      (comments || [])
+        .filter(comment => !previousIds.has(comment.id))
+        .forEach(comment => publishCollabEvent(saveInfo.doc_id, 'comment-added', {
+          shareToken,
+          commentId: comment.id,
+          author: saveInfo.collaborator_label || 'Anonymous',
+          timestamp: comment.timestamp || new Date().toISOString()
+        }));
+    };
+
     // 1. Validate shareToken and get associated repo_id and filepath (if needed, or just ensure it's valid)
     // For simplicity, we'll assume share_token is unique and directly usable for UPSERT in live_documents.
     // If you need to link back to repo_id and filepath for collab docs, you'd query share_links first.
@@ -212,6 +262,7 @@ router.post('/:shareToken', async (req, res) => {
         // A more specific error might be that the share_token doesn't exist if you were validating it against share_links first.
         return res.status(500).json({ error: 'Failed to save collab document.' });
       }
+      publishSaveEvents();
       if (row) {
         res.status(200).json({ message: 'Collab document saved successfully.', id: row.id });
       } else {
@@ -275,6 +326,7 @@ router.post('/:shareToken/commit-qmd', async (req, res) => {
     const linkAndUserInfo = await new Promise((resolve, reject) => {
       const sql = `
         SELECT
+          s.doc_id,
           s.collab_branch_name,
           s.user_id,
           s.collaborator_label,
@@ -301,6 +353,25 @@ router.post('/:shareToken/commit-qmd', async (req, res) => {
       });
     });
 
+    // Everyone on the branch edits the shared room, which can be ahead of the last save
+    const roomDocument = await getRoomDocument(roomNameForShareLink(linkAndUserInfo));
+    if (roomDocument) {
+      parsedProsemirrorJson = roomDocument;
+    }
+
+    // The serializer leaves pending suggestions out, and the live document goes once it's committed,
+    // so each one has to be accepted or rejected first or it would be lost before the author saw it
+    const pendingChanges = collectTrackedChanges(parsedProsemirrorJson);
+    if (pendingChanges.length > 0) {
+      return res.status(409).json({
+        error: `Accept or reject the ${pendingChanges.length} pending suggestion(s) before committing.`,
+        pendingChanges,
+      });
+    }
+
+    // The appendix gets the threads as they are now, not as they were at the last save
+    parsedCommentsArray = mergeStoredComments(parsedCommentsArray, await listComments(linkAndUserInfo.doc_id));
+
     const projectDir = path.join(REPOS_DIR, linkAndUserInfo.full_name);
     const collabBranchName = linkAndUserInfo.collab_branch_name;
     const collabFilepath = linkAndUserInfo.filepath;
@@ -384,10 +455,11 @@ router.post('/:shareToken/commit-qmd', async (req, res) => {
     await fs.writeFile(fullCollabFilepath, newQmdContent);
     await git.add({ fs: fsForGit, dir: projectDir, filepath: collabFilepath }); // filepath relative to repo root
 
+    const commitMessage = `Quartorium Collab: Update ${collabFilepath} by ${authorName}`; // Added author name to message
     const newCommitHash = await git.commit({
       fs: fsForGit,
       dir: projectDir,
-      message: `Quartorium Collab: Update ${collabFilepath} by ${authorName}`, // Added author name to message
+      message: commitMessage,
       author: { name: authorName, email: authorEmail }, // Use fetched user details
     });
 
@@ -403,6 +475,17 @@ router.post('/:shareToken/commit-qmd', async (req, res) => {
       });
     });
 
+    // The room holds what was just committed; it isn't reseeded from the new commit
+    await setRoomBaseCommit(roomNameForShareLink(linkAndUserInfo), newCommitHash);
+
+    publishCollabEvent(linkAndUserInfo.doc_id, 'commit', {
+      shareToken,
+      hash: newCommitHash,
+      message: commitMessage,
+      author: authorName,
+      timestamp: new Date().toISOString()
+    });
+
     res.json({ message: 'Committed to collaboration branch successfully.', newCommitHash });
 
   } catch (error) {
@@ -417,7 +500,6 @@ router.post('/:shareToken/commit-qmd', async (req, res) => {
 // POST /api/collab/:shareToken/track-comment - Track when a comment is added
 router.post('/:shareToken/track-comment', async (req, res) => {
   const { shareToken } = req.params;
-  const { collaboratorLabel } = req.body;
 
   try {
     // Get share link information
@@ -448,6 +530,12 @@ router.post('/:shareToken/track-comment', async (req, res) => {
       });
     });
 
+    publishCollabEvent(linkInfo.doc_id, 'comment-added', {
+      shareToken,
+      author: linkInfo.collaborator_label,
+      timestamp: new Date().toISOString()
+    });
+
     res.json({ message: 'Comment tracked successfully' });
 
   } catch (error) {
@@ -456,7 +544,97 @@ router.post('/:shareToken/track-comment', async (req, res) => {
   }
 });
 
+// Comment threads
+
+function findCommentShareLink(shareToken) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT doc_id, collaborator_label FROM share_links WHERE share_token = ?', [shareToken], (err, row) => {
+      if (err || !row) return reject(new Error('Invalid share link.'));
+      resolve(row);
+    });
+  });
+}
+
+// /api/collab/:shareToken/comments - Collaborators comment as the label of their share link
+router.use('/:shareToken/comments', commentRoutes(async (req) => {
+  const { shareToken } = req.params;
+  const linkInfo = await findCommentShareLink(shareToken);
+  return { docId: linkInfo.doc_id, shareToken, author: linkInfo.collaborator_label || 'Anonymous' };
+}));
+
+// GET /api/collab/:shareToken/notifications - The collaborator's notifications and how many are unread
+router.get('/:shareToken/notifications', async (req, res) => {
+  const { shareToken } = req.params;
+
+  try {
+    await findCommentShareLink(shareToken);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+
+  try {
+    const recipient = { shareToken };
+    const notifications = await listNotifications(recipient, { unreadOnly: req.query.unread === 'true' });
+    res.json({ notifications, unreadCount: await countUnread(recipient) });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    res.status(500).json({ error: 'Failed to list notifications.' });
+  }
+});
+
+// POST /api/collab/:shareToken/notifications/read - Mark the given notifications, or all of them, as read
+router.post('/:shareToken/notifications/read', async (req, res) => {
+  const { shareToken } = req.params;
+  const { ids } = req.body;
+
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'ids must be an array of notification ids.' });
+  }
+
+  try {
+    await findCommentShareLink(shareToken);
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+
+  try {
+    const recipient = { shareToken };
+    const updated = await markNotificationsRead(recipient, ids);
+    res.json({ updated, unreadCount: await countUnread(recipient) });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read.' });
+  }
+});
+
 // Branch locking endpoints
+
+// Pending expiry of each active lock, keyed by lock id, so clients hear when a lock lapses
+const lockExpiryTimers = new Map();
+
+function scheduleLockExpiry(lockId, repoId, branchName, lockedBy, expiresAt) {
+  clearTimeout(lockExpiryTimers.get(lockId));
+  const timer = setTimeout(() => {
+    lockExpiryTimers.delete(lockId);
+    // Only expire the lock if it was not released or extended in the meantime
+    const sql = 'UPDATE branch_locks SET is_active = 0 WHERE id = ? AND is_active = 1 AND expires_at = ?';
+    db.run(sql, [lockId, expiresAt], function(err) {
+      if (err) {
+        console.error('Error expiring branch lock:', err.message);
+        return;
+      }
+      if (this.changes > 0) {
+        publishBranchEvent(repoId, branchName, 'lock-expired', { lockedBy, expiresAt });
+      }
+    });
+  }, Math.max(0, new Date(expiresAt) - Date.now()));
+  lockExpiryTimers.set(lockId, timer);
+}
+
+function cancelLockExpiry(lockId) {
+  clearTimeout(lockExpiryTimers.get(lockId));
+  lockExpiryTimers.delete(lockId);
+}
 // POST /api/collab/:shareToken/lock - Acquire a lock on the collaboration branch
 router.post('/:shareToken/lock', async (req, res) => {
   const { shareToken } = req.params;
@@ -532,6 +710,13 @@ router.post('/:shareToken/lock', async (req, res) => {
         });
       });
 
+      scheduleLockExpiry(myExistingLock.id, linkInfo.repoId, linkInfo.collab_branch_name, collaboratorLabel, expiresAt);
+      publishBranchEvent(linkInfo.repoId, linkInfo.collab_branch_name, 'lock-acquired', {
+        lockedBy: collaboratorLabel,
+        lockedAt: new Date().toISOString(),
+        expiresAt
+      });
+
       return res.json({ 
         message: 'Branch lock extended successfully',
         expiresAt,
@@ -541,7 +726,7 @@ router.post('/:shareToken/lock', async (req, res) => {
 
     // Create new lock
     const expiresAt = new Date(Date.now() + lockDuration * 60 * 1000).toISOString();
-    await new Promise((resolve, reject) => {
+    const lockId = await new Promise((resolve, reject) => {
       const sql = `
         INSERT INTO branch_locks 
         (repo_id, branch_name, locked_by_collaborator_label, expires_at, is_active) 
@@ -553,6 +738,13 @@ router.post('/:shareToken/lock', async (req, res) => {
       });
     });
 
+    scheduleLockExpiry(lockId, linkInfo.repoId, linkInfo.collab_branch_name, collaboratorLabel, expiresAt);
+    publishBranchEvent(linkInfo.repoId, linkInfo.collab_branch_name, 'lock-acquired', {
+      lockedBy: collaboratorLabel,
+      lockedAt: new Date().toISOString(),
+      expiresAt
+    });
+
     res.json({ 
       message: 'Branch locked successfully',
       expiresAt,
@@ -612,6 +804,9 @@ router.delete('/:shareToken/lock', async (req, res) => {
       });
     });
 
+    cancelLockExpiry(existingLock.id);
+    publishBranchEvent(linkInfo.repoId, linkInfo.collab_branch_name, 'lock-released', { lockedBy: collaboratorLabel });
+
     res.json({ message: 'Branch lock released successfully' });
 
   } catch (error) {
@@ -665,6 +860,11 @@ router.get('/:shareToken/lock-status', async (req, res) => {
           db.run('UPDATE branch_locks SET is_active = 0 WHERE id = ?', [lock.id], (err) => {
             if (err) console.error('Error cleaning up expired lock:', err.message);
           });
+          cancelLockExpiry(lock.id);
+          publishBranchEvent(linkInfo.repoId, linkInfo.collab_branch_name, 'lock-expired', {
+            lockedBy: lock.locked_by_collaborator_label,
+            expiresAt: lock.expires_at
+          });
           return false;
         }
       }
@@ -719,6 +919,25 @@ router.get('/:shareToken/lock-status', async (req, res) => {
   }
 });
 
+// GET /api/collab/:shareToken/events - Stream lock, save, commit and comment events for the document
+router.get('/:shareToken/events', async (req, res) => {
+  const { shareToken } = req.params;
+
+  try {
+    const linkInfo = await new Promise((resolve, reject) => {
+      db.get('SELECT doc_id FROM share_links WHERE share_token = ?', [shareToken], (err, row) => {
+        if (err || !row) return reject(new Error('Invalid share link.'));
+        resolve(row);
+      });
+    });
+
+    openEventStream(linkInfo.doc_id, req, res);
+  } catch (error) {
+    console.error('Error opening collab event stream:', error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
 // GET /api/collab/:shareToken/recent-changes - Get recent changes from all collaborators
 router.get('/:shareToken/recent-changes', async (req, res) => {
   const { shareToken } = req.params;
@@ -805,6 +1024,51 @@ router.get('/:shareToken/recent-changes', async (req, res) => {
   }
 });
 
+// POST /api/collab/:shareToken/chunks/run - Re-run one code chunk, if the share link allows running code
+router.post('/:shareToken/chunks/run', async (req, res) => {
+  const { shareToken } = req.params;
+
+  let linkInfo;
+  try {
+    linkInfo = await new Promise((resolve, reject) => {
+      const sql = `
+        SELECT s.can_run_code, s.collab_branch_name, d.filepath, r.id as repoId, r.full_name
+        FROM share_links s
+        JOIN documents d ON s.doc_id = d.id
+        JOIN repositories r ON d.repo_id = r.id
+        WHERE s.share_token = ?
+      `;
+      db.get(sql, [shareToken], (err, row) => {
+        if (err || !row) return reject(new Error('Invalid share link.'));
+        resolve(row);
+      });
+    });
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+
+  if (!linkInfo.can_run_code) {
+    return res.status(403).json({ error: 'This share link does not allow running code.' });
+  }
+  const invalid = validateChunkRun(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const job = await requestChunkRun({ id: linkInfo.repoId, fullName: linkInfo.full_name }, linkInfo.filepath, req.body, {
+      branchName: linkInfo.collab_branch_name,
+    });
+    if (job.status !== 'succeeded') {
+      return res.status(202).json({ jobId: job.id, status: job.status, progress: job.progress });
+    }
+    res.json({ htmlOutput: job.result.htmlOutput });
+  } catch (error) {
+    console.error('Error running chunk:', error);
+    res.status(500).json({ error: 'Failed to run the chunk.' });
+  }
+});
+
 // GET /api/collab/:shareToken/info - Get share link information
 router.get('/:shareToken/info', async (req, res) => {
   const { shareToken } = req.params;
@@ -831,7 +1095,8 @@ router.get('/:shareToken/info', async (req, res) => {
       collaboratorLabel: linkInfo.collaborator_label,
       collabBranchName: linkInfo.collab_branch_name,
       filepath: linkInfo.filepath,
-      repoName: linkInfo.full_name
+      repoName: linkInfo.full_name,
+      canRunCode: !!linkInfo.can_run_code
     });
 
   } catch (error) {
@@ -0,0 +1,178 @@
+const express = require('express');
+const { mergeStoredComments } = require('../core/commentUtils');
+const { COMMENT_STATUSES, listComments, getComment, createComment, addReply, setCommentStatus, importComments } = require('../core/commentStore');
+const { notifyMentions } = require('../core/notifications');
+const { publishCollabEvent } = require('../core/collabEvents');
+
+// Comment threads live in the comments table; the copy saved with the document contributes the
+// anchors. Comments that were only ever saved with the document are stored on first load, as
+// `options.author`'s when they come from a live save rather than the committed appendix.
+async function syncStoredComments(docId, shareToken, comments, options) {
+  try {
+    await importComments(docId, shareToken, comments, options);
+    return mergeStoredComments(comments, await listComments(docId));
+  } catch (error) {
+    console.error('Error syncing stored comments:', error.message);
+    return comments;
+  }
+}
+
+// Mentions are notified after the response; a failure there doesn't undo the comment
+function notifyMentionsIn(docId, comment, message) {
+  notifyMentions(docId, comment.id, message)
+    .catch(error => console.error('Error creating mention notifications:', error.message));
+}
+
+/**
+ * The comments API of a document, mounted once for collaborators under their share link and once
+ * for the owner under the document. Who is commenting is never read from the request body:
+ * `findCommenter` works it out from the share link or the session.
+ *
+ * @param {function(express.Request): Promise<{ docId: number, shareToken: string|null, author: string }>} findCommenter -
+ *   Rejects if the request may not comment on the document; the error message is sent with a 404.
+ * @returns {express.Router}
+ */
+function commentRoutes(findCommenter) {
+  const router = express.Router({ mergeParams: true });
+
+  // Resolves the commenter, or answers the request and resolves null
+  const commenterOf = async (req, res) => {
+    try {
+      return await findCommenter(req);
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+      return null;
+    }
+  };
+
+  // GET / - List the document's comment threads, optionally by status or author
+  router.get('/', async (req, res) => {
+    const { status, author } = req.query;
+
+    if (status && !COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Expected one of: ${COMMENT_STATUSES.join(', ')}.` });
+    }
+
+    const commenter = await commenterOf(req, res);
+    if (!commenter) return;
+
+    try {
+      const comments = await listComments(commenter.docId, { status, author });
+      res.json({ comments });
+    } catch (error) {
+      console.error('Error listing comments:', error);
+      res.status(500).json({ error: 'Failed to list comments.' });
+    }
+  });
+
+  // POST / - Start a comment thread
+  router.post('/', async (req, res) => {
+    const { id, text, location } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: 'Missing comment text.' });
+    }
+
+    const commenter = await commenterOf(req, res);
+    if (!commenter) return;
+
+    try {
+      // The editor picks the id, since the comment mark carries it before the comment is posted
+      const commentId = id || `c-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+      if (await getComment(commenter.docId, commentId)) {
+        return res.status(409).json({ error: `Comment ${commentId} already exists.` });
+      }
+
+      const comment = await createComment(commenter.docId, commenter.shareToken, {
+        id: commentId,
+        author: commenter.author,
+        text: text.trim(),
+        location,
+      });
+
+      publishCollabEvent(commenter.docId, 'comment-added', {
+        shareToken: commenter.shareToken,
+        commentId: comment.id,
+        author: comment.author,
+        timestamp: comment.timestamp
+      });
+
+      res.status(201).json({ comment });
+      notifyMentionsIn(commenter.docId, comment, comment.thread[0]);
+    } catch (error) {
+      console.error('Error creating comment:', error);
+      res.status(500).json({ error: 'Failed to create comment.' });
+    }
+  });
+
+  // POST /:commentId/replies - Reply to a comment thread
+  router.post('/:commentId/replies', async (req, res) => {
+    const { commentId } = req.params;
+    const { text } = req.body;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: 'Missing reply text.' });
+    }
+
+    const commenter = await commenterOf(req, res);
+    if (!commenter) return;
+
+    try {
+      const comment = await addReply(commenter.docId, commentId, { author: commenter.author, text: text.trim() });
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found.' });
+      }
+
+      const reply = comment.thread[comment.thread.length - 1];
+      publishCollabEvent(commenter.docId, 'comment-replied', {
+        shareToken: commenter.shareToken,
+        commentId,
+        author: reply.author,
+        timestamp: reply.timestamp
+      });
+
+      res.status(201).json({ comment });
+      notifyMentionsIn(commenter.docId, comment, reply);
+    } catch (error) {
+      console.error('Error adding comment reply:', error);
+      res.status(500).json({ error: 'Failed to add reply.' });
+    }
+  });
+
+  // PATCH /:commentId - Resolve or reopen a comment thread
+  router.patch('/:commentId', async (req, res) => {
+    const { commentId } = req.params;
+    const { status } = req.body;
+
+    if (!COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Expected one of: ${COMMENT_STATUSES.join(', ')}.` });
+    }
+
+    const commenter = await commenterOf(req, res);
+    if (!commenter) return;
+
+    try {
+      const comment = await setCommentStatus(commenter.docId, commentId, status, commenter.author);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found.' });
+      }
+
+      publishCollabEvent(commenter.docId, 'comment-updated', {
+        shareToken: commenter.shareToken,
+        commentId,
+        status,
+        author: commenter.author,
+        timestamp: new Date().toISOString()
+      });
+
+      res.json({ comment });
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      res.status(500).json({ error: 'Failed to update comment.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { commentRoutes, syncStoredComments };
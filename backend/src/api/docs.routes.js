@@ -9,10 +9,18 @@ const crypto = require('crypto');
 const { v4: actualUuidv4 } = require('uuid');
 // const { renderToJATS, jatsToProseMirrorJSON } = require('../core/astParser'); // No longer needed for view
 // const { parseQmd } = require('../core/qmdBlockParser'); // No longer needed for view
-const { qmdToProseMirror } = require('../core/quartoParser'); // Import new parser
+const { renderDocumentForEditor } = require('../core/documentView');
 const { extractCommentsAppendix } = require('../core/commentUtils'); // Import comment utilities
+const { commentRoutes, syncStoredComments } = require('./comments.routes');
+const { collectTrackedChanges } = require('../core/trackedChanges');
+const { computeBlockHunks, applyBlockHunks, computeThreeWayMerge, resolveThreeWayMerge } = require('../core/blockMerge');
+const { computeProseDiff } = require('../core/proseDiff');
 const Diff = require('diff');
+const diff3Merge = require('diff3');
 const { ensureAuthenticated } = require('../core/auth');
+const { registerRenderHandler, requestRender, renderJobKey } = require('../core/renderQueue');
+const { validateChunkRun, requestChunkRun } = require('../core/chunkRuns');
+const { RENDER_MODES, getRenderMode } = require('../core/freezer');
 
 const router = express.Router();
 const REPOS_DIR_path = actualPath.join(__dirname, '../../repos'); // Renamed for clarity
@@ -32,11 +40,64 @@ const isAuthenticated = (req, res, next) => {
 // All doc routes require authentication
 router.use(isAuthenticated);
 
+// The view cache file of a document at a commit; text-only views are cached apart. `jats` marks
+// views rendered through renderToJATS, so views cached by the old per-chunk parser aren't served.
+const viewCacheFilename = (repoId, filepath, commitHash, mode) => {
+  const filepathHash = crypto.createHash('md5').update(filepath).digest('hex');
+  return actualPath.join(CACHE_DIR, `${repoId}-${filepathHash}-${commitHash}-jats${mode === 'text' ? '-text' : ''}.json`);
+};
+
+// Converts a document for the view. Runs as a render job, since executing the chunks can take
+// minutes; the result is also written to the view cache.
+registerRenderHandler('docs-view', async ({ repoId, repoFullName, filepath, branchName, commitHash, mode }, { signal, reportProgress, appendOutput }) => {
+  const projectDir = actualPath.join(REPOS_DIR_path, repoFullName);
+  if (branchName) {
+    // Checkout the collaboration branch
+    await actualGit.checkout({ fs: actualFsForGit, dir: projectDir, ref: branchName });
+  }
+
+  const fullFilepath = actualPath.join(projectDir, filepath);
+  try {
+    await actualFs.access(fullFilepath);
+  } catch (fileNotFoundError) {
+    throw new Error(`File not found: ${filepath}`);
+  }
+
+  // Rendered like collaboration branches, reusing frozen results, with the comments from the appendix
+  const resultPayload = await renderDocumentForEditor(projectDir, filepath, repoId, { mode, signal, reportProgress, appendOutput });
+
+  // --- START CACHE WRITE LOGIC ---
+  const cacheFilename = viewCacheFilename(repoId, filepath, commitHash, mode);
+  try {
+    await actualFs.writeFile(cacheFilename, JSON.stringify(resultPayload)); // Cache the whole payload
+    console.log(`[Cache WRITE] Cached ${filepath} for repo ${repoId} (commit ${commitHash.substring(0,7)}) to ${cacheFilename}`);
+  } catch (cacheWriteError) {
+    console.warn(`[Cache Write WARN] Failed to write cache file ${cacheFilename}:`, cacheWriteError);
+  }
+  // --- END CACHE WRITE LOGIC ---
+
+  return resultPayload;
+});
+
+// The document's comment threads are stored through the comments API; the view's comments come from
+// its appendix, so they are merged with the stored threads. Documents that were never shared or
+// commented on through the API have none stored.
+async function withStoredComments(view, docId, shareToken) {
+  if (!docId) return view;
+  return { ...view, comments: await syncStoredComments(docId, shareToken, view.comments || []) };
+}
+
 // GET /api/docs/view?repoId=1&filepath=path/to/doc.qmd or GET /api/docs/view?shareToken=TOKEN
+// With &render=text the chunks aren't executed; RENDER_MODE sets the default.
 router.get('/view', async (req, res) => {
   const { repoId: queryRepoId, filepath: queryFilepath, shareToken } = req.query;
 
   try {
+    const mode = req.query.render || getRenderMode();
+    if (!RENDER_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid render mode "${mode}". Expected one of: ${RENDER_MODES.join(', ')}.` });
+    }
+
     // Ensure cache directory exists
     try {
       await actualFs.mkdir(CACHE_DIR, { recursive: true });
@@ -49,6 +110,8 @@ router.get('/view', async (req, res) => {
     let effectiveFilepath;
     let projectDir;
     let repoFullName; // Used for projectDir construction
+    let branchName = null;
+    let docId = null;
 
     if (shareToken) {
       // Logic for handling shareToken
@@ -56,6 +119,7 @@ router.get('/view', async (req, res) => {
         const sql = `
           SELECT 
             s.collab_branch_name, 
+            s.doc_id,
             d.filepath,
             r.id as repoId, 
             r.full_name
@@ -75,9 +139,9 @@ router.get('/view', async (req, res) => {
       effectiveFilepath = linkInfo.filepath;
       repoFullName = linkInfo.full_name;
       projectDir = actualPath.join(REPOS_DIR_path, repoFullName);
-
-      // Checkout the collaboration branch
-      await actualGit.checkout({ fs: actualFsForGit, dir: projectDir, ref: linkInfo.collab_branch_name });
+      // The render job checks the collaboration branch out
+      branchName = linkInfo.collab_branch_name;
+      docId = linkInfo.doc_id;
 
     } else {
       // Existing logic for repoId and filepath
@@ -98,82 +162,62 @@ router.get('/view', async (req, res) => {
       repoFullName = repo.full_name;
       projectDir = actualPath.join(REPOS_DIR_path, repoFullName);
       // File will be read from the currently checked-out branch or default for this repo
-    }
-
-    let currentCommitHash;
-    let filepathHash;
-    let cacheFilename;
 
-    try {
-      currentCommitHash = await actualGit.resolveRef({ fs: actualFsForGit, dir: projectDir, ref: 'HEAD' });
-      filepathHash = crypto.createHash('md5').update(effectiveFilepath).digest('hex');
-      cacheFilename = actualPath.join(CACHE_DIR, `${effectiveRepoId}-${filepathHash}-${currentCommitHash}.json`);
-
-      // --- START CACHE READ LOGIC ---
+      // Check if file exists before queueing a render
       try {
-        await actualFs.access(cacheFilename); // Check if file exists and is accessible
-        const cachedContent = await actualFs.readFile(cacheFilename, 'utf8');
-        const parsedCache = JSON.parse(cachedContent); // Cache now stores { prosemirrorJson, comments }
-        console.log(`[Cache HIT] Serving ${effectiveFilepath} for repo ${effectiveRepoId} (commit ${currentCommitHash.substring(0,7)}) from cache.`);
-        // Include currentCommitHash in cached response
-        const cachedResponse = { 
-          ...parsedCache, 
-          currentCommitHash: currentCommitHash 
-        };
-        return res.json(cachedResponse); // Return the full cached object with currentCommitHash
-      } catch (cacheReadError) {
-        if (cacheReadError.code !== 'ENOENT') { // ENOENT is expected for a cache miss
-          console.warn(`[Cache Read WARN] Error reading cache file ${cacheFilename}:`, cacheReadError);
-        } else {
-          console.log(`[Cache MISS] No cache for ${effectiveFilepath} for repo ${effectiveRepoId} at commit ${currentCommitHash.substring(0,7)}.`);
-        }
-        // Proceed to rendering if cache miss or error reading cache
+        await actualFs.access(actualPath.join(projectDir, effectiveFilepath));
+      } catch (fileNotFoundError) {
+        return res.status(404).json({ error: `File not found: ${effectiveFilepath}` });
       }
-      // --- END CACHE READ LOGIC ---
-    } catch (cacheSetupError) {
-      // Errors in getting commit hash or constructing cache path, etc.
-      // These variables might be undefined if this block fails, so cache write should also handle this.
-      console.warn(`[Cache WARN] Error in cache setup (commit hash, filename construction):`, cacheSetupError);
-      // Proceed to rendering, caching will likely be skipped.
-    }
-
-    const fullFilepath = actualPath.join(projectDir, effectiveFilepath);
 
-    // Check if file exists before trying to render
-    try {
-      await actualFs.access(fullFilepath);
-    } catch (fileNotFoundError) {
-      return res.status(404).json({ error: `File not found: ${effectiveFilepath}` });
+      const doc = await new Promise((resolve, reject) => {
+        actualDb.get('SELECT id FROM documents WHERE repo_id = ? AND filepath = ?', [queryRepoId, queryFilepath], (err, row) => {
+          if (err) return reject(new Error('Database error while fetching document.'));
+          resolve(row);
+        });
+      });
+      docId = doc ? doc.id : null;
     }
 
-    // Read the QMD content
-    const qmdContent = await actualFs.readFile(fullFilepath, 'utf8');
-    
-    // Convert QMD to ProseMirror JSON and extract comments
-    const { prosemirrorJson, comments } = await qmdToProseMirror(qmdContent);
-
-    const resultPayload = { prosemirrorJson, comments };
+    const currentCommitHash = await actualGit.resolveRef({ fs: actualFsForGit, dir: projectDir, ref: branchName || 'HEAD' });
+    const cacheFilename = viewCacheFilename(effectiveRepoId, effectiveFilepath, currentCommitHash, mode);
 
-    // --- START CACHE WRITE LOGIC ---
-    if (currentCommitHash && cacheFilename) { // Only attempt to write if cache setup was successful
-      try {
-        await actualFs.writeFile(cacheFilename, JSON.stringify(resultPayload)); // Cache the whole payload
-        console.log(`[Cache WRITE] Cached ${effectiveFilepath} for repo ${effectiveRepoId} (commit ${currentCommitHash.substring(0,7)}) to ${cacheFilename}`);
-      } catch (cacheWriteError) {
-        console.warn(`[Cache Write WARN] Failed to write cache file ${cacheFilename}:`, cacheWriteError);
+    // --- START CACHE READ LOGIC ---
+    try {
+      await actualFs.access(cacheFilename); // Check if file exists and is accessible
+      const cachedContent = await actualFs.readFile(cacheFilename, 'utf8');
+      const parsedCache = JSON.parse(cachedContent); // Cache now stores { prosemirrorJson, comments }
+      console.log(`[Cache HIT] Serving ${effectiveFilepath} for repo ${effectiveRepoId} (commit ${currentCommitHash.substring(0,7)}) from cache.`);
+      // Include currentCommitHash in cached response
+      const cachedResponse = { 
+        ...parsedCache, 
+        currentCommitHash: currentCommitHash 
+      };
+      return res.json(await withStoredComments(cachedResponse, docId, shareToken || null)); // Return the full cached object with currentCommitHash
+    } catch (cacheReadError) {
+      if (cacheReadError.code !== 'ENOENT') { // ENOENT is expected for a cache miss
+        console.warn(`[Cache Read WARN] Error reading cache file ${cacheFilename}:`, cacheReadError);
+      } else {
+        console.log(`[Cache MISS] No cache for ${effectiveFilepath} for repo ${effectiveRepoId} at commit ${currentCommitHash.substring(0,7)}.`);
       }
-    } else {
-      console.log(`[Cache Write SKIP] Skipped writing cache due to missing commit hash or cache filename (setup error).`);
+      // Proceed to rendering if cache miss or error reading cache
     }
-    // --- END CACHE WRITE LOGIC ---
-    
-    // Include currentCommitHash in the response
-    const responsePayload = { 
-      ...resultPayload, 
-      currentCommitHash: currentCommitHash || null 
-    };
-    
-    res.json(responsePayload); // Return the payload { prosemirrorJson, comments, currentCommitHash }
+    // --- END CACHE READ LOGIC ---
+
+    // Render in the queue; requests for the same commit share the job
+    const jobKey = renderJobKey(effectiveRepoId, currentCommitHash, effectiveFilepath);
+    const job = await requestRender(
+      'docs-view',
+      { repoId: effectiveRepoId, key: mode === 'full' ? jobKey : `${jobKey}:${mode}` },
+      { repoId: effectiveRepoId, repoFullName, filepath: effectiveFilepath, branchName, commitHash: currentCommitHash, mode }
+    );
+    if (job.status === 'succeeded') {
+      // The cache write failed, but the job still has the result
+      return res.json(await withStoredComments({ ...job.result, currentCommitHash }, docId, shareToken || null));
+    }
+
+    // 202 with the job to follow; the client asks again once it has succeeded
+    res.status(202).json({ jobId: job.id, status: job.status, progress: job.progress });
 
   } catch (error) {
     console.error('Error getting document view:', error.message, error.stack); // Added error.stack for more details
@@ -187,11 +231,44 @@ router.get('/view', async (req, res) => {
   }
 });
 
+// POST /api/docs/chunks/run - Re-run one code chunk of a document
+router.post('/chunks/run', async (req, res) => {
+  const { repoId, filepath } = req.body;
+  if (!repoId || !filepath) {
+    return res.status(400).json({ error: 'repoId and filepath are required.' });
+  }
+  const invalid = validateChunkRun(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const repo = await new Promise((resolve, reject) => {
+      actualDb.get('SELECT id, full_name FROM repositories WHERE id = ? AND user_id = ?', [repoId, req.user.id], (err, row) => {
+        if (err) return reject(err);
+        resolve(row);
+      });
+    });
+    if (!repo) {
+      return res.status(403).json({ error: 'Repo not found or access denied.' });
+    }
+
+    const job = await requestChunkRun({ id: repo.id, fullName: repo.full_name }, filepath, req.body);
+    if (job.status !== 'succeeded') {
+      return res.status(202).json({ jobId: job.id, status: job.status, progress: job.progress });
+    }
+    res.json({ htmlOutput: job.result.htmlOutput });
+  } catch (error) {
+    console.error('Error running chunk:', error);
+    res.status(500).json({ error: 'Failed to run the chunk.' });
+  }
+});
+
 // POST /api/docs/share - Create a new share link
 // router.post('/share', async (req, res) => {
 function shareRouteLogic(db, git, uuidGenerator, projectBaseDir, fsForGit) {
   return async (req, res) => {
-    const { repoId, filepath, label, userId, branchName, collaborationMode = 'individual' } = req.body;
+    const { repoId, filepath, label, email, canRunCode, userId, branchName, collaborationMode = 'individual' } = req.body;
     const actualUserId = userId || req.user.id; // Use provided userId or fall back to authenticated user
 
     if (!repoId || !filepath || !label || !actualUserId || !branchName) {
@@ -280,13 +357,17 @@ function shareRouteLogic(db, git, uuidGenerator, projectBaseDir, fsForGit) {
       // 4. Generate a unique token and save the share link to the DB
       const share_token = uuidGenerator();
       const newShareLink = await new Promise((resolve, reject) => {
-          const sql = 'INSERT INTO share_links (doc_id, user_id, share_token, collab_branch_name, collaborator_label) VALUES (?, ?, ?, ?, ?)';
-          db.run(sql, [doc.id, actualUserId, share_token, collab_branch_name, label || ''], function(err) {
+          // The email is optional; it is only used to mail notification digests. Running code is
+          // opt-in, since it executes on the server.
+          const sql = 'INSERT INTO share_links (doc_id, user_id, share_token, collab_branch_name, collaborator_label, collaborator_email, can_run_code) VALUES (?, ?, ?, ?, ?, ?, ?)';
+          db.run(sql, [doc.id, actualUserId, share_token, collab_branch_name, label || '', email || null, canRunCode ? 1 : 0], function(err) {
               if (err) return reject(err);
               resolve({ 
                 id: this.lastID, 
                 share_token, 
                 collaborator_label: label || '', 
+                collaborator_email: email || null,
+                can_run_code: canRunCode ? 1 : 0,
                 collab_branch_name,
                 collaborationMode 
               });
@@ -389,6 +470,25 @@ function diffRouteLogic(db, git, fs, projectBaseDir) { // fs here is for readFil
 }
 router.get('/diff/:shareToken', diffRouteLogic(actualDb, actualGit, actualFs, REPOS_DIR_path));
 
+// GET /api/docs/diff/:shareToken/semantic - Block, sentence and word level diff of the prose, for the rendered review
+router.get('/diff/:shareToken/semantic', async (req, res) => {
+  try {
+    const context = await getMergeContext(req.params.shareToken, req.user.id);
+    const mainContent = await readFileAtBranch(context.projectDir, context.mainBranch, context.filepath);
+    const collabContent = await readFileAtBranch(context.projectDir, context.collab_branch_name, context.filepath);
+    res.json({
+      branchName: context.collab_branch_name,
+      mainBranch: context.mainBranch,
+      filepath: context.filepath,
+      ...computeProseDiff(mainContent, collabContent),
+    });
+  } catch (error) {
+    console.error('Error generating semantic diff:', error);
+    if (error.message.includes('not found')) return res.status(404).json({ error: error.message });
+    res.status(500).json({ error: `Failed to generate diff: ${error.message}` });
+  }
+});
+
 
 // POST /api/docs/get-or-create - Finds a doc or creates it, returns the ID
 router.post('/get-or-create', async (req, res) => {
@@ -440,6 +540,22 @@ router.get('/:docId/shares', async (req, res) => {
   }
 });
 
+// /api/docs/:docId/comments - The owner of the document's repository comments as their username
+router.use('/:docId/comments', commentRoutes(async (req) => {
+  const doc = await new Promise((resolve, reject) => {
+    const sql = `
+      SELECT d.id FROM documents d
+      JOIN repositories r ON d.repo_id = r.id
+      WHERE d.id = ? AND r.user_id = ?
+    `;
+    actualDb.get(sql, [req.params.docId, req.user.id], (err, row) => {
+      if (err || !row) return reject(new Error('Document not found or access denied.'));
+      resolve(row);
+    });
+  });
+  return { docId: doc.id, shareToken: null, author: req.user.username };
+}));
+
 // POST /api/docs/merge/:shareToken - Merge collaboration branch into main branch
 router.post('/merge/:shareToken', async (req, res) => {
   const { shareToken } = req.params;
@@ -493,7 +609,7 @@ router.post('/merge/:shareToken', async (req, res) => {
     } catch (mergeError) {
       // If merge fails due to conflicts, return error
       if (mergeError.message.includes('conflict')) {
-        return res.status(409).json({ error: 'Merge conflict detected. Please resolve conflicts manually.' });
+        return res.status(409).json({ error: 'Merge conflict detected. Resolve the conflicts to finish the merge.', hasConflicts: true });
       }
       throw mergeError;
     }
@@ -514,6 +630,230 @@ router.post('/merge/:shareToken', async (req, res) => {
   }
 });
 
+// Share link, repository and branch details for merging a collaboration branch; only the
+// repository owner may merge.
+async function getMergeContext(shareToken, userId) {
+  const linkInfo = await new Promise((resolve, reject) => {
+    const sql = `
+      SELECT s.collab_branch_name, d.filepath, r.full_name, r.main_branch
+      FROM share_links s
+      JOIN documents d ON s.doc_id = d.id
+      JOIN repositories r ON d.repo_id = r.id
+      WHERE s.share_token = ? AND r.user_id = ?
+    `;
+    actualDb.get(sql, [shareToken, userId], (err, row) => {
+      if (err) return reject(new Error(`Database error: ${err.message}`));
+      if (!row) return reject(new Error('Share link not found or access denied.'));
+      resolve(row);
+    });
+  });
+  return {
+    ...linkInfo,
+    projectDir: actualPath.join(REPOS_DIR_path, linkInfo.full_name),
+    mainBranch: linkInfo.main_branch || 'main',
+  };
+}
+
+// Reads the document as committed on a branch, without touching the working tree
+async function readFileAtBranch(projectDir, branch, filepath) {
+  const oid = await actualGit.resolveRef({ fs: actualFsForGit, dir: projectDir, ref: branch });
+  try {
+    const { blob } = await actualGit.readBlob({ fs: actualFsForGit, dir: projectDir, oid, filepath });
+    return Buffer.from(blob).toString('utf8');
+  } catch (error) {
+    if (error.code === 'NotFoundError') return ''; // The file does not exist on this branch yet
+    throw error;
+  }
+}
+
+async function getMergeHunks(context) {
+  const mainContent = await readFileAtBranch(context.projectDir, context.mainBranch, context.filepath);
+  const collabContent = await readFileAtBranch(context.projectDir, context.collab_branch_name, context.filepath);
+  return { mainContent, hunks: computeBlockHunks(mainContent, collabContent) };
+}
+
+// GET /api/docs/merge/:shareToken/hunks - Block-level changes the collaboration branch would bring into main
+router.get('/merge/:shareToken/hunks', async (req, res) => {
+  try {
+    const context = await getMergeContext(req.params.shareToken, req.user.id);
+    const { hunks } = await getMergeHunks(context);
+    res.json({
+      branchName: context.collab_branch_name,
+      mainBranch: context.mainBranch,
+      filepath: context.filepath,
+      hunks: hunks.map(({ collabBlocks, ...hunk }) => hunk),
+    });
+  } catch (error) {
+    console.error('Error computing merge hunks:', error);
+    if (error.message.includes('not found')) return res.status(404).json({ error: error.message });
+    res.status(500).json({ error: error.message || 'Failed to compute merge hunks.' });
+  }
+});
+
+// POST /api/docs/merge/:shareToken/hunks - Commit only the accepted hunks to the main branch
+// Body: { acceptedHunkIds: string[] }. The collaboration branch is kept, since it may still hold
+// changes that were not taken.
+router.post('/merge/:shareToken/hunks', async (req, res) => {
+  const { acceptedHunkIds } = req.body;
+
+  if (!Array.isArray(acceptedHunkIds) || acceptedHunkIds.length === 0) {
+    return res.status(400).json({ error: 'acceptedHunkIds must be a non-empty array.' });
+  }
+
+  try {
+    const context = await getMergeContext(req.params.shareToken, req.user.id);
+    const { mainContent, hunks } = await getMergeHunks(context);
+
+    // Hunk ids depend on the content they change, so an unknown id means a branch moved on
+    const knownIds = new Set(hunks.map(hunk => hunk.id));
+    const acceptedIds = [...new Set(acceptedHunkIds)];
+    const staleIds = acceptedIds.filter(id => !knownIds.has(id));
+    if (staleIds.length > 0) {
+      return res.status(409).json({ error: 'The branches changed since these changes were loaded. Reload the review and select them again.', staleIds });
+    }
+
+    const mergedContent = applyBlockHunks(mainContent, hunks, acceptedIds);
+
+    await actualGit.checkout({ fs: actualFsForGit, dir: context.projectDir, ref: context.mainBranch });
+    await actualFs.writeFile(actualPath.join(context.projectDir, context.filepath), mergedContent);
+    await actualGit.add({ fs: actualFsForGit, dir: context.projectDir, filepath: context.filepath });
+
+    const message = `Merge ${acceptedIds.length} of ${hunks.length} change(s) to ${context.filepath} from ${context.collab_branch_name}`;
+    const commitHash = await actualGit.commit({
+      fs: actualFsForGit,
+      dir: context.projectDir,
+      message,
+      author: {
+        name: req.user.username || 'Quartorium User',
+        email: req.user.email || `${req.user.username || 'user'}@quartorium.app`
+      },
+    });
+
+    res.json({ message: 'Selected changes merged successfully.', commitHash, mergedCount: acceptedIds.length, remainingCount: hunks.length - acceptedIds.length });
+
+  } catch (error) {
+    console.error('Error merging selected hunks:', error);
+    if (error.message.includes('not found')) return res.status(404).json({ error: error.message });
+    res.status(500).json({ error: error.message || 'Failed to merge the selected changes.' });
+  }
+});
+
+// The document at the merge base and at the head of both branches, for a three-way merge
+async function getThreeWayMerge(context) {
+  const mainCommit = await actualGit.resolveRef({ fs: actualFsForGit, dir: context.projectDir, ref: context.mainBranch });
+  const collabCommit = await actualGit.resolveRef({ fs: actualFsForGit, dir: context.projectDir, ref: context.collab_branch_name });
+  const [baseCommit] = await actualGit.findMergeBase({ fs: actualFsForGit, dir: context.projectDir, oids: [mainCommit, collabCommit] });
+  const [baseContent, mainContent, collabContent] = await Promise.all(
+    [baseCommit, mainCommit, collabCommit].map(ref => ref ? readFileAtBranch(context.projectDir, ref, context.filepath) : '')
+  );
+  return { mainCommit, collabCommit, baseCommit, mainContent, collabContent, merge: computeThreeWayMerge(baseContent, mainContent, collabContent) };
+}
+
+// GET /api/docs/merge/:shareToken/conflicts - Blocks both branches changed since they diverged
+router.get('/merge/:shareToken/conflicts', async (req, res) => {
+  try {
+    const context = await getMergeContext(req.params.shareToken, req.user.id);
+    const { mainCommit, collabCommit, baseCommit, merge } = await getThreeWayMerge(context);
+    res.json({
+      branchName: context.collab_branch_name,
+      mainBranch: context.mainBranch,
+      filepath: context.filepath,
+      mainCommit,
+      collabCommit,
+      baseCommit: baseCommit || null,
+      conflicts: merge.conflicts,
+    });
+  } catch (error) {
+    console.error('Error computing merge conflicts:', error);
+    if (error.message.includes('not found')) return res.status(404).json({ error: error.message });
+    res.status(500).json({ error: error.message || 'Failed to compute merge conflicts.' });
+  }
+});
+
+// isomorphic-git's default merge driver, which it doesn't export: a line-based diff3 merge of a
+// file both branches changed, with conflict markers where they changed the same lines.
+const LINES = /^.*(\r?\n|$)/gm;
+function diff3MergeDriver({ branches, contents }) {
+  const [base, ours, theirs] = contents.map(content => content.match(LINES));
+  let mergedText = '';
+  let cleanMerge = true;
+  for (const item of diff3Merge(ours, base, theirs)) {
+    if (item.ok) {
+      mergedText += item.ok.join('');
+    }
+    if (item.conflict) {
+      cleanMerge = false;
+      mergedText += `<<<<<<< ${branches[1]}\n${item.conflict.a.join('')}=======\n${item.conflict.b.join('')}>>>>>>> ${branches[2]}\n`;
+    }
+  }
+  return { cleanMerge, mergedText };
+}
+
+// POST /api/docs/merge/:shareToken/resolve - Merge the collaboration branch with the author's resolutions
+// Body: { resolutions: { [conflictId]: { choice: 'main'|'collab'|'both'|'custom', text? } }, mainCommit, collabCommit }
+// The commits are the ones the conflicts were loaded for; if either branch has moved since, the
+// author has to look at the conflicts again.
+router.post('/merge/:shareToken/resolve', async (req, res) => {
+  const { resolutions, mainCommit, collabCommit } = req.body;
+
+  if (!resolutions || typeof resolutions !== 'object' || !mainCommit || !collabCommit) {
+    return res.status(400).json({ error: 'Missing required fields: resolutions, mainCommit, collabCommit' });
+  }
+
+  try {
+    const context = await getMergeContext(req.params.shareToken, req.user.id);
+    const current = await getThreeWayMerge(context);
+    if (current.mainCommit !== mainCommit || current.collabCommit !== collabCommit) {
+      return res.status(409).json({ error: 'The branches changed since the conflicts were loaded. Reload them and resolve again.' });
+    }
+
+    let resolvedContent;
+    try {
+      resolvedContent = resolveThreeWayMerge(current.merge, resolutions);
+    } catch (resolveError) {
+      return res.status(400).json({ error: resolveError.message });
+    }
+
+    await actualGit.checkout({ fs: actualFsForGit, dir: context.projectDir, ref: context.mainBranch });
+    try {
+      await actualGit.merge({
+        fs: actualFsForGit,
+        dir: context.projectDir,
+        ours: context.mainBranch,
+        theirs: context.collab_branch_name,
+        author: {
+          name: req.user.username || 'Quartorium User',
+          email: req.user.email || `${req.user.username || 'user'}@quartorium.app`
+        },
+        message: `Merge collaboration branch: ${context.collab_branch_name} (conflicts resolved)`,
+        // Only the shared document is resolved here; other files both branches changed are merged
+        // as git would, and still conflict where both changed the same lines. The driver is given
+        // basenames, so the document is recognised by its contents too.
+        mergeDriver: (file) => {
+          const isDocument = file.path === actualPath.basename(context.filepath) &&
+            file.contents[1] === current.mainContent && file.contents[2] === current.collabContent;
+          return isDocument ? { cleanMerge: true, mergedText: resolvedContent } : diff3MergeDriver(file);
+        },
+      });
+    } catch (mergeError) {
+      if (mergeError.message.includes('conflict')) {
+        return res.status(409).json({ error: `Other files conflict and must be merged outside Quartorium: ${mergeError.message}` });
+      }
+      throw mergeError;
+    }
+    // Bring the working tree up to date with the merge commit
+    await actualGit.checkout({ fs: actualFsForGit, dir: context.projectDir, ref: context.mainBranch, force: true });
+
+    const commitHash = await actualGit.resolveRef({ fs: actualFsForGit, dir: context.projectDir, ref: context.mainBranch });
+    res.json({ message: 'Conflicts resolved and branches merged.', commitHash });
+
+  } catch (error) {
+    console.error('Error resolving merge conflicts:', error);
+    if (error.message.includes('not found')) return res.status(404).json({ error: error.message });
+    res.status(500).json({ error: error.message || 'Failed to merge with the resolved conflicts.' });
+  }
+});
+
 // GET /api/docs/debug/shares - Debug endpoint to list all share links
 router.get('/debug/shares', async (req, res) => {
   try {
@@ -672,6 +1012,55 @@ router.get('/:docId/suggestions', async (req, res) => {
   }
 });
 
+// GET /api/docs/:docId/tracked-changes - Collaborators' live documents that contain pending suggestions
+router.get('/:docId/tracked-changes', async (req, res) => {
+  const { docId } = req.params;
+
+  try {
+    const liveDocs = await new Promise((resolve, reject) => {
+      const sql = `
+        SELECT s.share_token, s.collaborator_label, l.prosemirror_json, l.base_commit_hash, l.updated_at
+        FROM share_links s
+        JOIN documents d ON s.doc_id = d.id
+        JOIN repositories r ON d.repo_id = r.id
+        JOIN live_documents l ON l.share_token = s.share_token
+        WHERE s.doc_id = ? AND r.user_id = ?
+        ORDER BY l.updated_at DESC
+      `;
+      actualDb.all(sql, [docId, req.user.id], (err, rows) => {
+        if (err) return reject(new Error(`Database error: ${err.message}`));
+        resolve(rows);
+      });
+    });
+
+    const documents = [];
+    liveDocs.forEach(liveDoc => {
+      let prosemirrorJson;
+      try {
+        prosemirrorJson = JSON.parse(liveDoc.prosemirror_json);
+      } catch (e) {
+        console.warn(`Failed to parse live document for ${liveDoc.share_token}:`, e.message);
+        return;
+      }
+      const changes = collectTrackedChanges(prosemirrorJson);
+      if (changes.length === 0) return;
+      documents.push({
+        shareToken: liveDoc.share_token,
+        collaborator: liveDoc.collaborator_label || 'Unknown',
+        baseCommitHash: liveDoc.base_commit_hash,
+        updatedAt: liveDoc.updated_at,
+        prosemirrorJson,
+        changes
+      });
+    });
+
+    res.json({ documentId: docId, documents });
+  } catch (error) {
+    console.error('Error getting tracked changes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /api/docs/document-id - Get document ID from repoId and filepath
 router.get('/document-id', async (req, res) => {
   const { repoId, filepath } = req.query;
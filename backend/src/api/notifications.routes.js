@@ -0,0 +1,45 @@
+const express = require('express');
+const { listNotifications, countUnread, markNotificationsRead } = require('../core/notifications');
+
+const router = express.Router();
+
+// Middleware to ensure user is authenticated for all notification routes
+const isAuthenticated = (req, res, next) => {
+  if (req.isAuthenticated()) {
+    return next();
+  }
+  res.status(401).json({ error: 'User not authenticated' });
+};
+
+router.use(isAuthenticated);
+
+// GET /api/notifications - The signed-in owner's notifications and how many are unread
+router.get('/', async (req, res) => {
+  try {
+    const recipient = { userId: req.user.id };
+    const notifications = await listNotifications(recipient, { unreadOnly: req.query.unread === 'true' });
+    res.json({ notifications, unreadCount: await countUnread(recipient) });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    res.status(500).json({ error: 'Failed to list notifications.' });
+  }
+});
+
+// POST /api/notifications/read - Mark the given notifications, or all of them, as read
+router.post('/read', async (req, res) => {
+  const { ids } = req.body;
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'ids must be an array of notification ids.' });
+  }
+
+  try {
+    const recipient = { userId: req.user.id };
+    const updated = await markNotificationsRead(recipient, ids);
+    res.json({ updated, unreadCount: await countUnread(recipient) });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read.' });
+  }
+});
+
+module.exports = router;
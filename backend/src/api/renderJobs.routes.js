@@ -0,0 +1,125 @@
+const express = require('express');
+const db = require('../db/sqlite');
+const { getRenderJob, cancelRenderJob, subscribeToRenderJob } = require('../core/renderQueue');
+
+const router = express.Router();
+
+// Render jobs are started by the document views, for owners and collaborators alike, so following
+// a job is public: the job id, handed out by a view its caller could open, is the credential.
+// Cancelling one takes the owner's session or a share link of the job's repository.
+// Results are not served here; the view returns them once its job has succeeded.
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// GET /api/render-jobs/:jobId - Status and progress of a render
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await getRenderJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Render job not found.' });
+    res.json({ job });
+  } catch (error) {
+    console.error('Error getting render job:', error);
+    res.status(500).json({ error: 'Failed to get render job.' });
+  }
+});
+
+// GET /api/render-jobs/:jobId/events - Progress, Quarto output and status changes of a render, as Server-Sent Events
+router.get('/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+  // Subscribed before the job is read, so a job finishing in between isn't missed; events that
+  // come before the job's current state is sent are held back until then
+  let pending = [];
+  let onEvent = (event, data) => pending.push([event, data]);
+  const unsubscribe = subscribeToRenderJob(jobId, (event, data) => onEvent(event, data));
+  let job;
+  try {
+    job = await getRenderJob(jobId);
+  } catch (error) {
+    unsubscribe();
+    console.error('Error getting render job:', error);
+    return res.status(500).json({ error: 'Failed to get render job.' });
+  }
+  if (!job) {
+    unsubscribe();
+    return res.status(404).json({ error: 'Render job not found.' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // Where the job is now, including the output so far, for clients that join late or reconnect
+  send('status', { status: job.status, error: job.error, progress: job.progress, output: job.output });
+  if (FINISHED_STATUSES.includes(job.status)) {
+    unsubscribe();
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+  onEvent = (event, data) => {
+    send(event, data);
+    if (event === 'status' && FINISHED_STATUSES.includes(data.status)) res.end();
+  };
+  // The output held back is already part of the job's output
+  pending.filter(([event]) => event !== 'output').forEach(([event, data]) => onEvent(event, data));
+  pending = null;
+});
+
+// Whether the caller may cancel the job: they own its repository, or hold a share link of it
+function mayCancel(jobId, req) {
+  const shareToken = req.query.shareToken || null;
+  const userId = req.isAuthenticated?.() ? req.user.id : null;
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT 1 FROM render_jobs j
+      WHERE j.id = ? AND (
+        EXISTS (SELECT 1 FROM repositories r WHERE r.id = j.repo_id AND r.user_id = ?)
+        OR EXISTS (
+          SELECT 1 FROM share_links s JOIN documents d ON s.doc_id = d.id
+          WHERE s.share_token = ? AND d.repo_id = j.repo_id
+        )
+      )
+    `;
+    db.get(sql, [jobId, userId, shareToken], (err, row) => {
+      if (err) return reject(err);
+      resolve(!!row);
+    });
+  });
+}
+
+// DELETE /api/render-jobs/:jobId?shareToken= - Cancel a queued or running render; collaborators
+// pass their share token, owners are known by their session
+router.delete('/:jobId', async (req, res) => {
+  try {
+    if (!await getRenderJob(req.params.jobId)) return res.status(404).json({ error: 'Render job not found.' });
+    if (!req.query.shareToken && !req.isAuthenticated?.()) {
+      return res.status(401).json({ error: 'Sign in or use a share link to cancel renders.' });
+    }
+    if (!await mayCancel(req.params.jobId, req)) {
+      return res.status(403).json({ error: 'This render belongs to a document you have no access to.' });
+    }
+    const job = await cancelRenderJob(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Render job not found.' });
+    if (job.status !== 'cancelled') {
+      return res.status(409).json({ error: `The render has already ${job.status === 'succeeded' ? 'finished' : 'failed'}.`, job });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('Error cancelling render job:', error);
+    res.status(500).json({ error: 'Failed to cancel render job.' });
+  }
+});
+
+module.exports = router;
@@ -1,105 +1,126 @@
-const { exec } = require('child_process');
 const fs = require('fs/promises');
 const path = require('path');
-const os = require('os');
-const CACHE_DIR = path.join(__dirname, '../../cache');
 const { parseStringPromise } = require('xml2js');
+const { runQuarto } = require('./quartoExecutor');
+const { renderCacheKey } = require('./renderInputs');
+const { renderCachePath, findCachedRender, addCachedRender } = require('./renderCache');
+const { checkFreeze, needsPlaceholder, stageFrozenRender } = require('./freezer');
 
 /**
- * Executes `quarto render` to JATS format and reads the resulting XML.
+ * Renders the document to JATS with Quarto, in the sandbox set up by quartoExecutor, and reads the
+ * resulting XML. Renders are cached by a hash of everything the document reads (see renderInputs),
+ * so a commit that doesn't touch any of it is served from the cache.
+ *
+ * Frozen results in the project's _freeze directory (see freezer) are used instead of executing
+ * the code when they are all up to date. A text-only render never executes the code: chunks whose
+ * frozen output is stale or missing are rendered as placeholders.
  * @param {string} qmdFilepath - The absolute path to the source .qmd file.
  * @param {string} projectDir - The root directory of the cloned project.
  * @param {string} repoId - The repository ID.
- * @param {string} commitHash - The commit hash.
- * @returns {Promise<{jatsXml: string, assetsCachePath: string | null}>} - The parsed JATS XML string and the path to the cached assets directory.
+ * @param {{ signal?: AbortSignal, onOutput?: function(string): void, mode?: string, hashedSource?: string }} [options] -
+ *   Cancels the render, and receives Quarto's output while it runs. `mode` is 'full' (the default) or
+ *   'text' for a text-only render; `hashedSource` is the document as committed, if the file was changed
+ *   for the render, to compare with the hash of its frozen results.
+ * @returns {Promise<{jatsXml: string, assetsCachePath: string | null, renderKey: string, chunks: Array<Object>}>} -
+ *   The parsed JATS XML string, the path to the cached assets directory, the render's cache key, which the
+ *   asset URLs use, and the document's chunks with the status of their frozen output, for applyFreezeStatuses.
  */
-async function renderToJATS(qmdFilepath, projectDir, repoId, commitHash) {
+async function renderToJATS(qmdFilepath, projectDir, repoId, options = {}) {
   const docName = path.parse(qmdFilepath).name;
   const outputXmlFilename = `${docName}.xml`;
-  
+  const textOnly = options.mode === 'text';
+
   // Define a single cache directory for this specific render
-  const renderCacheDir = path.join(CACHE_DIR, 'renders', String(repoId), commitHash);
+  const renderKey = `${await renderCacheKey(qmdFilepath, projectDir)}${textOnly ? '-text' : ''}`;
+  const renderCacheDir = renderCachePath(repoId, renderKey);
   const cachedXmlPath = path.join(renderCacheDir, outputXmlFilename);
+  // The chunks' frozen statuses are kept with the render, so a cache hit doesn't search the history again
+  const cachedChunksPath = path.join(renderCacheDir, `${docName}.chunks.json`);
 
   // 1. Check if a cached version already exists.
-  try {
-    await fs.access(cachedXmlPath);
-    console.log(`Cache hit for ${repoId}/${commitHash}. Reading from cache at ${cachedXmlPath}.`);
-    const jatsXml = await fs.readFile(cachedXmlPath, 'utf8');
-    // Assets are in the same directory, so we pass the directory path.
-    return { jatsXml, assetsCachePath: renderCacheDir };
-  } catch (error) {
-    // Cache miss, proceed with rendering.
-    console.log(`Cache miss for ${repoId}/${commitHash}. Rendering document.`);
+  if (await findCachedRender(repoId, renderKey, outputXmlFilename)) {
+    console.log(`Cache hit for ${repoId}/${renderKey.substring(0, 12)}. Reading from cache at ${cachedXmlPath}.`);
+    // The render may have been evicted since it was looked up; it is then rendered again
+    const jatsXml = await fs.readFile(cachedXmlPath, 'utf8').catch(() => null);
+    if (jatsXml !== null) {
+      // Renders cached before the statuses were kept have none
+      const chunks = await fs.readFile(cachedChunksPath, 'utf8').then(JSON.parse, () => []);
+      // Assets are in the same directory, so we pass the directory path.
+      return { jatsXml, assetsCachePath: renderCacheDir, renderKey, chunks };
+    }
   }
+  console.log(`Cache miss for ${repoId}/${renderKey.substring(0, 12)}. Rendering document.`);
 
   // If we've reached here, it's a cache miss.
-  const tempRenderDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quartorium-render-'));
+  const freeze = await checkFreeze(qmdFilepath, projectDir, { hashedSource: options.hashedSource });
+  const useFrozen = textOnly || (freeze.fresh && freeze.chunks.every(chunk => !chunk.include || chunk.cell));
+  const chunks = freeze.chunks.map(chunk => ({
+    code: chunk.code,
+    status: chunk.status,
+    notRun: useFrozen && needsPlaceholder(chunk),
+  }));
 
+  let stagedDir = null;
   try {
-    // 2. Copy the project into the temporary directory to keep the original clean.
-    await fs.cp(projectDir, tempRenderDir, { recursive: true });
-
-    // 3. Construct the Quarto command WITHOUT specifying output.
+    // 2. Render a copy of the project in the sandbox, keeping the original clean. A render from
+    // frozen results renders a copy in which the chunks are replaced by their outputs.
+    let renderDir = projectDir;
+    if (useFrozen) {
+      console.log(`Rendering ${docName} without executing its code, from ${freeze.frozen ? `its frozen ${freeze.frozen.format} results` : 'placeholders'}.`);
+      stagedDir = await stageFrozenRender(projectDir, qmdFilepath, freeze);
+      renderDir = path.join(stagedDir, 'project');
+    }
     const inputFilename = path.basename(qmdFilepath);
-    const command = `quarto render "${inputFilename}" --to jats`;
-
-    // 4. Execute the command from *inside the temporary directory*.
-    await new Promise((resolve, reject) => {
-      exec(command, { cwd: tempRenderDir }, (error, stdout, stderr) => {
-        if (error) {
-          console.error(`Quarto render error: ${stderr}`);
-          console.error(`Quarto stdout: ${stdout}`);
-          return reject(new Error(`Quarto execution failed: ${stderr}`));
-        }
-        resolve(stdout);
-      });
-    });
+    const args = ['render', inputFilename, '--to', 'jats', ...(useFrozen ? ['--no-execute'] : [])];
+    await runQuarto(renderDir, args, async (tempRenderDir) => {
+      // 3. Locate the output XML file. Quarto might place it in a subdirectory.
+      const findXmlOutput = async (dir) => {
+          const entries = await fs.readdir(dir, { withFileTypes: true });
+          for (const entry of entries) {
+              const fullPath = path.join(dir, entry.name);
+              if (entry.isDirectory()) {
+                  // Avoid recursing into the assets directory, which can be large.
+                  if (!entry.name.endsWith('_files')) {
+                      const result = await findXmlOutput(fullPath);
+                      if (result) return result;
+                  }
+              } else if (entry.name === outputXmlFilename) {
+                  return fullPath;
+              }
+          }
+          return null;
+      };
 
-    // 5. Locate the output XML file. Quarto might place it in a subdirectory.
-    const findXmlOutput = async (dir) => {
-        const entries = await fs.readdir(dir, { withFileTypes: true });
-        for (const entry of entries) {
-            const fullPath = path.join(dir, entry.name);
-            if (entry.isDirectory()) {
-                // Avoid recursing into the assets directory, which can be large.
-                if (!entry.name.endsWith('_files')) {
-                    const result = await findXmlOutput(fullPath);
-                    if (result) return result;
-                }
-            } else if (entry.name === outputXmlFilename) {
-                return fullPath;
-            }
-        }
-        return null;
-    };
+      const renderedXmlPath = await findXmlOutput(tempRenderDir);
+      if (!renderedXmlPath) {
+          throw new Error(`Could not find the rendered XML file '${outputXmlFilename}' in the output.`);
+      }
 
-    const renderedXmlPath = await findXmlOutput(tempRenderDir);
-    if (!renderedXmlPath) {
-        throw new Error(`Could not find the rendered XML file '${outputXmlFilename}' in the output.`);
-    }
-
-    const outputDir = path.dirname(renderedXmlPath);
-    const renderedAssetsPath = path.join(outputDir, `${docName}_files`);
+      const outputDir = path.dirname(renderedXmlPath);
+      const renderedAssetsPath = path.join(outputDir, `${docName}_files`);
 
-    // 6. Move the located files to the permanent cache.
-    await fs.mkdir(renderCacheDir, { recursive: true });
-    
-    // Move XML file
-    await fs.rename(renderedXmlPath, cachedXmlPath);
-    
-    // Move assets directory if it exists
-    try {
-      await fs.access(renderedAssetsPath);
-      await fs.rename(renderedAssetsPath, path.join(renderCacheDir, `${docName}_files`));
-    } catch (e) {
-      console.log(`No assets directory found at ${renderedAssetsPath} to move.`);
-    }
+      // 4. Move the located files to the permanent cache.
+      await fs.mkdir(renderCacheDir, { recursive: true });
+      
+      // Move XML file
+      await fs.rename(renderedXmlPath, cachedXmlPath);
+      
+      // Move assets directory if it exists
+      try {
+        await fs.access(renderedAssetsPath);
+        await fs.rename(renderedAssetsPath, path.join(renderCacheDir, `${docName}_files`));
+      } catch (e) {
+        console.log(`No assets directory found at ${renderedAssetsPath} to move.`);
+      }
+    }, { signal: options.signal, onOutput: options.onOutput });
 
-    // 7. Read the XML file that is now in the cache.
+    // 5. Read the XML file that is now in the cache, and make room for it.
+    await fs.writeFile(cachedChunksPath, JSON.stringify(chunks));
     const jatsXml = await fs.readFile(cachedXmlPath, 'utf8');
+    await addCachedRender(repoId, renderKey, path.relative(projectDir, qmdFilepath))
+      .catch(error => console.error('Error recording the render in the render cache:', error.message));
     
-    return { jatsXml, assetsCachePath: renderCacheDir };
+    return { jatsXml, assetsCachePath: renderCacheDir, renderKey, chunks };
 
   } catch (e) {
     console.error("Failed during JATS rendering process.", e);
@@ -109,12 +130,12 @@ async function renderToJATS(qmdFilepath, projectDir, repoId, commitHash) {
     );
     throw new Error("Failed to process Quarto's JATS output.");
   } finally {
-    // 8. Clean up the temporary directory.
-    await fs.rm(tempRenderDir, { recursive: true, force: true });
+    if (stagedDir) await fs.rm(stagedDir, { recursive: true, force: true });
   }
 }
 
 const { JSDOM } = require('jsdom');
+const { parseFencedDivs, parseHeading, normalizeForMatching } = require('./qmdBlockParser');
 
 // ===================================================================
 // JATS TRANSFORMATION LOGIC (REFACTORED WITH JSDOM)
@@ -134,7 +155,8 @@ function buildContext(document) {
         affiliations: {},
         references: {},
         notes: {},
-        figures: {}
+        figures: {},
+        footnotes: {}
     };
 
     console.log('Building context from JATS document...');
@@ -172,6 +194,11 @@ function buildContext(document) {
                 };
                 console.log(`Added figure: ${id} -> ${context.figures[id].caption}`);
                 break;
+            case 'fn':
+                // Pandoc collects footnotes into a <fn-group> in the back matter, referenced by <xref ref-type="fn">.
+                context.footnotes[id] = el;
+                console.log(`Added footnote: ${id}`);
+                break;
             default:
                 console.log(`Unhandled element type: ${tagName} with id: ${id}`);
                 break;
@@ -196,7 +223,7 @@ function buildContext(document) {
         }
     }
 
-    console.log(`Context built: ${Object.keys(context.affiliations).length} affiliations, ${Object.keys(context.references).length} references, ${Object.keys(context.figures).length} figures`);
+    console.log(`Context built: ${Object.keys(context.affiliations).length} affiliations, ${Object.keys(context.references).length} references, ${Object.keys(context.figures).length} figures, ${Object.keys(context.footnotes).length} footnotes`);
     return context;
 }
 
@@ -271,11 +298,11 @@ function parseFront(frontElement, context) {
  * @param {string} repoId - The repository ID.
  * @param {string} codeContent - The code content if this is a code block.
  * @param {string} language - The programming language.
- * @param {string} commitHash - The commit hash.
+ * @param {string} renderKey - The key of the render in the render cache, where its images are.
  * @param {string} docFilepath - The path to the original document file.
  * @returns {object} Object with type and attrs containing the rich rendering attributes.
  */
-function processFig(figEl, repoId, codeContent, language, commitHash, docFilepath) {
+function processFig(figEl, repoId, codeContent, language, renderKey, docFilepath) {
     const figId = figEl.id || '';
     const captionEl = figEl.querySelector('caption');
     const figCaption = cleanText(captionEl?.textContent) || '';
@@ -308,7 +335,7 @@ function processFig(figEl, repoId, codeContent, language, commitHash, docFilepat
         if (href) {
             console.log('Found image href:', href);
             // Construct the asset URL using the assets route
-            const assetUrl = `/api/assets/${repoId}/${commitHash}/${href}`;
+            const assetUrl = `/api/assets/${repoId}/${renderKey}/${href}`;
             htmlOutput = `<img src="${assetUrl}" alt="${figCaption}" style="max-width: 100%; height: auto;" />`;
             console.log('Generated HTML output:', htmlOutput);
         }
@@ -320,7 +347,7 @@ function processFig(figEl, repoId, codeContent, language, commitHash, docFilepat
         const href = mediaEl.getAttribute('xlink:href') || mediaEl.getAttribute('href');
         if (href) {
             console.log('Found media href:', href);
-            const assetUrl = `/api/assets/${repoId}/${commitHash}/${href}`;
+            const assetUrl = `/api/assets/${repoId}/${renderKey}/${href}`;
             htmlOutput = `<img src="${assetUrl}" alt="${figCaption}" style="max-width: 100%; height: auto;" />`;
             console.log('Generated HTML output from media:', htmlOutput);
         }
@@ -332,7 +359,7 @@ function processFig(figEl, repoId, codeContent, language, commitHash, docFilepat
         const href = inlineGraphicEl.getAttribute('xlink:href') || inlineGraphicEl.getAttribute('href');
         if (href) {
             console.log('Found inline-graphic href:', href);
-            const assetUrl = `/api/assets/${repoId}/${commitHash}/${href}`;
+            const assetUrl = `/api/assets/${repoId}/${renderKey}/${href}`;
             htmlOutput = `<img src="${assetUrl}" alt="${figCaption}" style="max-width: 100%; height: auto;" />`;
             console.log('Generated HTML output from inline-graphic:', htmlOutput);
         }
@@ -364,12 +391,690 @@ function processFig(figEl, repoId, codeContent, language, commitHash, docFilepat
     };
 }
 
+// Maps JATS inline formatting elements to the ProseMirror marks used by the TipTap editor.
+const INLINE_MARK_TYPES = {
+    'italic': 'italic',
+    'bold': 'bold',
+    'strike': 'strike',
+    'sup': 'superscript',
+    'sub': 'subscript'
+};
+
+/**
+ * Adds a mark to every inline node produced from a formatting element.
+ * Children are transformed first, so nested formatting (e.g. bold inside italic) keeps both marks.
+ * @param {Array<object>} nodes - The inline ProseMirror nodes.
+ * @param {object} mark - The mark to add, e.g. { type: 'italic' }.
+ * @returns {Array<object>} The same nodes, now carrying the mark.
+ */
+function addMarkToNodes(nodes, mark) {
+    nodes.forEach(node => {
+        node.marks = [...(node.marks || []), mark];
+    });
+    return nodes;
+}
+
+// Quarto appends the equation number to labelled display math in non-HTML formats.
+const EQUATION_NUMBER_REGEX = /\s*(?:\\qquad\s*\(\d+\)|\\tag\{[^}]*\})\s*$/;
+
+/**
+ * Extracts the LaTeX source from a JATS <inline-formula> or <disp-formula>.
+ * @param {Element} formulaEl - The formula element.
+ * @returns {string|null} The LaTeX source, or null if the formula has no <tex-math>.
+ */
+function extractTexMath(formulaEl) {
+    const texMath = formulaEl.querySelector('tex-math');
+    if (!texMath) return null;
+    return texMath.textContent.trim().replace(EQUATION_NUMBER_REGEX, '');
+}
+
+/**
+ * Checks whether a child of a <p> is display math, either bare or wrapped in a labelled <styled-content>.
+ * @param {Node} node - The child node.
+ * @returns {boolean}
+ */
+function isDisplayMathElement(node) {
+    if (node.nodeType !== 1) return false;
+    const tagName = node.tagName.toLowerCase();
+    return tagName === 'disp-formula' || (tagName === 'styled-content' && !!node.querySelector('disp-formula'));
+}
+
+/**
+ * Builds a footnote node from a JATS <fn> element.
+ * The note's paragraphs are kept as ProseMirror JSON in the `content` attribute so the editor can show them in a popover.
+ * @param {Element} fnEl - The <fn> element.
+ * @param {string} noteId - The footnote id (e.g. 'fn1').
+ * @returns {object} A ProseMirror footnote node.
+ */
+function transformFootnote(fnEl, noteId, blockMap, repoId, context, renderKey, docFilepath, level) {
+    const numberMatch = (noteId || '').match(/(\d+)$/);
+    const paragraphs = Array.from(fnEl.children).filter(child => child.tagName.toLowerCase() !== 'label');
+    const content = paragraphs
+        .map(p => ({
+            type: 'paragraph',
+            content: transformBodyNodes(p.childNodes, blockMap, repoId, context, renderKey, docFilepath, level)
+        }))
+        .filter(p => p.content.length > 0);
+
+    return {
+        type: 'footnote',
+        attrs: {
+            noteId: noteId || null,
+            number: numberMatch ? parseInt(numberMatch[1], 10) : null,
+            content
+        }
+    };
+}
+
+// Callout titles Quarto adds when the callout doesn't set one.
+const DEFAULT_CALLOUT_TITLES = {
+    note: 'Note',
+    tip: 'Tip',
+    warning: 'Warning',
+    caution: 'Caution',
+    important: 'Important'
+};
+
+/**
+ * Lists the fenced divs of the original QMD that Pandoc writes as <boxed-text>, in document order.
+ * Figure and table divs (#fig-..., #tbl-...) become <fig>/<table-wrap> instead, so they and
+ * everything inside them are skipped.
+ * @param {Map<string, string>} blockMap - The block map from parseQmd.
+ * @returns {Array<object>} The divs, as returned by parseFencedDivs.
+ */
+function collectBoxedTextDivs(blockMap) {
+    const divs = [];
+    if (!blockMap) return divs;
+    blockMap.forEach(raw => {
+        if (!/^:{3,}/.test(raw)) return;
+        let skipBelowDepth = null;
+        parseFencedDivs(raw).forEach(div => {
+            if (skipBelowDepth !== null && div.depth > skipBelowDepth) return;
+            skipBelowDepth = null;
+            if (div.id && /^(fig|tbl)-/.test(div.id)) {
+                skipBelowDepth = div.depth;
+                return;
+            }
+            divs.push(div);
+        });
+    });
+    return divs;
+}
+
+/**
+ * Transforms a JATS <boxed-text> (a Pandoc fenced div or Quarto callout) into a fencedDiv node.
+ * JATS drops the div's classes and attributes, so they are recovered from the matching div in the original QMD.
+ * @param {Element} boxEl - The <boxed-text> element.
+ * @returns {object} A ProseMirror fencedDiv node.
+ */
+function transformBoxedText(boxEl, blockMap, repoId, context, renderKey, docFilepath, level) {
+    const divs = context.fencedDivs || [];
+    const boxId = (boxEl.getAttribute('id') || '').replace(/-nb-article$/, '');
+    let div = boxId ? divs.find(candidate => candidate.id === boxId) : null;
+    if (div) {
+        context.fencedDivIndex = divs.indexOf(div) + 1;
+    } else {
+        div = divs[context.fencedDivIndex] || null;
+        context.fencedDivIndex++;
+    }
+    if (!div) {
+        console.warn(`No fenced div found in the source for boxed-text #${context.fencedDivIndex}`);
+    }
+
+    const classes = div ? div.classes : [];
+    const calloutClass = classes.find(cls => cls.startsWith('callout-'));
+    const calloutType = calloutClass ? calloutClass.replace(/^callout-/, '') : null;
+
+    const children = Array.from(boxEl.childNodes);
+    if (calloutType) {
+        // Quarto writes the callout title as a leading caption or bold paragraph; it comes back from the header or heading instead.
+        const expectedTitles = [
+            div.attributes.title,
+            div.titleHeading && div.titleHeading.replace(/^#+\s*/, ''),
+            DEFAULT_CALLOUT_TITLES[calloutType]
+        ].filter(Boolean).map(cleanText);
+        const firstIndex = children.findIndex(child => child.nodeType === 1);
+        const first = children[firstIndex];
+        if (first) {
+            const firstTag = first.tagName.toLowerCase();
+            const isBoldTitle = firstTag === 'p' && first.children.length === 1 &&
+                first.children[0].tagName.toLowerCase() === 'bold' && cleanText(first.textContent) === cleanText(first.children[0].textContent);
+            if (firstTag === 'caption' || (isBoldTitle && expectedTitles.includes(cleanText(first.textContent)))) {
+                children.splice(firstIndex, 1);
+            }
+        }
+    }
+
+    const content = transformBodyNodes(children, blockMap, repoId, context, renderKey, docFilepath, level);
+    return {
+        type: 'fencedDiv',
+        attrs: {
+            fence: div ? div.fence : ':::',
+            header: div ? div.header : (boxId ? `{#${boxId}}` : '{}'),
+            id: div ? div.id : (boxId || null),
+            classes,
+            calloutType,
+            titleHeading: calloutType && div ? div.titleHeading : null
+        },
+        content: content.length > 0 ? content : [{ type: 'paragraph' }]
+    };
+}
+
+/**
+ * Transforms a JATS <table-wrap> from a Markdown table into an editable table node.
+ * Computed tables (from code chunks) stay atomic quartoBlocks; see processFig.
+ * @param {Element} tableWrapEl - The <table-wrap> element.
+ * @param {string|null} label - The table's cross-reference label (e.g. 'tbl-results').
+ * @param {Element|null} captionEl - The caption element, if it sits outside the <table-wrap>.
+ * @returns {object} A ProseMirror table node.
+ */
+function transformTable(tableWrapEl, label, captionEl, blockMap, repoId, context, renderKey, docFilepath, level) {
+    const caption = cleanText((captionEl || tableWrapEl.querySelector('caption'))?.textContent)
+        // Quarto prefixes labelled captions with their number
+        .replace(/^Table\s+\d+:\s*/, '');
+
+    const rows = Array.from(tableWrapEl.querySelectorAll('tr')).map(rowEl => ({
+        type: 'tableRow',
+        content: Array.from(rowEl.children)
+            .filter(cellEl => ['th', 'td'].includes(cellEl.tagName.toLowerCase()))
+            .map(cellEl => {
+                const isHeader = cellEl.tagName.toLowerCase() === 'th' || cellEl.parentNode.parentNode.tagName.toLowerCase() === 'thead';
+                const inlines = transformBodyNodes(cellEl.childNodes, blockMap, repoId, context, renderKey, docFilepath, level);
+                // Cells hold blocks; bare inline content is wrapped in a paragraph.
+                const content = inlines.length > 0 && inlines.every(node => node.type !== 'paragraph')
+                    ? [{ type: 'paragraph', content: inlines }]
+                    : inlines.filter(node => node.type === 'paragraph');
+                return {
+                    type: isHeader ? 'tableHeader' : 'tableCell',
+                    attrs: {
+                        colspan: parseInt(cellEl.getAttribute('colspan') || '1', 10),
+                        rowspan: parseInt(cellEl.getAttribute('rowspan') || '1', 10),
+                        colwidth: null
+                    },
+                    content: content.length > 0 ? content : [{ type: 'paragraph' }]
+                };
+            })
+    })).filter(row => row.content.length > 0);
+
+    const firstRowEl = tableWrapEl.querySelector('tr');
+    const alignments = firstRowEl
+        ? Array.from(firstRowEl.children).map(cellEl => cellEl.getAttribute('align') || null)
+        : [];
+
+    return {
+        type: 'table',
+        attrs: {
+            caption: caption || null,
+            label: label || null,
+            alignments
+        },
+        content: rows
+    };
+}
+
+/**
+ * Collects the text of a ProseMirror node and its descendants.
+ * @param {object} node - A ProseMirror JSON node.
+ * @returns {string}
+ */
+function nodeText(node) {
+    if (node.type === 'text') return node.text || '';
+    return (node.content || []).map(nodeText).join(' ');
+}
+
+/**
+ * Puts raw passthrough blocks (```{=html}, ```{=latex}) back into the document.
+ * Pandoc drops them from JATS, so each is placed after the block or prose it followed in the source.
+ * @param {Array<object>} content - The top-level ProseMirror nodes; modified in place.
+ * @param {Array<object>} rawBlocks - The raw blocks from parseQmd, in source order.
+ */
+function insertRawBlocks(content, rawBlocks) {
+    let cursor = 0;
+    rawBlocks.forEach(rawBlock => {
+        const { key, format, anchor, raw } = rawBlock;
+        const body = raw.split('\n').slice(1, -1).join('\n');
+        const node = { type: 'rawBlock', attrs: { format, content: body, blockKey: key } };
+
+        let insertAt = cursor;
+        if (anchor) {
+            const anchorText = normalizeForMatching(anchor.text);
+            const matchIndex = content.findIndex((candidate, index) => index >= cursor && (
+                (anchor.key && candidate.attrs?.blockKey === anchor.key) ||
+                (anchorText && normalizeForMatching(nodeText(candidate)).endsWith(anchorText))
+            ));
+            if (matchIndex !== -1) {
+                insertAt = matchIndex + 1;
+            } else {
+                console.warn(`Could not find where raw block ${key} belongs; placing it after the previous one`);
+            }
+        }
+        content.splice(insertAt, 0, node);
+        cursor = insertAt + 1;
+    });
+}
+
+// Approximates the rendered text of a stretch of Markdown, leaving out what the parser turns into
+// separate nodes (citations, cross-references, footnotes, math), so it can be matched against JATS text.
+const renderedMarkdownText = (markdown) => markdown
+    .replace(/\[[^\]]*@[^\]]*\]|@[\w:.-]+/g, '')
+    .replace(/\^\[[^\]]*\]|\[\^[^\]]+\]/g, '')
+    .replace(/\$[^$\n]+\$/g, '');
+
+// Punctuation at the start or end of some Markdown that also shows in the rendered text.
+const edgePunctuation = (markdown, edge) => {
+    const match = edge === 'start' ? markdown.match(/^[^\p{L}\p{N}]*/u) : markdown.match(/[^\p{L}\p{N}]*$/u);
+    return match[0].replace(/[\s*_`\\[\]]/g, '');
+};
+
+/**
+ * Lowercase letters and digits of some text, with the position in the text each one came from.
+ * @param {string} text
+ * @returns {{ normalized: string, positions: Array<number> }}
+ */
+function normalizeWithPositions(text) {
+    let normalized = '';
+    const positions = [];
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i].toLowerCase();
+        if (/[\p{L}\p{N}]/u.test(char)) {
+            normalized += char;
+            positions.push(i);
+        }
+    }
+    return { normalized, positions };
+}
+
+/**
+ * Finds where Quarto put the values of a text block's expressions in its rendered text.
+ * The text between expressions has to match the source exactly (ignoring formatting), so a
+ * text block only matches the paragraph, heading or cell it was rendered as.
+ *
+ * @param {string} renderedText - The text of a paragraph or heading, without its atoms.
+ * @param {object} textBlock - An entry from parseQmd's inlineExpressions.
+ * @returns {Array<{ start: number, end: number }>|null} The range of each value in renderedText, or null.
+ */
+function locateExpressionValues(renderedText, textBlock) {
+    const literals = [];
+    let last = 0;
+    textBlock.expressions.forEach(expression => {
+        literals.push(textBlock.text.slice(last, expression.start));
+        last = expression.end;
+    });
+    literals.push(textBlock.text.slice(last));
+    const normalizedLiterals = literals.map(literal => normalizeForMatching(renderedMarkdownText(literal)));
+
+    const { normalized, positions } = normalizeWithPositions(renderedText);
+    if (!normalized.startsWith(normalizedLiterals[0])) return null;
+
+    const ranges = [];
+    let position = normalizedLiterals[0].length;
+    for (let i = 1; i < literals.length; i++) {
+        const literal = normalizedLiterals[i];
+        let next;
+        if (i === literals.length - 1) {
+            next = normalized.length - literal.length;
+            if (next < position || !normalized.endsWith(literal)) return null;
+        } else {
+            // Without text between two expressions there's no telling where one value ends.
+            if (!literal) return null;
+            next = normalized.indexOf(literal, position);
+            if (next === -1) return null;
+        }
+
+        let start = position > 0 ? positions[position - 1] + 1 : 0;
+        let end = next < normalized.length ? positions[next] : renderedText.length;
+        const skipSpaceForward = () => { while (start < end && /\s/.test(renderedText[start])) start++; };
+        const skipSpaceBackward = () => { while (end > start && /\s/.test(renderedText[end - 1])) end--; };
+        skipSpaceForward();
+        for (const char of edgePunctuation(literals[i - 1], 'end')) {
+            if (renderedText[start] === char) start++;
+            skipSpaceForward();
+        }
+        skipSpaceBackward();
+        for (const char of Array.from(edgePunctuation(literals[i], 'start')).reverse()) {
+            if (renderedText[end - 1] === char) end--;
+            skipSpaceBackward();
+        }
+
+        ranges.push({ start, end });
+        position = next + literal.length;
+    }
+    return ranges;
+}
+
+/**
+ * Replaces a range of a text block's text with an inline node, keeping the marks of the text it replaces.
+ * @param {Array<object>} inlines - The text block's inline content.
+ * @returns {Array<object>} The new inline content.
+ */
+function replaceInlineText(inlines, start, end, replacement) {
+    const result = [];
+    let offset = 0;
+    let inserted = false;
+    const insert = (marks) => {
+        if (inserted) return;
+        result.push(marks && marks.length > 0 ? { ...replacement, marks } : replacement);
+        inserted = true;
+    };
+
+    inlines.forEach(node => {
+        if (node.type !== 'text') {
+            result.push(node);
+            return;
+        }
+        const nodeStart = offset;
+        offset += node.text.length;
+        if (offset <= start) {
+            result.push(node);
+            return;
+        }
+        const before = node.text.slice(0, Math.max(0, start - nodeStart));
+        const after = node.text.slice(Math.max(0, end - nodeStart));
+        if (before) result.push({ ...node, text: before });
+        insert(node.marks);
+        if (after) result.push({ ...node, text: after });
+    });
+    insert(null);
+    return result;
+}
+
+/**
+ * Puts shortcodes and inline code expressions back into the document as inlineExpression nodes.
+ * Quarto runs them while rendering, so the JATS only has their values; each value is found by
+ * matching the source text around the expression, and keeps its place and formatting in the text.
+ *
+ * @param {Array<object>} content - The top-level ProseMirror nodes; modified in place.
+ * @param {Array<object>} inlineExpressions - The text blocks with expressions from parseQmd, in source order.
+ */
+function restoreInlineExpressions(content, inlineExpressions) {
+    const textBlocks = [];
+    const collectTextBlocks = (nodes) => nodes.forEach(node => {
+        if (node.type === 'paragraph' || node.type === 'heading') {
+            textBlocks.push(node);
+        } else if (node.content) {
+            collectTextBlocks(node.content);
+        }
+    });
+    collectTextBlocks(content);
+    const renderedText = (node) => (node.content || []).map(inline => (inline.type === 'text' ? inline.text : '')).join('');
+
+    let cursor = 0;
+    inlineExpressions
+        .filter(textBlock => !isIncludeShortcode(textBlock))
+        .forEach(textBlock => {
+            // A text block that is nothing but expressions (e.g. a table cell) would match any text,
+            // so it has to follow the same text it followed in the source.
+            const literalText = textBlock.expressions.reduceRight((text, { start, end }) => text.slice(0, start) + text.slice(end), textBlock.text);
+            const standalone = !normalizeForMatching(renderedMarkdownText(literalText));
+            const previousText = normalizeForMatching(renderedMarkdownText(textBlock.previousText || ''));
+            for (let i = cursor; i < textBlocks.length; i++) {
+                if (standalone && (textBlock.previousText === null
+                    ? i > 0
+                    : i === 0 || normalizeForMatching(renderedText(textBlocks[i - 1])) !== previousText)) {
+                    continue;
+                }
+                const node = textBlocks[i];
+                const text = renderedText(node);
+                const ranges = locateExpressionValues(text, textBlock);
+                if (!ranges) continue;
+
+                let newContent = node.content || [];
+                for (let k = ranges.length - 1; k >= 0; k--) {
+                    const { source, kind } = textBlock.expressions[k];
+                    const value = text.slice(ranges[k].start, ranges[k].end);
+                    newContent = replaceInlineText(newContent, ranges[k].start, ranges[k].end, {
+                        type: 'inlineExpression',
+                        attrs: { source, value, kind }
+                    });
+                }
+                node.content = newContent;
+                cursor = i + 1;
+                return;
+            }
+            console.warn(`Could not find the rendered value of: ${textBlock.expressions.map(expression => expression.source).join(', ')}`);
+        });
+}
+
+// A paragraph that is only an {{< include file.qmd >}} shortcode.
+const isIncludeShortcode = (textBlock) =>
+    textBlock.expressions.length === 1 && textBlock.text.trim() === textBlock.expressions[0].source &&
+    /^\{\{<\s*include\s/.test(textBlock.text.trim());
+
+/**
+ * Folds the blocks an {{< include >}} shortcode rendered back into the shortcode, so the included
+ * file isn't copied into the document on save. The blocks are found by matching their text against
+ * the included file, which is read relative to the document.
+ *
+ * @param {Array<object>} content - The top-level ProseMirror nodes; modified in place.
+ * @param {Array<object>} inlineExpressions - The text blocks with expressions from parseQmd, in source order.
+ * @param {string} docFilepath - The path of the .qmd being converted.
+ */
+async function restoreIncludes(content, inlineExpressions, docFilepath) {
+    let cursor = 0;
+    for (const textBlock of inlineExpressions.filter(isIncludeShortcode)) {
+        const source = textBlock.text.trim();
+        const target = (source.match(/^\{\{<\s*include\s+["']?([^"'\s>]+)/) || [])[1];
+        let included;
+        try {
+            included = await fs.readFile(path.resolve(path.dirname(docFilepath), target), 'utf8');
+        } catch (e) {
+            console.warn(`Could not read included file ${target}: ${e.message}`);
+            continue;
+        }
+        const includedText = normalizeForMatching(included
+            .replace(/^---\n[\s\S]*?\n---/, '')
+            .replace(/^(\s*)(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\s*\2\s*$/gm, ''));
+        if (!includedText) continue;
+
+        for (let i = cursor; i < content.length; i++) {
+            if (!normalizeForMatching(nodeText(content[i]))) continue;
+            let renderedText = '';
+            let j = i;
+            while (j < content.length && renderedText !== includedText) {
+                const next = renderedText + normalizeForMatching(nodeText(content[j]));
+                if (!includedText.startsWith(next)) break;
+                renderedText = next;
+                j++;
+            }
+            if (renderedText === includedText) {
+                content.splice(i, j - i, {
+                    type: 'paragraph',
+                    content: [{ type: 'inlineExpression', attrs: { source, value: target, kind: 'shortcode' } }]
+                });
+                cursor = i + 1;
+                break;
+            }
+        }
+    }
+}
+
+// Maps JATS ordered list-type values to the HTML `type` attribute used by TipTap's orderedList.
+const ORDERED_LIST_TYPES = {
+    'order': null,
+    'alpha-lower': 'a',
+    'alpha-upper': 'A',
+    'roman-lower': 'i',
+    'roman-upper': 'I'
+};
+
+// Pandoc writes task list checkboxes as ballot box characters at the start of the item text.
+const TASK_MARKER_REGEX = /^\s*([☐☒])\s?/;
+
+/**
+ * Converts a roman numeral (e.g. "iv") to an integer.
+ * @param {string} roman - The roman numeral.
+ * @returns {number} The integer value, or NaN if the input is not a roman numeral.
+ */
+function romanToInt(roman) {
+    const values = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+    const chars = roman.toLowerCase().split('');
+    if (chars.length === 0 || chars.some(c => !values[c])) return NaN;
+    return chars.reduce((total, c, i) => {
+        const value = values[c];
+        const next = values[chars[i + 1]] || 0;
+        return value < next ? total - value : total + value;
+    }, 0);
+}
+
+/**
+ * Derives the start number of an ordered list from the <label> of its first item.
+ * Pandoc only writes labels when the list doesn't use the default "1." numbering.
+ * @param {string} label - The marker text, e.g. "3.", "(c)" or "iv)".
+ * @param {string} listType - The JATS list-type attribute.
+ * @returns {number} The start number of the list.
+ */
+function parseListStart(label, listType) {
+    const marker = (label || '').replace(/[().\s]/g, '');
+    if (!marker) return 1;
+
+    let start;
+    if (listType.startsWith('alpha')) {
+        start = marker.toLowerCase().charCodeAt(0) - 96;
+    } else if (listType.startsWith('roman')) {
+        start = romanToInt(marker);
+    } else {
+        start = parseInt(marker, 10);
+    }
+    return Number.isInteger(start) && start > 0 ? start : 1;
+}
+
+/**
+ * Ensures list item content satisfies TipTap's 'paragraph block*' content expression.
+ * @param {Array<object>} content - The transformed child nodes of the item.
+ * @returns {Array<object>} Content that starts with a paragraph.
+ */
+function ensureLeadingParagraph(content) {
+    if (content.length > 0 && content[0].type === 'paragraph') return content;
+    return [{ type: 'paragraph' }, ...content];
+}
+
+// ProseMirror block types that can appear directly inside a container such as a blockquote.
+const BLOCK_NODE_TYPES = ['paragraph', 'heading', 'blockquote', 'horizontalRule', 'bulletList', 'orderedList', 'taskList',
+    'definitionList', 'quartoBlock', 'code_block', 'displayMath', 'fencedDiv', 'table', 'rawBlock'];
+
+/**
+ * Wraps runs of inline nodes in paragraphs so the content is valid for a `block+` container.
+ * @param {Array<object>} content - The transformed child nodes.
+ * @returns {Array<object>} Block nodes only (at least one paragraph).
+ */
+function ensureBlockContent(content) {
+    const blocks = [];
+    content.forEach(node => {
+        if (BLOCK_NODE_TYPES.includes(node.type)) {
+            blocks.push(node);
+            return;
+        }
+        const last = blocks[blocks.length - 1];
+        if (last && last.type === 'paragraph' && last.inlineRun) {
+            last.content.push(node);
+        } else {
+            blocks.push({ type: 'paragraph', content: [node], inlineRun: true });
+        }
+    });
+    blocks.forEach(block => delete block.inlineRun);
+    return blocks.length > 0 ? blocks : [{ type: 'paragraph' }];
+}
+
+/**
+ * Transforms a JATS <list> element into a bulletList, orderedList or taskList node.
+ * Nested lists are handled by the recursive call to transformBodyNodes for each item.
+ * @param {Element} listEl - The <list> DOM element.
+ * @returns {object} The ProseMirror list node.
+ */
+function transformList(listEl, blockMap, repoId, context, renderKey, docFilepath, level) {
+    const listType = listEl.getAttribute('list-type') || 'bullet';
+    const itemEls = Array.from(listEl.children).filter(child => child.tagName.toLowerCase() === 'list-item');
+    console.log(`Processing list: list-type="${listType}", ${itemEls.length} items`);
+
+    let firstLabel = '';
+    const items = itemEls.map((itemEl, index) => {
+        // jsdom's ':scope >' also matches the labels of nested lists, so filter the direct children instead.
+        const labelEl = Array.from(itemEl.children).find(child => child.tagName.toLowerCase() === 'label');
+        if (labelEl) {
+            if (index === 0) firstLabel = cleanText(labelEl.textContent);
+            labelEl.remove();
+        }
+        return transformBodyNodes(itemEl.childNodes, blockMap, repoId, context, renderKey, docFilepath, level);
+    });
+
+    // A bullet list is a task list when every item starts with a checkbox character.
+    const taskMarkerOf = (content) => {
+        const firstInline = content[0]?.type === 'paragraph' ? content[0].content?.[0] : null;
+        const match = firstInline?.type === 'text' ? firstInline.text.match(TASK_MARKER_REGEX) : null;
+        return match ? match[1] : null;
+    };
+    const isTaskList = listType === 'bullet' && items.length > 0 && items.every(content => taskMarkerOf(content));
+
+    if (isTaskList) {
+        return {
+            type: 'taskList',
+            content: items.map(content => {
+                const checked = taskMarkerOf(content) === '☒';
+                const firstInline = content[0].content[0];
+                firstInline.text = firstInline.text.replace(TASK_MARKER_REGEX, '');
+                if (!firstInline.text) content[0].content.shift();
+                return { type: 'taskItem', attrs: { checked }, content: ensureLeadingParagraph(content) };
+            })
+        };
+    }
+
+    const listItems = items.map(content => ({ type: 'listItem', content: ensureLeadingParagraph(content) }));
+
+    if (listType in ORDERED_LIST_TYPES) {
+        return {
+            type: 'orderedList',
+            attrs: {
+                start: parseListStart(firstLabel, listType),
+                type: ORDERED_LIST_TYPES[listType]
+            },
+            content: listItems
+        };
+    }
+
+    return { type: 'bulletList', content: listItems };
+}
+
+/**
+ * Transforms a JATS <def-list> element into a definitionList node.
+ * Pandoc writes all definitions of a term into a single <def>, so each
+ * <def-item> yields exactly one term and one description.
+ * @param {Element} defListEl - The <def-list> DOM element.
+ * @returns {object} The ProseMirror definitionList node.
+ */
+function transformDefinitionList(defListEl, blockMap, repoId, context, renderKey, docFilepath, level) {
+    const content = [];
+    const itemEls = Array.from(defListEl.children).filter(child => child.tagName.toLowerCase() === 'def-item');
+    console.log(`Processing definition list with ${itemEls.length} items`);
+
+    itemEls.forEach(itemEl => {
+        const termEl = Array.from(itemEl.children).find(child => child.tagName.toLowerCase() === 'term');
+        const defEls = Array.from(itemEl.children).filter(child => child.tagName.toLowerCase() === 'def');
+
+        content.push({
+            type: 'definitionTerm',
+            content: termEl ? transformBodyNodes(termEl.childNodes, blockMap, repoId, context, renderKey, docFilepath, level) : []
+        });
+        defEls.forEach(defEl => {
+            const description = transformBodyNodes(defEl.childNodes, blockMap, repoId, context, renderKey, docFilepath, level);
+            content.push({
+                type: 'definitionDescription',
+                content: description.length > 0 ? description : [{ type: 'paragraph' }]
+            });
+        });
+        if (defEls.length === 0) {
+            content.push({ type: 'definitionDescription', content: [{ type: 'paragraph' }] });
+        }
+    });
+
+    return { type: 'definitionList', content };
+}
+
 /**
  * MODIFIED: Transforms JATS body nodes.
  * It now accepts blockMap to add a 'blockKey'.
  * Enhanced to handle more JATS formats from Quarto.
  */
-function transformBodyNodes(nodes, blockMap, repoId, context, commitHash, docFilepath, level = 1) {
+function transformBodyNodes(nodes, blockMap, repoId, context, renderKey, docFilepath, level = 1) {
     const pmNodes = [];
 
     nodes.forEach(node => {
@@ -397,18 +1102,38 @@ function transformBodyNodes(nodes, blockMap, repoId, context, commitHash, docFil
 
             switch (tagName) {
                 case 'p': {
-                    // Check if this paragraph is just a wrapper for a block element like a formula
                     const children = Array.from(el.childNodes);
-                    const significantChildren = children.filter(c => c.nodeType === 1 || (c.nodeType === 3 && c.textContent.trim().length > 0));
 
-                    if (significantChildren.length === 1 && significantChildren[0].tagName?.toLowerCase() === 'styled-content') {
-                        // This is a wrapper <p> for an equation. Process the styled-content directly as a block.
-                        pmNodes.push(...transformBodyNodes(significantChildren, blockMap, repoId, context, commitHash, docFilepath, level));
+                    if (children.some(isDisplayMathElement)) {
+                        // Display math is a block node, so split the paragraph around each equation.
+                        let run = [];
+                        const flushRun = () => {
+                            const content = transformBodyNodes(run, blockMap, repoId, context, renderKey, docFilepath, level);
+                            // The whitespace around the equation belongs to neither paragraph.
+                            const first = content[0];
+                            const last = content[content.length - 1];
+                            if (first?.type === 'text') first.text = first.text.trimStart();
+                            if (last?.type === 'text') last.text = last.text.trimEnd();
+                            const trimmed = content.filter(node => node.type !== 'text' || node.text);
+                            if (trimmed.length > 0) {
+                                pmNodes.push({ type: 'paragraph', content: trimmed });
+                            }
+                            run = [];
+                        };
+                        children.forEach(child => {
+                            if (isDisplayMathElement(child)) {
+                                flushRun();
+                                pmNodes.push(...transformBodyNodes([child], blockMap, repoId, context, renderKey, docFilepath, level));
+                            } else {
+                                run.push(child);
+                            }
+                        });
+                        flushRun();
                     } else {
                         // It's a normal paragraph
                         pmNodes.push({
                             type: 'paragraph',
-                            content: transformBodyNodes(el.childNodes, blockMap, repoId, context, commitHash, docFilepath, level)
+                            content: transformBodyNodes(el.childNodes, blockMap, repoId, context, renderKey, docFilepath, level)
                         });
                     }
                     break;
@@ -494,6 +1219,26 @@ function transformBodyNodes(nodes, blockMap, repoId, context, commitHash, docFil
                                 originalKey: extractedKey
                             },
                         });
+                    } else if (rid && rid.startsWith('sec-')) {
+                        console.log(`Found section reference: ${rid}`);
+                        const secLabel = textContent.replace(/^@?\{?/, '').replace(/\}?$/, '');
+                        const extractedKey = rid.replace(/-nb-article$/, '');
+                        pmNodes.push({
+                            type: 'sectionReference',
+                            attrs: { 
+                                rid: rid, 
+                                label: secLabel,
+                                originalKey: extractedKey
+                            },
+                        });
+                    } else if (refType === 'fn') {
+                        console.log(`Found footnote reference: ${rid}`);
+                        const fnEl = context.footnotes[rid];
+                        if (fnEl) {
+                            pmNodes.push(transformFootnote(fnEl, rid, blockMap, repoId, context, renderKey, docFilepath, level));
+                        } else {
+                            console.warn(`Footnote not found for reference: ${rid}`);
+                        }
                     } else if ((refType === 'null' || refType === null || !refType) && rid && rid.startsWith('fig-')) {
                         // Handle figure references that don't have a proper ref-type
                         console.log(`Found figure reference with null/undefined ref-type: ${rid}`);
@@ -558,7 +1303,7 @@ function transformBodyNodes(nodes, blockMap, repoId, context, commitHash, docFil
                         
                         if (figEl) {
                             // 1. Get the perfectly constructed block from your original function
-                            const pmBlock = processFig(figEl, repoId, code, language, commitHash, docFilepath);
+                            const pmBlock = processFig(figEl, repoId, code, language, renderKey, docFilepath);
                             
                             // 2. ENHANCE it with the blockKey
                             const blockKey = figEl.id; // The JATS fig id matches the QMD label
@@ -595,50 +1340,82 @@ function transformBodyNodes(nodes, blockMap, repoId, context, commitHash, docFil
                         // Handle normal <sec> elements (headings, etc.)
                         const titleEl = el.querySelector(':scope > title');
                         if (titleEl) {
+                            // The source heading (keyed by the section id) has the real level and the classes JATS drops.
+                            const secId = (el.getAttribute('id') || '').replace(/-nb-article$/, '');
+                            const sourceHeading = secId && blockMap.has(secId) ? parseHeading(blockMap.get(secId)) : null;
                             pmNodes.push({
                                 type: 'heading',
-                                attrs: { level: level },
+                                attrs: {
+                                    level: sourceHeading ? sourceHeading.level : level,
+                                    // Auto-generated ids aren't written back; @sec- references need an explicit one.
+                                    id: sourceHeading ? sourceHeading.id : (secId.startsWith('sec-') ? secId : null),
+                                    classes: sourceHeading ? sourceHeading.classes : [],
+                                    attributes: sourceHeading ? sourceHeading.attributes : {}
+                                },
                                 content: [{ type: 'text', text: cleanText(titleEl.textContent) }]
                             });
                             titleEl.remove();
                         }
-                        pmNodes.push(...transformBodyNodes(el.childNodes, blockMap, repoId, context, commitHash, docFilepath, level + 1));
+                        pmNodes.push(...transformBodyNodes(el.childNodes, blockMap, repoId, context, renderKey, docFilepath, level + 1));
                     }
                     break;
                 case 'styled-content': {
                     console.log('Found styled-content, checking for equation');
                     const dispFormula = el.querySelector('disp-formula');
-                    if (dispFormula) {
-                        const texMath = dispFormula.querySelector('tex-math');
-                        if (texMath) {
-                            const latex = texMath.textContent.trim();
-                            const eqId = el.id || '';
-                            const blockKey = eqId.replace(/-nb-article$/, '');
-                            pmNodes.push({
-                                type: 'quartoBlock',
-                                attrs: {
-                                    code: latex,
-                                    language: 'latex',
-                                    htmlOutput: '',
-                                    figId: eqId,
-                                    figCaption: '',
-                                    figLabel: '',
-                                    metadata: null,
-                                    blockKey: blockMap.has(blockKey) ? blockKey : null
-                                }
-                            });
-                            // Since we processed this, we don't need to process children.
-                            break; 
-                        }
+                    const latex = dispFormula ? extractTexMath(dispFormula) : null;
+                    if (latex !== null) {
+                        // Labelled equations ($$...$$ {#eq-label}) are wrapped in a styled-content carrying the id.
+                        const eqId = el.id || '';
+                        const label = eqId.replace(/-nb-article$/, '');
+                        console.log(`Found display math: label="${label}"`);
+                        pmNodes.push({
+                            type: 'displayMath',
+                            attrs: { latex, label: label || null }
+                        });
+                        break;
                     }
                     // If not a formula we care about, fall through to process children
-                    pmNodes.push(...transformBodyNodes(el.childNodes, blockMap, repoId, context, commitHash, docFilepath, level));
+                    pmNodes.push(...transformBodyNodes(el.childNodes, blockMap, repoId, context, renderKey, docFilepath, level));
+                    break;
+                }
+                case 'disp-formula': {
+                    const latex = extractTexMath(el);
+                    if (latex !== null) {
+                        pmNodes.push({
+                            type: 'displayMath',
+                            attrs: { latex, label: null }
+                        });
+                    }
+                    break;
+                }
+                case 'inline-formula': {
+                    const latex = extractTexMath(el);
+                    if (latex !== null) {
+                        pmNodes.push({
+                            type: 'inlineMath',
+                            attrs: { latex }
+                        });
+                    }
+                    break;
+                }
+                case 'table-wrap': {
+                    const label = (el.getAttribute('id') || '').replace(/-nb-article$/, '');
+                    console.log(`Found Markdown table: ${label || '(unlabelled)'}`);
+                    pmNodes.push(transformTable(el, label, null, blockMap, repoId, context, renderKey, docFilepath, level));
                     break;
                 }
                 case 'fig': {
                     console.log('Found standalone figure element');
+                    // Labelled Markdown tables come wrapped in a <fig>; computed tables keep their code chunk in the blockMap.
+                    const tableWrapEl = el.querySelector('table-wrap');
+                    const tableKey = (el.id || '').replace(/-nb-article$/, '');
+                    if (tableWrapEl && !(blockMap.get(tableKey) || '').startsWith('```')) {
+                        const captionEl = Array.from(el.children).find(child => child.tagName.toLowerCase() === 'caption') || null;
+                        pmNodes.push(transformTable(tableWrapEl, tableKey, captionEl, blockMap, repoId, context, renderKey, docFilepath, level));
+                        break;
+                    }
                     // This handles figures outside of notebook cells
-                    const pmBlock = processFig(el, repoId, '', null, commitHash, docFilepath);
+                    const pmBlock = processFig(el, repoId, '', null, renderKey, docFilepath);
                     const rawBlockKey = el.id;
                     const blockKey = rawBlockKey.replace(/-nb-article$/, '');
                     
@@ -653,6 +1430,64 @@ function transformBodyNodes(nodes, blockMap, repoId, context, commitHash, docFil
                     pmNodes.push(pmBlock);
                     break;
                 }
+                case 'italic':
+                case 'bold':
+                case 'strike':
+                case 'sup':
+                case 'sub': {
+                    const children = transformBodyNodes(el.childNodes, blockMap, repoId, context, renderKey, docFilepath, level);
+                    pmNodes.push(...addMarkToNodes(children, { type: INLINE_MARK_TYPES[tagName] }));
+                    break;
+                }
+                case 'monospace': {
+                    // Use the raw text: the text-node cleanup below would strip brackets from code.
+                    const codeText = el.textContent.replace(/\s+/g, ' ');
+                    if (codeText) {
+                        pmNodes.push({ type: 'text', text: codeText, marks: [{ type: 'code' }] });
+                    }
+                    break;
+                }
+                case 'ext-link':
+                case 'uri': {
+                    const href = el.getAttribute('xlink:href') || el.getAttribute('href') || cleanText(el.textContent);
+                    console.log(`Found link: ${href}`);
+                    const children = transformBodyNodes(el.childNodes, blockMap, repoId, context, renderKey, docFilepath, level);
+                    if (children.length === 0) {
+                        children.push({ type: 'text', text: href });
+                    }
+                    pmNodes.push(...addMarkToNodes(children, { type: 'link', attrs: { href } }));
+                    break;
+                }
+                case 'disp-quote': {
+                    const quoted = transformBodyNodes(el.childNodes, blockMap, repoId, context, renderKey, docFilepath, level);
+                    pmNodes.push({
+                        type: 'blockquote',
+                        content: ensureBlockContent(quoted)
+                    });
+                    break;
+                }
+                case 'hr':
+                    pmNodes.push({ type: 'horizontalRule' });
+                    break;
+                case 'break':
+                    pmNodes.push({ type: 'hardBreak' });
+                    break;
+                case 'boxed-text':
+                    pmNodes.push(transformBoxedText(el, blockMap, repoId, context, renderKey, docFilepath, level));
+                    break;
+                case 'fn':
+                    // Some JATS producers place the footnote inline instead of in a back-matter <fn-group>.
+                    pmNodes.push(transformFootnote(el, el.id, blockMap, repoId, context, renderKey, docFilepath, level));
+                    break;
+                case 'fn-group':
+                    // Footnote bodies are emitted where they are referenced.
+                    break;
+                case 'list':
+                    pmNodes.push(transformList(el, blockMap, repoId, context, renderKey, docFilepath, level));
+                    break;
+                case 'def-list':
+                    pmNodes.push(transformDefinitionList(el, blockMap, repoId, context, renderKey, docFilepath, level));
+                    break;
                 case 'code':
                     // Handle standalone code blocks
                     console.log('Found standalone code element');
@@ -673,7 +1508,7 @@ function transformBodyNodes(nodes, blockMap, repoId, context, commitHash, docFil
                     break;
                 default:
                     // Recursively process other elements
-                    pmNodes.push(...transformBodyNodes(el.childNodes, blockMap, repoId, context, commitHash, docFilepath, level));
+                    pmNodes.push(...transformBodyNodes(el.childNodes, blockMap, repoId, context, renderKey, docFilepath, level));
                     break;
             }
         }
@@ -686,12 +1521,17 @@ function transformBodyNodes(nodes, blockMap, repoId, context, commitHash, docFil
  * MODIFIED: The main transformation function.
  * It now accepts blockMap as a new parameter.
  * Enhanced to handle Quarto's JATS structure with sub-articles.
+ * Raw passthrough blocks (the `rawBlocks` returned by parseQmd) are missing from the JATS and are put back from the source.
+ * Shortcodes and inline code (the `inlineExpressions` returned by parseQmd) only show up as their values and
+ * are put back as inlineExpression nodes.
  */
-async function jatsToProseMirrorJSON(jatsXml, blockMap, repoId, commitHash, docFilepath) {
+async function jatsToProseMirrorJSON(jatsXml, blockMap, repoId, renderKey, docFilepath, rawBlocks = [], inlineExpressions = []) {
     try {
         const dom = new JSDOM(jatsXml, { contentType: "application/xml" });
         const { document } = dom.window;
         const context = buildContext(document);
+        context.fencedDivs = collectBoxedTextDivs(blockMap);
+        context.fencedDivIndex = 0;
         
         // Look for sub-article first (this contains the notebook content)
         const subArticle = document.querySelector('sub-article');
@@ -704,7 +1544,7 @@ async function jatsToProseMirrorJSON(jatsXml, blockMap, repoId, commitHash, docF
         
         // Pass blockMap to the body transformer
         const bodyEl = articleToParse.querySelector('body');
-        const content = transformBodyNodes(bodyEl.childNodes, blockMap, repoId, context, commitHash, docFilepath);
+        const content = transformBodyNodes(bodyEl.childNodes, blockMap, repoId, context, renderKey, docFilepath);
         
         const finalContent = [];
         
@@ -727,6 +1567,9 @@ async function jatsToProseMirrorJSON(jatsXml, blockMap, repoId, commitHash, docF
             });
         }
         finalContent.push(...content);
+        insertRawBlocks(finalContent, rawBlocks);
+        await restoreIncludes(finalContent, inlineExpressions, docFilepath);
+        restoreInlineExpressions(finalContent, inlineExpressions);
 
         // The bibliography block is fine as-is, it's just data.
         const bibliography = context.references;
@@ -1,4 +1,8 @@
-const { parseQmd } = require('./qmdBlockParser'); // Adjust path if needed
+const crypto = require('crypto');
+const { parseQmd, normalizeForMatching } = require('./qmdBlockParser'); // Adjust path if needed
+const { extractCommentsAppendix } = require('./commentUtils');
+const { withoutPendingChanges } = require('./trackedChanges');
+const { anchorComments } = require('./commentAnchors');
 
 // Configuration for debug mode
 const DEBUG_MODE = process.env.NODE_ENV !== 'production';
@@ -138,181 +142,581 @@ function createReferenceMaps(pmDoc) {
     return { citeMap, figMap };
 }
 
+// Inline marks ordered from outermost to innermost. 'strong', 'em' and 'strikethrough'
+// are the legacy names; TipTap's StarterKit uses 'bold', 'italic' and 'strike'.
+const MARK_ORDER = ['link', 'comment', 'strong', 'bold', 'em', 'italic', 'strikethrough', 'strike', 'superscript', 'subscript'];
+
+// Marks not in MARK_ORDER (the editor's insertion and deletion marks, say) have no delimiters. They
+// go innermost, by name, so they never close and reopen the spans of the marks around them.
+const markRank = (type) => {
+  const index = MARK_ORDER.indexOf(type);
+  return index === -1 ? MARK_ORDER.length : index;
+};
+const compareMarks = (a, b) => markRank(a.type) - markRank(b.type) || a.type.localeCompare(b.type);
+
+/**
+ * Returns the opening and closing Markdown delimiters for a mark.
+ */
+function markDelimiters(mark) {
+  switch (mark.type) {
+    case 'link':
+      return { open: '[', close: `](${mark.attrs?.href || ''})` };
+    case 'comment':
+      // Format as Quarto comment span
+      return { open: '[', close: `]{.comment ref="${mark.attrs.commentId}"}` };
+    case 'strong':
+    case 'bold':
+      return { open: '**', close: '**' };
+    case 'em':
+    case 'italic':
+      return { open: '*', close: '*' };
+    case 'strikethrough':
+    case 'strike':
+      return { open: '~~', close: '~~' };
+    case 'superscript':
+      return { open: '^', close: '^' };
+    case 'subscript':
+      return { open: '~', close: '~' };
+    default:
+      console.warn(`Unhandled mark type: ${mark.type}`);
+      return { open: '', close: '' };
+  }
+}
+
+/**
+ * Two marks are the same span if their type and attributes match, so that
+ * adjacent text nodes sharing a mark are written inside one pair of delimiters.
+ */
+function isSameMark(a, b) {
+  return a.type === b.type && JSON.stringify(a.attrs || {}) === JSON.stringify(b.attrs || {});
+}
+
+/**
+ * Wraps text in a Markdown code span, using a backtick fence longer than any run inside it.
+ */
+function wrapInlineCode(text) {
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
 /**
  * Serializes an array of ProseMirror inline nodes into a Markdown string.
- * Enhanced to handle comments and other inline marks.
+ * Marks are opened and closed across adjacent nodes (rather than per node), so
+ * "**bold *and italic***" round-trips instead of becoming "**bold *****and italic***".
+ * Whitespace at the edges of a marked run is moved outside the delimiters,
+ * since Pandoc doesn't treat "** bold **" as emphasis.
  */
-function serializeInlines(inlines, { citeMap, figMap }) {
+function serializeInlines(inlines, refMaps) {
   if (!inlines) return '';
-  return inlines.map(inlineNode => {
-    switch (inlineNode.type) {
-      case 'text': {
-        let text = inlineNode.text;
-        
-        // Handle marks (comments, emphasis, etc.)
-        if (inlineNode.marks && inlineNode.marks.length > 0) {
-          // Sort marks to ensure consistent formatting order
-          const sortedMarks = [...inlineNode.marks].sort((a, b) => {
-            const order = ['comment', 'strikethrough', 'strong', 'em'];
-            return order.indexOf(a.type) - order.indexOf(b.type);
-          });
-          
-          sortedMarks.forEach(mark => {
-            switch (mark.type) {
-              case 'comment':
-                if (mark.attrs && mark.attrs.commentId) {
-                  // Format as Quarto comment span
-                  text = `[${text}]{.comment ref="${mark.attrs.commentId}"}`;
-                }
-                break;
-              case 'strong':
-                // Bold text: **text**
-                text = `**${text}**`;
-                break;
-              case 'em':
-                // Italic text: *text*
-                text = `*${text}*`;
-                break;
-              case 'strikethrough':
-                // Strikethrough text: ~~text~~
-                text = `~~${text}~~`;
-                break;
-              default:
-                console.warn(`Unhandled mark type: ${mark.type}`);
-                break;
-            }
-          });
-        }
-        
-        return text;
+
+  let result = '';
+  let activeMarks = [];
+  let openedAt = [];
+  let pendingWhitespace = '';
+
+  // Closes open marks down to (but not including) depth `keep`.
+  const closeMarks = (keep) => {
+    for (let i = activeMarks.length - 1; i >= keep; i--) {
+      const mark = activeMarks[i];
+      const start = openedAt[i];
+      const linkText = result.slice(start + 1);
+      const href = mark.attrs?.href;
+      // Links whose text is the URL itself were autolinks (<https://...>) in the source.
+      if (mark.type === 'link' && href && (linkText === href || `mailto:${linkText}` === href)) {
+        result = `${result.slice(0, start)}<${linkText}>`;
+      } else {
+        result += markDelimiters(mark).close;
       }
-      case 'citation': {
-        const rid = inlineNode.attrs.rid;
-        const label = inlineNode.attrs.label;
-        const originalKey = inlineNode.attrs.originalKey;
-        
-        console.log(`Serializing citation: rid="${rid}", label="${label}", originalKey="${originalKey}"`);
-        
-        // Use originalKey if available, otherwise fall back to other methods
-        if (originalKey) {
-          console.log(`Using originalKey for citation: ${originalKey}`);
-          return `[@${originalKey}]`;
-        }
-        
-        // Try to get the citation key from the map
-        const bibKey = citeMap.get(rid);
-        if (bibKey) {
-          console.log(`Using mapped citation key: ${bibKey}`);
-          return `[@${bibKey}]`;
-        }
-        
-        // Fallback: try to extract key from the label or rid
-        if (label) {
-          // If label looks like a citation key, use it
-          if (/^[a-zA-Z0-9_-]+$/.test(label)) {
-            console.log(`Using label as citation key: ${label}`);
-            return `[@${label}]`;
-          }
-          // Otherwise, use the label as is
-          console.log(`Using label as-is: ${label}`);
+    }
+  };
+
+  inlines.forEach(inlineNode => {
+    const nodeMarks = (inlineNode.marks || []).filter(mark => {
+      // Comment spans need an ID to be written back.
+      return mark.type !== 'comment' || (mark.attrs && mark.attrs.commentId);
+    });
+    const isCode = nodeMarks.some(mark => mark.type === 'code');
+    const marks = nodeMarks
+      .filter(mark => mark.type !== 'code')
+      .sort(compareMarks);
+
+    let text = inlineNode.type === 'text' ? inlineNode.text : serializeInlineNode(inlineNode, refMaps);
+    let leading = '';
+    let trailing = '';
+
+    if (isCode) {
+      text = wrapInlineCode(text);
+    } else if (inlineNode.type === 'text') {
+      // Whitespace-only text keeps the current marks open.
+      if (!text.trim()) {
+        pendingWhitespace += text;
+        return;
+      }
+      [, leading, text, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    }
+
+    let shared = 0;
+    while (shared < activeMarks.length && shared < marks.length && isSameMark(activeMarks[shared], marks[shared])) {
+      shared++;
+    }
+    closeMarks(shared);
+    result += pendingWhitespace + leading;
+    openedAt = openedAt.slice(0, shared);
+    for (let i = shared; i < marks.length; i++) {
+      openedAt.push(result.length);
+      result += markDelimiters(marks[i]).open;
+    }
+    result += text;
+
+    activeMarks = marks;
+    pendingWhitespace = trailing;
+  });
+
+  closeMarks(0);
+  return result + pendingWhitespace;
+}
+
+/**
+ * Serializes a single non-text inline node (citations, cross-references, ...).
+ */
+function serializeInlineNode(inlineNode, refMaps) {
+  const { citeMap, figMap } = refMaps;
+  switch (inlineNode.type) {
+    case 'citation': {
+      const rid = inlineNode.attrs.rid;
+      const label = inlineNode.attrs.label;
+      const originalKey = inlineNode.attrs.originalKey;
+      
+      console.log(`Serializing citation: rid="${rid}", label="${label}", originalKey="${originalKey}"`);
+      
+      // Use originalKey if available, otherwise fall back to other methods
+      if (originalKey) {
+        console.log(`Using originalKey for citation: ${originalKey}`);
+        return `[@${originalKey}]`;
+      }
+      
+      // Try to get the citation key from the map
+      const bibKey = citeMap.get(rid);
+      if (bibKey) {
+        console.log(`Using mapped citation key: ${bibKey}`);
+        return `[@${bibKey}]`;
+      }
+      
+      // Fallback: try to extract key from the label or rid
+      if (label) {
+        // If label looks like a citation key, use it
+        if (/^[a-zA-Z0-9_-]+$/.test(label)) {
+          console.log(`Using label as citation key: ${label}`);
           return `[@${label}]`;
         }
-        
-        // Last resort: try to extract from rid
-        if (rid) {
-          const extractedKey = rid.replace(/^ref-/, '').replace(/-nb-article$/, '');
-          if (extractedKey && extractedKey !== rid) {
-            console.log(`Last resort: extracted key from rid: ${extractedKey}`);
-            return `[@${extractedKey}]`;
-          }
-        }
-        
-        console.warn(`Could not resolve citation: rid="${rid}", label="${label}"`);
-        return `[UNKNOWN_CITATION]`;
+        // Otherwise, use the label as is
+        console.log(`Using label as-is: ${label}`);
+        return `[@${label}]`;
       }
-      case 'figureReference': {
-        const rid = inlineNode.attrs.rid;
-        const label = inlineNode.attrs.label;
-        const originalKey = inlineNode.attrs.originalKey;
-        
-        console.log(`Serializing figure reference: rid="${rid}", label="${label}", originalKey="${originalKey}"`);
-        
-        // Use originalKey if available, otherwise fall back to other methods
-        if (originalKey) {
-          console.log(`Using originalKey for figure reference: ${originalKey}`);
-          return `@${originalKey}`;
-        }
-        
-        // Try to get the figure key from the map
-        const figLabel = figMap.get(rid);
-        if (figLabel) {
-          console.log(`Using mapped figure label: ${figLabel}`);
-          return `@${figLabel}`;
+      
+      // Last resort: try to extract from rid
+      if (rid) {
+        const extractedKey = rid.replace(/^ref-/, '').replace(/-nb-article$/, '');
+        if (extractedKey && extractedKey !== rid) {
+          console.log(`Last resort: extracted key from rid: ${extractedKey}`);
+          return `[@${extractedKey}]`;
         }
-        
-        // Fallback: try to extract from the label or rid
-        if (label) {
-          // If label looks like a figure reference, use it
-          if (/^fig-/.test(label)) {
-            console.log(`Using label as figure reference: ${label}`);
-            return `@${label}`;
-          }
-          // If label is "Figure 1" or similar, try to extract the key from rid
-          if (rid && rid.startsWith('fig-')) {
-            const extractedKey = rid.replace(/-nb-article$/, '');
-            console.log(`Extracted figure key from rid: ${extractedKey}`);
-            return `@${extractedKey}`;
-          }
-          // Otherwise, use the label as is (this might be wrong, but it's a fallback)
-          console.log(`Using label as-is: ${label}`);
+      }
+      
+      console.warn(`Could not resolve citation: rid="${rid}", label="${label}"`);
+      return `[UNKNOWN_CITATION]`;
+    }
+    case 'figureReference': {
+      const rid = inlineNode.attrs.rid;
+      const label = inlineNode.attrs.label;
+      const originalKey = inlineNode.attrs.originalKey;
+      
+      console.log(`Serializing figure reference: rid="${rid}", label="${label}", originalKey="${originalKey}"`);
+      
+      // Use originalKey if available, otherwise fall back to other methods
+      if (originalKey) {
+        console.log(`Using originalKey for figure reference: ${originalKey}`);
+        return `@${originalKey}`;
+      }
+      
+      // Try to get the figure key from the map
+      const figLabel = figMap.get(rid);
+      if (figLabel) {
+        console.log(`Using mapped figure label: ${figLabel}`);
+        return `@${figLabel}`;
+      }
+      
+      // Fallback: try to extract from the label or rid
+      if (label) {
+        // If label looks like a figure reference, use it
+        if (/^fig-/.test(label)) {
+          console.log(`Using label as figure reference: ${label}`);
           return `@${label}`;
         }
-        
-        // Last resort: try to extract from rid
-        if (rid) {
+        // If label is "Figure 1" or similar, try to extract the key from rid
+        if (rid && rid.startsWith('fig-')) {
           const extractedKey = rid.replace(/-nb-article$/, '');
-          if (extractedKey && extractedKey !== rid) {
-            console.log(`Last resort: extracted key from rid: ${extractedKey}`);
-            return `@${extractedKey}`;
-          }
+          console.log(`Extracted figure key from rid: ${extractedKey}`);
+          return `@${extractedKey}`;
         }
-        
-        console.warn(`Could not resolve figure reference: rid="${rid}", label="${label}"`);
-        return `[UNKNOWN_FIGURE]`;
+        // Otherwise, use the label as is (this might be wrong, but it's a fallback)
+        console.log(`Using label as-is: ${label}`);
+        return `@${label}`;
       }
-      case 'tableReference': {
-        const { originalKey, rid, label } = inlineNode.attrs;
-        if (originalKey) {
-          return `@${originalKey}`;
+      
+      // Last resort: try to extract from rid
+      if (rid) {
+        const extractedKey = rid.replace(/-nb-article$/, '');
+        if (extractedKey && extractedKey !== rid) {
+          console.log(`Last resort: extracted key from rid: ${extractedKey}`);
+          return `@${extractedKey}`;
         }
-        if (rid) {
-          const extractedKey = rid.replace(/-nb-article$/, '');
-          if (extractedKey.startsWith('tbl-')) {
-            return `@${extractedKey}`;
-          }
+      }
+      
+      console.warn(`Could not resolve figure reference: rid="${rid}", label="${label}"`);
+      return `[UNKNOWN_FIGURE]`;
+    }
+    case 'tableReference': {
+      const { originalKey, rid, label } = inlineNode.attrs;
+      if (originalKey) {
+        return `@${originalKey}`;
+      }
+      if (rid) {
+        const extractedKey = rid.replace(/-nb-article$/, '');
+        if (extractedKey.startsWith('tbl-')) {
+          return `@${extractedKey}`;
         }
-        console.warn(`Could not resolve table reference: rid="${rid}", label="${label}"`);
-        return `[UNKNOWN_TABLE]`;
       }
-      case 'equationReference': {
-        const { originalKey, rid, label } = inlineNode.attrs;
-        if (originalKey) {
-          return `@${originalKey}`;
+      console.warn(`Could not resolve table reference: rid="${rid}", label="${label}"`);
+      return `[UNKNOWN_TABLE]`;
+    }
+    case 'sectionReference': {
+      const { originalKey, rid, label } = inlineNode.attrs;
+      if (originalKey) {
+        return `@${originalKey}`;
+      }
+      if (rid) {
+        const extractedKey = rid.replace(/-nb-article$/, '');
+        if (extractedKey.startsWith('sec-')) {
+          return `@${extractedKey}`;
         }
-        if (rid) {
-          const extractedKey = rid.replace(/-nb-article$/, '');
-          if (extractedKey.startsWith('eq-')) {
-            return `@${extractedKey}`;
-          }
+      }
+      console.warn(`Could not resolve section reference: rid="${rid}", label="${label}"`);
+      return `[UNKNOWN_SECTION]`;
+    }
+    case 'equationReference': {
+      const { originalKey, rid, label } = inlineNode.attrs;
+      if (originalKey) {
+        return `@${originalKey}`;
+      }
+      if (rid) {
+        const extractedKey = rid.replace(/-nb-article$/, '');
+        if (extractedKey.startsWith('eq-')) {
+          return `@${extractedKey}`;
         }
-        console.warn(`Could not resolve equation reference: rid="${rid}", label="${label}"`);
-        return `[UNKNOWN_EQUATION]`;
       }
-      default:
-        console.warn(`Unhandled inline node type: ${inlineNode.type}`);
-        return inlineNode.text || '';
+      console.warn(`Could not resolve equation reference: rid="${rid}", label="${label}"`);
+      return `[UNKNOWN_EQUATION]`;
     }
-  }).join('');
+    case 'inlineMath':
+      return `$${inlineNode.attrs.latex}$`;
+    case 'footnote':
+      return serializeFootnote(inlineNode, refMaps);
+    case 'inlineExpression':
+      // The value is whatever Quarto computed last time; the source is what belongs in the file.
+      return inlineNode.attrs.source || '';
+    case 'hardBreak':
+      // Pandoc's backslash line break
+      return '\\\n';
+    default:
+      console.warn(`Unhandled inline node type: ${inlineNode.type}`);
+      return inlineNode.text || '';
+  }
+}
+
+/**
+ * Finds the footnotes in the original QMD, in the order Pandoc numbers them.
+ * Each entry is the label of a reference-style note ([^label]), or null for an inline note (^[...]).
+ */
+function parseFootnoteStyles(qmdString) {
+  if (!qmdString) return [];
+  const prose = qmdString
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .replace(/^(`{3,})[^\n]*\n[\s\S]*?^\1\s*$/gm, '')
+    .replace(/`[^`\n]*`/g, '');
+  const styles = [];
+  const noteRegex = /\^\[|\[\^([^\]\s]+)\](?!:)/g;
+  let match;
+  while ((match = noteRegex.exec(prose)) !== null) {
+    styles.push(match[1] || null);
+  }
+  return styles;
+}
+
+/**
+ * Serializes a footnote node. Notes keep the style they had in the original QMD:
+ * reference-style notes are written as [^label] with the definition collected for the end
+ * of the document, everything else as an inline ^[...] note. Multi-paragraph notes have to be
+ * reference-style, since inline notes can't contain blocks.
+ */
+function serializeFootnote(inlineNode, refMaps) {
+  const { footnotes } = refMaps;
+  const { number, content } = inlineNode.attrs;
+  const paragraphs = (content || []).map(paragraph => serializeInlines(paragraph.content, refMaps));
+
+  let label = number ? footnotes.styles[number - 1] : null;
+  if (!label && paragraphs.length > 1) {
+    do {
+      footnotes.generated++;
+      label = `note${footnotes.generated}`;
+    } while (footnotes.styles.includes(label));
+  }
+  if (!label) {
+    return `^[${paragraphs.join(' ')}]`;
+  }
+
+  footnotes.definitions.push(`[^${label}]: ${indentContinuationLines(paragraphs.join('\n\n'), '    ')}`);
+  return `[^${label}]`;
+}
+
+/**
+ * Serializes the content of a table cell on a single line, as pipe tables require.
+ */
+function serializeTableCell(cell, refMaps) {
+  return (cell.content || [])
+    .map(block => serializeInlines(block.content, refMaps))
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/\|/g, '\\|');
+}
+
+/**
+ * Splits a pipe table row into trimmed cell strings, honouring escaped pipes.
+ */
+function splitPipeTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim());
+}
+
+/**
+ * Serializes a table node to a Markdown pipe table with its optional `: caption {#tbl-label}` line.
+ * If no cell or the caption has changed, the original table is reused to keep its column layout.
+ */
+function serializeTable(node, blockMap, refMaps) {
+  const { caption, label, alignments } = node.attrs;
+  const rows = (node.content || []).map(row => (row.content || []).map(cell => serializeTableCell(cell, refMaps)));
+  if (rows.length === 0) return '';
+
+  const columnCount = Math.max(...rows.map(row => row.length));
+  rows.forEach(row => {
+    while (row.length < columnCount) row.push('');
+  });
+  // Pipe tables always have a header row; leave it empty if the table had none.
+  const hasHeader = (node.content[0].content || []).every(cell => cell.type === 'tableHeader');
+  const header = hasHeader ? rows[0] : new Array(columnCount).fill('');
+  const body = hasHeader ? rows.slice(1) : rows;
+  let captionLine = caption || label ? `: ${caption || ''}${label ? ` {#${label}}` : ''}`.replace(/^:\s+\{/, ': {') : '';
+
+  if (label && blockMap.has(label)) {
+    const original = blockMap.get(label);
+    const originalRows = original.split('\n').filter(line => line.trim().startsWith('|'));
+    const originalCells = originalRows.filter((line, index) => index !== 1).map(splitPipeTableRow);
+    const originalCaptionMatch = original.match(/^:\s*(.*?)\s*\{#[^}]+\}\s*$/m);
+    // The caption is stored as plain text, so compare it without Markdown emphasis.
+    const captionUnchanged = originalCaptionMatch && originalCaptionMatch[1].replace(/[*_`]/g, '') === (caption || '');
+    if (captionUnchanged) {
+      captionLine = originalCaptionMatch[0].trim();
+    }
+    if (captionUnchanged && JSON.stringify(originalCells) === JSON.stringify([header, ...body])) {
+      return original;
+    }
+  }
+
+  const widths = new Array(columnCount).fill(3).map((min, column) =>
+    Math.max(min, ...[header, ...body].map(row => row[column].length)));
+  const formatRow = row => `| ${row.map((cell, column) => cell.padEnd(widths[column])).join(' | ')} |`;
+  const separator = widths.map((width, column) => {
+    const align = (alignments || [])[column];
+    if (align === 'center') return `:${'-'.repeat(width)}:`;
+    if (align === 'right') return `${'-'.repeat(width + 1)}:`;
+    if (align === 'left') return `:${'-'.repeat(width + 1)}`;
+    return '-'.repeat(width + 2);
+  });
+
+  const lines = [formatRow(header), `|${separator.join('|')}|`, ...body.map(formatRow)];
+  return captionLine ? `${lines.join('\n')}\n\n${captionLine}` : lines.join('\n');
+}
+
+/**
+ * Serializes a displayMath node to a $$...$$ block with its optional {#eq-label}.
+ * If the LaTeX hasn't been edited, the original block is reused to keep its line layout.
+ */
+function serializeDisplayMath(node, blockMap) {
+  const { latex, label } = node.attrs;
+  const labelSuffix = label ? ` {#${label}}` : '';
+
+  if (label && blockMap.has(label)) {
+    const original = blockMap.get(label);
+    const originalLatex = original.replace(/\s*\{#[^}]+\}\s*$/, '').replace(/^\$\$|\$\$$/g, '').trim();
+    if (originalLatex === latex.trim()) {
+      return original;
+    }
+  }
+  return `$$\n${latex}\n$$${labelSuffix}`;
+}
+
+/**
+ * Puts new code into a chunk from the source, keeping its opening fence, its `#|` option lines
+ * and its closing fence.
+ */
+function replaceChunkCode(chunk, code) {
+  const lines = chunk.split('\n');
+  const closing = lines.length > 1 && /^\s*(`{3,}|~{3,})\s*$/.test(lines[lines.length - 1]) ? lines.pop() : null;
+  const opening = lines.shift();
+  const options = [];
+  while (lines.length > 0 && /^\s*#\|/.test(lines[0])) {
+    options.push(lines.shift());
+  }
+  return [opening, ...options, code, ...(closing === null ? [] : [closing])].join('\n');
+}
+
+const LIST_NODE_TYPES = ['bulletList', 'orderedList', 'taskList', 'definitionList'];
+
+/**
+ * Converts a positive integer to a lowercase roman numeral.
+ */
+function intToRoman(num) {
+  const numerals = [
+    [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+  ];
+  let result = '';
+  for (const [value, numeral] of numerals) {
+    while (num >= value) {
+      result += numeral;
+      num -= value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Builds the marker for the n-th item of an ordered list, honouring the
+ * TipTap orderedList `type` attribute (null, 'a', 'A', 'i' or 'I').
+ * Letter markers only go up to z; see serializeList for longer lists.
+ */
+function orderedListMarker(number, type) {
+  switch (type) {
+    case 'a': return `${String.fromCharCode(96 + number)}.`;
+    // Pandoc needs two spaces after an uppercase letter and a period, otherwise it reads an initial.
+    case 'A': return `${String.fromCharCode(64 + number)}. `;
+    case 'i': return `${intToRoman(number)}.`;
+    case 'I': return `${intToRoman(number).toUpperCase()}.`;
+    default: return `${number}.`;
+  }
+}
+
+/**
+ * Indents every non-empty line after the first one, so that continuation
+ * lines and nested blocks line up with the content of a list item.
+ */
+function indentContinuationLines(text, indent) {
+  return text
+    .split('\n')
+    .map((line, index) => (index === 0 || line === '' ? line : indent + line))
+    .join('\n');
+}
+
+/**
+ * Serializes the block content of a list item or definition.
+ * Paragraphs are written without sentence line breaks, since those would
+ * turn into lazy continuation lines; nested lists follow their parent
+ * paragraph directly so tight lists stay tight.
+ */
+function serializeListItemContent(children, blockMap, refMaps) {
+  let result = '';
+  (children || []).forEach((child, index) => {
+    const text = child.type === 'paragraph'
+      ? serializeInlines(child.content, refMaps)
+      : serializeBlock(child, blockMap, refMaps);
+    if (index > 0) {
+      result += LIST_NODE_TYPES.includes(child.type) ? '\n' : '\n\n';
+    }
+    result += text;
+  });
+  return result;
+}
+
+/**
+ * Serializes bulletList, orderedList and taskList nodes into Markdown lists.
+ * Items made of a single paragraph (plus nested lists) produce a tight list,
+ * anything else a loose one with blank lines between items.
+ */
+function serializeList(node, blockMap, refMaps) {
+  const items = node.content || [];
+  const start = node.attrs?.start || 1;
+  // Pandoc has no letter marker after z, and a list can't switch to numbers midway, so an
+  // alphabetic list that runs past z is numbered throughout.
+  const isAlphabetic = node.attrs?.type === 'a' || node.attrs?.type === 'A';
+  const listType = isAlphabetic && start + items.length - 1 > 26 ? null : node.attrs?.type;
+
+  const serializedItems = items.map((item, index) => {
+    let marker;
+    if (node.type === 'orderedList') {
+      marker = orderedListMarker(start + index, listType);
+    } else if (node.type === 'taskList') {
+      marker = item.attrs?.checked ? '- [x]' : '- [ ]';
+    } else {
+      marker = '-';
+    }
+    // Nested content aligns with the text after the list marker ("- " for task items).
+    const indent = ' '.repeat(node.type === 'taskList' ? 2 : marker.length + 1);
+    const content = serializeListItemContent(item.content, blockMap, refMaps);
+    return indentContinuationLines(`${marker} ${content}`, indent);
+  });
+
+  const isLoose = items.some(item =>
+    (item.content || []).filter(child => !LIST_NODE_TYPES.includes(child.type)).length > 1
+  );
+  return serializedItems.join(isLoose ? '\n\n' : '\n');
+}
+
+/**
+ * Serializes a definitionList node into Pandoc definition list syntax:
+ *
+ *   Term
+ *   :   Definition
+ */
+function serializeDefinitionList(node, blockMap, refMaps) {
+  const entries = [];
+  (node.content || []).forEach(child => {
+    if (child.type === 'definitionTerm') {
+      entries.push(serializeInlines(child.content, refMaps));
+    } else if (child.type === 'definitionDescription' && entries.length > 0) {
+      const content = serializeListItemContent(child.content, blockMap, refMaps);
+      entries[entries.length - 1] += '\n' + indentContinuationLines(`:   ${content}`, '    ');
+    }
+  });
+  return entries.join('\n\n');
+}
+
+/**
+ * Writes a Pandoc attribute block, e.g. `{#sec-methods .unnumbered lang="en"}`.
+ * Returns an empty string when there is nothing to write.
+ */
+function serializeAttributes({ id, classes, attributes }) {
+  const parts = [];
+  if (id) parts.push(`#${id}`);
+  (classes || []).forEach(className => parts.push(`.${className}`));
+  Object.entries(attributes || {}).forEach(([key, value]) => parts.push(`${key}="${String(value).replace(/"/g, '\\"')}"`));
+  return parts.length > 0 ? `{${parts.join(' ')}}` : '';
 }
 
 /**
@@ -322,17 +726,33 @@ function serializeInlines(inlines, { citeMap, figMap }) {
 function serializeBlock(node, blockMap, refMaps) {
   switch (node.type) {
     case 'heading': {
+      // ATX headings have to stay on one line, so no sentence breaks here.
       const prefix = '#'.repeat(node.attrs.level);
       const text = serializeInlines(node.content, refMaps);
-      const textWithLineBreaks = addLineBreaksAfterSentences(text);
-      return `${prefix} ${textWithLineBreaks}`;
+      const attributes = serializeAttributes(node.attrs);
+      return attributes ? `${prefix} ${text} ${attributes}` : `${prefix} ${text}`;
     }
     case 'paragraph': {
       const paragraphText = serializeInlines(node.content, refMaps);
       return addLineBreaksAfterSentences(paragraphText);
     }
+    case 'displayMath':
+      return serializeDisplayMath(node, blockMap);
+    case 'table':
+      return serializeTable(node, blockMap, refMaps);
+    case 'fencedDiv': {
+      // Write the fence and header back exactly as they were in the source.
+      const { fence, header, titleHeading } = node.attrs;
+      const inner = (node.content || [])
+        .map(child => serializeBlock(child, blockMap, refMaps))
+        .filter(part => part !== null && part !== '');
+      if (titleHeading) {
+        inner.unshift(titleHeading);
+      }
+      return `${fence || ':::'} ${header}\n${inner.join('\n\n')}\n${fence || ':::'}`;
+    }
     case 'quartoBlock': {
-      const { blockKey, language, code, htmlOutput, figLabel, figCaption, chunkOptions } = node.attrs;
+      const { blockKey, language, code, htmlOutput, figLabel, figCaption, chunkOptions, chunkOptionLines } = node.attrs;
       
       console.log(`Serializing quartoBlock: blockKey="${blockKey}", language="${language}"`);
       
@@ -406,6 +826,10 @@ $$${label}`;
         console.log(`Found code block in blockMap: ${blockKey}`);
         const codeContent = blockMap.get(blockKey);
         console.log('Code content from blockMap:', codeContent.substring(0, 100) + '...');
+        // Code edited and re-run in the editor replaces the chunk's body; fences and options stay
+        if (node.attrs.codeEdited && typeof code === 'string') {
+          return replaceChunkCode(codeContent, code);
+        }
         return codeContent;
       }
       
@@ -425,7 +849,12 @@ $$${label}`;
             reconstructed += `, label="${figLabel}"`;
           }
         }
-        reconstructed += `}\n${code}\n\`\`\``;
+        reconstructed += '}\n';
+        // The rendered code is without its `#|` options
+        if (chunkOptionLines && !/^#\|/m.test(code)) {
+          reconstructed += `${chunkOptionLines}\n`;
+        }
+        reconstructed += `${code}\n\`\`\``;
         return reconstructed;
       }
       
@@ -433,6 +862,27 @@ $$${label}`;
       console.warn(`Could not reconstruct QMD block for key: ${blockKey || 'undefined'}`);
       return '';
     }
+    case 'blockquote': {
+      const quoted = (node.content || [])
+        .map(child => serializeBlock(child, blockMap, refMaps))
+        .filter(part => part !== null && part !== '')
+        .join('\n\n');
+      return quoted
+        .split('\n')
+        .map(line => (line ? `> ${line}` : '>'))
+        .join('\n');
+    }
+    case 'horizontalRule':
+      return '---';
+    case 'rawBlock': {
+      const { blockKey, format, content } = node.attrs;
+      // Raw blocks aren't editable, so the original is always safe to reuse.
+      if (blockKey && blockMap.has(blockKey)) {
+        return blockMap.get(blockKey);
+      }
+      return '```{=' + format + '}\n' + (content || '') + '\n```';
+    }
+    case 'codeBlock':
     case 'code_block': {
         // This is a standard tiptap code block, not a quarto one.
         // It might be used for simple, non-executable code.
@@ -440,16 +890,204 @@ $$${label}`;
         const code = node.content ? node.content[0].text : '';
         return '```' + lang + '\n' + code + '\n' + '```';
     }
+    case 'bulletList':
+    case 'orderedList':
+    case 'taskList':
+      return serializeList(node, blockMap, refMaps);
+    case 'definitionList':
+      return serializeDefinitionList(node, blockMap, refMaps);
     default:
       console.warn(`Unhandled block node type: ${node.type}`);
       return '';
   }
 }
 
+// The kinds of source block (see segmentQmd) each top-level node can have come from.
+const SOURCE_BLOCK_TYPES = {
+  paragraph: ['paragraph'],
+  heading: ['heading'],
+  blockquote: ['blockquote'],
+  horizontalRule: ['hr'],
+  bulletList: ['list'],
+  orderedList: ['list'],
+  taskList: ['list'],
+  definitionList: ['definitionList'],
+  quartoBlock: ['yaml', 'code', 'equation', 'table', 'paragraph'],
+  displayMath: ['equation'],
+  table: ['table'],
+  fencedDiv: ['div'],
+  rawBlock: ['raw'],
+  codeBlock: ['code'],
+  code_block: ['code']
+};
+
+// Source blocks that stay in the file even when no node points at them: front matter, chunks the
+// editor never showed, comments, and definitions that unchanged prose still refers to.
+const PRESERVED_SOURCE_TYPES = ['yaml', 'code', 'raw', 'comment', 'definition'];
+
+function hashBlock(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Checks whether serialized Markdown says the same thing as a slice of the original, ignoring
+ * formatting, wrapping, and the HTML comments and shortcodes the JATS render drops.
+ */
+function matchesSource(serialized, sourceText) {
+  const withoutShortcodes = (text) => text.replace(/\{\{<[\s\S]*?>\}\}/g, '');
+  const visibleSource = withoutShortcodes(sourceText).replace(/<!--[\s\S]*?-->/g, '');
+  return normalizeForMatching(withoutShortcodes(serialized)) === normalizeForMatching(visibleSource);
+}
+
+// The serialization state proseMirrorJSON_to_qmd and attachSourceMap both start from.
+function createSerializationMaps(pmDoc, qmdString) {
+  const refMaps = createReferenceMaps(pmDoc);
+  // Reference-style footnote definitions are collected while serializing and appended at the end.
+  refMaps.footnotes = { styles: parseFootnoteStyles(qmdString), definitions: [], generated: 0 };
+  return refMaps;
+}
+
+/**
+ * Records on each top-level node the range of the original .qmd it came from (sourceStart,
+ * sourceEnd) and a hash of its serialized form as loaded (sourceHash). When the document is
+ * saved, nodes whose serialization still has that hash are copied back from the original
+ * byte for byte, so only the blocks someone actually edited get rewritten.
+ *
+ * Nodes are matched to source blocks in document order by their text, since the JATS render
+ * doesn't report positions. Nodes that can't be matched are left without a range.
+ *
+ * @param {object} pmDoc - The ProseMirror document built from the .qmd, modified in place.
+ * @param {string} qmdString - The .qmd the document was rendered from, without the comments appendix.
+ * @returns {object} The same document.
+ */
+function attachSourceMap(pmDoc, qmdString) {
+  if (!pmDoc || !Array.isArray(pmDoc.content) || !qmdString) return pmDoc;
+
+  const { blockMap, sourceBlocks } = parseQmd(qmdString);
+  const refMaps = createSerializationMaps(pmDoc, qmdString);
+  let nextBlock = 0;
+
+  pmDoc.content.forEach(node => {
+    const serialized = serializeBlock(node, blockMap, refMaps);
+    const candidateTypes = SOURCE_BLOCK_TYPES[node.type];
+    if (!serialized || !candidateTypes) return;
+
+    for (let i = nextBlock; i < sourceBlocks.length; i++) {
+      const block = sourceBlocks[i];
+      if (candidateTypes.includes(block.type) && matchesSource(serialized, qmdString.slice(block.start, block.end))) {
+        node.attrs = { ...node.attrs, sourceStart: block.start, sourceEnd: block.end, sourceHash: hashBlock(serialized) };
+        nextBlock = i + 1;
+        break;
+      }
+    }
+  });
+
+  return pmDoc;
+}
+
+/**
+ * Rebuilds the .qmd by splicing the serialized form of changed nodes into the original text.
+ * Unchanged nodes, the whitespace between blocks and anything the editor doesn't show are copied
+ * from the original; source blocks whose nodes were deleted are dropped; new nodes are written
+ * after the block they follow.
+ *
+ * @returns {string|null} The spliced document, or null when the source ranges no longer fit the
+ *   original (e.g. the file changed since the document was loaded).
+ */
+function spliceIntoSource(nodes, sourceQmd, sourceBlocks, blockMap, refMaps) {
+  const blocksByRange = new Map(sourceBlocks.map(block => [`${block.start}:${block.end}`, block]));
+  const usedBlocks = new Set();
+  let cursor = 0;
+
+  // Serialize everything up front, so all footnote definitions are known before the gaps are copied.
+  const entries = [];
+  for (const node of nodes) {
+    const text = serializeBlock(node, blockMap, refMaps);
+    const { sourceStart, sourceEnd, sourceHash } = node.attrs || {};
+    const block = Number.isInteger(sourceStart) && sourceStart >= cursor
+      ? blocksByRange.get(`${sourceStart}:${sourceEnd}`)
+      : null;
+    if (!block) {
+      entries.push({ text });
+      continue;
+    }
+    const unchanged = sourceHash === hashBlock(text);
+    if (unchanged && !matchesSource(text, sourceQmd.slice(block.start, block.end))) {
+      return null;
+    }
+    usedBlocks.add(block);
+    cursor = block.end;
+    entries.push({ text, block, unchanged });
+  }
+
+  // Re-serialized reference-style footnotes replace their original definitions.
+  const definitions = new Map(refMaps.footnotes.definitions.map(definition => [definition.match(/^\[\^([^\]]+)\]/)[1], definition]));
+
+  // Copies the original between two positions, leaving out the blocks whose nodes were deleted.
+  // New nodes take the place of the first deleted block, or follow the previous block if none was.
+  const copySource = (from, to, newTexts) => {
+    let text = '';
+    let position = from;
+    let removed = false;
+    let inserted = newTexts.length === 0;
+    sourceBlocks
+      .filter(block => block.start >= from && block.end <= to)
+      .forEach(block => {
+        const original = sourceQmd.slice(block.start, block.end);
+        const label = block.type === 'definition' && (original.match(/^\[\^([^\]]+)\]:/) || [])[1];
+        let replacement = '';
+        if (label && definitions.has(label)) {
+          const definition = definitions.get(label);
+          definitions.delete(label);
+          if (matchesSource(definition, original)) return;
+          replacement = definition;
+        } else if (usedBlocks.has(block) || PRESERVED_SOURCE_TYPES.includes(block.type)) {
+          return;
+        } else {
+          removed = true;
+          if (!inserted) {
+            replacement = newTexts.join('\n\n');
+            inserted = true;
+          }
+        }
+        text += sourceQmd.slice(position, block.start) + replacement;
+        position = block.end;
+      });
+    text += sourceQmd.slice(position, to);
+    if (!inserted) {
+      const separated = text.startsWith('\n') || (!text && to === sourceQmd.length) ? text : '\n\n' + text;
+      text = (from > 0 ? '\n\n' : '') + newTexts.join('\n\n') + separated;
+    }
+    return removed ? text.replace(/\n{3,}/g, '\n\n') : text;
+  };
+
+  let output = '';
+  let newTexts = [];
+  cursor = 0;
+  entries.forEach(({ text, block, unchanged }) => {
+    if (!block) {
+      if (text) newTexts.push(text);
+      return;
+    }
+    output += copySource(cursor, block.start, newTexts);
+    output += unchanged ? sourceQmd.slice(block.start, block.end) : text;
+    newTexts = [];
+    cursor = block.end;
+  });
+  output += copySource(cursor, sourceQmd.length, newTexts);
+
+  if (definitions.size > 0) {
+    output = output.replace(/\s+$/, '') + '\n\n' + Array.from(definitions.values()).join('\n\n');
+  }
+  return output;
+}
+
 /**
  * Main function to serialize a ProseMirror document back to a .qmd file string.
  * This function preserves the original QMD structure (metadata, code chunks, figures, tables)
  * while incorporating changes made to paragraph text in ProseMirror.
+ * When the nodes carry source ranges (see attachSourceMap), only the changed blocks are rewritten
+ * and the rest of the original is kept as it was.
  * 
  * @param {object} pmDoc - The ProseMirror document JSON object.
  * @param {string} originalQmdString - The raw string content of the original .qmd file.
@@ -461,13 +1099,17 @@ function proseMirrorJSON_to_qmd(pmDoc, originalQmdString, commentsArray = []) {
     throw new Error('Invalid ProseMirror document provided.');
   }
 
+  // Suggestions nobody has accepted yet are not part of the document
+  pmDoc = withoutPendingChanges(pmDoc);
+
   // Debug: Log the document structure
   console.log('Serializing ProseMirror document:');
   console.log('- Document attrs:', JSON.stringify(pmDoc.attrs, null, 2));
   console.log('- Content nodes count:', pmDoc.content?.length || 0);
   
-  // Parse the original QMD to get block mappings
-  const { blockMap } = parseQmd(originalQmdString);
+  // Parse the original QMD to get block mappings. Any old comments appendix is replaced below.
+  const { remainingQmdString: sourceQmd } = extractCommentsAppendix(originalQmdString);
+  const { blockMap, sourceBlocks } = parseQmd(sourceQmd);
   console.log('- BlockMap keys:', Array.from(blockMap.keys()));
   console.log('- BlockMap contents:');
   blockMap.forEach((value, key) => {
@@ -475,14 +1117,21 @@ function proseMirrorJSON_to_qmd(pmDoc, originalQmdString, commentsArray = []) {
   });
 
   // Create maps for resolving cross-references
-  const refMaps = createReferenceMaps(pmDoc);
+  const refMaps = createSerializationMaps(pmDoc, sourceQmd);
   console.log('- Citation map size:', refMaps.citeMap.size);
   console.log('- Figure map size:', refMaps.figMap.size);
   console.log('- Citation map contents:', Object.fromEntries(refMaps.citeMap));
   console.log('- Figure map contents:', Object.fromEntries(refMaps.figMap));
 
+  const hasSourceMap = pmDoc.content.some(node => node.attrs && Number.isInteger(node.attrs.sourceStart));
+  const spliced = hasSourceMap ? spliceIntoSource(pmDoc.content, sourceQmd, sourceBlocks, blockMap, refMaps) : null;
+  if (hasSourceMap && spliced === null) {
+    console.warn('Source ranges no longer match the original QMD; regenerating the whole document.');
+    refMaps.footnotes = createSerializationMaps(pmDoc, sourceQmd).footnotes;
+  }
+
   // Serialize each block node from the ProseMirror document
-  const contentParts = pmDoc.content
+  const contentParts = spliced !== null ? [spliced] : pmDoc.content
     .map((node, index) => {
       console.log(`\n- Processing node ${index}:`, node.type);
       console.log('  Node attrs:', JSON.stringify(node.attrs, null, 2));
@@ -492,22 +1141,26 @@ function proseMirrorJSON_to_qmd(pmDoc, originalQmdString, commentsArray = []) {
     })
     .filter(part => part !== null && part !== ''); // Filter out empty strings
 
+  if (spliced === null && refMaps.footnotes.definitions.length > 0) {
+    contentParts.push(refMaps.footnotes.definitions.join('\n\n'));
+  }
+
   // Join the parts to form the final document
-  let result = contentParts.join('\n\n');
+  let result = contentParts.join('\n\n').replace(/\s+$/, '');
   console.log('- Final serialized content length:', result.length);
   console.log('- Final content preview:', result.substring(0, 500) + '...');
   
-  // Add comments appendix if provided
+  // Add comments appendix if provided, with anchors to find the commented text after a re-render
   if (commentsArray && commentsArray.length > 0) {
-    const commentsJsonPayload = JSON.stringify({ comments: commentsArray }, null, 2);
+    const commentsJsonPayload = JSON.stringify({ comments: anchorComments(pmDoc, commentsArray) }, null, 2);
     const appendix = `\n<!-- Comments Appendix -->\n<div id="quartorium-comments" style="display:none;">\n\`\`\`json\n${commentsJsonPayload}\n\`\`\`\n</div>\n`;
     result += appendix;
   }
   
-  return result.trim() + '\n'; // Ensure a final newline
+  return result.replace(/\s+$/, '') + '\n'; // Ensure a final newline
 }
 
-module.exports = { proseMirrorJSON_to_qmd };
+module.exports = { proseMirrorJSON_to_qmd, attachSourceMap };
 
 // Simple test for the sentence splitting function
 if (require.main === module) {
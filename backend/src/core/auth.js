@@ -34,6 +34,8 @@ passport.use(
       const githubId = profile.id;
       const username = profile.username;
       const avatarUrl = profile.photos[0].value;
+      // Where notification digests go; only present if the user shares an email address
+      const email = profile.emails && profile.emails[0] ? profile.emails[0].value : null;
 
       // Find the user in our database based on their GitHub ID.
       db.get('SELECT * FROM users WHERE github_id = ?', [githubId], (err, user) => {
@@ -44,15 +46,15 @@ passport.use(
         if (user) {
           // If user already exists, update their access token in case it has changed.
           // This is good practice for re-authentication.
-          const updateSql = 'UPDATE users SET github_token = ? WHERE github_id = ?';
-          db.run(updateSql, [accessToken, githubId]);
+          const updateSql = 'UPDATE users SET github_token = ?, email = COALESCE(?, email) WHERE github_id = ?';
+          db.run(updateSql, [accessToken, email, githubId]);
           
           // Pass the existing user to the next step.
           return done(null, user);
         } else {
           // If user is new, create a new record for them in our database.
-          const insertSql = 'INSERT INTO users (github_id, username, avatar_url, github_token) VALUES (?, ?, ?, ?)';
-          db.run(insertSql, [githubId, username, avatarUrl, accessToken], function (err) {
+          const insertSql = 'INSERT INTO users (github_id, username, avatar_url, github_token, email) VALUES (?, ?, ?, ?, ?)';
+          db.run(insertSql, [githubId, username, avatarUrl, accessToken, email], function (err) {
             if (err) {
               return done(err);
             }
@@ -63,6 +65,7 @@ passport.use(
               username: username,
               avatar_url: avatarUrl,
               github_token: accessToken,
+              email,
             };
             return done(null, newUser);
           });
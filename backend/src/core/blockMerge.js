@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const Diff = require('diff');
+const { segmentQmd } = require('./qmdBlockParser');
+
+// Block-level merging of a collaboration branch into the main branch. The .qmd is split into its
+// top-level blocks (see segmentQmd) and diffed block by block: two-way against main for hunks the
+// author can accept or leave out, and three-way against the merge base to find the blocks both
+// branches changed.
+
+/**
+ * Splits a QMD string into its blocks, each with the whitespace that separates it from the next.
+ * The last block gets a blank line as its separator, so blocks can be moved behind it; the file's
+ * own trailing whitespace is kept as `suffix`.
+ *
+ * @param {string} qmdString
+ * @returns {{ prefix: string, blocks: Array<{ type: string, text: string, separator: string }>, suffix: string }}
+ */
+function splitBlocks(qmdString) {
+  const ranges = segmentQmd(qmdString);
+  if (ranges.length === 0) return { prefix: qmdString, blocks: [], suffix: '' };
+  const blocks = ranges.map((range, index) => ({
+    type: range.type,
+    text: qmdString.slice(range.start, range.end),
+    separator: index + 1 < ranges.length ? qmdString.slice(range.end, ranges[index + 1].start) : '\n\n',
+  }));
+  return {
+    prefix: qmdString.slice(0, ranges[0].start),
+    blocks,
+    suffix: qmdString.slice(ranges[ranges.length - 1].end),
+  };
+}
+
+const joinBlocks = ({ prefix, blocks, suffix }) =>
+  prefix + blocks.map((block, index) => block.text + (index === blocks.length - 1 ? suffix : block.separator)).join('');
+
+// Hunk ids hash where the hunk applies and what it changes, so a selection made against an older
+// version of either branch no longer matches anything.
+const hunkId = (mainIndex, mainBlocks, collabBlocks) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify([mainIndex, mainBlocks.map(block => block.text), collabBlocks.map(block => block.text)]))
+  .digest('hex')
+  .slice(0, 12);
+
+// Runs of changed blocks between two versions; `start` and `count` give the blocks of `fromBlocks`
+// each run replaces with `blocks`.
+function diffBlocks(fromBlocks, toBlocks) {
+  const parts = Diff.diffArrays(fromBlocks, toBlocks, {
+    comparator: (left, right) => left.text === right.text,
+  });
+
+  const changes = [];
+  let index = 0;
+  let current = null;
+  parts.forEach(part => {
+    if (!part.added && !part.removed) {
+      if (current) changes.push(current);
+      current = null;
+      index += part.value.length;
+      return;
+    }
+    if (!current) current = { start: index, count: 0, removed: [], blocks: [] };
+    if (part.removed) {
+      current.removed.push(...part.value);
+      current.count += part.value.length;
+      index += part.value.length;
+    } else {
+      current.blocks.push(...part.value);
+    }
+  });
+  if (current) changes.push(current);
+  return changes;
+}
+
+const textOf = (blocks) => blocks.map(block => block.text).join('\n\n');
+
+/**
+ * Lists the block-level differences between the main and collaboration versions of a document.
+ *
+ * @param {string} mainQmd - The file on the main branch.
+ * @param {string} collabQmd - The file on the collaboration branch.
+ * @returns {Array<{ id: string, type: 'added'|'removed'|'modified', mainIndex: number, mainCount: number,
+ *   mainText: string, collabText: string, blockTypes: Array<string>, collabBlocks: Array<object> }>}
+ *   Hunks in document order. `mainIndex` and `mainCount` give the main blocks the hunk replaces.
+ */
+function computeBlockHunks(mainQmd, collabQmd) {
+  return diffBlocks(splitBlocks(mainQmd).blocks, splitBlocks(collabQmd).blocks).map(change => ({
+    id: hunkId(change.start, change.removed, change.blocks),
+    type: change.removed.length === 0 ? 'added' : change.blocks.length === 0 ? 'removed' : 'modified',
+    mainIndex: change.start,
+    mainCount: change.count,
+    mainText: textOf(change.removed),
+    collabText: textOf(change.blocks),
+    blockTypes: [...new Set([...change.removed, ...change.blocks].map(block => block.type))],
+    collabBlocks: change.blocks,
+  }));
+}
+
+/**
+ * Applies the chosen hunks to the main version of a document; everything else stays as it is on main.
+ *
+ * @param {string} mainQmd - The file on the main branch the hunks were computed against.
+ * @param {Array<object>} hunks - Hunks from computeBlockHunks.
+ * @param {Array<string>} acceptedIds - Ids of the hunks to apply.
+ * @returns {string} The merged QMD.
+ */
+function applyBlockHunks(mainQmd, hunks, acceptedIds) {
+  const { prefix, blocks, suffix } = splitBlocks(mainQmd);
+  const accepted = new Map(hunks.filter(hunk => acceptedIds.includes(hunk.id)).map(hunk => [hunk.mainIndex, hunk]));
+
+  const merged = [];
+  for (let i = 0; i <= blocks.length; i++) {
+    const hunk = accepted.get(i);
+    if (hunk) {
+      merged.push(...hunk.collabBlocks);
+      // Removed and modified hunks replace the main blocks they cover
+      if (hunk.mainCount > 0) {
+        i += hunk.mainCount - 1;
+        continue;
+      }
+    }
+    if (i < blocks.length) merged.push(blocks[i]);
+  }
+
+  return joinBlocks({ prefix, blocks: merged, suffix });
+}
+
+const conflictId = (start, baseBlocks, mainBlocks, collabBlocks) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify([start, textOf(baseBlocks), textOf(mainBlocks), textOf(collabBlocks)]))
+  .digest('hex')
+  .slice(0, 12);
+
+// Changes from both branches that touch the same base blocks, or insert at the same place, are
+// merged as one region.
+function groupOverlappingChanges(changes) {
+  const groups = [];
+  changes.forEach(change => {
+    const group = groups[groups.length - 1];
+    const end = change.start + change.count;
+    const overlaps = group && (change.start < group.end ||
+      (change.count === 0 && group.start === group.end && change.start === group.start));
+    if (overlaps) {
+      group.end = Math.max(group.end, end);
+      group.changes.push(change);
+    } else {
+      groups.push({ start: change.start, end, changes: [change] });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Three-way merges a document block by block. Blocks only one branch changed are taken from that
+ * branch; blocks both changed differently are conflicts for the author to resolve.
+ *
+ * @param {string} baseQmd - The file at the merge base of the two branches.
+ * @param {string} mainQmd - The file on the main branch.
+ * @param {string} collabQmd - The file on the collaboration branch.
+ * @returns {{ segments: Array<object>, conflicts: Array<{ id: string, baseText: string, mainText: string,
+ *   collabText: string, blockTypes: Array<string> }>, prefix: string, suffix: string }}
+ *   The merged document as segments (pass it to resolveThreeWayMerge) and its conflicts in document order.
+ */
+function computeThreeWayMerge(baseQmd, mainQmd, collabQmd) {
+  const base = splitBlocks(baseQmd);
+  const main = splitBlocks(mainQmd);
+  const changes = [
+    ...diffBlocks(base.blocks, main.blocks).map(change => ({ ...change, side: 'main' })),
+    ...diffBlocks(base.blocks, splitBlocks(collabQmd).blocks).map(change => ({ ...change, side: 'collab' })),
+  ].sort((left, right) => left.start - right.start || left.count - right.count);
+
+  // The blocks one branch has in place of the base blocks a group covers
+  const versionOf = (group, side) => {
+    const blocks = [];
+    let position = group.start;
+    group.changes.filter(change => change.side === side).forEach(change => {
+      blocks.push(...base.blocks.slice(position, change.start), ...change.blocks);
+      position = change.start + change.count;
+    });
+    blocks.push(...base.blocks.slice(position, group.end));
+    return blocks;
+  };
+
+  const segments = [];
+  let position = 0;
+  groupOverlappingChanges(changes).forEach(group => {
+    segments.push({ type: 'common', blocks: base.blocks.slice(position, group.start) });
+    const sides = new Set(group.changes.map(change => change.side));
+    const mainBlocks = versionOf(group, 'main');
+    const collabBlocks = versionOf(group, 'collab');
+    if (sides.size === 1 || textOf(mainBlocks) === textOf(collabBlocks)) {
+      segments.push({ type: 'merged', blocks: sides.has('main') ? mainBlocks : collabBlocks });
+    } else {
+      const baseBlocks = base.blocks.slice(group.start, group.end);
+      segments.push({
+        type: 'conflict',
+        id: conflictId(group.start, baseBlocks, mainBlocks, collabBlocks),
+        baseBlocks,
+        mainBlocks,
+        collabBlocks,
+      });
+    }
+    position = group.end;
+  });
+  segments.push({ type: 'common', blocks: base.blocks.slice(position) });
+
+  const conflicts = segments.filter(segment => segment.type === 'conflict').map(segment => ({
+    id: segment.id,
+    baseText: textOf(segment.baseBlocks),
+    mainText: textOf(segment.mainBlocks),
+    collabText: textOf(segment.collabBlocks),
+    blockTypes: [...new Set([...segment.baseBlocks, ...segment.mainBlocks, ...segment.collabBlocks].map(block => block.type))],
+  }));
+
+  return { segments, conflicts, prefix: main.prefix, suffix: main.suffix };
+}
+
+/**
+ * Builds the merged document from a three-way merge and the author's choice for every conflict.
+ *
+ * @param {Object} merge - Result of computeThreeWayMerge.
+ * @param {Object<string, { choice: 'main'|'collab'|'both'|'custom', text?: string }>} resolutions -
+ *   Keyed by conflict id. 'both' keeps the main version followed by the collaboration one;
+ *   'custom' replaces the conflict with `text`.
+ * @returns {string} The merged QMD.
+ * @throws {Error} If a conflict has no valid resolution.
+ */
+function resolveThreeWayMerge(merge, resolutions) {
+  const blocks = [];
+  merge.segments.forEach(segment => {
+    if (segment.type !== 'conflict') {
+      blocks.push(...segment.blocks);
+      return;
+    }
+    const resolution = resolutions[segment.id];
+    switch (resolution && resolution.choice) {
+      case 'main':
+        blocks.push(...segment.mainBlocks);
+        break;
+      case 'collab':
+        blocks.push(...segment.collabBlocks);
+        break;
+      case 'both':
+        blocks.push(...segment.mainBlocks, ...segment.collabBlocks);
+        break;
+      case 'custom':
+        blocks.push(...splitBlocks(resolution.text || '').blocks);
+        break;
+      default:
+        throw new Error(`Conflict ${segment.id} has not been resolved.`);
+    }
+  });
+  return joinBlocks({ prefix: merge.prefix, blocks, suffix: merge.suffix });
+}
+
+module.exports = { splitBlocks, computeBlockHunks, applyBlockHunks, computeThreeWayMerge, resolveThreeWayMerge };
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const git = require('isomorphic-git');
+const { registerRenderHandler, requestRender } = require('./renderQueue');
+const { renderChunkInContext } = require('./quartoRunner');
+const { chunkProgressOf } = require('./quartoExecutor');
+
+// Re-running a single code chunk from the editor. Runs go through the render queue like document
+// renders; a run of the same code after the same earlier chunks is answered from its finished job.
+// Chunks run in a copy of the project, next to the document, so they read its data files.
+
+const REPOS_DIR = path.join(__dirname, '../../repos');
+const MAX_PREVIOUS_CHUNKS = 500;
+
+registerRenderHandler('chunk-run', async ({ runKey, repoFullName, filepath, branchName, previousChunks, chunk }, { signal, reportProgress, appendOutput }) => {
+  const projectDir = path.join(REPOS_DIR, repoFullName);
+  if (branchName) await git.checkout({ fs, dir: projectDir, ref: branchName });
+  reportProgress(previousChunks.length > 0 ? `Running the chunk after ${previousChunks.length} earlier chunk(s)` : 'Running the chunk');
+  const htmlOutput = await renderChunkInContext(runKey, previousChunks, chunk, {
+    projectDir,
+    filepath,
+    signal,
+    onOutput: (text) => {
+      appendOutput(text);
+      const progress = chunkProgressOf(text);
+      if (progress?.total) reportProgress(`Executing chunk ${progress.current}/${progress.total}`);
+    },
+  });
+  return { htmlOutput };
+});
+
+const isAbsent = (value) => value === undefined || value === null;
+
+// `chunkOptions` is what goes between the braces of the fence, e.g. "r setup, echo=FALSE", and
+// `chunkOptionLines` the chunk's `#|` option lines
+const isChunk = (chunk) => chunk && typeof chunk.code === 'string' && typeof chunk.language === 'string' && chunk.language !== ''
+  && (isAbsent(chunk.chunkOptions) || (typeof chunk.chunkOptions === 'string' && !/[{}\r\n]/.test(chunk.chunkOptions)))
+  && (isAbsent(chunk.chunkOptionLines) || (typeof chunk.chunkOptionLines === 'string'
+    && chunk.chunkOptionLines.split('\n').every(line => line === '' || line.startsWith('#|'))));
+
+const toChunk = ({ code, language, chunkOptions, chunkOptionLines }) => ({
+  code,
+  language,
+  ...(chunkOptions ? { chunkOptions } : {}),
+  ...(chunkOptionLines ? { chunkOptionLines } : {}),
+});
+
+/**
+ * Checks a chunk run request from the editor.
+ *
+ * @param {Object} body - { code, language, chunkOptions?, chunkOptionLines?, previousChunks? }
+ * @returns {string|null} What is wrong with it, or null if it is fine.
+ */
+function validateChunkRun(body) {
+  if (!isChunk(body)) return 'code and language are required.';
+  if (!/^[\w.-]+$/.test(body.language)) return `Invalid language "${body.language}".`;
+  const previousChunks = body.previousChunks || [];
+  if (!Array.isArray(previousChunks) || previousChunks.length > MAX_PREVIOUS_CHUNKS || !previousChunks.every(isChunk)) {
+    return `previousChunks must be a list of at most ${MAX_PREVIOUS_CHUNKS} chunks with code and language.`;
+  }
+  return null;
+}
+
+/**
+ * Queues a run of one chunk of a document.
+ *
+ * @param {{ id: number, fullName: string }} repo
+ * @param {string} filepath - The document; its runs share a run directory and cache.
+ * @param {Object} body - A request that passed validateChunkRun.
+ * @param {Object} [options]
+ * @param {string} [options.branchName] - Checked out before the run; the clone as it is by default.
+ * @returns {Promise<Object>} The render job; with `result.htmlOutput` once it succeeded.
+ */
+function requestChunkRun(repo, filepath, body, { branchName = null } = {}) {
+  const runKey = `${repo.id}-${crypto.createHash('md5').update(filepath).digest('hex')}`;
+  const chunk = toChunk(body);
+  const previousChunks = (body.previousChunks || []).map(toChunk);
+  const hash = crypto.createHash('sha1').update(JSON.stringify({ branchName, previousChunks, chunk })).digest('hex');
+  return requestRender('chunk-run', { repoId: repo.id, key: `${runKey}:${hash}` }, {
+    runKey, repoFullName: repo.fullName, filepath, branchName, previousChunks, chunk,
+  });
+}
+
+module.exports = { validateChunkRun, requestChunkRun };
@@ -0,0 +1,81 @@
+const db = require('../db/sqlite');
+
+// Server-Sent Events channels, one per document, that push collaboration activity (locks,
+// live saves, commits, comments) to every editor that has the document open.
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Open event streams keyed by document id
+const channels = new Map();
+
+/**
+ * Turns the response into an event stream subscribed to a document's channel.
+ *
+ * @param {number} docId - The document whose events the client receives.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+function openEventStream(docId, req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  if (!channels.has(docId)) channels.set(docId, new Set());
+  const channel = channels.get(docId);
+  channel.add(res);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    channel.delete(res);
+    if (channel.size === 0) channels.delete(docId);
+  });
+}
+
+/**
+ * Sends an event to everyone subscribed to a document.
+ *
+ * @param {number} docId
+ * @param {string} event - Event name, e.g. 'lock-acquired' or 'commit'.
+ * @param {Object} data - JSON payload.
+ */
+function publishCollabEvent(docId, event, data) {
+  const channel = channels.get(docId);
+  if (!channel) return;
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  channel.forEach(res => res.write(message));
+}
+
+/**
+ * Sends an event to every document that collaborates on a branch. Locks are held per branch,
+ * so all documents shared on it need to hear about them.
+ *
+ * @param {number} repoId
+ * @param {string} branchName
+ * @param {string} event
+ * @param {Object} data
+ */
+function publishBranchEvent(repoId, branchName, event, data) {
+  const sql = `
+    SELECT DISTINCT s.doc_id FROM share_links s
+    JOIN documents d ON s.doc_id = d.id
+    WHERE d.repo_id = ? AND s.collab_branch_name = ?
+  `;
+  db.all(sql, [repoId, branchName], (err, rows) => {
+    if (err) {
+      console.error('Error finding documents for branch event:', err.message);
+      return;
+    }
+    rows.forEach(row => publishCollabEvent(row.doc_id, event, data));
+  });
+}
+
+module.exports = { openEventStream, publishCollabEvent, publishBranchEvent };
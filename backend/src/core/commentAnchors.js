@@ -0,0 +1,248 @@
+// Comments are attached to the text as `comment` marks, which only survive a re-render if the
+// `[text]{.comment ref="..."}` span made it into the .qmd and back through the JATS render. To
+// find the text again regardless, each comment's `location` records a W3C Web Annotation
+// TextQuoteSelector (the quoted text with some text before and after it) and the key of the
+// block it was in, and the marks are put back from there after every render.
+//
+// Code chunks, tables and equations are atoms the mark can't go on, so comments on them are listed
+// in the node's `commentIds` attribute instead and anchored with a BlockSelector: the node type and
+// the block's key.
+
+const CONTEXT_LENGTH = 32;
+const BLOCK_COMMENT_TYPES = ['quartoBlock', 'table', 'displayMath'];
+const OBJECT_REPLACEMENT = '￼';
+
+const commentIdsOf = (node) => (node.marks || [])
+  .filter(mark => mark.type === 'comment' && mark.attrs && mark.attrs.commentId)
+  .map(mark => mark.attrs.commentId);
+
+// Blocks are keyed by the section they are in and their position in it, e.g. 'sec-methods/3',
+// so edits elsewhere in the document don't change the key.
+function blockKeysOf(pmDoc) {
+  let section = 'start';
+  let index = 0;
+  return (pmDoc.content || []).map(node => {
+    if (node.type === 'heading') {
+      section = (node.attrs && node.attrs.id) || `heading-${index}`;
+      index = 0;
+    }
+    return `${section}/${index++}`;
+  });
+}
+
+// The block's own key if it has one (the chunk label of a code chunk, the {#tbl-...} or {#eq-...}
+// label of a table or equation), otherwise its position as given by blockKeysOf
+const ownBlockKey = (node) => (node.type === 'quartoBlock' ? node.attrs && node.attrs.blockKey : node.attrs && node.attrs.label);
+
+function collectCommentableBlocks(pmDoc) {
+  const keys = blockKeysOf(pmDoc);
+  const blocks = [];
+  const visit = (node, positionKey) => {
+    if (BLOCK_COMMENT_TYPES.includes(node.type)) {
+      blocks.push({ node, blockKey: ownBlockKey(node) || positionKey, positionKey });
+      return;
+    }
+    (node.content || []).forEach(child => visit(child, positionKey));
+  };
+  (pmDoc.content || []).forEach((node, index) => visit(node, keys[index]));
+  return blocks;
+}
+
+const blockCommentIdsOf = (node) => (node.attrs && Array.isArray(node.attrs.commentIds) ? node.attrs.commentIds : []);
+
+/**
+ * Lists every node with text directly in it, with its text (inline nodes other than text count as
+ * one character) and the key of the top-level block it belongs to.
+ */
+function collectTextblocks(pmDoc) {
+  const keys = blockKeysOf(pmDoc);
+  const textblocks = [];
+  const visit = (node, blockKey) => {
+    const content = node.content || [];
+    if (content.some(child => child.type === 'text')) {
+      const text = content.map(child => child.type === 'text' ? child.text : OBJECT_REPLACEMENT).join('');
+      textblocks.push({ node, blockKey, text });
+      return;
+    }
+    content.forEach(child => visit(child, blockKey));
+  };
+  (pmDoc.content || []).forEach((node, index) => visit(node, keys[index]));
+  return textblocks;
+}
+
+/**
+ * Records where each comment is anchored. Comments whose mark is no longer in the document keep
+ * the location they had.
+ *
+ * @param {Object} pmDoc - ProseMirror JSON with `comment` marks.
+ * @param {Array<Object>} comments - Comment objects as stored in the comments appendix.
+ * @returns {Array<Object>} The comments with `location` set to
+ *   `{ type: 'TextQuoteSelector', exact, prefix, suffix, blockKey }`, or for comments on a whole
+ *   block `{ type: 'BlockSelector', nodeType, blockKey }`. A comment spanning several paragraphs
+ *   is anchored to the part in the first one.
+ */
+function anchorComments(pmDoc, comments) {
+  if (!Array.isArray(comments) || comments.length === 0) return comments;
+
+  const locations = new Map();
+  collectCommentableBlocks(pmDoc).forEach(({ node, blockKey }) => {
+    blockCommentIdsOf(node).forEach(commentId => {
+      if (!locations.has(commentId)) locations.set(commentId, { type: 'BlockSelector', nodeType: node.type, blockKey });
+    });
+  });
+  collectTextblocks(pmDoc).forEach(({ node, blockKey, text }) => {
+    const ranges = new Map();
+    let offset = 0;
+    node.content.forEach(child => {
+      const length = child.type === 'text' ? child.text.length : 1;
+      commentIdsOf(child).forEach(commentId => {
+        const range = ranges.get(commentId);
+        if (range) range.end = offset + length;
+        else ranges.set(commentId, { start: offset, end: offset + length });
+      });
+      offset += length;
+    });
+    ranges.forEach(({ start, end }, commentId) => {
+      if (locations.has(commentId)) return;
+      locations.set(commentId, {
+        type: 'TextQuoteSelector',
+        exact: text.slice(start, end),
+        prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+        suffix: text.slice(end, end + CONTEXT_LENGTH),
+        blockKey,
+      });
+    });
+  });
+
+  return comments.map(comment => {
+    if (!locations.has(comment.id)) return comment;
+    const { orphaned, ...rest } = comment;
+    return { ...rest, location: locations.get(comment.id) };
+  });
+}
+
+// Whitespace differs between the editor and a fresh render, so quotes are matched with every run
+// of whitespace collapsed to a single space. `offsets` maps positions back to the original text.
+function collapseWhitespace(text) {
+  let collapsed = '';
+  const offsets = [];
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (collapsed.endsWith(' ')) continue;
+      collapsed += ' ';
+    } else {
+      collapsed += text[i];
+    }
+    offsets.push(i);
+  }
+  offsets.push(text.length);
+  return { text: collapsed, offsets };
+}
+
+const commonSuffixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+  return length;
+};
+
+const commonPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length++;
+  return length;
+};
+
+/**
+ * Finds the text a TextQuoteSelector points at. Every occurrence of the quote is a candidate; the
+ * one whose surrounding text matches best wins, with the recorded block breaking ties.
+ *
+ * @returns {{ textblock: Object, start: number, end: number }|null} Offsets into the textblock's text.
+ */
+function findQuote(textblocks, location) {
+  const exact = collapseWhitespace(location.exact || '').text;
+  if (!exact.trim()) return null;
+  const prefix = collapseWhitespace(location.prefix || '').text;
+  const suffix = collapseWhitespace(location.suffix || '').text;
+
+  let best = null;
+  textblocks.forEach(textblock => {
+    const { text, offsets } = collapseWhitespace(textblock.text);
+    for (let index = text.indexOf(exact); index !== -1; index = text.indexOf(exact, index + 1)) {
+      const score = commonSuffixLength(prefix, text.slice(0, index)) +
+        commonPrefixLength(suffix, text.slice(index + exact.length)) +
+        (textblock.blockKey === location.blockKey ? 1 : 0);
+      if (!best || score > best.score) {
+        best = { score, textblock, start: offsets[index], end: offsets[index + exact.length - 1] + 1 };
+      }
+    }
+  });
+  return best;
+}
+
+// Splits the text nodes of a textblock so the range [start, end) can carry the comment mark
+function markRange(textblock, start, end, commentId) {
+  const content = [];
+  let offset = 0;
+  textblock.node.content.forEach(child => {
+    const length = child.type === 'text' ? child.text.length : 1;
+    const childStart = offset;
+    offset += length;
+    if (child.type !== 'text' || offset <= start || childStart >= end) {
+      content.push(child);
+      return;
+    }
+    const from = Math.max(start, childStart) - childStart;
+    const to = Math.min(end, offset) - childStart;
+    const marks = [...(child.marks || []), { type: 'comment', attrs: { commentId } }];
+    if (from > 0) content.push({ ...child, text: child.text.slice(0, from) });
+    content.push({ ...child, text: child.text.slice(from, to), marks });
+    if (to < length) content.push({ ...child, text: child.text.slice(to) });
+  });
+  textblock.node.content = content;
+  textblock.text = content.map(child => child.type === 'text' ? child.text : OBJECT_REPLACEMENT).join('');
+}
+
+// The block a BlockSelector points at: the block with that key, or failing that the block of the
+// same type at that position
+function findBlock(blocks, location) {
+  const sameType = blocks.filter(block => block.node.type === location.nodeType);
+  return sameType.find(block => block.blockKey === location.blockKey) ||
+    sameType.find(block => block.positionKey === location.blockKey) ||
+    null;
+}
+
+/**
+ * Puts comment marks back on a freshly rendered document from the comments' anchors, and the ids
+ * of block comments back into their blocks' `commentIds`.
+ *
+ * @param {Object} pmDoc - ProseMirror JSON, modified in place.
+ * @param {Array<Object>} comments - Comments from the comments appendix.
+ * @returns {Array<Object>} The comments, with `orphaned: true` on those whose text could not be
+ *   found. Orphaned comments keep their location, so they re-attach if the text comes back.
+ */
+function reattachComments(pmDoc, comments) {
+  if (!pmDoc || !Array.isArray(comments) || comments.length === 0) return comments;
+
+  const textblocks = collectTextblocks(pmDoc);
+  const blocks = collectCommentableBlocks(pmDoc);
+  const markedIds = new Set();
+  textblocks.forEach(({ node }) => node.content.forEach(child => commentIdsOf(child).forEach(id => markedIds.add(id))));
+  blocks.forEach(({ node }) => blockCommentIdsOf(node).forEach(id => markedIds.add(id)));
+
+  return comments.map(comment => {
+    const { orphaned, ...rest } = comment;
+    // The span came through the render, so the mark is already there
+    if (markedIds.has(comment.id)) return rest;
+    if (comment.location && comment.location.type === 'BlockSelector') {
+      const block = findBlock(blocks, comment.location);
+      if (!block) return { ...rest, orphaned: true };
+      block.node.attrs = { ...block.node.attrs, commentIds: [...blockCommentIdsOf(block.node), comment.id] };
+      return rest;
+    }
+    const match = comment.location ? findQuote(textblocks, comment.location) : null;
+    if (!match) return { ...rest, orphaned: true };
+    markRange(match.textblock, match.start, match.end, comment.id);
+    return rest;
+  });
+}
+
+module.exports = { anchorComments, reattachComments };
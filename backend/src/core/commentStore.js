@@ -0,0 +1,209 @@
+const db = require('../db/sqlite');
+
+// Comment threads of collaboration documents, stored per document so every collaborator sees the
+// same replies and resolutions. The comment objects returned here have the shape of the ones in the
+// comments appendix: { id, author, timestamp, status, thread: [{ text, author, timestamp }], ... }.
+
+const COMMENT_STATUSES = ['open', 'resolved'];
+
+const run = (sql, params) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) return reject(err);
+    resolve(this);
+  });
+});
+
+const all = (sql, params) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) return reject(err);
+    resolve(rows);
+  });
+});
+
+function toComment(row, messages) {
+  const comment = {
+    id: row.id,
+    author: row.author,
+    timestamp: row.created_at,
+    status: row.status,
+    thread: messages.map(message => ({ text: message.text, author: message.author, timestamp: message.created_at })),
+  };
+  if (row.location_json) {
+    try {
+      comment.location = JSON.parse(row.location_json);
+    } catch {
+      // An unreadable anchor only means the comment can't be re-attached after a render
+    }
+  }
+  if (row.status === 'resolved') {
+    comment.resolvedBy = row.resolved_by;
+    comment.resolvedAt = row.resolved_at;
+  }
+  return comment;
+}
+
+async function withThreads(rows) {
+  if (rows.length === 0) return [];
+  const placeholders = rows.map(() => '?').join(',');
+  const messages = await all(
+    `SELECT * FROM comment_messages WHERE comment_id IN (${placeholders}) ORDER BY id`,
+    rows.map(row => row.id)
+  );
+  return rows.map(row => toComment(row, messages.filter(message => message.comment_id === row.id)));
+}
+
+/**
+ * Lists the comments of a document, oldest first.
+ *
+ * @param {number} docId
+ * @param {{ status?: string, author?: string }} [filters] - Only comments with this status, or
+ *   started by this author.
+ * @returns {Promise<Array<Object>>}
+ */
+async function listComments(docId, filters = {}) {
+  const conditions = ['doc_id = ?'];
+  const params = [docId];
+  if (filters.status) {
+    conditions.push('status = ?');
+    params.push(filters.status);
+  }
+  if (filters.author) {
+    conditions.push('author = ?');
+    params.push(filters.author);
+  }
+  const rows = await all(`SELECT * FROM comments WHERE ${conditions.join(' AND ')} ORDER BY created_at, rowid`, params);
+  return withThreads(rows);
+}
+
+/**
+ * @param {number} docId
+ * @param {string} commentId
+ * @returns {Promise<Object|null>} The comment, or null if the document has no comment with this id.
+ */
+async function getComment(docId, commentId) {
+  const rows = await all('SELECT * FROM comments WHERE id = ? AND doc_id = ?', [commentId, docId]);
+  const [comment] = await withThreads(rows);
+  return comment || null;
+}
+
+/**
+ * Starts a comment thread.
+ *
+ * @param {number} docId
+ * @param {string} shareToken - The share link the comment was made through.
+ * @param {{ id: string, author: string, text: string, location?: Object, timestamp?: string }} comment
+ * @returns {Promise<Object>} The stored comment.
+ */
+async function createComment(docId, shareToken, { id, author, text, location, timestamp }) {
+  const createdAt = timestamp || new Date().toISOString();
+  await run(
+    `INSERT INTO comments (id, doc_id, share_token, author, status, location_json, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 'open', ?, ?, ?)`,
+    [id, docId, shareToken, author, location ? JSON.stringify(location) : null, createdAt, createdAt]
+  );
+  await run(
+    'INSERT INTO comment_messages (comment_id, author, text, created_at) VALUES (?, ?, ?, ?)',
+    [id, author, text, createdAt]
+  );
+  return getComment(docId, id);
+}
+
+/**
+ * Adds a reply to the end of a comment's thread.
+ *
+ * @param {number} docId
+ * @param {string} commentId
+ * @param {{ author: string, text: string }} reply
+ * @returns {Promise<Object|null>} The updated comment, or null if there is no such comment.
+ */
+async function addReply(docId, commentId, { author, text }) {
+  const now = new Date().toISOString();
+  const { changes } = await run('UPDATE comments SET updated_at = ? WHERE id = ? AND doc_id = ?', [now, commentId, docId]);
+  if (changes === 0) return null;
+  await run(
+    'INSERT INTO comment_messages (comment_id, author, text, created_at) VALUES (?, ?, ?, ?)',
+    [commentId, author, text, now]
+  );
+  return getComment(docId, commentId);
+}
+
+/**
+ * Resolves or reopens a comment.
+ *
+ * @param {number} docId
+ * @param {string} commentId
+ * @param {'open'|'resolved'} status
+ * @param {string} author - Who made the change; recorded as the resolver when resolving.
+ * @returns {Promise<Object|null>} The updated comment, or null if there is no such comment.
+ */
+async function setCommentStatus(docId, commentId, status, author) {
+  if (!COMMENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid comment status "${status}". Expected one of: ${COMMENT_STATUSES.join(', ')}.`);
+  }
+  const now = new Date().toISOString();
+  const resolved = status === 'resolved';
+  const { changes } = await run(
+    'UPDATE comments SET status = ?, resolved_by = ?, resolved_at = ?, updated_at = ? WHERE id = ? AND doc_id = ?',
+    [status, resolved ? author : null, resolved ? now : null, now, commentId, docId]
+  );
+  if (changes === 0) return null;
+  return getComment(docId, commentId);
+}
+
+/**
+ * Stores the comments of a document that only exist in its comments appendix or live save, e.g.
+ * ones made before comments had their own storage, so they can be replied to and resolved.
+ * Comments that are already stored, or have no message yet, are skipped.
+ *
+ * A live save is written by the collaborator's browser, so its authors and resolutions can't be
+ * trusted: with `options.author`, every message is stored as that author's and the comments are
+ * stored open. Only comments from the committed appendix keep their own.
+ *
+ * @param {number} docId
+ * @param {string} shareToken
+ * @param {Array<Object>} comments - Comments as saved with the document.
+ * @param {{ author?: string }} [options] - `author`: who saved the comments, for live saves.
+ * @returns {Promise<void>}
+ */
+async function importComments(docId, shareToken, comments, { author: savedBy } = {}) {
+  const candidates = (comments || []).filter(comment => comment && comment.id && comment.thread && comment.thread.length > 0);
+  if (candidates.length === 0) return;
+  const placeholders = candidates.map(() => '?').join(',');
+  const existing = await all(`SELECT id FROM comments WHERE id IN (${placeholders})`, candidates.map(comment => comment.id));
+  const existingIds = new Set(existing.map(row => row.id));
+
+  for (const comment of candidates) {
+    if (existingIds.has(comment.id)) continue;
+    const [first, ...replies] = comment.thread;
+    const createdAt = comment.timestamp || first.timestamp || new Date().toISOString();
+    const author = savedBy || comment.author || first.author || 'Unknown';
+    const status = !savedBy && COMMENT_STATUSES.includes(comment.status) ? comment.status : 'open';
+    await run(
+      `INSERT INTO comments (id, doc_id, share_token, author, status, location_json, resolved_by, resolved_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        comment.id, docId, shareToken, author, status,
+        comment.location ? JSON.stringify(comment.location) : null,
+        status === 'resolved' ? comment.resolvedBy || null : null,
+        status === 'resolved' ? comment.resolvedAt || null : null,
+        createdAt, createdAt,
+      ]
+    );
+    for (const message of [first, ...replies]) {
+      await run(
+        'INSERT INTO comment_messages (comment_id, author, text, created_at) VALUES (?, ?, ?, ?)',
+        [comment.id, savedBy || message.author || author, message.text || '', message.timestamp || createdAt]
+      );
+    }
+  }
+}
+
+module.exports = {
+  COMMENT_STATUSES,
+  listComments,
+  getComment,
+  createComment,
+  addReply,
+  setCommentStatus,
+  importComments,
+};
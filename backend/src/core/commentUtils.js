@@ -30,4 +30,37 @@ function extractCommentsAppendix(qmdString) {
   return { comments, remainingQmdString };
 }
 
-module.exports = { extractCommentsAppendix };
+/**
+ * Brings the comments saved with a document up to date with the comment threads stored on the
+ * server. Threads, status and resolution come from the store, since replies and resolutions are
+ * posted on their own and a document save may carry an older copy; the anchor and any flags set
+ * by the editor are kept. Comments the store doesn't know are left as they are.
+ *
+ * @param {Array<Object>} comments - Comments as saved with the document.
+ * @param {Array<Object>} storedComments - Comments from the comments table.
+ * @returns {Array<Object>} The updated comments, in their original order.
+ */
+function mergeStoredComments(comments, storedComments) {
+  if (!Array.isArray(comments)) return [];
+  const storedById = new Map((storedComments || []).map(comment => [comment.id, comment]));
+
+  return comments.map(comment => {
+    const stored = storedById.get(comment.id);
+    if (!stored) return comment;
+    const { resolvedBy, resolvedAt, isNew, ...rest } = comment;
+    const merged = {
+      ...rest,
+      author: stored.author,
+      timestamp: stored.timestamp,
+      status: stored.status,
+      thread: stored.thread,
+    };
+    if (stored.status === 'resolved') {
+      merged.resolvedBy = stored.resolvedBy;
+      merged.resolvedAt = stored.resolvedAt;
+    }
+    return merged;
+  });
+}
+
+module.exports = { extractCommentsAppendix, mergeStoredComments };
@@ -1,4 +1,4 @@
-const { extractCommentsAppendix } = require('./commentUtils.js');
+const { extractCommentsAppendix, mergeStoredComments } = require('./commentUtils.js');
 
 function runCommentUtilsTests() {
   console.log("Running commentUtils.js tests...\n");
@@ -198,6 +198,33 @@ Some text.`
   let result6 = extractCommentsAppendix(qmdWithVariedWhitespace);
   assertEqual(result6, expectedResult6, "Test 6: Appendix with varied whitespace");
 
+  // Test case 7: Stored threads and status win over the copy saved with the document
+  const location = { type: 'TextQuoteSelector', exact: 'Some text', prefix: '', suffix: '.' };
+  const savedComments = [
+    { id: 'c1', author: 'Ana', timestamp: '2024-01-01T10:00:00.000Z', status: 'open', location, orphaned: true,
+      thread: [{ text: 'Why?', author: 'Ana', timestamp: '2024-01-01T10:00:00.000Z' }] },
+    { id: 'c2', author: 'Ben', status: 'open', thread: [], isNew: true },
+  ];
+  const storedComments = [{
+    id: 'c1', author: 'Ana', timestamp: '2024-01-01T10:00:00.000Z', status: 'resolved',
+    resolvedBy: 'Ben', resolvedAt: '2024-01-02T09:00:00.000Z',
+    thread: [
+      { text: 'Why?', author: 'Ana', timestamp: '2024-01-01T10:00:00.000Z' },
+      { text: 'Fixed.', author: 'Ben', timestamp: '2024-01-02T08:00:00.000Z' },
+    ],
+  }];
+  const [merged, unsaved] = mergeStoredComments(savedComments, storedComments);
+  assertEqual(
+    [merged.status, merged.resolvedBy, merged.thread.length, merged.location, merged.orphaned],
+    ['resolved', 'Ben', 2, location, true],
+    "Test 7a: Stored thread and status merged, anchor kept"
+  );
+  assertEqual(unsaved, savedComments[1], "Test 7b: Comment unknown to the store left as it is");
+
+  // Test case 8: Reopening on the server drops the resolution
+  const [reopened] = mergeStoredComments([{ ...merged }], [{ ...storedComments[0], status: 'open' }]);
+  assertEqual([reopened.status, 'resolvedBy' in reopened], ['open', false], "Test 8: Reopened comment has no resolution");
+
 
   console.log("\ncommentUtils.js tests summary:");
   console.log(`${testsPassed} tests passed.`);
@@ -0,0 +1,69 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { renderToJATS, jatsToProseMirrorJSON } = require('./astParser');
+const { attachSourceMap } = require('./astSerializer');
+const { parseQmd } = require('./qmdBlockParser');
+const { extractCommentsAppendix } = require('./commentUtils');
+const { reattachComments } = require('./commentAnchors');
+const { chunkProgressOf } = require('./quartoExecutor');
+const { applyFreezeStatuses, applyChunkOptions, parseChunks } = require('./freezer');
+
+/**
+ * Renders a document for the editor, as the owner's view and collaboration branches show it: Quarto
+ * renders it to JATS (from frozen results where it can, see renderToJATS), which is converted to
+ * ProseMirror JSON. The comments in its appendix are put back on the text, and the blocks get the
+ * source ranges saves use and the status of their frozen output.
+ *
+ * @param {string} projectDir - The clone, checked out at the version to render.
+ * @param {string} filepath - The document, relative to the clone.
+ * @param {number|string} repoId
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'full' or 'text'; see renderToJATS.
+ * @param {AbortSignal} [options.signal]
+ * @param {function(string): void} [options.reportProgress]
+ * @param {function(string): void} [options.appendOutput] - Receives Quarto's output.
+ * @returns {Promise<{prosemirrorJson: Object, comments: Array<Object>}>}
+ */
+async function renderDocumentForEditor(projectDir, filepath, repoId, { mode, signal, reportProgress = () => {}, appendOutput = () => {} } = {}) {
+  const fullFilepath = path.join(projectDir, filepath);
+  const qmdContent = await fs.readFile(fullFilepath, 'utf8');
+
+  // The comments appendix isn't part of the document; the blockMap and the render go without it
+  const { comments: extractedComments, remainingQmdString: qmdWithoutComments } = extractCommentsAppendix(qmdContent);
+  console.log(`Rendering ${filepath} with ${extractedComments.length} comment(s) from its appendix`);
+  const { blockMap, rawBlocks, inlineExpressions } = parseQmd(qmdWithoutComments);
+
+  // Rendered from the file, so it is replaced by the version without comments until the render is done
+  await fs.writeFile(fullFilepath, qmdWithoutComments);
+  try {
+    reportProgress('Rendering with Quarto');
+    const { jatsXml, renderKey, chunks } = await renderToJATS(fullFilepath, projectDir, repoId, {
+      signal,
+      mode,
+      // The frozen results were hashed with the comments appendix
+      hashedSource: qmdContent,
+      onOutput: (text) => {
+        appendOutput(text);
+        const progress = chunkProgressOf(text);
+        if (progress) {
+          reportProgress(progress.total ? `Executing chunk ${progress.current}/${progress.total}` : `Executing chunks (${progress.percent}%)`);
+        }
+      },
+    });
+    reportProgress('Converting the rendered document');
+    const prosemirrorJson = await jatsToProseMirrorJSON(jatsXml, blockMap, repoId, renderKey, fullFilepath, rawBlocks, inlineExpressions);
+    // Chunks whose frozen output is stale, or that weren't run, are flagged in the editor
+    applyFreezeStatuses(prosemirrorJson, chunks);
+    // Chunks re-run from the editor need the options they are written with
+    applyChunkOptions(prosemirrorJson, parseChunks(qmdWithoutComments));
+    // The render drops comment spans; put the marks back from the comments' anchors
+    const comments = reattachComments(prosemirrorJson, extractedComments);
+    // Source ranges let the save only rewrite the blocks that changed
+    attachSourceMap(prosemirrorJson, qmdWithoutComments);
+    return { prosemirrorJson, comments };
+  } finally {
+    await fs.writeFile(fullFilepath, qmdContent);
+  }
+}
+
+module.exports = { renderDocumentForEditor };
@@ -0,0 +1,449 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const fsForGit = require('fs');
+const os = require('os');
+const path = require('path');
+const git = require('isomorphic-git');
+
+// Quarto's freezer: with `execute: freeze` a project keeps what executing a document produced in
+// _freeze/<document path without extension>/execute-results/<format>.json, with its figures beside
+// it, and executes the document again only once the MD5 of its source changes. Quarto only reuses
+// results of the format being rendered, and projects commit the HTML ones, so a JATS render would
+// execute everything again. This reads the results of any format, and tells for each chunk whether
+// its frozen output still belongs to its code: the source the results were frozen from is looked
+// for in the document's history, and failing that the code echoed in the results is compared.
+
+const FREEZE_DIR = '_freeze';
+// Results tried first; then those of any other format
+const PREFERRED_FORMATS = ['jats', 'html'];
+// Commits searched for the source the results were frozen from
+const MAX_HISTORY_DEPTH = 50;
+const RENDER_MODES = ['full', 'text'];
+
+const CHUNK_OPEN_PATTERN = /^[ \t]*(`{3,})[ \t]*\{([A-Za-z][\w-]*)([^}]*)\}[ \t]*$/;
+const FENCE_OPEN_PATTERN = /^[ \t]*(`{3,}|~{3,})/;
+const CELL_OPEN_PATTERN = /^(:{3,})[ \t]*\{([^}]*)\}[ \t]*$/;
+
+/**
+ * The render mode to use when a request doesn't ask for one: RENDER_MODE, `full` (execute the code
+ * unless all of its frozen output is up to date) or `text` (never execute it).
+ *
+ * @param {Object} [env=process.env]
+ * @returns {string}
+ */
+function getRenderMode(env = process.env) {
+  const mode = env.RENDER_MODE || 'full';
+  if (!RENDER_MODES.includes(mode)) {
+    throw new Error(`Invalid RENDER_MODE "${mode}". Expected one of: ${RENDER_MODES.join(', ')}.`);
+  }
+  return mode;
+}
+
+/**
+ * The hash Quarto freezes results with, an MD5 of the document's source.
+ *
+ * @param {string} source
+ * @returns {string}
+ */
+function freezeInputHash(source) {
+  return crypto.createHash('md5').update(source).digest('hex');
+}
+
+// Lines with the offset each starts at
+function linesOf(text) {
+  let offset = 0;
+  return text.split('\n').map(line => {
+    const start = offset;
+    offset += line.length + 1;
+    return { line, start, end: start + line.length };
+  });
+}
+
+// The closing fence of a fence opened at `from`, or the last line if it isn't closed
+function closingFenceOf(lines, from, fence) {
+  const closing = new RegExp(`^[ \\t]*${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+  for (let i = from + 1; i < lines.length; i++) {
+    if (closing.test(lines[i].line)) return i;
+  }
+  return lines.length - 1;
+}
+
+const normalizeCode = (code) => code.split('\n').map(line => line.trimEnd()).join('\n').trim();
+
+/**
+ * The executable code chunks of a document, nested ones included, in order.
+ *
+ * @param {string} source
+ * @returns {Array<{language: string, header: string, chunkOptions: string, optionLines: string, body: string,
+ *   code: string, label: string|null, include: boolean, start: number, end: number}>} `chunkOptions` is
+ *   what is between the braces of the fence, `optionLines` the `#|` lines and `code` the body without
+ *   them; `start` and `end` are the offsets of the opening fence and the end of the closing one.
+ */
+function parseChunks(source) {
+  const lines = linesOf(source);
+  const chunks = [];
+  for (let i = 0; i < lines.length; i++) {
+    const fence = lines[i].line.match(FENCE_OPEN_PATTERN);
+    if (!fence) continue;
+    const close = closingFenceOf(lines, i, fence[1]);
+    const chunkOpen = lines[i].line.match(CHUNK_OPEN_PATTERN);
+    if (chunkOpen) {
+      const [, , language, header] = chunkOpen;
+      const bodyLines = lines.slice(i + 1, close).map(({ line }) => line);
+      const optionLines = bodyLines.filter(line => /^#\|/.test(line));
+      const options = optionLines.join('\n');
+      const label = options.match(/^#\|\s*label:\s*["']?([\w:.-]+)/m)?.[1]
+        || header.match(/^[\s,]*([\w.-]+)\s*(?:,|$)/)?.[1]
+        || header.match(/\blabel\s*=\s*["']([\w:.-]+)["']/)?.[1]
+        || null;
+      const include = !/^#\|\s*include:\s*false\b/m.test(options) && !/\binclude\s*=\s*(?:FALSE|F)\b/.test(header);
+      chunks.push({
+        language,
+        header: header.trim(),
+        chunkOptions: `${language}${header}`.trim(),
+        optionLines: options,
+        body: bodyLines.join('\n'),
+        code: bodyLines.filter(line => !/^#\|/.test(line)).join('\n'),
+        label,
+        include,
+        start: lines[i].start,
+        end: lines[close].end,
+      });
+    }
+    i = close;
+  }
+  return chunks;
+}
+
+/**
+ * The cells in frozen markdown: the `::: {.cell}` divs, also those inside other divs.
+ *
+ * @param {string} markdown - The `markdown` of a frozen result.
+ * @returns {Array<{id: string|null, code: string|null, markdown: string}>} `code` is the echoed
+ *   code, or null if the chunk didn't echo it.
+ */
+function splitCells(markdown) {
+  const lines = linesOf(markdown);
+  const cells = [];
+  for (let i = 0; i < lines.length; i++) {
+    const open = lines[i].line.match(CELL_OPEN_PATTERN);
+    if (!open || !/(^|\s)\.cell(\s|$)/.test(open[2])) {
+      const fence = lines[i].line.match(FENCE_OPEN_PATTERN);
+      if (fence) i = closingFenceOf(lines, i, fence[1]);
+      continue;
+    }
+    let depth = 1;
+    let code = null;
+    let end = i;
+    for (let j = i + 1; j < lines.length && depth > 0; j++) {
+      const { line } = lines[j];
+      end = j;
+      const fence = line.match(FENCE_OPEN_PATTERN);
+      if (fence) {
+        const close = closingFenceOf(lines, j, fence[1]);
+        if (code === null && /\.cell-code\b/.test(line)) {
+          code = lines.slice(j + 1, close).map(entry => entry.line).join('\n');
+        }
+        j = close;
+        end = close;
+      } else if (/^:{3,}[ \t]*$/.test(line)) {
+        depth--;
+      } else if (/^:{3,}[ \t]*\S/.test(line)) {
+        depth++;
+      }
+    }
+    cells.push({
+      id: open[2].match(/(?:^|\s)#([\w:.-]+)/)?.[1] || null,
+      code,
+      markdown: markdown.slice(lines[i].start, lines[end].end),
+    });
+    i = end;
+  }
+  return cells;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pairs chunks with the cells they produced. Labelled chunks find the cell with their label, as
+ * its id or that of the figure or table in it; the others take the cells in order.
+ *
+ * @param {Array<Object>} chunks - From parseChunks.
+ * @param {Array<Object>} cells - From splitCells.
+ * @returns {Array<number|null>} The index of each chunk's cell.
+ */
+function matchCells(chunks, cells) {
+  const matches = chunks.map(() => null);
+  const used = new Set();
+  chunks.forEach((chunk, i) => {
+    if (!chunk.include || !chunk.label) return;
+    const labelPattern = new RegExp(`#${escapeRegExp(chunk.label)}[\\s}]`);
+    const index = cells.findIndex((cell, j) => !used.has(j) && (cell.id === chunk.label || labelPattern.test(cell.markdown)));
+    if (index === -1) return;
+    matches[i] = index;
+    used.add(index);
+  });
+  let next = 0;
+  chunks.forEach((chunk, i) => {
+    if (!chunk.include) return; // Chunks that aren't included leave no cell
+    if (matches[i] !== null) {
+      next = matches[i] + 1;
+      return;
+    }
+    while (next < cells.length && used.has(next)) next++;
+    if (next < cells.length) {
+      matches[i] = next;
+      used.add(next);
+      next++;
+    }
+  });
+  return matches;
+}
+
+const sameChunk = (a, b) => a.language === b.language && a.header === b.header && normalizeCode(a.body) === normalizeCode(b.body);
+
+/**
+ * Whether each chunk's frozen output is up to date. A chunk is stale once it or a chunk before it
+ * changed, since it may use what those computed.
+ *
+ * @param {Array<Object>} chunks - From parseChunks.
+ * @param {Object} frozen
+ * @param {boolean} frozen.fresh - The whole document is as it was frozen.
+ * @param {Array<Object>|null} [frozen.frozenChunks] - The chunks of the source that was frozen, if known.
+ * @param {Array<Object|null>} [frozen.cells] - Each chunk's cell, for comparing the echoed code otherwise.
+ * @returns {Array<string>} 'fresh' or 'stale' for each chunk.
+ */
+function chunkStatuses(chunks, { fresh, frozenChunks = null, cells = [] }) {
+  if (fresh) return chunks.map(() => 'fresh');
+  let stale = false;
+  return chunks.map((chunk, i) => {
+    if (frozenChunks) {
+      if (!frozenChunks[i] || !sameChunk(frozenChunks[i], chunk)) stale = true;
+    } else if (chunk.include) {
+      const cell = cells[i];
+      if (!cell || cell.code === null || normalizeCode(cell.code) !== normalizeCode(chunk.code)) stale = true;
+    }
+    return stale ? 'stale' : 'fresh';
+  });
+}
+
+// The newest frozen result of a document, preferring PREFERRED_FORMATS
+async function readFrozenResult(projectDir, relativePath) {
+  const freezeDir = path.join(projectDir, FREEZE_DIR, relativePath.replace(/\.[^./\\]+$/, ''));
+  const resultsDir = path.join(freezeDir, 'execute-results');
+  const formats = (await fs.readdir(resultsDir).catch(() => []))
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .sort((a, b) => {
+      const rank = (format) => (PREFERRED_FORMATS.includes(format) ? PREFERRED_FORMATS.indexOf(format) : PREFERRED_FORMATS.length);
+      return rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0);
+    });
+  for (const format of formats) {
+    try {
+      const { hash, result } = JSON.parse(await fs.readFile(path.join(resultsDir, `${format}.json`), 'utf8'));
+      if (typeof result?.markdown === 'string') {
+        return { format, hash, markdown: result.markdown, freezeDir };
+      }
+    } catch (error) {
+      console.warn(`Could not read frozen results ${format}.json of ${relativePath}:`, error.message);
+    }
+  }
+  return null;
+}
+
+// The document as it was in the commit whose version has the frozen hash
+async function findFrozenSource(projectDir, relativePath, hash) {
+  const filepath = relativePath.split(path.sep).join('/');
+  try {
+    const commits = await git.log({ fs: fsForGit, dir: projectDir, depth: MAX_HISTORY_DEPTH });
+    const seen = new Set();
+    for (const commit of commits) {
+      const found = await git.readBlob({ fs: fsForGit, dir: projectDir, oid: commit.oid, filepath }).catch(() => null);
+      if (!found || seen.has(found.oid)) continue;
+      seen.add(found.oid);
+      const source = Buffer.from(found.blob).toString('utf8');
+      if (freezeInputHash(source) === hash) return source;
+    }
+  } catch (error) {
+    console.warn(`Could not search the history of ${relativePath} for its frozen source:`, error.message);
+  }
+  return null;
+}
+
+/**
+ * Looks up the frozen results of a document and how up to date they are.
+ *
+ * @param {string} qmdFilepath - Absolute path of the document.
+ * @param {string} projectDir - Root of the project, where _freeze is.
+ * @param {{ hashedSource?: string }} [options] - The source Quarto hashed, if the file was changed
+ *   for the render, e.g. to drop the comments appendix.
+ * @returns {Promise<{source: string, frozen: Object|null, fresh: boolean, chunks: Array<Object>}>} The
+ *   chunks of the file, each with its frozen `cell` and a `status` of 'fresh', 'stale' or null
+ *   when the document has no frozen results.
+ */
+async function checkFreeze(qmdFilepath, projectDir, { hashedSource } = {}) {
+  const source = await fs.readFile(qmdFilepath, 'utf8');
+  const relativePath = path.relative(projectDir, qmdFilepath);
+  const chunks = parseChunks(source);
+  const frozen = await readFrozenResult(projectDir, relativePath);
+  if (!frozen) {
+    return { source, frozen: null, fresh: false, chunks: chunks.map(chunk => ({ ...chunk, cell: null, status: null })) };
+  }
+
+  const fresh = frozen.hash === freezeInputHash(hashedSource ?? source);
+  const cells = splitCells(frozen.markdown);
+  const chunkCells = matchCells(chunks, cells).map(index => (index === null ? null : cells[index]));
+  let frozenChunks = null;
+  if (!fresh) {
+    const frozenSource = await findFrozenSource(projectDir, relativePath, frozen.hash);
+    if (frozenSource !== null) frozenChunks = parseChunks(frozenSource);
+  }
+  const statuses = chunkStatuses(chunks, { fresh, frozenChunks, cells: chunkCells });
+  return {
+    source,
+    frozen,
+    fresh,
+    chunks: chunks.map((chunk, i) => ({ ...chunk, cell: chunkCells[i], status: statuses[i] })),
+  };
+}
+
+// Stands in for a chunk with no output to show: its code, in a cell that isn't executed
+function placeholderCell(chunk) {
+  const longestRun = Math.max(0, ...(chunk.code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `::: {.cell .quartorium-not-run}\n${fence} {.${chunk.language} .cell-code}\n${chunk.code}\n${fence}\n:::`;
+}
+
+/**
+ * Whether a chunk is shown as a placeholder in a render from frozen results, having no up to date
+ * frozen output.
+ *
+ * @param {Object} chunk - From checkFreeze.
+ * @returns {boolean}
+ */
+function needsPlaceholder(chunk) {
+  return chunk.include && !(chunk.cell && chunk.status === 'fresh');
+}
+
+/**
+ * The document with the outputs of its chunks in place of their code, so rendering it executes
+ * nothing. Chunks that need a placeholder get one; chunks that aren't included are dropped.
+ *
+ * @param {string} source
+ * @param {Array<Object>} chunks - From checkFreeze.
+ * @returns {string}
+ */
+function frozenDocument(source, chunks) {
+  let document = source;
+  [...chunks].reverse().forEach(chunk => {
+    let replacement = '';
+    if (chunk.include) {
+      replacement = needsPlaceholder(chunk) ? placeholderCell(chunk) : chunk.cell.markdown;
+    }
+    document = `${document.slice(0, chunk.start)}\n${replacement}\n${document.slice(chunk.end)}`;
+  });
+  return document;
+}
+
+/**
+ * Copies a project for a render from frozen results: the document is replaced by its
+ * frozenDocument and the figures of the results are put in `<document>_files`, where the frozen
+ * markdown links them.
+ *
+ * @param {string} projectDir
+ * @param {string} qmdFilepath - Absolute path of the document.
+ * @param {Object} freeze - From checkFreeze, with frozen results.
+ * @returns {Promise<string>} A temporary directory with the copy in `project`; remove it when done.
+ */
+async function stageFrozenRender(projectDir, qmdFilepath, freeze) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quartorium-frozen-'));
+  const projectCopy = path.join(workDir, 'project');
+  try {
+    const gitDir = path.join(projectDir, '.git');
+    await fs.cp(projectDir, projectCopy, { recursive: true, filter: (source) => source !== gitDir });
+    const documentCopy = path.join(projectCopy, path.relative(projectDir, qmdFilepath));
+    await fs.writeFile(documentCopy, frozenDocument(freeze.source, freeze.chunks));
+
+    const filesDir = path.join(path.dirname(documentCopy), `${path.parse(qmdFilepath).name}_files`);
+    const entries = await fs.readdir(freeze.frozen.freezeDir, { withFileTypes: true });
+    for (const entry of entries.filter(entry => entry.name !== 'execute-results')) {
+      await fs.cp(path.join(freeze.frozen.freezeDir, entry.name), path.join(filesDir, entry.name), { recursive: true });
+    }
+    return workDir;
+  } catch (error) {
+    await fs.rm(workDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+// Calls `apply` with each code chunk of a converted document and the chunk it was rendered from;
+// blocks are matched to chunks by their code, in order
+function forEachRenderedChunk(prosemirrorJson, chunks, apply) {
+  const blocks = [];
+  const visit = (node) => {
+    if (node.type === 'quartoBlock' && node.attrs?.code && node.attrs.language !== 'metadata') blocks.push(node);
+    (node.content || []).forEach(visit);
+  };
+  visit(prosemirrorJson);
+
+  let next = 0;
+  blocks.forEach(block => {
+    const code = normalizeCode(block.attrs.code);
+    const index = chunks.findIndex((chunk, i) => i >= next && normalizeCode(chunk.code) === code);
+    if (index === -1) return;
+    apply(block, chunks[index]);
+    next = index + 1;
+  });
+}
+
+/**
+ * Marks the code chunks of a converted document with the status of their frozen output, as
+ * `freezeStatus`, and with `notRun` if a placeholder stands in for their output.
+ *
+ * @param {Object} prosemirrorJson - Changed in place.
+ * @param {Array<{code: string, status: string|null, notRun?: boolean}>} chunks - From checkFreeze,
+ *   or those renderToJATS returns.
+ * @returns {Object} The document.
+ */
+function applyFreezeStatuses(prosemirrorJson, chunks) {
+  forEachRenderedChunk(prosemirrorJson, chunks, (block, { status, notRun }) => {
+    if (status) block.attrs.freezeStatus = status;
+    if (notRun) block.attrs.notRun = true;
+  });
+  return prosemirrorJson;
+}
+
+/**
+ * Gives the code chunks of a converted document the options they were written with, as
+ * `chunkOptions` (what is between the braces of the fence) and `chunkOptionLines` (the `#|` lines),
+ * so a chunk is re-run from the editor the way the document runs it.
+ *
+ * @param {Object} prosemirrorJson - Changed in place.
+ * @param {Array<{code: string, chunkOptions?: string, optionLines?: string}>} chunks - From
+ *   parseChunks, or those renderToJATS returns.
+ * @returns {Object} The document.
+ */
+function applyChunkOptions(prosemirrorJson, chunks) {
+  forEachRenderedChunk(prosemirrorJson, chunks, (block, { chunkOptions, optionLines }) => {
+    if (chunkOptions) block.attrs.chunkOptions = chunkOptions;
+    if (optionLines) block.attrs.chunkOptionLines = optionLines;
+  });
+  return prosemirrorJson;
+}
+
+module.exports = {
+  FREEZE_DIR,
+  RENDER_MODES,
+  getRenderMode,
+  freezeInputHash,
+  parseChunks,
+  splitCells,
+  matchCells,
+  chunkStatuses,
+  checkFreeze,
+  needsPlaceholder,
+  frozenDocument,
+  stageFrozenRender,
+  applyFreezeStatuses,
+  applyChunkOptions,
+};
@@ -0,0 +1,34 @@
+// A comment mentions someone by writing `@` and their name: a collaborator's share link label or a
+// repository owner's username. Labels can contain spaces (`@Prof. Smith`), so mentions are found by
+// matching the known names rather than by parsing a fixed syntax.
+
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+/**
+ * Lists the names mentioned in a piece of text. Names match case-insensitively and must not run on
+ * into a longer word; when several names match at the same `@`, the longest wins, so `@Ana Lee`
+ * is not read as `@Ana`. An `@` inside a word, as in an email address, is not a mention.
+ *
+ * @param {string} text
+ * @param {Array<string>} names - Everyone who can be mentioned.
+ * @returns {Array<string>} The mentioned names as given in `names`, in order of first mention.
+ */
+function findMentions(text, names) {
+  if (!text || !Array.isArray(names)) return [];
+  const candidates = [...new Set(names.filter(name => name && name.trim()))]
+    .sort((a, b) => b.length - a.length);
+  const lowerText = text.toLowerCase();
+  const mentioned = [];
+
+  for (let at = text.indexOf('@'); at !== -1; at = text.indexOf('@', at + 1)) {
+    if (at > 0 && WORD_CHAR.test(text[at - 1])) continue;
+    const match = candidates.find(name => {
+      const end = at + 1 + name.length;
+      return lowerText.startsWith(name.toLowerCase(), at + 1) && !(end < text.length && WORD_CHAR.test(text[end]));
+    });
+    if (match && !mentioned.includes(match)) mentioned.push(match);
+  }
+  return mentioned;
+}
+
+module.exports = { findMentions };
@@ -0,0 +1,132 @@
+const nodemailer = require('nodemailer');
+const db = require('../db/sqlite');
+
+// Mails each recipient a digest of the notifications they haven't read or been mailed yet. Mailing
+// is off unless SMTP_HOST is set; for local testing point it at a catch-all server such as MailHog
+// or smtp4dev (SMTP_HOST=localhost SMTP_PORT=1025).
+//
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for TLS from the start), SMTP_USER, SMTP_PASS,
+//   MAIL_FROM, DIGEST_INTERVAL_MINUTES (60), FRONTEND_URL for the links in the mail.
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+function createTransport() {
+  const auth = process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined;
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth,
+  });
+}
+
+// Unread, unmailed notifications of everyone with an email address
+function findPendingNotifications() {
+  return new Promise((resolve, reject) => {
+    const sql = `
+      SELECT n.id, n.actor, n.excerpt, n.created_at, n.recipient_user_id, n.recipient_share_token,
+        d.filepath, r.full_name, c.share_token AS comment_share_token,
+        COALESCE(u.email, s.collaborator_email) AS email,
+        COALESCE(u.username, s.collaborator_label) AS recipient_name
+      FROM notifications n
+      JOIN documents d ON n.doc_id = d.id
+      JOIN repositories r ON d.repo_id = r.id
+      LEFT JOIN comments c ON c.id = n.comment_id
+      LEFT JOIN users u ON u.id = n.recipient_user_id
+      LEFT JOIN share_links s ON s.share_token = n.recipient_share_token
+      WHERE n.read_at IS NULL AND n.emailed_at IS NULL
+        AND COALESCE(u.email, s.collaborator_email) IS NOT NULL
+      ORDER BY n.created_at, n.id
+    `;
+    db.all(sql, [], (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Writes the digest mail for one recipient.
+ *
+ * @param {string} recipientName
+ * @param {Array<Object>} notifications - Rows from findPendingNotifications, oldest first.
+ * @param {string} appUrl - Where the frontend is served.
+ * @returns {{ subject: string, text: string }}
+ */
+function formatDigest(recipientName, notifications, appUrl) {
+  const count = notifications.length;
+  const subject = `Quartorium: you were mentioned in ${count} comment${count === 1 ? '' : 's'}`;
+  const entries = notifications.map(notification => {
+    const shareToken = notification.recipient_share_token || notification.comment_share_token;
+    const link = shareToken ? `\n  ${appUrl}/collab/${shareToken}` : '';
+    return `- ${notification.actor} in ${notification.full_name}/${notification.filepath}:\n  "${notification.excerpt}"${link}`;
+  });
+  const text = `Hello ${recipientName || ''},\n\n` +
+    `You were mentioned in comments that need your attention:\n\n${entries.join('\n\n')}\n`;
+  return { subject, text };
+}
+
+/**
+ * Sends one digest mail per recipient and marks the notifications in it as mailed. A recipient
+ * whose mail fails keeps their notifications for the next run.
+ *
+ * @param {Object} [transport] - A nodemailer transport; built from the SMTP_* settings by default.
+ * @returns {Promise<{ sent: number, failed: number }>} Number of digests sent and failed.
+ */
+async function sendNotificationDigests(transport = createTransport()) {
+  const pending = await findPendingNotifications();
+  const byRecipient = new Map();
+  pending.forEach(row => {
+    const key = row.recipient_user_id ? `user:${row.recipient_user_id}` : `link:${row.recipient_share_token}`;
+    if (!byRecipient.has(key)) byRecipient.set(key, []);
+    byRecipient.get(key).push(row);
+  });
+
+  const appUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const from = process.env.MAIL_FROM || 'Quartorium <no-reply@quartorium.app>';
+  let sent = 0;
+  let failed = 0;
+  for (const notifications of byRecipient.values()) {
+    const [first] = notifications;
+    const { subject, text } = formatDigest(first.recipient_name, notifications, appUrl);
+    try {
+      await transport.sendMail({ from, to: first.email, subject, text });
+    } catch (error) {
+      console.error(`Error mailing notification digest to ${first.email}:`, error.message);
+      failed++;
+      continue;
+    }
+    const ids = notifications.map(notification => notification.id);
+    await new Promise((resolve, reject) => {
+      const sql = `UPDATE notifications SET emailed_at = ? WHERE id IN (${ids.map(() => '?').join(',')})`;
+      db.run(sql, [new Date().toISOString(), ...ids], (err) => (err ? reject(err) : resolve()));
+    });
+    sent++;
+  }
+  return { sent, failed };
+}
+
+/**
+ * Starts mailing digests every DIGEST_INTERVAL_MINUTES, if SMTP_HOST is configured.
+ *
+ * @returns {NodeJS.Timeout|null} The interval, or null if mailing is off.
+ */
+function startNotificationDigests() {
+  if (!process.env.SMTP_HOST) {
+    console.log('Notification digests are off (SMTP_HOST is not set).');
+    return null;
+  }
+  const minutes = Number(process.env.DIGEST_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  const transport = createTransport();
+  const timer = setInterval(() => {
+    sendNotificationDigests(transport)
+      .then(({ sent, failed }) => {
+        if (sent || failed) console.log(`✅ Sent ${sent} notification digest(s), ${failed} failed`);
+      })
+      .catch(error => console.error('Error sending notification digests:', error.message));
+  }, minutes * 60 * 1000);
+  console.log(`✅ Notification digests are mailed every ${minutes} minutes via ${process.env.SMTP_HOST}.`);
+  return timer;
+}
+
+module.exports = { formatDigest, sendNotificationDigests, startNotificationDigests };
@@ -0,0 +1,158 @@
+const db = require('../db/sqlite');
+const { findMentions } = require('./mentions');
+
+// Notifications are addressed to a recipient, which is either a repository owner
+// ({ userId }) or a collaborator, identified by their share link ({ shareToken }).
+
+const EXCERPT_LENGTH = 200;
+
+const run = (sql, params) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) return reject(err);
+    resolve(this);
+  });
+});
+
+const all = (sql, params) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) return reject(err);
+    resolve(rows);
+  });
+});
+
+const recipientCondition = (recipient) => (recipient.userId
+  ? { sql: 'n.recipient_user_id = ?', param: recipient.userId }
+  : { sql: 'n.recipient_share_token = ?', param: recipient.shareToken });
+
+const excerptOf = (text) => (text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text);
+
+/**
+ * Everyone who can be mentioned in the comments of a document: its collaborators, by the label of
+ * their share link, and the owner of its repository, by username.
+ *
+ * @param {number} docId
+ * @returns {Promise<Array<{ name: string, recipient: { userId?: number, shareToken?: string } }>>}
+ */
+async function getMentionCandidates(docId) {
+  const collaborators = await all(
+    "SELECT share_token, collaborator_label FROM share_links WHERE doc_id = ? AND collaborator_label IS NOT NULL AND collaborator_label <> ''",
+    [docId]
+  );
+  const owners = await all(
+    `SELECT u.id, u.username FROM documents d
+     JOIN repositories r ON d.repo_id = r.id
+     JOIN users u ON r.user_id = u.id
+     WHERE d.id = ?`,
+    [docId]
+  );
+  return [
+    ...collaborators.map(row => ({ name: row.collaborator_label, recipient: { shareToken: row.share_token } })),
+    ...owners.map(row => ({ name: row.username, recipient: { userId: row.id } })),
+  ];
+}
+
+/**
+ * Notifies everyone mentioned in a comment message. Authors mentioning themselves are skipped, and
+ * a name shared by several share links notifies each of them.
+ *
+ * @param {number} docId
+ * @param {string} commentId
+ * @param {{ text: string, author: string, timestamp?: string }} message - A message of the thread.
+ * @returns {Promise<number>} How many notifications were created.
+ */
+async function notifyMentions(docId, commentId, message) {
+  const candidates = await getMentionCandidates(docId);
+  const mentioned = findMentions(message.text, candidates.map(candidate => candidate.name));
+  const author = (message.author || '').toLowerCase();
+  const recipients = candidates.filter(candidate => mentioned.includes(candidate.name) && candidate.name.toLowerCase() !== author);
+
+  const createdAt = message.timestamp || new Date().toISOString();
+  for (const { recipient } of recipients) {
+    await run(
+      `INSERT INTO notifications (doc_id, comment_id, recipient_user_id, recipient_share_token, type, actor, excerpt, created_at)
+       VALUES (?, ?, ?, ?, 'mention', ?, ?, ?)`,
+      [docId, commentId, recipient.userId || null, recipient.shareToken || null, message.author, excerptOf(message.text), createdAt]
+    );
+  }
+  return recipients.length;
+}
+
+/**
+ * Lists a recipient's notifications, newest first.
+ *
+ * @param {{ userId?: number, shareToken?: string }} recipient
+ * @param {{ unreadOnly?: boolean, limit?: number }} [options]
+ * @returns {Promise<Array<Object>>} Notifications with the document they are about and the share
+ *   link the comment was made through, which is where it can be read.
+ */
+async function listNotifications(recipient, { unreadOnly = false, limit = 50 } = {}) {
+  const condition = recipientCondition(recipient);
+  const rows = await all(
+    `SELECT n.*, d.filepath, r.full_name, c.share_token AS comment_share_token
+     FROM notifications n
+     JOIN documents d ON n.doc_id = d.id
+     JOIN repositories r ON d.repo_id = r.id
+     LEFT JOIN comments c ON c.id = n.comment_id
+     WHERE ${condition.sql} ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+     ORDER BY n.created_at DESC, n.id DESC
+     LIMIT ?`,
+    [condition.param, limit]
+  );
+  return rows.map(row => ({
+    id: row.id,
+    type: row.type,
+    docId: row.doc_id,
+    commentId: row.comment_id,
+    actor: row.actor,
+    excerpt: row.excerpt,
+    filepath: row.filepath,
+    repoName: row.full_name,
+    shareToken: row.recipient_share_token || row.comment_share_token,
+    createdAt: row.created_at,
+    readAt: row.read_at,
+  }));
+}
+
+/**
+ * @param {{ userId?: number, shareToken?: string }} recipient
+ * @returns {Promise<number>}
+ */
+async function countUnread(recipient) {
+  const condition = recipientCondition(recipient);
+  const [row] = await all(`SELECT COUNT(*) AS count FROM notifications n WHERE ${condition.sql} AND n.read_at IS NULL`, [condition.param]);
+  return row.count;
+}
+
+/**
+ * Marks a recipient's notifications as read.
+ *
+ * @param {{ userId?: number, shareToken?: string }} recipient
+ * @param {Array<number>} [ids] - The notifications to mark; all of them if left out.
+ * @returns {Promise<number>} How many notifications changed.
+ */
+async function markNotificationsRead(recipient, ids) {
+  const condition = recipientCondition(recipient);
+  const params = [new Date().toISOString(), condition.param];
+  let idCondition = '';
+  if (Array.isArray(ids)) {
+    if (ids.length === 0) return 0;
+    idCondition = `AND n.id IN (${ids.map(() => '?').join(',')})`;
+    params.push(...ids);
+  }
+  // UPDATE can't alias its table, so the conditions are written against `notifications AS n` via a subquery
+  const { changes } = await run(
+    `UPDATE notifications SET read_at = ? WHERE id IN (
+       SELECT n.id FROM notifications n WHERE ${condition.sql} AND n.read_at IS NULL ${idCondition}
+     )`,
+    params
+  );
+  return changes;
+}
+
+module.exports = {
+  getMentionCandidates,
+  notifyMentions,
+  listNotifications,
+  countUnread,
+  markNotificationsRead,
+};
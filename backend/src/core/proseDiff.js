@@ -0,0 +1,160 @@
+const Diff = require('diff');
+const { splitBlocks } = require('./blockMerge');
+const { extractCommentsAppendix } = require('./commentUtils');
+
+// Compares two versions of a .qmd the way a reader sees them rather than line by line. Blocks are
+// matched first; inside prose blocks the differences are found sentence by sentence and then word
+// by word, with all whitespace collapsed so that reflowed text (see addLineBreaksAfterSentences)
+// is not a change. Code chunks and other source-like blocks are compared as a whole.
+
+const ATOMIC_BLOCK_TYPES = ['yaml', 'code', 'raw', 'equation', 'table', 'comment'];
+
+const LIST_ITEM_REGEX = /^\s*(?:[-*+]|\d+[.)]|#[.)])\s+/;
+
+// Comment anchors are not part of the prose: `[text]{.comment ref="c-1"}` reads as `text`
+const withoutCommentSpans = (text) => text.replace(/\[([^\]]*)\]\{\.comment\s+ref="[^"]*"\}/g, '$1');
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+// A list keeps one line per item, everything else is a single line of prose
+function normalizeProse(blockType, text) {
+  const prose = withoutCommentSpans(text);
+  if (blockType !== 'list') return collapseWhitespace(prose);
+  const items = [];
+  prose.split('\n').forEach(line => {
+    if (LIST_ITEM_REGEX.test(line) || items.length === 0) items.push(line);
+    else items[items.length - 1] += ` ${line}`;
+  });
+  return items.map(collapseWhitespace).join('\n');
+}
+
+function toUnit(block) {
+  if (ATOMIC_BLOCK_TYPES.includes(block.type)) {
+    return { blockType: block.type, atomic: true, text: block.text.replace(/[ \t]+$/gm, '') };
+  }
+  if (block.type === 'heading') {
+    const [, hashes, title] = block.text.match(/^\s*(#{1,6})\s*(.*)$/s);
+    return { blockType: 'heading', atomic: false, level: hashes.length, text: normalizeProse('heading', title) };
+  }
+  return { blockType: block.type, atomic: false, text: normalizeProse(block.type, block.text) };
+}
+
+/**
+ * Splits a QMD string into the units the prose diff compares, leaving out the comments appendix.
+ *
+ * @param {string} qmdString
+ * @returns {Array<{ blockType: string, atomic: boolean, text: string, level?: number }>}
+ */
+function toDiffUnits(qmdString) {
+  const { remainingQmdString } = extractCommentsAppendix(qmdString || '');
+  return splitBlocks(remainingQmdString).blocks.map(toUnit);
+}
+
+const pushSegment = (segments, type, text) => {
+  if (!text) return;
+  const last = segments[segments.length - 1];
+  if (last && last.type === type) last.text += text;
+  else segments.push({ type, text });
+};
+
+/**
+ * Diffs two pieces of prose sentence by sentence, and word by word within changed sentences.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: 'equal'|'insert'|'delete', text: string }>}
+ */
+function diffProse(oldText, newText) {
+  const segments = [];
+  const sentences = Diff.diffSentences(oldText, newText);
+  for (let i = 0; i < sentences.length; i++) {
+    const part = sentences[i];
+    const next = sentences[i + 1];
+    if (part.removed && next && next.added) {
+      Diff.diffWords(part.value, next.value).forEach(word => {
+        pushSegment(segments, word.added ? 'insert' : word.removed ? 'delete' : 'equal', word.value);
+      });
+      i++;
+    } else {
+      pushSegment(segments, part.added ? 'insert' : part.removed ? 'delete' : 'equal', part.value);
+    }
+  }
+  return segments;
+}
+
+// Share of the longer text's words both versions have in common
+function similarity(oldText, newText) {
+  let common = 0;
+  Diff.diffWords(oldText, newText).forEach(part => {
+    if (!part.added && !part.removed) common += part.value.length;
+  });
+  return common / Math.max(oldText.length, newText.length, 1);
+}
+
+// Two blocks count as one block that was edited if they are of the same kind and, for prose,
+// still share a good part of their words. A block replaced by a single block is always an edit.
+const MIN_SIMILARITY = 0.4;
+const isEditOf = (oldUnit, newUnit, isOnlyReplacement) => oldUnit.blockType === newUnit.blockType &&
+  (oldUnit.atomic || isOnlyReplacement || similarity(oldUnit.text, newUnit.text) >= MIN_SIMILARITY);
+
+function modifiedBlock(oldUnit, newUnit) {
+  const { text: oldText, ...unit } = oldUnit;
+  if (oldUnit.atomic) {
+    return { ...unit, status: 'modified', oldText, newText: newUnit.text };
+  }
+  return { ...unit, level: newUnit.level, status: 'modified', segments: diffProse(oldText, newUnit.text) };
+}
+
+/**
+ * Compares two versions of a document block by block, with inline changes for edited prose.
+ *
+ * @param {string} oldQmd - The version the changes are made against (the main branch).
+ * @param {string} newQmd - The changed version (the collaboration branch).
+ * @returns {{ blocks: Array<object>, stats: { added: number, removed: number, modified: number } }}
+ *   Every block of both versions in document order with a `status` of 'unchanged', 'added',
+ *   'removed' or 'modified'. Unchanged, added and removed blocks carry `text`; modified prose blocks
+ *   carry `segments` (see diffProse) and modified atomic blocks `oldText` and `newText`.
+ */
+function computeProseDiff(oldQmd, newQmd) {
+  const parts = Diff.diffArrays(toDiffUnits(oldQmd), toDiffUnits(newQmd), {
+    comparator: (left, right) => left.blockType === right.blockType && left.text === right.text,
+  });
+
+  const blocks = [];
+  let removed = [];
+  let added = [];
+  const flushChanges = () => {
+    const isOnlyReplacement = removed.length === 1 && added.length === 1;
+    let i = 0;
+    let j = 0;
+    while (i < removed.length || j < added.length) {
+      if (i < removed.length && j < added.length && isEditOf(removed[i], added[j], isOnlyReplacement)) {
+        blocks.push(modifiedBlock(removed[i++], added[j++]));
+      } else if (i < removed.length && (j >= added.length || removed.length - i >= added.length - j)) {
+        blocks.push({ ...removed[i++], status: 'removed' });
+      } else {
+        blocks.push({ ...added[j++], status: 'added' });
+      }
+    }
+    removed = [];
+    added = [];
+  };
+
+  parts.forEach(part => {
+    if (part.removed) removed.push(...part.value);
+    else if (part.added) added.push(...part.value);
+    else {
+      flushChanges();
+      part.value.forEach(unit => blocks.push({ ...unit, status: 'unchanged' }));
+    }
+  });
+  flushChanges();
+
+  const stats = { added: 0, removed: 0, modified: 0 };
+  blocks.forEach(block => {
+    if (block.status !== 'unchanged') stats[block.status]++;
+  });
+  return { blocks, stats };
+}
+
+module.exports = { toDiffUnits, diffProse, computeProseDiff };
@@ -4,7 +4,10 @@
  * Enhanced to handle more block types and provide better block identification.
  * 
  * @param {string} qmdString - The raw content of the .qmd file.
- * @returns {{ blockMap: Map<string, string>, blockOrder: Array<string> }} An object containing the map and order.
+ * @returns {{ blockMap: Map<string, string>, blockOrder: Array<string>, rawBlocks: Array<object>, sourceBlocks: Array<object>, inlineExpressions: Array<object> }}
+ *   An object containing the map and order, the raw passthrough blocks with the block or prose each one follows,
+ *   every top-level block in document order with its source range (see segmentQmd), and the text
+ *   blocks that contain shortcodes or inline code expressions (see collectInlineExpressions).
  */
 function parseQmd(qmdString) {
     const lines = qmdString.split('\n');
@@ -17,12 +20,16 @@ function parseQmd(qmdString) {
     let codeFence = '';
     let currentBlockKey = null;
     let blockMetadata = {}; // Store metadata found within the block
+    let seenContent = false; // YAML front matter can only open before any other content
+    const rawBlocks = []; // ```{=html} / ```{=latex} passthrough blocks, which don't survive the JATS render
+    let anchor = null; // The block or prose a raw block follows, used to put it back in place
+    let proseLines = [];
   
     console.log('Parsing QMD with', lines.length, 'lines');
   
     for (const line of lines) {
       // Handle YAML frontmatter
-      if (line.trim() === '---' && !inCode) {
+      if (line.trim() === '---' && !inCode && (inYaml || !seenContent)) {
         currentBlockLines.push(line);
         if (!inYaml) {
           inYaml = true;
@@ -36,14 +43,22 @@ function parseQmd(qmdString) {
           console.log('YAML content:', raw.substring(0, 200) + '...');
           currentBlockLines = [];
           inYaml = false;
+          anchor = { key: currentBlockKey, text: null };
           currentBlockKey = null;
         }
         continue;
       }
+      if (line.trim() && !inYaml) {
+        seenContent = true;
+      }
   
       // Handle fenced code blocks
       if (line.trim().startsWith('```') && !inYaml) {
         currentBlockLines.push(line);
+        if (!inCode && proseLines.length > 0) {
+          anchor = { key: null, text: proseLines.join(' ') };
+          proseLines = [];
+        }
         if (!inCode) {
           inCode = true;
           codeFence = line.trim();
@@ -83,6 +98,13 @@ function parseQmd(qmdString) {
             }
           }
           
+          // Raw passthrough blocks: ```{=html}
+          const rawMatch = line.trim().match(/^`{3,}\s*\{=([\w-]+)\}/);
+          if (rawMatch) {
+            key = `__RAW_BLOCK_${rawBlocks.length}__`;
+            rawBlocks.push({ key, format: rawMatch[1], anchor, raw: null });
+          }
+
           // If no specific label found, generate a generic key
           if (!key) {
             key = `__CODE_BLOCK_${blockOrder.length}__`;
@@ -95,6 +117,11 @@ function parseQmd(qmdString) {
           if (currentBlockKey) {
             blockMap.set(currentBlockKey, raw);
             blockOrder.push(currentBlockKey);
+            const rawBlock = rawBlocks.find(block => block.key === currentBlockKey);
+            if (rawBlock) {
+              rawBlock.raw = raw;
+            }
+            anchor = { key: currentBlockKey, text: null };
             console.log('Found code block end, stored as:', currentBlockKey);
             console.log('Code content:', raw.substring(0, 100) + '...');
           }
@@ -140,12 +167,17 @@ function parseQmd(qmdString) {
   
       if (inYaml || inCode) {
         currentBlockLines.push(line);
+      } else if (line.trim()) {
+        proseLines.push(line.trim());
+      } else if (proseLines.length > 0) {
+        anchor = { key: null, text: proseLines.join(' ') };
+        proseLines = [];
       }
     }
   
     // After the loop, parse for non-fenced blocks like tables and equations
     const remainingText = qmdString
-        .replace(/---[\s\S]*?---/, '') // Remove YAML
+        .replace(/^---\n[\s\S]*?\n---/, '') // Remove YAML front matter (not table separator rows)
         .replace(/```[\s\S]*?```/g, ''); // Remove code blocks
 
     // Regex to find a markdown table and its optional labeled caption, accounting for blank lines.
@@ -172,6 +204,16 @@ function parseQmd(qmdString) {
         console.log('Found equation block, stored as:', key);
     }
   
+    // Fenced divs (callouts, panels, ...). Only top-level divs are blocks; nested divs are part of their parent.
+    parseFencedDivs(qmdString)
+        .filter(div => div.depth === 0)
+        .forEach(div => {
+            const key = div.id || `__DIV_BLOCK_${blockOrder.length}__`;
+            blockMap.set(key, div.raw);
+            blockOrder.push(key);
+            console.log('Found fenced div, stored as:', key);
+        });
+  
     // Handle any remaining block content
     if (currentBlockLines.length > 0 && currentBlockKey) {
       const raw = currentBlockLines.join('\n');
@@ -180,8 +222,466 @@ function parseQmd(qmdString) {
       console.log('Stored remaining block as:', currentBlockKey);
     }
   
+    // Every top-level block with its character range, so unchanged blocks can be copied back verbatim.
+    const sourceBlocks = segmentQmd(qmdString);
+
+    // Headings are keyed by the id of the <sec> Pandoc renders them as, so their level, id and
+    // classes can be recovered from the source.
+    sourceBlocks
+      .filter(block => block.type === 'heading')
+      .forEach(block => {
+        const raw = qmdString.slice(block.start, block.end);
+        const heading = parseHeading(raw);
+        if (!heading) return;
+        let key = heading.id;
+        if (!key) {
+          const baseId = pandocIdentifier(heading.text);
+          key = baseId;
+          for (let suffix = 1; blockMap.has(key); suffix++) key = `${baseId}-${suffix}`;
+        }
+        blockMap.set(key, raw);
+        blockOrder.push(key);
+        console.log('Found heading, stored as:', key);
+      });
+    const blockKeys = new Map(Array.from(blockMap.entries()).map(([key, raw]) => [raw.trim(), key]));
+    sourceBlocks.forEach(block => {
+      block.key = blockKeys.get(qmdString.slice(block.start, block.end).trim()) || null;
+    });
+  
+    const inlineExpressions = collectInlineExpressions(qmdString, sourceBlocks);
+  
     console.log('Final blockMap keys:', Array.from(blockMap.keys()));
-    return { blockMap, blockOrder };
+    return { blockMap, blockOrder, rawBlocks: rawBlocks.filter(block => block.raw !== null), sourceBlocks, inlineExpressions };
   }
   
-  module.exports = { parseQmd };
\ No newline at end of file
+/**
+ * Parses the attribute part of a fenced div's opening line, e.g. `{#fig-panel .column-page layout-ncol=2}`
+ * or the bare class shorthand `callout-note`.
+ *
+ * @param {string} header - The text after the opening colons.
+ * @returns {{ id: string|null, classes: Array<string>, attributes: Object<string, string> }}
+ */
+function parseFencedDivHeader(header) {
+    const result = { id: null, classes: [], attributes: {} };
+    const trimmed = header.trim();
+    if (!trimmed.startsWith('{')) {
+        if (trimmed) result.classes.push(trimmed);
+        return result;
+    }
+
+    const attrRegex = /#([^\s}]+)|\.([^\s}]+)|([\w-]+)=(?:"([^"]*)"|'([^']*)'|([^\s}]+))/g;
+    let match;
+    while ((match = attrRegex.exec(trimmed.slice(1, -1))) !== null) {
+        if (match[1]) {
+            result.id = match[1];
+        } else if (match[2]) {
+            result.classes.push(match[2]);
+        } else {
+            result.attributes[match[3]] = match[4] ?? match[5] ?? match[6];
+        }
+    }
+    return result;
+}
+
+/**
+ * Finds all fenced divs (`::: {.callout-note}` ... `:::`) in a QMD string, skipping code blocks.
+ * Divs are returned in document order (parents before their children), which is the order
+ * Pandoc writes them out as JATS <boxed-text>.
+ *
+ * @param {string} qmdString - The raw QMD content.
+ * @returns {Array<object>} Divs with their fence, header, parsed attributes, depth, raw source and
+ *   the title heading (the first line inside the div, if it's a heading).
+ */
+function parseFencedDivs(qmdString) {
+    const lines = qmdString.split('\n');
+    const divs = [];
+    const stack = [];
+    let codeFence = null;
+
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+
+        // Colons inside code blocks aren't div fences
+        const fenceMatch = trimmed.match(/^(`{3,}|~{3,})/);
+        if (codeFence) {
+            if (fenceMatch && trimmed === fenceMatch[1] && fenceMatch[1].startsWith(codeFence)) {
+                codeFence = null;
+            }
+            return;
+        }
+        if (fenceMatch) {
+            codeFence = fenceMatch[1];
+            return;
+        }
+
+        const openMatch = trimmed.match(/^(:{3,})\s*([^:\s].*?)\s*:*$/);
+        if (openMatch) {
+            const div = {
+                fence: openMatch[1],
+                header: openMatch[2],
+                ...parseFencedDivHeader(openMatch[2]),
+                depth: stack.length,
+                startLine: index,
+                titleHeading: null
+            };
+            divs.push(div);
+            stack.push(div);
+            return;
+        }
+
+        if (/^:{3,}$/.test(trimmed) && stack.length > 0) {
+            const div = stack.pop();
+            div.endLine = index;
+            div.raw = lines.slice(div.startLine, index + 1).join('\n');
+            const firstInnerLine = lines.slice(div.startLine + 1, index).find(inner => inner.trim());
+            if (firstInnerLine && /^#{1,6}\s/.test(firstInnerLine.trim())) {
+                div.titleHeading = firstInnerLine.trim();
+            }
+        }
+    });
+
+    // Unclosed divs run to the end of the document
+    stack.forEach(div => {
+        div.endLine = lines.length - 1;
+        div.raw = lines.slice(div.startLine).join('\n');
+    });
+
+    return divs;
+}
+
+/**
+ * Parses a heading from the source, either ATX (`## Methods {#sec-methods .unnumbered}`) or
+ * setext (a line underlined with `===` or `---`).
+ *
+ * @param {string} raw - The heading's source lines.
+ * @returns {{ level: number, text: string, id: string|null, classes: Array<string>, attributes: Object<string, string> }|null}
+ */
+function parseHeading(raw) {
+    const lines = raw.trim().split('\n');
+    let level;
+    let title;
+    const atxMatch = lines[0].match(/^(#{1,6})\s+(.*?)\s*$/);
+    if (lines.length === 1 && atxMatch) {
+        level = atxMatch[1].length;
+        title = atxMatch[2].replace(/\s+#+$/, '');
+    } else if (lines.length === 2 && /^(=+|-+)\s*$/.test(lines[1])) {
+        level = lines[1].startsWith('=') ? 1 : 2;
+        title = lines[0].trim();
+    } else {
+        return null;
+    }
+
+    const attrMatch = title.match(/^(.*?)\s*(\{[^{}]*\})$/);
+    const text = attrMatch ? attrMatch[1] : title;
+    const { id, classes, attributes } = attrMatch
+        ? parseFencedDivHeader(attrMatch[2])
+        : { id: null, classes: [], attributes: {} };
+    return { level, text, id, classes, attributes };
+}
+
+/**
+ * The identifier Pandoc generates for a heading without an explicit id (the auto_identifiers extension).
+ *
+ * @param {string} text - The heading text as written in the source.
+ * @returns {string}
+ */
+function pandocIdentifier(text) {
+    const id = text
+        .replace(/\^\[[^\]]*\]|\[\^[^\]]*\]/g, '') // footnotes
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // links
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}_\-.\s]/gu, '')
+        .trim()
+        .replace(/\s+/g, '-')
+        .replace(/^[^\p{L}]+/u, '');
+    return id || 'section';
+}
+
+const LIST_MARKER_REGEX = /^\s*(?:[-*+]|\(?(?:\d+|#|[a-zA-Z]|[ivxlcdmIVXLCDM]+)[.)])\s+/;
+const HORIZONTAL_RULE_REGEX = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+
+/**
+ * Splits a QMD string into its top-level blocks, each with the character range it occupies.
+ * Ranges never include the blank lines between blocks, so the text between two ranges is
+ * always separator whitespace.
+ *
+ * Block types: 'yaml', 'code', 'raw', 'div', 'equation', 'table', 'heading', 'hr', 'comment',
+ * 'definition' (footnote and link reference definitions), 'list', 'blockquote',
+ * 'definitionList' and 'paragraph'.
+ *
+ * @param {string} qmdString - The raw QMD content.
+ * @returns {Array<{ type: string, start: number, end: number }>} The blocks in document order.
+ */
+function segmentQmd(qmdString) {
+    const lines = qmdString.split('\n');
+    const lineStarts = [];
+    let offset = 0;
+    lines.forEach(line => {
+        lineStarts.push(offset);
+        offset += line.length + 1;
+    });
+
+    const blocks = [];
+    const isBlank = (index) => index < lines.length && !lines[index].trim();
+    const addBlock = (type, first, last) => {
+        blocks.push({ type, start: lineStarts[first], end: lineStarts[last] + lines[last].length });
+    };
+    // A code fence opening line, e.g. ``` or ~~~~{r}
+    const codeFenceOf = (line) => {
+        const match = line.trim().match(/^(`{3,}|~{3,})/);
+        return match ? match[1] : null;
+    };
+    // Index of the line closing a code fence opened at `first`, or the last line if it never closes.
+    const findCodeFenceEnd = (first, fence) => {
+        for (let j = first + 1; j < lines.length; j++) {
+            const trimmed = lines[j].trim();
+            if (trimmed.startsWith(fence[0].repeat(fence.length)) && /^(`+|~+)$/.test(trimmed)) return j;
+        }
+        return lines.length - 1;
+    };
+    // Index of the last line of a paragraph-like run of lines starting at `first`.
+    const findRunEnd = (first) => {
+        let j = first;
+        while (j + 1 < lines.length && !isBlank(j + 1) && !codeFenceOf(lines[j + 1]) && !/^:{3,}/.test(lines[j + 1].trim())) {
+            j++;
+        }
+        return j;
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        if (!trimmed) {
+            i++;
+            continue;
+        }
+
+        // YAML front matter
+        if (blocks.length === 0 && trimmed === '---') {
+            let j = i + 1;
+            while (j < lines.length && lines[j].trim() !== '---') j++;
+            const last = Math.min(j, lines.length - 1);
+            addBlock('yaml', i, last);
+            i = last + 1;
+            continue;
+        }
+
+        // Fenced code, including ```{=html} passthrough blocks
+        const codeFence = codeFenceOf(line);
+        if (codeFence) {
+            const last = findCodeFenceEnd(i, codeFence);
+            addBlock(/^\{=/.test(trimmed.slice(codeFence.length)) ? 'raw' : 'code', i, last);
+            i = last + 1;
+            continue;
+        }
+
+        // Fenced divs, closed by the matching fence at the same nesting depth
+        if (/^:{3,}\s*[^:\s]/.test(trimmed)) {
+            let depth = 0;
+            let j = i;
+            for (; j < lines.length; j++) {
+                const inner = lines[j].trim();
+                const innerFence = codeFenceOf(lines[j]);
+                if (innerFence && j > i) {
+                    j = findCodeFenceEnd(j, innerFence);
+                    continue;
+                }
+                if (/^:{3,}\s*[^:\s]/.test(inner)) depth++;
+                else if (/^:{3,}$/.test(inner) && --depth === 0) break;
+            }
+            const last = Math.min(j, lines.length - 1);
+            addBlock('div', i, last);
+            i = last + 1;
+            continue;
+        }
+
+        // Display math, with its optional {#eq-label}
+        if (trimmed.startsWith('$$')) {
+            let j = i;
+            if (!/^\$\$[\s\S]*\$\$/.test(trimmed.replace(/\s*\{#[^}]*\}$/, '')) || trimmed === '$$') {
+                j = i + 1;
+                while (j < lines.length && !lines[j].includes('$$')) j++;
+            }
+            const last = Math.min(j, lines.length - 1);
+            addBlock('equation', i, last);
+            i = last + 1;
+            continue;
+        }
+
+        // HTML comments
+        if (trimmed.startsWith('<!--')) {
+            let j = i;
+            while (j < lines.length && !lines[j].includes('-->')) j++;
+            const last = Math.min(j, lines.length - 1);
+            addBlock('comment', i, last);
+            i = last + 1;
+            continue;
+        }
+
+        // Pipe tables, with a caption line after an optional blank line
+        if (trimmed.startsWith('|')) {
+            let j = i;
+            while (j + 1 < lines.length && lines[j + 1].trim().startsWith('|')) j++;
+            const captionLine = isBlank(j + 1) ? j + 2 : j + 1;
+            if (captionLine < lines.length && /^:\s/.test(lines[captionLine].trim())) j = captionLine;
+            addBlock('table', i, j);
+            i = j + 1;
+            continue;
+        }
+
+        // ATX headings
+        if (/^#{1,6}(\s|$)/.test(trimmed)) {
+            addBlock('heading', i, i);
+            i++;
+            continue;
+        }
+
+        if (HORIZONTAL_RULE_REGEX.test(line)) {
+            addBlock('hr', i, i);
+            i++;
+            continue;
+        }
+
+        // Footnote and link reference definitions, with their indented continuation paragraphs
+        if (/^\[\^?[^\]]+\]:/.test(trimmed)) {
+            let j = findRunEnd(i);
+            while (isBlank(j + 1) && j + 2 < lines.length && /^(\s{4}|\t)/.test(lines[j + 2])) {
+                j = findRunEnd(j + 2);
+            }
+            addBlock('definition', i, j);
+            i = j + 1;
+            continue;
+        }
+
+        // Block quotes, including their lazy continuation lines
+        if (trimmed.startsWith('>')) {
+            const last = findRunEnd(i);
+            addBlock('blockquote', i, last);
+            i = last + 1;
+            continue;
+        }
+
+        // Lists run on through blank lines while items or indented continuations follow
+        if (LIST_MARKER_REGEX.test(line)) {
+            let j = findRunEnd(i);
+            while (isBlank(j + 1)) {
+                let next = j + 1;
+                while (isBlank(next)) next++;
+                if (next >= lines.length || !(LIST_MARKER_REGEX.test(lines[next]) || /^(\s{2,}|\t)/.test(lines[next]))) break;
+                const innerFence = codeFenceOf(lines[next]);
+                j = innerFence ? findCodeFenceEnd(next, innerFence) : findRunEnd(next);
+            }
+            addBlock('list', i, j);
+            i = j + 1;
+            continue;
+        }
+
+        // Paragraphs; a setext underline turns one into a heading, ': ' lines into a definition list
+        let last = findRunEnd(i);
+        let type = 'paragraph';
+        if (last > i && /^(=+|-+)\s*$/.test(lines[last].trim())) {
+            type = 'heading';
+        }
+        const isDefinition = (index) => index < lines.length && /^[:~]\s/.test(lines[index]);
+        if (type === 'paragraph' && (isDefinition(i + 1) || (isBlank(last + 1) && isDefinition(last + 2)))) {
+            type = 'definitionList';
+            for (;;) {
+                let next = last + 1;
+                while (isBlank(next)) next++;
+                if (next >= lines.length || !(isDefinition(next) || /^(\s{4}|\t)/.test(lines[next]))) break;
+                last = findRunEnd(next);
+            }
+        }
+        addBlock(type, i, last);
+        i = last + 1;
+    }
+
+    return blocks;
+}
+
+// Shortcodes ({{< var n >}}) and inline code Quarto executes (`r nrow(df)`, `{python} len(x)`).
+// Escaped shortcodes ({{{< var n >}}}) are left alone.
+const INLINE_EXPRESSION_REGEX = /(?<!\{)\{\{<[\s\S]*?>\}\}(?!\})|`\{(?:r|python|julia)\}\s+[^`\n]+`|`r\s+[^`\n]+`/g;
+
+// Source blocks whose text Quarto doesn't treat as prose.
+const NON_PROSE_BLOCK_TYPES = ['yaml', 'code', 'raw', 'equation', 'comment'];
+
+/**
+ * Finds the text blocks (paragraphs, headings, list items, table cells, ...) that contain
+ * shortcodes or inline code expressions. Quarto replaces these with their values when it renders,
+ * so the parser uses the text around each expression to find its value in the JATS output.
+ *
+ * @param {string} qmdString - The raw QMD content.
+ * @param {Array<object>} sourceBlocks - The blocks from segmentQmd.
+ * @returns {Array<{ text: string, previousText: string|null, expressions: Array<{ source: string, kind: string, start: number, end: number }> }>}
+ *   One entry per text block in document order, with each expression's position in the block's text
+ *   and the text of the block before it. `kind` is 'shortcode' or 'code'.
+ */
+function collectInlineExpressions(qmdString, sourceBlocks) {
+    const textBlocks = [];
+
+    sourceBlocks
+        .filter(block => !NON_PROSE_BLOCK_TYPES.includes(block.type))
+        .forEach(block => {
+            const blockText = qmdString.slice(block.start, block.end)
+                .replace(/^(\s*)(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\s*\2\s*$/gm, '') // code inside divs and lists
+                .replace(/^\s*:{3,}.*$/gm, ''); // div fences
+            let current = null;
+            const startUnit = (text) => {
+                current = { lines: [text] };
+                textBlocks.push(current);
+            };
+
+            blockText.split('\n').forEach(line => {
+                if (!line.trim()) {
+                    current = null;
+                    return;
+                }
+                if (/^\s*\|/.test(line)) {
+                    // Each table cell is its own text block; the separator row has none.
+                    line.trim().replace(/^\||\|$/g, '').split('|')
+                        .filter(cell => !/^\s*:?-+:?\s*$/.test(cell))
+                        .forEach(cell => startUnit(cell.trim()));
+                    current = null;
+                    return;
+                }
+                const marker = line.match(/^\s*(?:>\s?)*(?:#{1,6}\s+|[-*+]\s+(?:\[[ xX]\]\s+)?|\(?(?:\d+|#|[a-zA-Z]|[ivxlcdmIVXLCDM]+)[.)]\s+|[:~]\s+)?/);
+                const text = line.slice(marker[0].length).trim();
+                if (current && !/[#\-*+.):~]\s+$/.test(marker[0])) {
+                    current.lines.push(text);
+                } else {
+                    startUnit(text);
+                }
+            });
+        });
+
+    return textBlocks
+        .map(({ lines }, index) => {
+            const text = lines.join(' ');
+            const previousText = index > 0 ? textBlocks[index - 1].lines.join(' ') : null;
+            const expressions = [];
+            let match;
+            INLINE_EXPRESSION_REGEX.lastIndex = 0;
+            while ((match = INLINE_EXPRESSION_REGEX.exec(text)) !== null) {
+                expressions.push({
+                    source: match[0],
+                    kind: match[0].startsWith('{{<') ? 'shortcode' : 'code',
+                    start: match.index,
+                    end: match.index + match[0].length
+                });
+            }
+            return { text, previousText, expressions };
+        })
+        .filter(textBlock => textBlock.expressions.length > 0);
+}
+
+// Reduces text to lowercase letters and digits so Markdown source can be compared with rendered text.
+const normalizeForMatching = (text) => (text || '')
+    .replace(/\]\([^)]*\)/g, ']') // link targets
+    .replace(/\{[^}]*\}/g, '') // attributes and cross-reference labels
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+
+  module.exports = { parseQmd, parseFencedDivs, parseFencedDivHeader, parseHeading, pandocIdentifier, segmentQmd, collectInlineExpressions, normalizeForMatching };
\ No newline at end of file
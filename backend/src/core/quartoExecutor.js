@@ -0,0 +1,333 @@
+const { spawn, execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Runs `quarto render` for the renderers. A .qmd can run any code its chunks contain, so renders
+// run in a sandbox picked with QUARTO_EXECUTION:
+//
+//   subprocess  (default) Quarto runs on the host with a stripped environment, without network
+//               and with memory, CPU and file size limits, in its own user, mount and PID
+//               namespaces: the file system is read-only apart from its work directory, and the
+//               server's directory, the home directory and the temp directory are replaced by empty
+//               ones (QUARTO_HIDDEN_PATHS), so the code doesn't see .env, the database or the other
+//               clones. Needs prlimit and unshare from util-linux, and a kernel that lets
+//               unprivileged users create user namespaces. It does not protect against: reading
+//               what else is world- or user-readable on the host, writing to file systems mounted
+//               separately from / (remounted read-only only at the root), kernel exploits, or
+//               using up disk space in the work directory up to the file size limit per file.
+//   bubblewrap  Like subprocess, but in a bwrap sandbox that only sees the system directories
+//               (QUARTO_SANDBOX_PATHS), the project mounted read-only and its own work directory.
+//   container   In a throwaway container (QUARTO_CONTAINER_ENGINE, `docker` or rootless `podman`)
+//               from QUARTO_CONTAINER_IMAGE, without network, read-only apart from its work directory.
+//   trusted     Quarto runs on the host as the server does, with only the time limit. For local
+//               development with documents you trust.
+//
+// Limits: QUARTO_TIMEOUT_SECONDS (300), QUARTO_MEMORY_MB (2048), QUARTO_CPUS (1, container only).
+// In every mode Quarto renders a copy of the project, never the clone itself.
+
+const EXECUTION_MODES = ['trusted', 'subprocess', 'bubblewrap', 'container'];
+
+const DEFAULT_SANDBOX_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc', '/opt'];
+const MAX_FILE_SIZE_BYTES = 1024 * 1024 * 1024;
+// Output kept for error messages; a chatty render shouldn't fill the server's memory
+const MAX_OUTPUT_LENGTH = 1024 * 1024;
+
+// Copies the read-only project into the writable work directory before rendering, inside the sandbox
+const COPY_AND_RUN = 'cp -R /project/. /work/project && cd /work/project && exec "$@"';
+
+// Run inside the subprocess mode's namespaces with the work directory as $1: hides each of
+// $QUARTORIUM_HIDDEN_PATHS under an empty tmpfs, mounts the work directory back (the shell's
+// directory still refers to it once it's hidden), and makes the rest of / read-only.
+const HIDE_AND_RUN = [
+  'set -e',
+  'work="$1"; shift',
+  'cd "$work"',
+  'IFS=:',
+  'for dir in $QUARTORIUM_HIDDEN_PATHS; do if [ -d "$dir" ]; then mount -t tmpfs tmpfs "$dir"; fi; done',
+  'unset IFS QUARTORIUM_HIDDEN_PATHS',
+  'mkdir -p "$work"',
+  'mount --no-canonicalize --bind . "$work"',
+  'mount -o remount,bind,ro /',
+  'cd "$work/project"',
+  'exec "$@"',
+].join('\n');
+
+// The server's directory, with .env, the database, the clones and the render cache
+const SERVER_DIR = path.join(__dirname, '../..');
+
+/**
+ * Reads the execution settings from the environment.
+ *
+ * @param {Object} [env] - Defaults to process.env.
+ * @returns {Object} The settings used by runQuarto.
+ */
+function getExecutionConfig(env = process.env) {
+  const mode = env.QUARTO_EXECUTION || 'subprocess';
+  if (!EXECUTION_MODES.includes(mode)) {
+    throw new Error(`Invalid QUARTO_EXECUTION "${mode}". Expected one of: ${EXECUTION_MODES.join(', ')}.`);
+  }
+  return {
+    mode,
+    quartoPath: env.QUARTO_PATH || 'quarto',
+    timeoutSeconds: Number(env.QUARTO_TIMEOUT_SECONDS) || 300,
+    memoryMb: Number(env.QUARTO_MEMORY_MB) || 2048,
+    cpus: Number(env.QUARTO_CPUS) || 1,
+    containerEngine: env.QUARTO_CONTAINER_ENGINE || 'docker',
+    containerImage: env.QUARTO_CONTAINER_IMAGE || 'ghcr.io/quarto-dev/quarto:latest',
+    sandboxPaths: env.QUARTO_SANDBOX_PATHS ? env.QUARTO_SANDBOX_PATHS.split(':').filter(Boolean) : DEFAULT_SANDBOX_PATHS,
+    hiddenPaths: env.QUARTO_HIDDEN_PATHS !== undefined
+      ? env.QUARTO_HIDDEN_PATHS.split(':').filter(Boolean)
+      : [path.resolve(SERVER_DIR), os.homedir(), os.tmpdir()],
+  };
+}
+
+// Only what Quarto needs; the server's own environment holds secrets such as the OAuth client secret
+function sandboxEnv(home, env = process.env) {
+  const kept = { PATH: env.PATH || '/usr/local/bin:/usr/bin:/bin', HOME: home, TMPDIR: '/tmp' };
+  ['LANG', 'LC_ALL', 'TZ', 'QUARTO_R', 'QUARTO_PYTHON', 'R_LIBS_SITE'].forEach(name => {
+    if (env[name]) kept[name] = env[name];
+  });
+  return kept;
+}
+
+function resourceLimits(config) {
+  return [
+    `--data=${config.memoryMb * 1024 * 1024}`,
+    `--cpu=${config.timeoutSeconds}`,
+    `--fsize=${MAX_FILE_SIZE_BYTES}`,
+  ];
+}
+
+/**
+ * Builds the command that renders in the configured sandbox. The host side of the work directory
+ * holds `project`, the copy Quarto renders, and `home`, its home directory for caches.
+ *
+ * @param {Object} config - From getExecutionConfig.
+ * @param {{ projectDir: string, workDir: string, args: Array<string>, containerName?: string }} run
+ * @returns {{ command: string, args: Array<string>, cwd: string, env: Object }}
+ */
+function buildCommand(config, { projectDir, workDir, args, containerName }) {
+  const projectCopy = path.join(workDir, 'project');
+  const home = path.join(workDir, 'home');
+
+  switch (config.mode) {
+    case 'trusted':
+      return { command: config.quartoPath, args, cwd: projectCopy, env: process.env };
+
+    case 'subprocess':
+      return {
+        command: 'prlimit',
+        args: [
+          ...resourceLimits(config), '--',
+          'unshare', '--net', '--map-root-user', '--mount', '--pid', '--fork', '--mount-proc', '--',
+          'sh', '-c', HIDE_AND_RUN, 'sh', workDir, config.quartoPath, ...args,
+        ],
+        cwd: projectCopy,
+        env: { ...sandboxEnv(home), QUARTORIUM_HIDDEN_PATHS: config.hiddenPaths.join(':') },
+      };
+
+    case 'bubblewrap': {
+      const systemPaths = config.sandboxPaths.filter(dir => fsSync.existsSync(dir)).flatMap(dir => ['--ro-bind', dir, dir]);
+      return {
+        command: 'prlimit',
+        args: [
+          ...resourceLimits(config), '--',
+          'bwrap', '--unshare-all', '--die-with-parent', '--new-session',
+          ...systemPaths,
+          '--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp',
+          '--ro-bind', projectDir, '/project',
+          '--bind', workDir, '/work',
+          '--setenv', 'HOME', '/work/home',
+          '--chdir', '/work',
+          'sh', '-c', COPY_AND_RUN, 'sh', config.quartoPath, ...args,
+        ],
+        cwd: workDir,
+        env: sandboxEnv(home),
+      };
+    }
+
+    case 'container': {
+      const user = typeof process.getuid === 'function' ? ['--user', `${process.getuid()}:${process.getgid()}`] : [];
+      return {
+        command: config.containerEngine,
+        args: [
+          'run', '--rm', '--name', containerName,
+          '--network', 'none',
+          '--memory', `${config.memoryMb}m`, '--cpus', String(config.cpus), '--pids-limit', '512',
+          '--read-only', '--tmpfs', '/tmp', '--cap-drop', 'ALL', '--security-opt', 'no-new-privileges',
+          ...user,
+          '-e', 'HOME=/work/home',
+          '-v', `${projectDir}:/project:ro`,
+          '-v', `${workDir}:/work`,
+          '-w', '/work',
+          config.containerImage,
+          'sh', '-c', COPY_AND_RUN, 'sh', config.quartoPath, ...args,
+        ],
+        cwd: workDir,
+        env: process.env,
+      };
+    }
+
+    default:
+      throw new Error(`Invalid QUARTO_EXECUTION "${config.mode}".`);
+  }
+}
+
+function execute({ command, args, cwd, env }, config, containerName, { signal, onOutput } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Quarto execution cancelled'));
+    // Its own process group, so a timeout or cancellation also stops the R or Python processes Quarto started
+    const child = spawn(command, args, { cwd, env, detached: process.platform !== 'win32' });
+    let stdout = '';
+    let stderr = '';
+    let stopReason = null;
+    child.stdout.on('data', chunk => {
+      if (stdout.length < MAX_OUTPUT_LENGTH) stdout += chunk;
+      onOutput?.(chunk.toString());
+    });
+    child.stderr.on('data', chunk => {
+      if (stderr.length < MAX_OUTPUT_LENGTH) stderr += chunk;
+      onOutput?.(chunk.toString());
+    });
+
+    const stop = (reason) => {
+      if (stopReason) return;
+      stopReason = reason;
+      try {
+        process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGKILL');
+      } catch {
+        // Already gone
+      }
+      if (config.mode === 'container') {
+        // Stopping the CLI leaves the container running
+        execFile(config.containerEngine, ['kill', containerName], () => {});
+      }
+    };
+    const timer = setTimeout(() => stop(`timed out after ${config.timeoutSeconds} seconds`), config.timeoutSeconds * 1000);
+    const onAbort = () => stop('cancelled');
+    signal?.addEventListener('abort', onAbort);
+    const finish = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    child.on('error', (error) => {
+      finish();
+      reject(new Error(`Quarto execution failed: could not start ${command} (${error.message})`));
+    });
+    child.on('close', (code) => {
+      finish();
+      if (stopReason) {
+        return reject(Object.assign(new Error(`Quarto execution ${stopReason === 'cancelled' ? 'cancelled' : `failed: ${stopReason}`}`), { stdout, stderr }));
+      }
+      if (code !== 0) {
+        return reject(Object.assign(new Error(`Quarto execution failed: ${stderr}`), { stdout, stderr }));
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Runs Quarto on a copy of a project in the configured sandbox and hands the rendered copy to
+ * `useOutput`. The copy is removed once `useOutput` has finished, so move out whatever is kept.
+ *
+ * @param {string} projectDir - The project to render; it is not modified.
+ * @param {Array<string>} args - Quarto arguments, e.g. ['render', 'paper.qmd', '--to', 'jats'].
+ * @param {function(string): Promise<*>} useOutput - Called with the directory of the rendered copy.
+ * @param {Object} [options]
+ * @param {Object} [options.config] - From getExecutionConfig; read from the environment by default.
+ * @param {AbortSignal} [options.signal] - Stops the render when aborted.
+ * @param {function(string): void} [options.onOutput] - Receives Quarto's output as it is written.
+ * @param {function(string): Promise<void>} [options.prepare] - Changes a copy of the project, made
+ *   outside the sandbox and without its .git directory, before that copy is rendered; e.g. to add
+ *   the document to render.
+ * @returns {Promise<*>} What `useOutput` returns.
+ */
+async function runQuarto(projectDir, args, useOutput, { config = getExecutionConfig(), signal, onOutput, prepare } = {}) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quartorium-render-'));
+  const projectCopy = path.join(workDir, 'project');
+  const containerName = `quartorium-${crypto.randomBytes(6).toString('hex')}`;
+  let preparedDir = null;
+  try {
+    if (prepare) {
+      preparedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quartorium-prepared-'));
+      const gitDir = path.join(projectDir, '.git');
+      await fs.cp(projectDir, preparedDir, { recursive: true, filter: (source) => source !== gitDir });
+      await prepare(preparedDir);
+      projectDir = preparedDir;
+    }
+    await fs.mkdir(path.join(workDir, 'home'));
+    if (config.mode === 'trusted' || config.mode === 'subprocess') {
+      await fs.cp(projectDir, projectCopy, { recursive: true });
+    } else {
+      // Copied inside the sandbox, which only gets the project read-only
+      await fs.mkdir(projectCopy);
+    }
+    const command = buildCommand(config, { projectDir: path.resolve(projectDir), workDir, args, containerName });
+    const { stdout } = await execute(command, config, containerName, { signal, onOutput });
+    if (stdout) console.log(`Quarto stdout: ${stdout}`);
+    return await useOutput(projectCopy);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+    if (preparedDir) await fs.rm(preparedDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Reads how far Quarto got with the code chunks from a piece of its output: knitr writes `4/12`
+ * or a percentage bar, Jupyter `Cell 4/12`.
+ *
+ * @param {string} output
+ * @returns {{ current: number, total: number }|{ percent: number }|null} The last progress in it.
+ */
+function chunkProgressOf(output) {
+  let progress = null;
+  output.split(/\r?\n|\r/).forEach(line => {
+    const counted = line.match(/^\s*(?:Cell\s+)?(\d+)\/(\d+)(?:[\s:]|$)/);
+    const percent = line.match(/\|\s*(\d{1,3})%/);
+    if (counted && Number(counted[1]) <= Number(counted[2])) {
+      progress = { current: Number(counted[1]), total: Number(counted[2]) };
+    } else if (percent) {
+      progress = { percent: Number(percent[1]) };
+    }
+  });
+  return progress;
+}
+
+/**
+ * Checks that the tools of the configured mode are installed, so a missing sandbox shows up when
+ * the server starts rather than on the first render.
+ *
+ * @returns {Promise<void>} Logs the outcome; never rejects.
+ */
+async function checkQuartoExecution() {
+  let config;
+  try {
+    config = getExecutionConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return;
+  }
+  const tools = {
+    trusted: [config.quartoPath],
+    subprocess: [config.quartoPath, 'prlimit', 'unshare'],
+    bubblewrap: ['prlimit', 'bwrap'],
+    container: [config.containerEngine],
+  }[config.mode];
+  const missing = [];
+  for (const tool of tools) {
+    const found = await new Promise(resolve => execFile(tool, ['--version'], (error) => resolve(!error || error.code !== 'ENOENT')));
+    if (!found) missing.push(tool);
+  }
+  if (missing.length > 0) {
+    console.error(`❌ Quarto renders run in "${config.mode}" mode, but ${missing.join(', ')} could not be found. Install them or set QUARTO_EXECUTION.`);
+    return;
+  }
+  console.log(`✅ Quarto renders run in "${config.mode}" mode.`);
+}
+
+module.exports = { EXECUTION_MODES, getExecutionConfig, buildCommand, runQuarto, chunkProgressOf, checkQuartoExecution };
@@ -2,13 +2,21 @@ const matter = require('gray-matter');
 const { remark } = require('remark');
 const { renderChunk } = require('./quartoRunner');
 const { extractCommentsAppendix } = require('./commentUtils');
+const { reattachComments } = require('./commentAnchors');
 
-async function qmdToProseMirror(qmdString) {
+/**
+ * @param {string} qmdString
+ * @param {{ signal?: AbortSignal, onProgress?: function(string): void }} [options] - Cancels the
+ *   conversion between chunks, and hears which chunk is being executed.
+ */
+async function qmdToProseMirror(qmdString, { signal, onProgress } = {}) {
   const { comments, remainingQmdString } = extractCommentsAppendix(qmdString);
   const { data: yaml, content: markdown } = matter(remainingQmdString);
   const tree = remark().parse(markdown);
 
   const proseMirrorNodes = [];
+  const chunkCount = tree.children.filter(node => node.type === 'code' && node.lang).length;
+  let chunkNumber = 0;
 
   for (const node of tree.children) {
     if (node.type === 'code' && node.lang) {
@@ -17,7 +25,10 @@ async function qmdToProseMirror(qmdString) {
       const code = node.value;
 
       // Render the chunk to get its output
-      const htmlOutput = await renderChunk(code, chunkOptions);
+      if (signal?.aborted) throw new Error('Render cancelled');
+      chunkNumber++;
+      onProgress?.(`Executing chunk ${chunkNumber}/${chunkCount}`);
+      const htmlOutput = await renderChunk(code, chunkOptions, { signal });
 
       proseMirrorNodes.push({
         type: 'quartoBlock',
@@ -90,7 +101,8 @@ async function qmdToProseMirror(qmdString) {
     },
   };
 
-  return { prosemirrorJson, comments };
+  // Comments whose span didn't survive are found again from their anchors
+  return { prosemirrorJson, comments: reattachComments(prosemirrorJson, comments) };
 }
 
 module.exports = { qmdToProseMirror };
\ No newline at end of file
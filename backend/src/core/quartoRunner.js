@@ -1,19 +1,20 @@
-const { exec } = require('child_process');
 const fs = require('fs/promises');
 const path = require('path');
 const os = require('os');
+const { JSDOM } = require('jsdom');
+const { runQuarto } = require('./quartoExecutor');
 
-// --- SECURITY WARNING ---
-// This current implementation runs Quarto directly on the host machine.
-// This is a MAJOR security risk if used with untrusted .qmd files, as they
-// can execute arbitrary code. For a public-facing service, this MUST be
-// replaced with a sandboxed execution environment (e.g., Docker containers).
-// For this trusted-user-only phase, we proceed with this simplified model.
+const CHUNK_RUNS_DIR = path.join(__dirname, '../../cache/chunk-runs');
+// Named so it doesn't clash with the project's own documents
+const CHUNK_RUN_FILE = 'quartorium-chunk-run';
+const OUTPUT_DIV_ID = 'quartorium-chunk-output';
 
-async function renderChunk(code, chunkOptions) {
+// Chunks are rendered in the sandbox configured for quartoExecutor (QUARTO_EXECUTION), as their
+// code may come from anyone the document is shared with.
+
+async function renderChunk(code, chunkOptions, { signal } = {}) {
   const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quartorium-'));
   const tempQmdPath = path.join(tempDir, 'temp.qmd');
-  const tempHtmlPath = path.join(tempDir, 'temp.html');
 
   try {
     const qmdContent = `---
@@ -26,20 +27,10 @@ format: html
 
     await fs.writeFile(tempQmdPath, qmdContent);
 
-    // Execute the Quarto CLI command
-    await new Promise((resolve, reject) => {
-      exec(`quarto render "${tempQmdPath}" --to html --self-contained`, (error, stdout, stderr) => {
-        if (error) {
-          console.error(`Quarto render error: ${stderr}`);
-          return reject(new Error(`Quarto execution failed: ${stderr}`));
-        }
-        resolve(stdout);
-      });
-    });
-
-    console.log('--- [DEBUG] Temp dir for rendering: ', tempDir);
-
-    const htmlOutput = await fs.readFile(tempHtmlPath, 'utf8');
+    // Render the chunk document and read the HTML before the sandbox's copy is removed
+    const htmlOutput = await runQuarto(tempDir, ['render', 'temp.qmd', '--to', 'html', '--self-contained'], (renderDir) =>
+      fs.readFile(path.join(renderDir, 'temp.html'), 'utf8'), { signal }
+    );
     
     // A simple way to extract just the output div from the rendered HTML body
     const match = htmlOutput.match(/<div id="quarto-content" role="main">([\s\S]*?)<\/div>/);
@@ -56,4 +47,90 @@ format: html
   }
 }
 
-module.exports = { renderChunk };
\ No newline at end of file
+// A document with the chunks before the one that is run, so it sees the state they leave, and the
+// chunk itself in a div its output is taken from. knitr caches every chunk, so only the ones that
+// changed since the last run are executed again; other engines run the earlier chunks each time.
+function chunkRunDocument(previousChunks, chunk) {
+  const fenced = ({ code, language, chunkOptions, chunkOptionLines }) =>
+    `\`\`\`{${chunkOptions || language}}\n${chunkOptionLines ? `${chunkOptionLines}\n` : ''}${code}\n\`\`\``;
+  const cache = chunk.language === 'r' ? 'execute:\n  cache: true\n' : '';
+  return `---
+title: "Chunk Run"
+format: html
+${cache}---
+
+${previousChunks.map(fenced).join('\n\n')}
+
+::: {#${OUTPUT_DIV_ID}}
+${fenced(chunk)}
+:::
+`;
+}
+
+// The output of the chunk, without its source, which the editor shows separately
+function extractChunkOutput(html) {
+  const { document } = new JSDOM(html).window;
+  const outputDiv = document.getElementById(OUTPUT_DIV_ID);
+  if (!outputDiv) throw new Error('Could not find the chunk output in the rendered document.');
+  outputDiv.querySelectorAll('div.sourceCode, pre.sourceCode').forEach(source => source.remove());
+  return outputDiv.innerHTML.trim();
+}
+
+// The rendered HTML is next to the run document, or in the project's output directory
+async function findChunkRunHtml(renderDir, documentDir) {
+  const besideDocument = path.join(renderDir, documentDir, `${CHUNK_RUN_FILE}.html`);
+  if (await fs.access(besideDocument).then(() => true, () => false)) return besideDocument;
+  const entries = await fs.readdir(renderDir, { recursive: true });
+  const found = entries.find(entry => path.basename(entry) === `${CHUNK_RUN_FILE}.html`);
+  if (!found) throw new Error('Quarto did not write the chunk run document.');
+  return path.join(renderDir, found);
+}
+
+/**
+ * Runs one chunk after the chunks that come before it, and returns its output. The chunks are
+ * rendered in a copy of the project, from a document next to the one they come from, so they read
+ * its data files and use the project's settings. The engine's cache is kept between the runs of a
+ * document in its run directory.
+ *
+ * @param {string} runKey - Names the document's run directory.
+ * @param {Array<{ code: string, language: string, chunkOptions?: string, chunkOptionLines?: string }>} previousChunks - In document order.
+ * @param {{ code: string, language: string, chunkOptions?: string, chunkOptionLines?: string }} chunk
+ * @param {Object} options
+ * @param {string} options.projectDir - The clone of the project.
+ * @param {string} options.filepath - The document, relative to the clone.
+ * @param {AbortSignal} [options.signal]
+ * @param {function(string): void} [options.onOutput]
+ * @returns {Promise<string>} The chunk's output as HTML.
+ */
+async function renderChunkInContext(runKey, previousChunks, chunk, { projectDir, filepath, signal, onOutput }) {
+  const runDir = path.join(CHUNK_RUNS_DIR, runKey);
+  await fs.mkdir(runDir, { recursive: true });
+  const documentDir = path.dirname(filepath);
+  const cacheNames = [`${CHUNK_RUN_FILE}_cache`, '.jupyter_cache'];
+
+  const prepare = async (projectCopy) => {
+    await fs.writeFile(path.join(projectCopy, documentDir, `${CHUNK_RUN_FILE}.qmd`), chunkRunDocument(previousChunks, chunk));
+    // The caches of the earlier runs go where the engines look for them, next to the run document
+    for (const cacheName of cacheNames) {
+      const savedCache = path.join(runDir, cacheName);
+      if (!await fs.access(savedCache).then(() => true, () => false)) continue;
+      await fs.cp(savedCache, path.join(projectCopy, documentDir, cacheName), { recursive: true });
+    }
+  };
+
+  const args = ['render', path.join(documentDir, `${CHUNK_RUN_FILE}.qmd`), '--to', 'html', '--self-contained'];
+  return runQuarto(projectDir, args, async (renderDir) => {
+    const html = await fs.readFile(await findChunkRunHtml(renderDir, documentDir), 'utf8');
+    // Keep the caches for the next run; the sandbox's copy is removed after this
+    for (const cacheName of cacheNames) {
+      const renderedCache = path.join(renderDir, documentDir, cacheName);
+      const exists = await fs.access(renderedCache).then(() => true, () => false);
+      if (!exists) continue;
+      await fs.rm(path.join(runDir, cacheName), { recursive: true, force: true });
+      await fs.cp(renderedCache, path.join(runDir, cacheName), { recursive: true });
+    }
+    return extractChunkOutput(html);
+  }, { signal, onOutput, prepare });
+}
+
+module.exports = { renderChunk, renderChunkInContext };
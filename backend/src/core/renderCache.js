@@ -0,0 +1,236 @@
+const fs = require('fs/promises');
+const path = require('path');
+// Loaded on first use, so the parsers that use the cache can be required without opening the database
+const database = () => require('../db/sqlite');
+
+// Quarto's renders, kept in cache/renders/<repoId>/<key> with the key from renderCacheKey, so a
+// commit that changes nothing a document reads is served from the cache. Renders are tracked in
+// the render_cache table; once they take more disk than RENDER_CACHE_MAX_MB (2048), the least
+// recently used are removed. A removed render is rendered again when it is next needed.
+// Renders whose assets documents still link to (saved live documents, Yjs rooms and finished
+// render jobs) are kept, and so are those used in the last few minutes, which may still be read.
+
+const RENDER_CACHE_DIR = path.join(__dirname, '../../cache/renders');
+const RECENTLY_USED_MS = 10 * 60 * 1000;
+// The asset URLs the parsers write, /api/assets/<repoId>/<render key>/<file>
+const ASSET_URL_PATTERN = /\/api\/assets\/([^/"'\s]+)\/([^/"'\s]+)\//g;
+// Where documents that link to renders' assets are kept
+const REFERENCING_SOURCES = [
+  'SELECT prosemirror_json AS text FROM live_documents',
+  'SELECT CAST(state AS TEXT) AS text FROM yjs_documents',
+  'SELECT result_json AS text FROM render_jobs WHERE result_json IS NOT NULL',
+];
+
+// Lookups since the server started
+const counters = { since: new Date().toISOString(), hits: 0, misses: 0, evictions: 0 };
+
+const run = (sql, params) => new Promise((resolve, reject) => {
+  database().run(sql, params, function(err) {
+    if (err) return reject(err);
+    resolve(this);
+  });
+});
+
+const get = (sql, params) => new Promise((resolve, reject) => {
+  database().get(sql, params, (err, row) => {
+    if (err) return reject(err);
+    resolve(row);
+  });
+});
+
+const all = (sql, params) => new Promise((resolve, reject) => {
+  database().all(sql, params, (err, rows) => {
+    if (err) return reject(err);
+    resolve(rows);
+  });
+});
+
+const maxBytes = () => (Number(process.env.RENDER_CACHE_MAX_MB) || 2048) * 1024 * 1024;
+
+/**
+ * @param {number|string} repoId
+ * @param {string} key - From renderCacheKey.
+ * @returns {string} The directory of the render.
+ */
+function renderCachePath(repoId, key) {
+  return path.join(RENDER_CACHE_DIR, String(repoId), key);
+}
+
+async function directorySize(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  let size = 0;
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += await directorySize(fullPath);
+    } else {
+      size += (await fs.stat(fullPath).catch(() => ({ size: 0 }))).size;
+    }
+  }
+  return size;
+}
+
+async function trackRender(repoId, key, filepath, usedAt) {
+  const size = await directorySize(renderCachePath(repoId, key));
+  await run(
+    `INSERT INTO render_cache (repo_id, cache_key, filepath, size_bytes, created_at, last_used_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(repo_id, cache_key) DO UPDATE SET size_bytes = excluded.size_bytes, last_used_at = excluded.last_used_at`,
+    [repoId, key, filepath, size, usedAt, usedAt]
+  );
+}
+
+/**
+ * Looks a render up, and counts the lookup as a hit or a miss.
+ *
+ * @param {number|string} repoId
+ * @param {string} key
+ * @param {string} filename - The render's main file, e.g. `paper.xml`.
+ * @returns {Promise<string|null>} The file's path, or null if the render isn't cached.
+ */
+async function findCachedRender(repoId, key, filename) {
+  const file = path.join(renderCachePath(repoId, key), filename);
+  const exists = await fs.access(file).then(() => true, () => false);
+  if (!exists) {
+    counters.misses++;
+    return null;
+  }
+  counters.hits++;
+  try {
+    const now = new Date().toISOString();
+    const { changes } = await run(
+      'UPDATE render_cache SET hits = hits + 1, last_used_at = ? WHERE repo_id = ? AND cache_key = ?',
+      [now, repoId, key]
+    );
+    if (changes === 0) await trackRender(repoId, key, null, now);
+  } catch (error) {
+    console.error('Error recording a render cache hit:', error.message);
+  }
+  return file;
+}
+
+// The renders documents link to, as `<repoId>/<key>`
+async function referencedRenders() {
+  const referenced = new Set();
+  for (const sql of REFERENCING_SOURCES) {
+    for (const { text } of await all(sql, [])) {
+      for (const [, repoId, key] of String(text || '').matchAll(ASSET_URL_PATTERN)) {
+        referenced.add(`${repoId}/${key}`);
+      }
+    }
+  }
+  return referenced;
+}
+
+/**
+ * Removes the least recently used renders until the cache fits in RENDER_CACHE_MAX_MB. Renders
+ * documents link to, or used in the last RECENTLY_USED_MS, are kept, even if the cache stays larger.
+ *
+ * @param {{ keep?: { repoId: number|string, key: string } }} [options] - A render not to remove,
+ *   such as the one just added.
+ * @returns {Promise<number>} How many renders were removed.
+ */
+async function evictRenders({ keep } = {}) {
+  const limit = maxBytes();
+  let { total } = await get('SELECT COALESCE(SUM(size_bytes), 0) AS total FROM render_cache', []);
+  if (total <= limit) return 0;
+
+  const recentlyUsed = new Date(Date.now() - RECENTLY_USED_MS).toISOString();
+  const rows = await all(
+    'SELECT repo_id, cache_key, size_bytes FROM render_cache WHERE last_used_at < ? ORDER BY last_used_at',
+    [recentlyUsed]
+  );
+  const referenced = await referencedRenders();
+  let evicted = 0;
+  for (const row of rows) {
+    if (total <= limit) break;
+    if (keep && String(row.repo_id) === String(keep.repoId) && row.cache_key === keep.key) continue;
+    if (referenced.has(`${row.repo_id}/${row.cache_key}`)) continue;
+    await fs.rm(renderCachePath(row.repo_id, row.cache_key), { recursive: true, force: true });
+    await run('DELETE FROM render_cache WHERE repo_id = ? AND cache_key = ?', [row.repo_id, row.cache_key]);
+    total -= row.size_bytes;
+    evicted++;
+  }
+  counters.evictions += evicted;
+  if (evicted > 0) console.log(`✅ Removed ${evicted} least recently used render(s) from the render cache.`);
+  return evicted;
+}
+
+/**
+ * Records a render that was just written to renderCachePath, and makes room for it.
+ *
+ * @param {number|string} repoId
+ * @param {string} key
+ * @param {string} filepath - The document, relative to the repository.
+ */
+async function addCachedRender(repoId, key, filepath) {
+  await trackRender(repoId, key, filepath, new Date().toISOString());
+  await evictRenders({ keep: { repoId, key } });
+}
+
+/**
+ * Hit rate since the server started, and the disk the renders take, in total and per repository.
+ *
+ * @returns {Promise<Object>}
+ */
+async function getRenderCacheStats() {
+  const repositories = await all(
+    `SELECT repo_id AS repoId, COUNT(*) AS entries, SUM(size_bytes) AS diskBytes, SUM(hits) AS hits
+     FROM render_cache GROUP BY repo_id ORDER BY diskBytes DESC`,
+    []
+  );
+  const lookups = counters.hits + counters.misses;
+  return {
+    since: counters.since,
+    hits: counters.hits,
+    misses: counters.misses,
+    hitRate: lookups > 0 ? counters.hits / lookups : null,
+    evictions: counters.evictions,
+    entries: repositories.reduce((sum, repo) => sum + repo.entries, 0),
+    diskBytes: repositories.reduce((sum, repo) => sum + repo.diskBytes, 0),
+    maxBytes: maxBytes(),
+    repositories,
+  };
+}
+
+/**
+ * Brings the render_cache table in line with the disk: renders written before it existed are
+ * tracked, rows of renders that are gone are dropped. Then evicts what doesn't fit.
+ */
+async function startRenderCache() {
+  try {
+    const tracked = new Set((await all('SELECT repo_id, cache_key FROM render_cache', []))
+      .map(row => `${row.repo_id}/${row.cache_key}`));
+    const onDisk = new Set();
+    const repoDirs = await fs.readdir(RENDER_CACHE_DIR, { withFileTypes: true }).catch(() => []);
+    for (const repoDir of repoDirs.filter(entry => entry.isDirectory())) {
+      const renders = await fs.readdir(path.join(RENDER_CACHE_DIR, repoDir.name), { withFileTypes: true });
+      for (const render of renders.filter(entry => entry.isDirectory())) {
+        onDisk.add(`${repoDir.name}/${render.name}`);
+        if (tracked.has(`${repoDir.name}/${render.name}`)) continue;
+        const { mtime } = await fs.stat(renderCachePath(repoDir.name, render.name));
+        await trackRender(repoDir.name, render.name, null, mtime.toISOString());
+      }
+    }
+    for (const entry of tracked) {
+      if (onDisk.has(entry)) continue;
+      const [repoId, key] = entry.split('/');
+      await run('DELETE FROM render_cache WHERE repo_id = ? AND cache_key = ?', [repoId, key]);
+    }
+    await evictRenders();
+    const { diskBytes, entries } = await getRenderCacheStats();
+    console.log(`✅ Render cache holds ${entries} render(s), ${(diskBytes / 1024 / 1024).toFixed(1)} MB.`);
+  } catch (error) {
+    console.error('Error starting the render cache:', error.message);
+  }
+}
+
+module.exports = {
+  RENDER_CACHE_DIR,
+  renderCachePath,
+  findCachedRender,
+  addCachedRender,
+  evictRenders,
+  getRenderCacheStats,
+  startRenderCache,
+};
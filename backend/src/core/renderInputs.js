@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const matter = require('gray-matter');
+const yaml = require('js-yaml');
+const { FREEZE_DIR } = require('./freezer');
+
+// What a render of a document depends on, hashed into the key of the render cache: the document,
+// the files it includes, the images its text shows, the project's _quarto.yml, the _metadata.yml
+// files above the document and _variables.yml, the bibliographies, CSL styles, templates, CSS and
+// other files these name, the extensions in _extensions, the data files the code names, and the
+// document's frozen results in _freeze.
+// Data files are found by the paths in the code's string literals, e.g. read.csv("data/trial.csv"),
+// so a path built at run time is missed.
+
+const PROJECT_FILES = ['_quarto.yml', '_quarto.yaml', '_variables.yml', '_variables.yaml'];
+const METADATA_FILES = ['_metadata.yml', '_metadata.yaml'];
+const EXTENSIONS_DIR = '_extensions';
+// Metadata options naming files, at the top level or under a format
+const FILE_OPTIONS = [
+  'bibliography', 'csl', 'template', 'template-partials', 'css', 'reference-doc', 'filters',
+  'include-in-header', 'include-before-body', 'include-after-body',
+];
+// Included files can include others in turn
+const MAX_INCLUDE_DEPTH = 10;
+
+const INCLUDE_PATTERN = /\{\{<\s*include\s+["']?([^"'\s>]+)["']?\s*>\}\}/g;
+const CHUNK_PATTERN = /^(`{3,})\{[^}\n]*\}[^\n]*\n([\s\S]*?)^\1\s*$/gm;
+// A quoted path with a file extension, e.g. "data/trial.csv"
+const PATH_LITERAL_PATTERN = /["']([^"'\s]+\.[A-Za-z0-9]{1,10})["']/g;
+// Images in the text: ![Caption](figures/flow.png) and <img src="figures/flow.png">
+const IMAGE_PATTERNS = [/!\[[^\]]*\]\(\s*<?([^)\s>]+)/g, /<img\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi];
+const URL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i;
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// The YAML front matter of a document, or the contents of a YAML file; {} if it can't be parsed
+function metadataOf(text, isYamlFile) {
+  try {
+    return (isYamlFile ? yaml.load(text) : matter(text).data) || {};
+  } catch (error) {
+    console.warn('Could not parse metadata while hashing render inputs:', error.message);
+    return {};
+  }
+}
+
+// Files named in metadata (FILE_OPTIONS), relative to the file that names them. Options can
+// hold a path, a list of them, or, like include-in-header, `{ file: path }`
+function referencedFiles(metadata, baseDir) {
+  const formats = metadata.format && typeof metadata.format === 'object' ? Object.values(metadata.format) : [];
+  const files = [metadata, ...formats]
+    .filter(options => options && typeof options === 'object')
+    .flatMap(options => FILE_OPTIONS.map(option => options[option]))
+    .flat()
+    .map(value => (value && typeof value === 'object' ? value.file : value))
+    .filter(file => typeof file === 'string');
+  return files.map(file => path.resolve(baseDir, file));
+}
+
+// The files of a directory and its subdirectories
+async function filesBelow(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await filesBelow(fullPath));
+    else if (entry.isFile()) files.push(fullPath);
+  }
+  return files;
+}
+
+/**
+ * The files a render of a document reads, with their contents. Files that are named but missing
+ * are listed with null, so creating them changes the key too.
+ *
+ * @param {string} qmdFilepath - Absolute path of the document.
+ * @param {string} projectDir - Root of the project; files outside it are left out.
+ * @returns {Promise<Map<string, Buffer|null>>} Contents by path relative to the project.
+ */
+async function collectRenderInputs(qmdFilepath, projectDir) {
+  projectDir = path.resolve(projectDir);
+  const inputs = new Map();
+  const relativeTo = (file) => path.relative(projectDir, file);
+  const isInProject = (file) => {
+    const relative = relativeTo(file);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  };
+
+  const read = async (file) => {
+    if (!isInProject(file)) return null;
+    const relative = relativeTo(file);
+    if (inputs.has(relative)) return inputs.get(relative);
+    let content = null;
+    try {
+      content = await fs.readFile(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+    }
+    inputs.set(relative, content);
+    return content;
+  };
+
+  // Paths in the code that are files of the project, relative to the document or the project
+  const addDataFiles = async (text, baseDir) => {
+    for (const [, , code] of text.matchAll(CHUNK_PATTERN)) {
+      for (const [, literal] of code.matchAll(PATH_LITERAL_PATTERN)) {
+        for (const candidate of [path.resolve(baseDir, literal), path.resolve(projectDir, literal)]) {
+          const stat = await fs.stat(candidate).catch(() => null);
+          if (stat && stat.isFile()) await read(candidate);
+        }
+      }
+    }
+  };
+
+  // Images are relative to the file that shows them; one that's missing is an input too
+  const addImages = async (text, baseDir) => {
+    for (const pattern of IMAGE_PATTERNS) {
+      for (const [, target] of text.matchAll(pattern)) {
+        if (!URL_PATTERN.test(target)) await read(path.resolve(baseDir, target));
+      }
+    }
+  };
+
+  const addDocument = async (file, depth) => {
+    const seen = inputs.has(relativeTo(file));
+    const content = await read(file);
+    if (seen || content === null) return;
+    const text = content.toString('utf8');
+    const baseDir = path.dirname(file);
+    await addDataFiles(text, path.dirname(qmdFilepath));
+    await addImages(text, baseDir);
+    if (depth === 0) {
+      for (const referenced of referencedFiles(metadataOf(text, false), baseDir)) await read(referenced);
+    }
+    if (depth < MAX_INCLUDE_DEPTH) {
+      for (const [, target] of text.matchAll(INCLUDE_PATTERN)) {
+        await addDocument(path.resolve(baseDir, target), depth + 1);
+      }
+    }
+  };
+
+  await addDocument(qmdFilepath, 0);
+
+  // Renders use the frozen results, if any, instead of executing the code (see freezer)
+  const resultsDir = path.join(projectDir, FREEZE_DIR, relativeTo(qmdFilepath).replace(/\.[^./\\]+$/, ''), 'execute-results');
+  for (const file of await fs.readdir(resultsDir).catch(() => [])) {
+    if (file.endsWith('.json')) await read(path.join(resultsDir, file));
+  }
+
+  const configFiles = PROJECT_FILES.map(name => path.join(projectDir, name));
+  // _metadata.yml applies to the documents in its directory and below, and Quarto looks for
+  // extensions in the _extensions of the document's directory and those above it
+  for (let dir = path.dirname(qmdFilepath); isInProject(dir) || dir === projectDir; dir = path.dirname(dir)) {
+    configFiles.push(...METADATA_FILES.map(name => path.join(dir, name)));
+    for (const file of await filesBelow(path.join(dir, EXTENSIONS_DIR))) await read(file);
+    if (dir === projectDir) break;
+  }
+  for (const file of configFiles) {
+    const content = await read(file);
+    if (content === null) {
+      inputs.delete(relativeTo(file)); // Most projects have none of these; absent config isn't an input
+      continue;
+    }
+    for (const referenced of referencedFiles(metadataOf(content.toString('utf8'), true), path.dirname(file))) {
+      await read(referenced);
+    }
+  }
+  return inputs;
+}
+
+/**
+ * The key of a document's render in the render cache. It only changes when something the render
+ * reads changes, and differs between documents of a project.
+ *
+ * @param {string} qmdFilepath - Absolute path of the document.
+ * @param {string} projectDir - Root of the project.
+ * @returns {Promise<string>} A hex SHA-256.
+ */
+async function renderCacheKey(qmdFilepath, projectDir) {
+  const inputs = await collectRenderInputs(qmdFilepath, projectDir);
+  const lines = [...inputs.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([file, content]) => `${file}\0${content === null ? 'missing' : sha256(content)}`);
+  return sha256(`${path.relative(path.resolve(projectDir), qmdFilepath)}\n${lines.join('\n')}`);
+}
+
+module.exports = { collectRenderInputs, renderCacheKey };
@@ -0,0 +1,282 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db/sqlite');
+
+// Queue of the Quarto renders behind the document views. A view that needs a render gets a job id
+// right away and follows the job's progress; requests for the same repository, commit and file
+// share one job. Jobs are kept in the render_jobs table, so queued ones survive a restart.
+//
+//   RENDER_CONCURRENCY (1)          renders running at once; one per repository at most, since a
+//                                   render uses the repository's working tree
+//   RENDER_MAX_ATTEMPTS (2)         attempts before a failing job is given up
+//   RENDER_JOB_RETENTION_HOURS (24) how long finished jobs, and their results, are kept
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+// Tail of Quarto's output kept with a job
+const MAX_OUTPUT_LENGTH = 64 * 1024;
+
+const handlers = new Map();
+// Jobs running in this process: id -> { controller, repoId, output }
+const runningJobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const run = (sql, params) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) return reject(err);
+    resolve(this);
+  });
+});
+
+const get = (sql, params) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) return reject(err);
+    resolve(row);
+  });
+});
+
+const concurrency = () => Number(process.env.RENDER_CONCURRENCY) || 1;
+
+function toJob(row, { withResult = false } = {}) {
+  const job = {
+    id: row.id,
+    kind: row.kind,
+    status: row.status,
+    progress: row.progress,
+    output: runningJobs.get(row.id)?.output ?? row.output ?? '',
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+  if (withResult && row.status === 'succeeded' && row.result_json) {
+    job.result = JSON.parse(row.result_json);
+  }
+  return job;
+}
+
+function publish(jobId, event, data) {
+  jobEvents.emit(jobId, event, data);
+}
+
+/**
+ * The key render requests are deduplicated by.
+ *
+ * @param {number} repoId
+ * @param {string} commitHash
+ * @param {string} filepath
+ * @returns {string}
+ */
+function renderJobKey(repoId, commitHash, filepath) {
+  return `${repoId}:${commitHash}:${filepath}`;
+}
+
+/**
+ * Registers the function that does the work of one kind of job. It gets the job's params and
+ * `{ signal, reportProgress(message), appendOutput(text) }`, and resolves with the job's result,
+ * which has to survive JSON.
+ *
+ * @param {string} kind
+ * @param {function(Object, Object): Promise<Object>} handler
+ */
+function registerRenderHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/**
+ * Queues a render, unless the same render is already queued, running or done.
+ *
+ * @param {string} kind - A kind with a registered handler.
+ * @param {{ repoId: number, key: string }} target - The repository, and the key from renderJobKey.
+ * @param {Object} params - Passed to the handler.
+ * @returns {Promise<Object>} The job; with its `result` if it already succeeded.
+ */
+async function requestRender(kind, { repoId, key }, params) {
+  if (!handlers.has(kind)) throw new Error(`No render handler for "${kind}" jobs.`);
+  const existing = await get(
+    `SELECT * FROM render_jobs WHERE kind = ? AND job_key = ? AND status IN ('queued', 'running', 'succeeded')
+     ORDER BY created_at DESC LIMIT 1`,
+    [kind, key]
+  );
+  if (existing) return toJob(existing, { withResult: true });
+
+  const id = uuidv4();
+  const maxAttempts = Number(process.env.RENDER_MAX_ATTEMPTS) || 2;
+  await run(
+    `INSERT INTO render_jobs (id, kind, job_key, repo_id, params_json, status, max_attempts, progress, created_at)
+     VALUES (?, ?, ?, ?, ?, 'queued', ?, 'Waiting for other renders to finish', ?)`,
+    [id, kind, key, repoId, JSON.stringify(params), maxAttempts, new Date().toISOString()]
+  );
+  processQueue();
+  return getRenderJob(id);
+}
+
+/**
+ * @param {string} jobId
+ * @param {{ withResult?: boolean }} [options]
+ * @returns {Promise<Object|null>}
+ */
+async function getRenderJob(jobId, options) {
+  const row = await get('SELECT * FROM render_jobs WHERE id = ?', [jobId]);
+  return row ? toJob(row, options) : null;
+}
+
+/**
+ * Cancels a queued or running job; a running render is stopped.
+ *
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} The job, or null if there is none. Finished jobs are returned
+ *   unchanged.
+ */
+async function cancelRenderJob(jobId) {
+  const now = new Date().toISOString();
+  const { changes } = await run(
+    `UPDATE render_jobs SET status = 'cancelled', progress = 'Cancelled', finished_at = ?
+     WHERE id = ? AND status IN ('queued', 'running')`,
+    [now, jobId]
+  );
+  if (changes > 0) {
+    runningJobs.get(jobId)?.controller.abort();
+    publish(jobId, 'status', { status: 'cancelled' });
+  }
+  return getRenderJob(jobId);
+}
+
+/**
+ * Listens to a job's events: 'progress' ({ message }), 'output' ({ text }) and 'status'
+ * ({ status, error? }).
+ *
+ * @param {string} jobId
+ * @param {function(string, Object): void} listener - Called with the event name and its data.
+ * @returns {function(): void} Unsubscribe function.
+ */
+function subscribeToRenderJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+async function runJob(row) {
+  const controller = new AbortController();
+  const state = { controller, repoId: row.repo_id, output: '' };
+  runningJobs.set(row.id, state);
+  publish(row.id, 'status', { status: 'running' });
+
+  const context = {
+    signal: controller.signal,
+    reportProgress: (message) => {
+      publish(row.id, 'progress', { message });
+      run('UPDATE render_jobs SET progress = ? WHERE id = ?', [message, row.id])
+        .catch(error => console.error('Error saving render progress:', error.message));
+    },
+    appendOutput: (text) => {
+      state.output = (state.output + text).slice(-MAX_OUTPUT_LENGTH);
+      publish(row.id, 'output', { text });
+    },
+  };
+
+  try {
+    const result = await handlers.get(row.kind)(JSON.parse(row.params_json), context);
+    if (controller.signal.aborted) return;
+    await run(
+      `UPDATE render_jobs SET status = 'succeeded', progress = 'Done', output = ?, result_json = ?, error = NULL, finished_at = ?
+       WHERE id = ? AND status = 'running'`,
+      [state.output, JSON.stringify(result), new Date().toISOString(), row.id]
+    );
+    publish(row.id, 'status', { status: 'succeeded' });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    const retry = row.attempts + 1 < row.max_attempts;
+    console.error(`Render job ${row.id} failed (attempt ${row.attempts + 1}/${row.max_attempts}):`, error.message);
+    await run(
+      `UPDATE render_jobs SET status = ?, progress = ?, output = ?, error = ?, finished_at = ?
+       WHERE id = ? AND status = 'running'`,
+      [
+        retry ? 'queued' : 'failed',
+        retry ? 'Render failed, trying again' : 'Failed',
+        state.output, error.message,
+        retry ? null : new Date().toISOString(),
+        row.id,
+      ]
+    ).catch(updateError => console.error('Error saving render job failure:', updateError.message));
+    publish(row.id, 'status', retry ? { status: 'queued', error: error.message } : { status: 'failed', error: error.message });
+  } finally {
+    runningJobs.delete(row.id);
+    processQueue();
+  }
+}
+
+let isProcessing = false;
+let processAgain = false;
+
+// Starts queued jobs while there is room, oldest first, skipping repositories that are busy
+async function processQueue() {
+  if (isProcessing) {
+    processAgain = true;
+    return;
+  }
+  isProcessing = true;
+  try {
+    do {
+      processAgain = false;
+      while (runningJobs.size < concurrency()) {
+        const kinds = [...handlers.keys()];
+        const busyRepos = [...runningJobs.values()].map(job => job.repoId);
+        if (kinds.length === 0) break;
+        const row = await get(
+          `SELECT * FROM render_jobs WHERE status = 'queued'
+           AND kind IN (${kinds.map(() => '?').join(',')})
+           AND repo_id NOT IN (${busyRepos.map(() => '?').join(',')})
+           ORDER BY created_at LIMIT 1`,
+          [...kinds, ...busyRepos]
+        );
+        if (!row) break;
+        const { changes } = await run(
+          `UPDATE render_jobs SET status = 'running', attempts = attempts + 1, started_at = ?, progress = 'Starting render'
+           WHERE id = ? AND status = 'queued'`,
+          [new Date().toISOString(), row.id]
+        );
+        if (changes > 0) runJob(row);
+      }
+    } while (processAgain);
+  } catch (error) {
+    console.error('Error processing the render queue:', error.message);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+async function pruneRenderJobs() {
+  const hours = Number(process.env.RENDER_JOB_RETENTION_HOURS) || 24;
+  const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const { changes } = await run(
+    `DELETE FROM render_jobs WHERE status IN (${FINISHED_STATUSES.map(() => '?').join(',')}) AND finished_at < ?`,
+    [...FINISHED_STATUSES, cutoff]
+  );
+  if (changes > 0) console.log(`✅ Removed ${changes} finished render job(s).`);
+}
+
+/**
+ * Starts the jobs left queued by the previous run of the server, and removes old finished jobs
+ * every hour. Call once the routes have registered their handlers.
+ */
+function startRenderQueue() {
+  const prune = () => pruneRenderJobs().catch(error => console.error('Error removing finished render jobs:', error.message));
+  prune();
+  setInterval(prune, 60 * 60 * 1000).unref();
+  processQueue();
+  console.log(`✅ Render queue started (${concurrency()} at a time).`);
+}
+
+module.exports = {
+  JOB_STATUSES,
+  renderJobKey,
+  registerRenderHandler,
+  requestRender,
+  getRenderJob,
+  cancelRenderJob,
+  subscribeToRenderJob,
+  startRenderQueue,
+};
@@ -0,0 +1,54 @@
+// Suggestion-mode edits are stored in the ProseMirror JSON as `insertion` and `deletion` marks
+// carrying { changeId, author, timestamp }. Until someone accepts them they are only proposals:
+// the .qmd is written as if every pending change had been rejected.
+
+const CHANGE_MARKS = ['insertion', 'deletion'];
+
+const changeMarkOf = (node) => (node.marks || []).filter(mark => CHANGE_MARKS.includes(mark.type));
+
+/**
+ * Returns a copy of the document with pending suggestions undone: inserted text is dropped and
+ * deleted text is kept without its deletion mark.
+ *
+ * @param {Object} pmDoc - ProseMirror JSON.
+ * @returns {Object} ProseMirror JSON without insertion or deletion marks.
+ */
+function withoutPendingChanges(pmDoc) {
+  const strip = (node) => {
+    if (!node.content) return node;
+    const content = node.content
+      .filter(child => !(child.marks || []).some(mark => mark.type === 'insertion'))
+      .map(child => {
+        const { marks, ...rest } = strip(child);
+        const kept = (marks || []).filter(mark => mark.type !== 'deletion');
+        return kept.length > 0 ? { ...rest, marks: kept } : rest;
+      });
+    return { ...node, content };
+  };
+  return strip(pmDoc);
+}
+
+/**
+ * Lists the pending suggestions in a document, one entry per change and kind.
+ *
+ * @param {Object} pmDoc - ProseMirror JSON.
+ * @returns {Array<{changeId: string, type: string, author: string, timestamp: string, text: string}>}
+ */
+function collectTrackedChanges(pmDoc) {
+  const changes = new Map();
+  const visit = (node) => {
+    changeMarkOf(node).forEach(mark => {
+      const attrs = mark.attrs || {};
+      const key = `${mark.type}:${attrs.changeId}`;
+      if (!changes.has(key)) {
+        changes.set(key, { changeId: attrs.changeId, type: mark.type, author: attrs.author, timestamp: attrs.timestamp, text: '' });
+      }
+      changes.get(key).text += node.text || '';
+    });
+    (node.content || []).forEach(visit);
+  };
+  visit(pmDoc);
+  return Array.from(changes.values());
+}
+
+module.exports = { withoutPendingChanges, collectTrackedChanges };
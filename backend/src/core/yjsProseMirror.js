@@ -0,0 +1,100 @@
+const Y = require('yjs');
+
+/**
+ * Converts between ProseMirror JSON and the Yjs XML layout y-prosemirror uses, so the server can
+ * seed and read a collaborative document without loading the editor schema.
+ *
+ * Every node becomes a Y.XmlElement named after its type with its attrs as attributes, and each
+ * run of adjacent text nodes becomes one Y.XmlText whose formatting attributes are the marks.
+ */
+
+/**
+ * Fills an empty Y.XmlFragment with the content of a ProseMirror document.
+ *
+ * @param {Object} pmDoc - ProseMirror JSON ({ type: 'doc', content: [...] }).
+ * @param {Y.XmlFragment} fragment - The fragment TipTap's Collaboration extension binds to.
+ */
+function prosemirrorJSONToYXmlFragment(pmDoc, fragment) {
+  fragment.insert(0, toYTypes(pmDoc.content || []));
+}
+
+/**
+ * Reads a Y.XmlFragment back into ProseMirror JSON.
+ *
+ * @param {Y.XmlFragment} fragment
+ * @returns {Object} ProseMirror JSON ({ type: 'doc', content: [...] }).
+ */
+function yXmlFragmentToProseMirrorJSON(fragment) {
+  return { type: 'doc', content: fromYTypes(fragment.toArray()) };
+}
+
+function toYTypes(nodes) {
+  const groups = [];
+  nodes.forEach(node => {
+    const previous = groups[groups.length - 1];
+    if (node.type === 'text' && Array.isArray(previous)) {
+      previous.push(node);
+    } else {
+      groups.push(node.type === 'text' ? [node] : node);
+    }
+  });
+  return groups.map(group => (Array.isArray(group) ? createYText(group) : createYElement(group)));
+}
+
+function createYElement(node) {
+  const element = new Y.XmlElement(node.type);
+  Object.entries(node.attrs || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) element.setAttribute(key, value);
+  });
+  element.insert(0, toYTypes(node.content || []));
+  return element;
+}
+
+function createYText(textNodes) {
+  const text = new Y.XmlText();
+  text.applyDelta(textNodes.map(node => {
+    const attributes = {};
+    (node.marks || []).forEach(mark => {
+      attributes[mark.type] = mark.attrs || {};
+    });
+    return { insert: node.text, attributes };
+  }));
+  return text;
+}
+
+function fromYTypes(items) {
+  const nodes = [];
+  items.forEach(item => {
+    if (item instanceof Y.XmlText) {
+      item.toDelta().forEach(op => {
+        if (typeof op.insert !== 'string' || op.insert === '') return;
+        const node = { type: 'text', text: op.insert };
+        const marks = attributesToMarks(op.attributes);
+        if (marks.length > 0) node.marks = marks;
+        nodes.push(node);
+      });
+    } else if (item instanceof Y.XmlElement) {
+      const node = { type: item.nodeName };
+      const attrs = item.getAttributes();
+      if (Object.keys(attrs).length > 0) node.attrs = attrs;
+      const content = fromYTypes(item.toArray());
+      if (content.length > 0) node.content = content;
+      nodes.push(node);
+    }
+  });
+  return nodes;
+}
+
+function attributesToMarks(attributes = {}) {
+  return Object.entries(attributes)
+    // y-prosemirror keeps change-tracking info alongside the marks
+    .filter(([name]) => name !== 'ychange')
+    .map(([name, attrs]) => {
+      // Marks that may overlap themselves are stored as `name--<hash>`
+      const mark = { type: name.replace(/--[a-zA-Z0-9+/=]{8}$/, '') };
+      if (attrs && Object.keys(attrs).length > 0) mark.attrs = attrs;
+      return mark;
+    });
+}
+
+module.exports = { prosemirrorJSONToYXmlFragment, yXmlFragmentToProseMirrorJSON };
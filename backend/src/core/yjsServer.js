@@ -0,0 +1,347 @@
+const Y = require('yjs');
+const { WebSocketServer } = require('ws');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+const db = require('../db/sqlite');
+const { prosemirrorJSONToYXmlFragment, yXmlFragmentToProseMirrorJSON } = require('./yjsProseMirror');
+
+// Message types of the y-websocket protocol
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+
+// The fragment TipTap's Collaboration extension binds to by default
+const FRAGMENT_NAME = 'default';
+const PERSIST_DELAY_MS = 2000;
+const PING_INTERVAL_MS = 30000;
+// Rooms loaded for a page load but never connected to are unloaded after this long
+const ROOM_IDLE_MS = 60000;
+const ROOM_PATH_REGEX = /^\/api\/collab\/([^/]+)\/yjs\/?$/;
+
+// Rooms that currently have a document loaded, keyed by room name
+const rooms = new Map();
+
+/**
+ * Every share link onto the same collaboration branch of a document edits one shared room.
+ *
+ * @param {{doc_id: number, collab_branch_name: string}} linkInfo - A share_links row.
+ * @returns {string} The room name.
+ */
+function roomNameForShareLink(linkInfo) {
+  return `${linkInfo.doc_id}:${linkInfo.collab_branch_name}`;
+}
+
+function findShareLink(shareToken) {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT doc_id, collab_branch_name FROM share_links WHERE share_token = ?';
+    db.get(sql, [shareToken], (err, row) => {
+      if (err) return reject(err);
+      resolve(row || null);
+    });
+  });
+}
+
+function loadRoomState(room) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT state, base_commit_hash FROM yjs_documents WHERE room_name = ?', [room.name], (err, row) => {
+      if (err) return reject(err);
+      if (row && row.state) {
+        Y.applyUpdate(room.doc, new Uint8Array(row.state));
+        room.baseCommit = row.base_commit_hash || null;
+      }
+      resolve();
+    });
+  });
+}
+
+function persistRoom(room) {
+  clearTimeout(room.persistTimeout);
+  room.persistTimeout = null;
+  const state = Buffer.from(Y.encodeStateAsUpdate(room.doc));
+  return new Promise((resolve) => {
+    const sql = `
+      INSERT INTO yjs_documents (room_name, state, base_commit_hash) VALUES (?, ?, ?)
+      ON CONFLICT(room_name) DO UPDATE SET
+        state = excluded.state, base_commit_hash = excluded.base_commit_hash, updated_at = CURRENT_TIMESTAMP
+    `;
+    db.run(sql, [room.name, state, room.baseCommit], (err) => {
+      if (err) console.error(`Error persisting Yjs room ${room.name}:`, err.message);
+      resolve();
+    });
+  });
+}
+
+function send(conn, message) {
+  if (conn.readyState !== conn.OPEN) return;
+  conn.send(message, (err) => {
+    if (err) conn.close();
+  });
+}
+
+function broadcast(room, message) {
+  room.conns.forEach((clientIds, conn) => send(conn, message));
+}
+
+function createRoom(name) {
+  const doc = new Y.Doc();
+  const awareness = new awarenessProtocol.Awareness(doc);
+  // The server is not a participant, so it publishes no cursor of its own
+  awareness.setLocalState(null);
+
+  // `baseCommit` is the commit of the branch the content was seeded from; `joining` counts
+  // connections being upgraded, which keep the room loaded like open ones
+  const room = { name, doc, awareness, conns: new Map(), persistTimeout: null, idleTimeout: null, baseCommit: null, joining: 0 };
+
+  doc.on('update', (update) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    broadcast(room, encoding.toUint8Array(encoder));
+
+    if (!room.persistTimeout) {
+      room.persistTimeout = setTimeout(() => persistRoom(room), PERSIST_DELAY_MS);
+    }
+  });
+
+  awareness.on('update', ({ added, updated, removed }, conn) => {
+    const changedClients = added.concat(updated, removed);
+    // Remember which awareness clients each connection owns so they can be removed when it closes
+    const ownedClients = room.conns.get(conn);
+    if (ownedClients) {
+      added.forEach(clientId => ownedClients.add(clientId));
+      removed.forEach(clientId => ownedClients.delete(clientId));
+    }
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, changedClients));
+    broadcast(room, encoding.toUint8Array(encoder));
+  });
+
+  room.ready = loadRoomState(room);
+  return room;
+}
+
+const isIdle = (room) => room.conns.size === 0 && room.joining === 0;
+
+// Writes an idle room's state and drops it from memory, unless it was used again in the meantime
+async function unloadRoom(room) {
+  clearTimeout(room.idleTimeout);
+  room.idleTimeout = null;
+  if (!isIdle(room) || rooms.get(room.name) !== room) return;
+  await persistRoom(room);
+  // Someone may have joined, or changed the document, while the state was being written
+  if (!isIdle(room) || rooms.get(room.name) !== room) return;
+  if (room.persistTimeout) {
+    scheduleUnload(room);
+    return;
+  }
+  rooms.delete(room.name);
+  room.awareness.destroy();
+  room.doc.destroy();
+}
+
+function scheduleUnload(room) {
+  clearTimeout(room.idleTimeout);
+  room.idleTimeout = setTimeout(() => unloadRoom(room), ROOM_IDLE_MS);
+  room.idleTimeout.unref?.();
+}
+
+/**
+ * Returns the loaded room, reading its persisted state the first time it is asked for. The room
+ * stays loaded while it is used right away (in the same tick); rooms nobody connects to are
+ * unloaded after ROOM_IDLE_MS.
+ *
+ * @param {string} name - Room name from roomNameForShareLink.
+ * @returns {Promise<Object>} The room.
+ */
+async function getRoom(name) {
+  let room;
+  // A room can be unloaded while it is being loaded, when its last connection closes
+  while (!room || rooms.get(name) !== room) {
+    room = rooms.get(name);
+    if (!room) {
+      room = createRoom(name);
+      rooms.set(name, room);
+    }
+    await room.ready;
+  }
+  if (isIdle(room)) scheduleUnload(room);
+  return room;
+}
+
+/**
+ * Gives a room the content of its branch. A room that already holds a document keeps it, so a
+ * collaborator loading the page never overwrites what others have typed, unless it was seeded from
+ * another commit: the branch moved since (a merge, or the branch was recreated), and the room starts
+ * over from the new commit.
+ *
+ * @param {string} name - Room name from roomNameForShareLink.
+ * @param {Object} pmDoc - ProseMirror JSON to start from.
+ * @param {string|null} [baseCommit] - The commit pmDoc was rendered from; null for content that
+ *   isn't a commit, such as saved live documents, which only seed an empty room.
+ * @returns {Promise<boolean>} Whether the room took the content.
+ */
+async function seedRoom(name, pmDoc, baseCommit = null) {
+  const room = await getRoom(name);
+  const fragment = room.doc.getXmlFragment(FRAGMENT_NAME);
+  const moved = baseCommit && room.baseCommit && room.baseCommit !== baseCommit;
+  if (fragment.length > 0 && !moved) {
+    if (baseCommit && !room.baseCommit) room.baseCommit = baseCommit;
+    return false;
+  }
+  if (moved) console.log(`Reseeding Yjs room ${name}: its branch moved from ${room.baseCommit} to ${baseCommit}`);
+  room.baseCommit = baseCommit;
+  room.doc.transact(() => {
+    fragment.delete(0, fragment.length);
+    prosemirrorJSONToYXmlFragment(pmDoc, fragment);
+  });
+  return true;
+}
+
+/**
+ * Records that a room's content was committed, as the new head of its branch, so the next page
+ * load doesn't take the commit for a move of the branch and reseed the room.
+ *
+ * @param {string} name - Room name from roomNameForShareLink.
+ * @param {string} commitHash
+ * @returns {Promise<void>}
+ */
+async function setRoomBaseCommit(name, commitHash) {
+  const room = await getRoom(name);
+  room.baseCommit = commitHash;
+  await persistRoom(room);
+}
+
+/**
+ * Reads the current content of a room as ProseMirror JSON.
+ *
+ * @param {string} name - Room name from roomNameForShareLink.
+ * @returns {Promise<Object|null>} The document, or null if the room is empty.
+ */
+async function getRoomDocument(name) {
+  const room = await getRoom(name);
+  const fragment = room.doc.getXmlFragment(FRAGMENT_NAME);
+  return fragment.length > 0 ? yXmlFragmentToProseMirrorJSON(fragment) : null;
+}
+
+async function closeConnection(room, conn) {
+  const ownedClients = room.conns.get(conn);
+  if (!ownedClients) return;
+  room.conns.delete(conn);
+  awarenessProtocol.removeAwarenessStates(room.awareness, Array.from(ownedClients), null);
+
+  if (isIdle(room)) await unloadRoom(room);
+}
+
+function handleMessage(room, conn, message) {
+  try {
+    const decoder = decoding.createDecoder(message);
+    const encoder = encoding.createEncoder();
+    const messageType = decoding.readVarUint(decoder);
+    if (messageType === MESSAGE_SYNC) {
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      syncProtocol.readSyncMessage(decoder, encoder, room.doc, conn);
+      // Only reply when the message needed an answer (sync step 1 gets a step 2 back)
+      if (encoding.length(encoder) > 1) {
+        send(conn, encoding.toUint8Array(encoder));
+      }
+    } else if (messageType === MESSAGE_AWARENESS) {
+      awarenessProtocol.applyAwarenessUpdate(room.awareness, decoding.readVarUint8Array(decoder), conn);
+    }
+  } catch (error) {
+    console.error(`Invalid Yjs message in room ${room.name}:`, error);
+  }
+}
+
+function setupConnection(room, conn) {
+  conn.binaryType = 'arraybuffer';
+  room.conns.set(conn, new Set());
+
+  conn.on('message', (data) => handleMessage(room, conn, new Uint8Array(data)));
+
+  // Drop connections that stop answering pings, otherwise their cursors would linger
+  let isAlive = true;
+  conn.on('pong', () => { isAlive = true; });
+  const pingInterval = setInterval(() => {
+    if (!isAlive) {
+      conn.terminate();
+      return;
+    }
+    isAlive = false;
+    conn.ping();
+  }, PING_INTERVAL_MS);
+
+  conn.on('close', () => {
+    clearInterval(pingInterval);
+    closeConnection(room, conn);
+  });
+
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_SYNC);
+  syncProtocol.writeSyncStep1(encoder, room.doc);
+  send(conn, encoding.toUint8Array(encoder));
+
+  const awarenessStates = room.awareness.getStates();
+  if (awarenessStates.size > 0) {
+    const awarenessEncoder = encoding.createEncoder();
+    encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(
+      awarenessEncoder,
+      awarenessProtocol.encodeAwarenessUpdate(room.awareness, Array.from(awarenessStates.keys()))
+    );
+    send(conn, encoding.toUint8Array(awarenessEncoder));
+  }
+}
+
+/**
+ * Accepts y-websocket connections on /api/collab/:shareToken/yjs. Each share link joins the room
+ * for its document and collaboration branch.
+ *
+ * @param {import('http').Server} server - The HTTP server Express listens on.
+ * @returns {WebSocketServer}
+ */
+function setupYjsWebSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = pathname.match(ROOM_PATH_REGEX);
+    if (!match) return;
+
+    try {
+      const linkInfo = await findShareLink(decodeURIComponent(match[1]));
+      if (!linkInfo) {
+        socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+      const room = await getRoom(roomNameForShareLink(linkInfo));
+      // Counted from here, in the tick getRoom returned in, so the room can't be unloaded until
+      // the connection is set up, or the handshake failed
+      room.joining += 1;
+      let joined = false;
+      const join = () => {
+        if (joined) return false;
+        joined = true;
+        room.joining -= 1;
+        return true;
+      };
+      socket.once('close', () => {
+        if (join() && isIdle(room)) scheduleUnload(room);
+      });
+      wss.handleUpgrade(req, socket, head, (conn) => {
+        join();
+        setupConnection(room, conn);
+      });
+    } catch (error) {
+      console.error('Error opening Yjs connection:', error);
+      socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+      socket.destroy();
+    }
+  });
+
+  return wss;
+}
+
+module.exports = { setupYjsWebSocket, roomNameForShareLink, seedRoom, setRoomBaseCommit, getRoomDocument };
@@ -2,7 +2,8 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
 // Use a file-based database in the db folder; it will be created if it doesn't exist.
-const DB_SOURCE = path.join(__dirname, 'quartorium.db');
+// QUARTORIUM_DB_PATH puts it elsewhere, e.g. ':memory:' for the tests.
+const DB_SOURCE = process.env.QUARTORIUM_DB_PATH || path.join(__dirname, 'quartorium.db');
 
 const db = new sqlite3.Database(DB_SOURCE, (err) => {
   if (err) {
@@ -203,6 +204,190 @@ const createBranchLocksTable = () => {
 
 createBranchLocksTable();
 
+// Create the yjs_documents table holding the shared state of each real-time editing room
+const createYjsDocumentsTable = () => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS yjs_documents (
+      room_name TEXT PRIMARY KEY,
+      state BLOB NOT NULL,
+      base_commit_hash TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+  db.run(sql, (err) => {
+    if (err) {
+      console.error('Error creating yjs_documents table:', err.message);
+    } else {
+      console.log('✅ yjs_documents table is ready.');
+    }
+  });
+};
+
+createYjsDocumentsTable();
+
+// Create the comments and comment_messages tables holding the comment threads of each document.
+// Comment ids are the ones in the comment marks; messages are kept in the order they were posted,
+// the first one being the comment itself.
+const createCommentsTables = () => {
+  const commentsSql = `
+    CREATE TABLE IF NOT EXISTS comments (
+      id TEXT PRIMARY KEY,
+      doc_id INTEGER NOT NULL,
+      share_token TEXT,
+      author TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      location_json TEXT,
+      resolved_by TEXT,
+      resolved_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY (doc_id) REFERENCES documents (id)
+    )
+  `;
+  const messagesSql = `
+    CREATE TABLE IF NOT EXISTS comment_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      comment_id TEXT NOT NULL,
+      author TEXT NOT NULL,
+      text TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (comment_id) REFERENCES comments (id) ON DELETE CASCADE
+    )
+  `;
+  db.run(commentsSql, (err) => {
+    if (err) {
+      console.error('Error creating comments table:', err.message);
+      return;
+    }
+    console.log('✅ Comments table is ready.');
+    db.run('CREATE INDEX IF NOT EXISTS idx_comments_doc ON comments (doc_id, status)', (indexErr) => {
+      if (indexErr) console.error('Error creating comments index:', indexErr.message);
+    });
+  });
+  db.run(messagesSql, (err) => {
+    if (err) {
+      console.error('Error creating comment_messages table:', err.message);
+      return;
+    }
+    console.log('✅ Comment messages table is ready.');
+    db.run('CREATE INDEX IF NOT EXISTS idx_comment_messages_comment ON comment_messages (comment_id)', (indexErr) => {
+      if (indexErr) console.error('Error creating comment_messages index:', indexErr.message);
+    });
+  });
+};
+
+createCommentsTables();
+
+// Create the notifications table. A notification goes either to a repository owner (user id) or
+// to a collaborator (the share link they were given).
+const createNotificationsTable = () => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      doc_id INTEGER NOT NULL,
+      comment_id TEXT NOT NULL,
+      recipient_user_id INTEGER,
+      recipient_share_token TEXT,
+      type TEXT NOT NULL DEFAULT 'mention',
+      actor TEXT NOT NULL,
+      excerpt TEXT,
+      created_at TEXT NOT NULL,
+      read_at TEXT,
+      emailed_at TEXT,
+      FOREIGN KEY (doc_id) REFERENCES documents (id),
+      FOREIGN KEY (recipient_user_id) REFERENCES users (id),
+      CHECK (recipient_user_id IS NOT NULL OR recipient_share_token IS NOT NULL)
+    )
+  `;
+  db.run(sql, (err) => {
+    if (err) {
+      console.error('Error creating notifications table:', err.message);
+      return;
+    }
+    console.log('✅ Notifications table is ready.');
+    db.run('CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (recipient_user_id, read_at)', (indexErr) => {
+      if (indexErr) console.error('Error creating notifications user index:', indexErr.message);
+    });
+    db.run('CREATE INDEX IF NOT EXISTS idx_notifications_share_token ON notifications (recipient_share_token, read_at)', (indexErr) => {
+      if (indexErr) console.error('Error creating notifications share link index:', indexErr.message);
+    });
+  });
+};
+
+createNotificationsTable();
+
+// Render jobs: Quarto renders queued for the view routes, so requests don't wait for them
+const createRenderJobsTable = () => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS render_jobs (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      job_key TEXT NOT NULL,
+      repo_id INTEGER NOT NULL,
+      params_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 1,
+      progress TEXT,
+      output TEXT,
+      result_json TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      started_at TEXT,
+      finished_at TEXT,
+      CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled'))
+    )
+  `;
+  db.run(sql, (err) => {
+    if (err) {
+      console.error('Error creating render_jobs table:', err.message);
+      return;
+    }
+    console.log('✅ Render jobs table is ready.');
+    db.run('CREATE INDEX IF NOT EXISTS idx_render_jobs_key ON render_jobs (kind, job_key, status)', (indexErr) => {
+      if (indexErr) console.error('Error creating render_jobs key index:', indexErr.message);
+    });
+    db.run('CREATE INDEX IF NOT EXISTS idx_render_jobs_status ON render_jobs (status, created_at)', (indexErr) => {
+      if (indexErr) console.error('Error creating render_jobs status index:', indexErr.message);
+    });
+    // Renders cut off by a restart are run again
+    db.run("UPDATE render_jobs SET status = 'queued', started_at = NULL WHERE status = 'running'", (requeueErr) => {
+      if (requeueErr) console.error('Error requeueing interrupted render jobs:', requeueErr.message);
+    });
+  });
+};
+
+createRenderJobsTable();
+
+// Render cache: Quarto's renders in cache/renders/<repo_id>/<cache_key>, for evicting the least
+// recently used ones
+const createRenderCacheTable = () => {
+  const sql = `
+    CREATE TABLE IF NOT EXISTS render_cache (
+      repo_id INTEGER NOT NULL,
+      cache_key TEXT NOT NULL,
+      filepath TEXT,
+      size_bytes INTEGER NOT NULL DEFAULT 0,
+      hits INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT NOT NULL,
+      PRIMARY KEY (repo_id, cache_key)
+    )
+  `;
+  db.run(sql, (err) => {
+    if (err) {
+      console.error('Error creating render_cache table:', err.message);
+      return;
+    }
+    console.log('✅ Render cache table is ready.');
+    db.run('CREATE INDEX IF NOT EXISTS idx_render_cache_last_used ON render_cache (last_used_at)', (indexErr) => {
+      if (indexErr) console.error('Error creating render_cache index:', indexErr.message);
+    });
+  });
+};
+
+createRenderCacheTable();
+
 // Function to clean up expired locks
 const cleanupExpiredLocks = () => {
   const sql = `
@@ -222,7 +407,7 @@ const cleanupExpiredLocks = () => {
 };
 
 // Clean up expired locks every 5 minutes
-setInterval(cleanupExpiredLocks, 5 * 60 * 1000);
+setInterval(cleanupExpiredLocks, 5 * 60 * 1000).unref();
 
 // Initial cleanup
 cleanupExpiredLocks();
@@ -252,4 +437,68 @@ const migrateReposTable = () => {
 
 migrateReposTable();
 
+// Migration adding the addresses notification digests are mailed to
+const migrateNotificationEmails = () => {
+  const addColumn = (table, column) => {
+    db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+      if (err) {
+        console.error(`Error checking ${table} table schema:`, err.message);
+        return;
+      }
+      if (rows.some(row => row.name === column)) return;
+      db.run(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`, (alterErr) => {
+        if (alterErr) {
+          console.error(`Error adding ${column} column:`, alterErr.message);
+        } else {
+          console.log(`✅ Added ${column} column to ${table} table.`);
+        }
+      });
+    });
+  };
+  addColumn('users', 'email');
+  addColumn('share_links', 'collaborator_email');
+};
+
+migrateNotificationEmails();
+
+// Migration adding whether a collaborator may edit and run code chunks
+const migrateShareLinkPermissions = () => {
+  db.all('PRAGMA table_info(share_links)', (err, rows) => {
+    if (err) {
+      console.error('Error checking share_links table schema:', err.message);
+      return;
+    }
+    if (rows.some(row => row.name === 'can_run_code')) return;
+    db.run('ALTER TABLE share_links ADD COLUMN can_run_code INTEGER NOT NULL DEFAULT 0', (alterErr) => {
+      if (alterErr) {
+        console.error('Error adding can_run_code column:', alterErr.message);
+      } else {
+        console.log('✅ Added can_run_code column to share_links table.');
+      }
+    });
+  });
+};
+
+migrateShareLinkPermissions();
+
+// Migration adding the commit each Yjs room was seeded from, to reseed it once its branch moved
+const migrateYjsDocuments = () => {
+  db.all('PRAGMA table_info(yjs_documents)', (err, rows) => {
+    if (err) {
+      console.error('Error checking yjs_documents table schema:', err.message);
+      return;
+    }
+    if (rows.some(row => row.name === 'base_commit_hash')) return;
+    db.run('ALTER TABLE yjs_documents ADD COLUMN base_commit_hash TEXT', (alterErr) => {
+      if (alterErr) {
+        console.error('Error adding base_commit_hash column:', alterErr.message);
+      } else {
+        console.log('✅ Added base_commit_hash column to yjs_documents table.');
+      }
+    });
+  });
+};
+
+migrateYjsDocuments();
+
 module.exports = db;
\ No newline at end of file
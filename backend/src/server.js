@@ -98,23 +98,49 @@ app.post('/api/auth/logout', (req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Quartorium backend listening on http://localhost:${PORT}`);
 });
 
+// Real-time co-editing: y-websocket connections on /api/collab/:shareToken/yjs
+const { setupYjsWebSocket } = require('./core/yjsServer');
+setupYjsWebSocket(server);
+
+// Mention notifications are mailed as digests if an SMTP server is configured
+const { startNotificationDigests } = require('./core/notificationDigest');
+startNotificationDigests();
+
+// Renders run in the sandbox chosen with QUARTO_EXECUTION; report a missing one right away
+const { checkQuartoExecution } = require('./core/quartoExecutor');
+checkQuartoExecution();
+
 // --- API Routes ---
 const docRoutes = require('./api/docs.routes');
 const liveDocsRouter = require('./api/live_docs.routes'); // Import the new router
 const assetRoutes = require('./api/assets.routes');
 const collabRoutes = require('./api/collab.routes');
+const notificationRoutes = require('./api/notifications.routes');
+const renderJobRoutes = require('./api/renderJobs.routes');
+const adminRoutes = require('./api/admin.routes');
 
 app.use('/api/repos', repoRoutes);
 app.use('/api/docs', docRoutes);
 app.use('/api/docs', liveDocsRouter); // Use the new router for /api/docs
 app.use('/api/assets', assetRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // --- Public API Routes ---
 app.use('/api/collab', collabRoutes);
+app.use('/api/render-jobs', renderJobRoutes);
+
+// The view routes have registered their render handlers; pick up the jobs left queued
+const { startRenderQueue } = require('./core/renderQueue');
+startRenderQueue();
+
+// Track renders cached before the render cache table existed, and evict what doesn't fit
+const { startRenderCache } = require('./core/renderCache');
+startRenderCache();
 
 // --- Reset Route ---
 app.post('/api/reset', (req, res) => {
@@ -0,0 +1,125 @@
+// Standalone tests for the block-level hunks and three-way merges of collaboration branches
+// Run with: node test/block_merge.test.js
+const { computeBlockHunks, applyBlockHunks, computeThreeWayMerge, resolveThreeWayMerge } = require('../src/core/blockMerge');
+
+function runBlockMergeTests() {
+  console.log("Running block merge tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  const mainQmd = [
+    '---',
+    'title: "Report"',
+    '---',
+    '',
+    '# Introduction',
+    '',
+    'The first paragraph.',
+    '',
+    '```{r}',
+    'plot(1)',
+    '```',
+    '',
+    'The last paragraph.',
+    '',
+  ].join('\n');
+
+  const collabQmd = [
+    '---',
+    'title: "Report"',
+    '---',
+    '',
+    '# Introduction',
+    '',
+    'The first paragraph, reworded.',
+    '',
+    '```{r}',
+    'plot(1)',
+    '```',
+    '',
+    'The last paragraph.',
+    '',
+    'A new closing paragraph.',
+    '',
+  ].join('\n');
+
+  const hunks = computeBlockHunks(mainQmd, collabQmd);
+
+  // Test case 1: One hunk per run of changed blocks
+  assertEqual(hunks.map(({ type, mainText, collabText }) => ({ type, mainText, collabText })), [
+    { type: 'modified', mainText: 'The first paragraph.', collabText: 'The first paragraph, reworded.' },
+    { type: 'added', mainText: '', collabText: 'A new closing paragraph.' },
+  ], "Test 1: Modified and added blocks found");
+
+  // Test case 2: Accepting every hunk reproduces the collaboration branch
+  assertEqual(applyBlockHunks(mainQmd, hunks, hunks.map(hunk => hunk.id)), collabQmd, "Test 2: All hunks accepted");
+
+  // Test case 3: Only the accepted hunk is applied, appended blocks get their own paragraph
+  assertEqual(applyBlockHunks(mainQmd, hunks, [hunks[1].id]), mainQmd + '\nA new closing paragraph.\n', "Test 3: Added block appended on its own");
+
+  // Test case 4: A removed block is only removed when its hunk is accepted
+  const withoutChunk = mainQmd.replace('```{r}\nplot(1)\n```\n\n', '');
+  const removal = computeBlockHunks(mainQmd, withoutChunk);
+  assertEqual(removal.map(hunk => [hunk.type, hunk.blockTypes]), [['removed', ['code']]], "Test 4a: Removed code chunk found");
+  assertEqual(applyBlockHunks(mainQmd, removal, []), mainQmd, "Test 4b: Nothing accepted leaves main as it is");
+  assertEqual(applyBlockHunks(mainQmd, removal, [removal[0].id]), withoutChunk, "Test 4c: Removal applied");
+
+  // Test case 5: Appending to a file without a trailing newline still separates the blocks
+  const hunksNoNewline = computeBlockHunks('Alpha.', 'Alpha.\n\nBeta.');
+  assertEqual(applyBlockHunks('Alpha.', hunksNoNewline, [hunksNoNewline[0].id]), 'Alpha.\n\nBeta.', "Test 5: Blank line added before appended block");
+
+  // Test case 6: A hunk whose main blocks changed since the review was loaded gets a new id
+  const laterIds = computeBlockHunks(mainQmd.replace('The first paragraph.', 'The opening paragraph.'), collabQmd).map(hunk => hunk.id);
+  assertEqual(hunks.map(hunk => laterIds.includes(hunk.id)), [false, true], "Test 6: Stale hunk ids no longer match");
+
+  // Test case 7: Blocks changed on one branch only merge cleanly
+  const baseQmd = '# Title\n\nFirst.\n\nSecond.\n\nThird.\n';
+  const clean = computeThreeWayMerge(baseQmd, baseQmd.replace('First.', 'First, on main.'), baseQmd.replace('Third.', 'Third, from a collaborator.'));
+  assertEqual(clean.conflicts, [], "Test 7a: No conflicts when different blocks change");
+  assertEqual(resolveThreeWayMerge(clean, {}), '# Title\n\nFirst, on main.\n\nSecond.\n\nThird, from a collaborator.\n', "Test 7b: Both changes kept");
+
+  // Test case 8: The same block changed differently on both branches is a conflict
+  const conflicted = computeThreeWayMerge(baseQmd, baseQmd.replace('Second.', 'Second (main).'), baseQmd.replace('Second.', 'Second (collab).') + '\nFourth.\n');
+  assertEqual(conflicted.conflicts.map(({ baseText, mainText, collabText, blockTypes }) => ({ baseText, mainText, collabText, blockTypes })), [
+    { baseText: 'Second.', mainText: 'Second (main).', collabText: 'Second (collab).', blockTypes: ['paragraph'] },
+  ], "Test 8a: Conflicting paragraph found");
+  const conflictId = conflicted.conflicts[0].id;
+  assertEqual(resolveThreeWayMerge(conflicted, { [conflictId]: { choice: 'main' } }), '# Title\n\nFirst.\n\nSecond (main).\n\nThird.\n\nFourth.\n', "Test 8b: Main version chosen");
+  assertEqual(resolveThreeWayMerge(conflicted, { [conflictId]: { choice: 'both' } }), '# Title\n\nFirst.\n\nSecond (main).\n\nSecond (collab).\n\nThird.\n\nFourth.\n', "Test 8c: Both versions kept");
+  assertEqual(resolveThreeWayMerge(conflicted, { [conflictId]: { choice: 'custom', text: 'Second, agreed.' } }), '# Title\n\nFirst.\n\nSecond, agreed.\n\nThird.\n\nFourth.\n', "Test 8d: Edited resolution used");
+
+  // Test case 9: Merging with a conflict left open fails
+  let unresolvedError = null;
+  try {
+    resolveThreeWayMerge(conflicted, {});
+  } catch (error) {
+    unresolvedError = error.message;
+  }
+  assertEqual(unresolvedError, `Conflict ${conflictId} has not been resolved.`, "Test 9: Unresolved conflict rejected");
+
+  // Test case 10: Identical changes on both branches are not a conflict
+  const same = baseQmd.replace('Second.', 'Second, fixed.');
+  assertEqual(resolveThreeWayMerge(computeThreeWayMerge(baseQmd, same, same), {}), same, "Test 10: Identical changes merge cleanly");
+
+  console.log("\nBlock merge tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runBlockMergeTests();
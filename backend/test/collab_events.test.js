@@ -0,0 +1,118 @@
+// Standalone tests for the collaboration event streams
+// Run with: node test/collab_events.test.js
+// Branch events look their documents up in an in-memory database, not the server's.
+process.env.QUARTORIUM_DB_PATH = ':memory:';
+const { EventEmitter } = require('events');
+const db = require('../src/db/sqlite');
+const { openEventStream, publishCollabEvent, publishBranchEvent } = require('../src/core/collabEvents');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+// The tables are created, and then migrated, as the database module loads
+async function waitForSchema() {
+  for (;;) {
+    const columns = await new Promise((resolve, reject) => {
+      db.all('PRAGMA table_info(yjs_documents)', (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+    if (columns.some(column => column.name === 'base_commit_hash')) return;
+    await sleep(10);
+  }
+}
+
+// Subscribes a stand-in client to a document; `events` collects what it receives, `close` unsubscribes
+function subscribe(docId) {
+  const req = new EventEmitter();
+  const written = [];
+  const res = {
+    set: () => {},
+    flushHeaders: () => {},
+    write: (chunk) => written.push(chunk),
+  };
+  openEventStream(docId, req, res);
+  return {
+    events: () => written
+      .filter(chunk => chunk.startsWith('event: '))
+      .map(chunk => {
+        const [, event, data] = chunk.match(/^event: (.*)\ndata: (.*)\n\n$/);
+        return { event, data: JSON.parse(data) };
+      }),
+    written,
+    close: () => req.emit('close'),
+  };
+}
+
+async function runCollabEventsTests() {
+  console.log("Running collaboration event tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  await waitForSchema();
+
+  // Test case 1: Events reach everyone subscribed to the document, and nobody else
+  const ana = subscribe(7);
+  const ben = subscribe(7);
+  const other = subscribe(8);
+  const comment = { shareToken: 'tok-ana', commentId: 'c-1', author: 'Ana', timestamp: '2025-01-01T00:00:00.000Z' };
+  publishCollabEvent(7, 'comment-added', comment);
+  assertEqual(
+    [ana.written[0], ana.events(), ben.events(), other.events()],
+    ['retry: 3000\n\n', [{ event: 'comment-added', data: comment }], [{ event: 'comment-added', data: comment }], []],
+    "Test 1: Event delivered to the document's subscribers"
+  );
+
+  // Test case 2: A closed stream gets nothing more; the others still do
+  ana.close();
+  const commit = { shareToken: 'tok-ben', hash: 'abc123', message: 'Update', author: 'Ben', timestamp: '2025-01-01T00:01:00.000Z' };
+  publishCollabEvent(7, 'commit', commit);
+  ben.close();
+  publishCollabEvent(7, 'commit', { ...commit, hash: 'def456' });
+  assertEqual(
+    [ana.events().map(({ event }) => event), ben.events().map(({ event }) => event)],
+    [['comment-added'], ['comment-added', 'commit']],
+    "Test 2: Unsubscribed streams stop receiving events"
+  );
+
+  // Test case 3: Branch events reach every document shared on the branch
+  await run("INSERT INTO users (id, github_id, username) VALUES (1, 'gh-1', 'owner')");
+  await run("INSERT INTO repositories (id, user_id, github_repo_id, name, full_name, is_private) VALUES (5, 1, 55, 'paper', 'owner/paper', 0)");
+  await run("INSERT INTO documents (id, repo_id, filepath) VALUES (7, 5, 'paper.qmd'), (8, 5, 'appendix.qmd'), (9, 5, 'notes.qmd')");
+  await run(`INSERT INTO share_links (doc_id, user_id, share_token, collaborator_label, collab_branch_name) VALUES
+    (7, 1, 'tok-paper', 'Ana', 'quartorium/shared'), (8, 1, 'tok-appendix', 'Ana', 'quartorium/shared'), (9, 1, 'tok-notes', 'Ben', 'quartorium/ben')`);
+  const paper = subscribe(7);
+  const appendix = subscribe(8);
+  const notes = subscribe(9);
+  publishBranchEvent(5, 'quartorium/shared', 'lock-acquired', { lockedBy: 'Ana' });
+  await sleep(50);
+  assertEqual(
+    [paper.events(), appendix.events(), notes.events()],
+    [[{ event: 'lock-acquired', data: { lockedBy: 'Ana' } }], [{ event: 'lock-acquired', data: { lockedBy: 'Ana' } }], []],
+    "Test 3: Branch event delivered to the branch's documents"
+  );
+  [other, paper, appendix, notes].forEach(stream => stream.close());
+
+  console.log("\nCollaboration event tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runCollabEventsTests();
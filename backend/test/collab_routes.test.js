@@ -0,0 +1,196 @@
+// Standalone tests for the collaboration routes that store and commit what collaborators send
+// Run with: node test/collab_routes.test.js
+// The routes run against an in-memory database, not the server's.
+process.env.QUARTORIUM_DB_PATH = ':memory:';
+const express = require('express');
+const db = require('../src/db/sqlite');
+const collabRoutes = require('../src/api/collab.routes');
+const { listComments, importComments } = require('../src/core/commentStore');
+const { roomNameForShareLink, seedRoom } = require('../src/core/yjsServer');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+});
+
+// The tables are created, and then migrated, as the database module loads
+async function waitForSchema() {
+  for (;;) {
+    const columns = await new Promise((resolve, reject) => {
+      db.all('PRAGMA table_info(yjs_documents)', (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+    if (columns.some(column => column.name === 'base_commit_hash')) return;
+    await sleep(10);
+  }
+}
+
+// A document shared with Ana and Ben, in a repository of the owner's
+async function seedDocument() {
+  await run("INSERT INTO users (id, github_id, username) VALUES (1, 'gh-1', 'owner')");
+  await run("INSERT INTO repositories (id, user_id, github_repo_id, name, full_name, is_private) VALUES (5, 1, 55, 'paper', 'owner/paper', 0)");
+  await run("INSERT INTO documents (id, repo_id, filepath) VALUES (7, 5, 'paper.qmd')");
+  await run("INSERT INTO share_links (doc_id, user_id, share_token, collaborator_label, collab_branch_name) VALUES (7, 1, 'tok-ana', 'Ana', 'quartorium/ana')");
+  await run("INSERT INTO share_links (doc_id, user_id, share_token, collaborator_label, collab_branch_name) VALUES (7, 1, 'tok-ben', 'Ben', 'quartorium/ben')");
+}
+
+const paragraphDoc = (text) => ({
+  type: 'doc',
+  content: [{ type: 'paragraph', content: [{ type: 'text', text }] }],
+});
+
+// A thread as a collaborator's browser could save it, claiming the owner wrote and resolved it
+const forgedThread = (id) => ({
+  id,
+  author: 'owner',
+  timestamp: '2025-01-01T00:00:00.000Z',
+  status: 'resolved',
+  resolvedBy: 'owner',
+  resolvedAt: '2025-01-01T00:00:00.000Z',
+  thread: [
+    { text: 'Approved.', author: 'owner', timestamp: '2025-01-01T00:00:00.000Z' },
+    { text: 'Agreed.', author: 'Ben', timestamp: '2025-01-01T00:01:00.000Z' },
+  ],
+});
+
+const summarize = (comment) => comment && ({
+  author: comment.author,
+  status: comment.status,
+  resolvedBy: comment.resolvedBy || null,
+  messages: comment.thread.map(message => message.author),
+});
+
+async function runCollabRoutesTests() {
+  console.log("Running collaboration route tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  await waitForSchema();
+  await seedDocument();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/collab', collabRoutes);
+  const server = app.listen(0);
+  const baseUrl = `http://localhost:${server.address().port}/api/collab`;
+
+  // The routes log heavily; silence them while they run
+  const quietly = async (action) => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      return await action();
+    } finally {
+      console.log = originalLog;
+    }
+  };
+  const storedComment = async (id) => (await listComments(7)).find(comment => comment.id === id) || null;
+
+  try {
+    // Test case 1: Threads in a live document are stored as its collaborator's, open
+    await run(
+      'INSERT INTO live_documents (share_token, prosemirror_json, base_commit_hash, comments_json) VALUES (?, ?, ?, ?)',
+      ['tok-ana', JSON.stringify(paragraphDoc('Draft')), 'abc123', JSON.stringify([forgedThread('c-live')])]
+    );
+    const loaded = await quietly(() => fetch(`${baseUrl}/tok-ben`));
+    const loadedBody = await loaded.json();
+    assertEqual(
+      [loaded.status, summarize(await storedComment('c-live')), summarize(loadedBody.comments[0])],
+      [
+        200,
+        { author: 'Ana', status: 'open', resolvedBy: null, messages: ['Ana', 'Ana'] },
+        { author: 'Ana', status: 'open', resolvedBy: null, messages: ['Ana', 'Ana'] },
+      ],
+      "Test 1: Forged authors in a live document not stored"
+    );
+
+    // Test case 2: Threads a collaborator saves are stored as theirs, and saved that way
+    const saved = await quietly(() => fetch(`${baseUrl}/tok-ben`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prosemirror_json: JSON.stringify(paragraphDoc('Edited')), base_commit_hash: 'abc123', comments: [forgedThread('c-saved')] }),
+    }));
+    const liveComments = await new Promise((resolve, reject) => {
+      db.get("SELECT comments_json FROM live_documents WHERE share_token = 'tok-ben'", (err, row) => (err ? reject(err) : resolve(JSON.parse(row.comments_json))));
+    });
+    assertEqual(
+      [saved.status, summarize(await storedComment('c-saved')), summarize(liveComments[0])],
+      [
+        200,
+        { author: 'Ben', status: 'open', resolvedBy: null, messages: ['Ben', 'Ben'] },
+        { author: 'Ben', status: 'open', resolvedBy: null, messages: ['Ben', 'Ben'] },
+      ],
+      "Test 2: Forged authors in a live save not stored"
+    );
+
+    // Test case 3: Threads from the committed appendix keep their authors and resolution
+    await importComments(7, 'tok-ana', [forgedThread('c-appendix')]);
+    assertEqual(
+      summarize(await storedComment('c-appendix')),
+      { author: 'owner', status: 'resolved', resolvedBy: 'owner', messages: ['owner', 'Ben'] },
+      "Test 3: Appendix threads stored as written"
+    );
+
+    // Test case 4: A commit with pending suggestions is refused, and the live document kept for review
+    const suggested = paragraphDoc('Draft');
+    suggested.content[0].content.push({
+      type: 'text',
+      text: ' with more detail',
+      marks: [{ type: 'insertion', attrs: { changeId: 's-1', author: 'Ana', timestamp: '2025-01-02T00:00:00.000Z' } }],
+    });
+    await run("UPDATE live_documents SET prosemirror_json = ? WHERE share_token = 'tok-ana'", [JSON.stringify(suggested)]);
+    const committed = await quietly(() => fetch(`${baseUrl}/tok-ana/commit-qmd`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ base_commit_hash: 'abc123' }),
+    }));
+    const committedBody = await committed.json();
+    const keptDocument = await new Promise((resolve, reject) => {
+      db.get("SELECT prosemirror_json FROM live_documents WHERE share_token = 'tok-ana'", (err, row) => (err ? reject(err) : resolve(row)));
+    });
+    assertEqual(
+      [committed.status, committedBody.pendingChanges.map(change => change.changeId), JSON.parse(keptDocument.prosemirror_json)],
+      [409, ['s-1'], suggested],
+      "Test 4: Commit with pending suggestions refused"
+    );
+
+    // Test case 5: The commit takes the shared room's content, which can be ahead of the last save
+    await run("UPDATE live_documents SET prosemirror_json = ? WHERE share_token = 'tok-ana'", [JSON.stringify(paragraphDoc('Draft'))]);
+    await seedRoom(roomNameForShareLink({ doc_id: 7, collab_branch_name: 'quartorium/ana' }), suggested);
+    const roomCommit = await quietly(() => fetch(`${baseUrl}/tok-ana/commit-qmd`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ base_commit_hash: 'abc123' }),
+    }));
+    assertEqual(
+      [roomCommit.status, (await roomCommit.json()).pendingChanges.map(change => change.text)],
+      [409, [' with more detail']],
+      "Test 5: Commit made from the shared room"
+    );
+  } finally {
+    server.close();
+  }
+
+  console.log("\nCollaboration route tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+// The collaboration room the load opened keeps a timer running until it unloads, a minute later
+runCollabRoutesTests().then(() => process.exit(0));
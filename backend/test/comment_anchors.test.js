@@ -0,0 +1,130 @@
+// Standalone tests for anchoring comments to text and re-attaching them after a re-render
+// Run with: node test/comment_anchors.test.js
+const { anchorComments, reattachComments } = require('../src/core/commentAnchors');
+const { proseMirrorJSON_to_qmd } = require('../src/core/astSerializer');
+const { extractCommentsAppendix } = require('../src/core/commentUtils');
+
+function runCommentAnchorTests() {
+  console.log("Running comment anchor tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  const commentMark = { type: 'comment', attrs: { commentId: 'c-1' } };
+  const commentedDoc = {
+    type: 'doc',
+    content: [
+      { type: 'heading', attrs: { level: 2, id: 'sec-results' }, content: [{ type: 'text', text: 'Results' }] },
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'text', text: 'The effect was small. ' },
+          { type: 'text', text: 'The effect', marks: [{ type: 'bold' }, commentMark] },
+          { type: 'text', text: ' was significant.', marks: [commentMark] },
+        ],
+      },
+    ],
+  };
+  const comments = [{ id: 'c-1', status: 'open', thread: [{ text: 'Which test?' }] }];
+
+  // Test case 1: The anchor quotes the commented text with its context and block
+  const [anchored] = anchorComments(commentedDoc, comments);
+  assertEqual(anchored.location, {
+    type: 'TextQuoteSelector',
+    exact: 'The effect was significant.',
+    prefix: 'The effect was small. ',
+    suffix: '',
+    blockKey: 'sec-results/1',
+  }, "Test 1: TextQuoteSelector recorded");
+
+  // Test case 2: The anchor is written to the comments appendix
+  const qmd = proseMirrorJSON_to_qmd(commentedDoc, '## Results {#sec-results}\n\nThe effect was small. The effect was significant.\n', comments);
+  assertEqual(extractCommentsAppendix(qmd).comments[0].location, anchored.location, "Test 2: Anchor stored in the appendix");
+
+  // Test case 3: A render without the span gets the mark back, even with different line breaks
+  const rendered = {
+    type: 'doc',
+    content: [
+      { type: 'heading', attrs: { level: 2, id: 'sec-results' }, content: [{ type: 'text', text: 'Results' }] },
+      { type: 'paragraph', content: [{ type: 'text', text: 'The effect was small.\nThe effect was significant.' }] },
+    ],
+  };
+  const [reattached] = reattachComments(rendered, [anchored]);
+  assertEqual(rendered.content[1].content, [
+    { type: 'text', text: 'The effect was small.\n' },
+    { type: 'text', text: 'The effect was significant.', marks: [commentMark] },
+  ], "Test 3a: Mark restored on the quoted text");
+  assertEqual(reattached.orphaned, undefined, "Test 3b: Re-attached comment not orphaned");
+
+  // Test case 4: The context picks the right one of several identical quotes
+  const repeated = {
+    type: 'doc',
+    content: [
+      { type: 'paragraph', content: [{ type: 'text', text: 'First, see above. Then see above again.' }] },
+    ],
+  };
+  reattachComments(repeated, [{ id: 'c-1', location: { type: 'TextQuoteSelector', exact: 'see above', prefix: 'Then ', suffix: ' again.' } }]);
+  assertEqual(repeated.content[0].content.map(node => node.text), ['First, see above. Then ', 'see above', ' again.'], "Test 4: Second occurrence chosen by its context");
+
+  // Test case 5: A comment whose text was deleted is flagged and keeps its anchor
+  const withoutQuote = { type: 'doc', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Rewritten entirely.' }] }] };
+  const [orphan] = reattachComments(withoutQuote, [anchored]);
+  assertEqual([orphan.orphaned, orphan.location.exact], [true, 'The effect was significant.'], "Test 5: Orphaned comment flagged");
+
+  // Test case 6: A mark that survived the render is left as it is
+  const [kept] = reattachComments(commentedDoc, [{ ...anchored, orphaned: true }]);
+  assertEqual([kept.orphaned, commentedDoc.content[1].content.length], [undefined, 3], "Test 6: Existing mark kept");
+
+  // Test case 7: Comments on a code chunk and an equation are anchored to the blocks
+  const blockDoc = {
+    type: 'doc',
+    content: [
+      { type: 'heading', attrs: { level: 2, id: 'sec-results' }, content: [{ type: 'text', text: 'Results' }] },
+      { type: 'quartoBlock', attrs: { blockKey: 'fig-plot', language: 'r', code: 'plot(x)', commentIds: ['c-plot'] } },
+      { type: 'displayMath', attrs: { latex: 'E = mc^2', label: null, commentIds: ['c-eq'] } },
+    ],
+  };
+  const blockComments = [{ id: 'c-plot', thread: [{ text: 'Log axes?' }] }, { id: 'c-eq', thread: [{ text: 'Units?' }] }];
+  assertEqual(anchorComments(blockDoc, blockComments).map(comment => comment.location), [
+    { type: 'BlockSelector', nodeType: 'quartoBlock', blockKey: 'fig-plot' },
+    { type: 'BlockSelector', nodeType: 'displayMath', blockKey: 'sec-results/2' },
+  ], "Test 7: BlockSelector recorded with the chunk label or the block's position");
+
+  // Test case 8: A re-render gets the ids back into the blocks, by label first and position second
+  const anchoredBlockComments = anchorComments(blockDoc, blockComments);
+  const rerendered = {
+    type: 'doc',
+    content: [
+      { type: 'heading', attrs: { level: 2, id: 'sec-results' }, content: [{ type: 'text', text: 'Results' }] },
+      { type: 'displayMath', attrs: { latex: 'E = mc^2', label: null } },
+      { type: 'quartoBlock', attrs: { blockKey: 'fig-plot', language: 'r', code: 'plot(log(x))' } },
+    ],
+  };
+  const reattachedBlocks = reattachComments(rerendered, anchoredBlockComments);
+  assertEqual(
+    [rerendered.content[2].attrs.commentIds, rerendered.content[1].attrs.commentIds, reattachedBlocks.map(comment => comment.orphaned)],
+    [['c-plot'], undefined, [undefined, true]],
+    "Test 8: Chunk found by its label, moved equation orphaned"
+  );
+
+  console.log("\nComment anchor tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runCommentAnchorTests();
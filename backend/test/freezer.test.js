@@ -0,0 +1,196 @@
+// Standalone tests for reading Quarto's frozen results and flagging stale chunks
+// Run with: node test/freezer.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getRenderMode, freezeInputHash, parseChunks, splitCells, matchCells, chunkStatuses,
+  checkFreeze, frozenDocument, applyFreezeStatuses, applyChunkOptions,
+} = require('../src/core/freezer');
+
+async function runFreezerTests() {
+  console.log("Running freezer tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  const source = [
+    '---', 'title: Trial', '---', '',
+    '```{r setup, include=FALSE}', 'library(survival)', '```', '',
+    '```{r}', '#| label: fig-survival', 'plot(fit)', '```', '',
+    '```python', 'print("not a chunk")', '```', '',
+    '::: {.column}', '```{r}', 'summary(fit)', '```', ':::', '',
+  ].join('\n');
+  const frozenMarkdown = [
+    '::: {.cell}', '', '```{.r .cell-code}', 'plot(fit)', '```', '',
+    '::: {.cell-output-display}', '![Survival](paper_files/figure-html/fig-survival-1.png){#fig-survival}', ':::', ':::', '',
+    '::: {.column}', '::: {.cell}', '', '```{.r .cell-code}', 'summary(fit)', '```', '',
+    '::: {.cell-output .cell-output-stdout}', '```', 'n = 120', '```', ':::', ':::', ':::', '',
+  ].join('\n');
+
+  // Test case 1: Executable chunks are found, nested ones too, with their label and whether they're included
+  const chunks = parseChunks(source);
+  assertEqual(
+    chunks.map(({ language, code, label, include }) => ({ language, code, label, include })),
+    [
+      { language: 'r', code: 'library(survival)', label: 'setup', include: false },
+      { language: 'r', code: 'plot(fit)', label: 'fig-survival', include: true },
+      { language: 'r', code: 'summary(fit)', label: null, include: true },
+    ],
+    "Test 1: Chunks parsed"
+  );
+
+  // Test case 2: Cells are split out of frozen markdown and paired with their chunks
+  const cells = splitCells(frozenMarkdown);
+  assertEqual(
+    [cells.map(cell => cell.code), matchCells(chunks, cells)],
+    [['plot(fit)', 'summary(fit)'], [null, 0, 1]],
+    "Test 2: Cells split and matched"
+  );
+
+  // Test case 3: A chunk is stale once it or an earlier chunk changed
+  const edited = parseChunks(source.replace('plot(fit)', 'plot(fit, col = 2)'));
+  const editedCells = matchCells(edited, cells).map(index => (index === null ? null : cells[index]));
+  assertEqual(
+    [
+      chunkStatuses(edited, { fresh: true }),
+      chunkStatuses(edited, { fresh: false, frozenChunks: chunks }),
+      chunkStatuses(edited, { fresh: false, cells: editedCells }),
+      chunkStatuses(parseChunks(source.replace('summary(fit)', 'summary(fit2)')), { fresh: false, frozenChunks: chunks }),
+    ],
+    [
+      ['fresh', 'fresh', 'fresh'],
+      ['fresh', 'stale', 'stale'],
+      ['fresh', 'stale', 'stale'],
+      ['fresh', 'fresh', 'stale'],
+    ],
+    "Test 3: Stale chunks found from the frozen source or the echoed code"
+  );
+
+  // Test case 4: A frozen document has the outputs in place of the chunks, and placeholders for stale ones
+  const staged = frozenDocument(source, chunks.map((chunk, i) => ({
+    ...chunk,
+    cell: [null, cells[0], cells[1]][i],
+    status: i === 2 ? 'stale' : 'fresh',
+  })));
+  assertEqual(
+    [
+      staged.includes('library(survival)'),
+      staged.includes('{#fig-survival}'),
+      staged.includes('::: {.cell .quartorium-not-run}\n``` {.r .cell-code}\nsummary(fit)\n```\n:::'),
+      parseChunks(staged).length,
+    ],
+    [false, true, true, 0],
+    "Test 4: Frozen document executes nothing"
+  );
+
+  // Test case 5: Converted chunks are flagged by their code, in order
+  const doc = {
+    type: 'doc',
+    content: [
+      { type: 'quartoBlock', attrs: { code: 'plot(fit)\n', language: 'r' } },
+      { type: 'paragraph', content: [{ type: 'text', text: 'Results' }] },
+      { type: 'quartoBlock', attrs: { code: 'summary(fit)', language: 'r' } },
+    ],
+  };
+  applyFreezeStatuses(doc, [
+    { code: 'library(survival)', status: 'fresh' },
+    { code: 'plot(fit)', status: 'fresh', notRun: false },
+    { code: 'summary(fit)', status: 'stale', notRun: true },
+  ]);
+  assertEqual(
+    [doc.content[0].attrs, doc.content[2].attrs],
+    [
+      { code: 'plot(fit)\n', language: 'r', freezeStatus: 'fresh' },
+      { code: 'summary(fit)', language: 'r', freezeStatus: 'stale', notRun: true },
+    ],
+    "Test 5: Statuses applied to the converted document"
+  );
+
+  // Test case 6: Frozen results are read from _freeze, and compared with the document's hash
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'freezer-test-'));
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, file), content);
+  };
+  try {
+    const paper = path.join(projectDir, 'paper.qmd');
+    write('paper.qmd', source);
+    write('_freeze/paper/execute-results/html.json', JSON.stringify({ hash: freezeInputHash(source), result: { markdown: frozenMarkdown, supporting: ['paper_files'] } }));
+    const fresh = await checkFreeze(paper, projectDir);
+    write('paper.qmd', source.replace('summary(fit)', 'summary(fit, times = 5)'));
+    const changed = await checkFreeze(paper, projectDir);
+    const unfrozen = await checkFreeze(path.join(projectDir, 'other.qmd'), projectDir).catch(() => null);
+    write('other.qmd', source);
+    const other = await checkFreeze(path.join(projectDir, 'other.qmd'), projectDir);
+    assertEqual(
+      [
+        [fresh.fresh, fresh.frozen.format, fresh.chunks.map(chunk => chunk.status)],
+        [changed.fresh, changed.chunks.map(chunk => chunk.status)],
+        [unfrozen, other.frozen, other.chunks.map(chunk => chunk.status)],
+      ],
+      [
+        [true, 'html', ['fresh', 'fresh', 'fresh']],
+        [false, ['fresh', 'fresh', 'stale']],
+        [null, null, [null, null, null]],
+      ],
+      "Test 6: Frozen results read and checked"
+    );
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+
+  // Test case 7: The render mode defaults to full, and an unknown one is refused
+  let invalidError = null;
+  try {
+    getRenderMode({ RENDER_MODE: 'fast' });
+  } catch (error) {
+    invalidError = error.message;
+  }
+  assertEqual(
+    [getRenderMode({}), getRenderMode({ RENDER_MODE: 'text' }), invalidError],
+    ['full', 'text', 'Invalid RENDER_MODE "fast". Expected one of: full, text.'],
+    "Test 7: Render mode read from RENDER_MODE"
+  );
+
+  // Test case 8: Converted chunks get the options they are written with, for re-runs
+  const optionsDoc = {
+    type: 'doc',
+    content: [
+      { type: 'quartoBlock', attrs: { code: 'library(survival)', language: 'r' } },
+      { type: 'quartoBlock', attrs: { code: 'plot(fit)', language: 'r' } },
+      { type: 'quartoBlock', attrs: { code: 'summary(fit)', language: 'r' } },
+    ],
+  };
+  applyChunkOptions(optionsDoc, parseChunks(source));
+  assertEqual(
+    optionsDoc.content.map(({ attrs: { chunkOptions, chunkOptionLines } }) => ({ chunkOptions, chunkOptionLines })),
+    [
+      { chunkOptions: 'r setup, include=FALSE' },
+      { chunkOptions: 'r', chunkOptionLines: '#| label: fig-survival' },
+      { chunkOptions: 'r' },
+    ],
+    "Test 8: Chunk options applied to the converted document"
+  );
+
+  console.log("\nFreezer tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runFreezerTests();
@@ -44,7 +44,7 @@ plot(1)
         console.log('BlockOrder:', blockOrder);
         
         console.log('\n2. Testing JATS rendering...');
-        const { jatsXml } = await renderToJATS(testQmdPath, testProjectDir, 'test-repo', 'test-commit');
+        const { jatsXml } = await renderToJATS(testQmdPath, testProjectDir, 'test-repo');
         
         console.log('\n3. JATS XML structure:');
         console.log('First 1000 characters:');
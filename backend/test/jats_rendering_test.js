@@ -84,7 +84,7 @@ plot(1)
     console.log(`   - Temp directory: ${tempDir}`);
     
     console.log('\n4. Rendering to JATS...');
-    const { jatsXml } = await renderToJATS(tempQmdPath, tempDir, 'test-repo', 'test-commit');
+    const { jatsXml } = await renderToJATS(tempQmdPath, tempDir, 'test-repo');
     
     console.log(`   - JATS XML length: ${jatsXml.length} characters`);
     console.log('\n   - JATS XML sample (first 500 chars):');
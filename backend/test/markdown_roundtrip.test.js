@@ -0,0 +1,381 @@
+// Standalone round-trip tests: JATS -> ProseMirror JSON -> QMD
+// Run with: node test/markdown_roundtrip.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { jatsToProseMirrorJSON } = require('../src/core/astParser');
+const { proseMirrorJSON_to_qmd, attachSourceMap } = require('../src/core/astSerializer');
+const { parseQmd } = require('../src/core/qmdBlockParser');
+
+// Wraps body (and optional back matter) markup in a minimal JATS article.
+const wrapJats = (body, back = '') => `<?xml version="1.0" encoding="utf-8" ?>
+<article xmlns:mml="http://www.w3.org/1998/Math/MathML" xmlns:xlink="http://www.w3.org/1999/xlink" dtd-version="1.2" article-type="other">
+<body>
+${body}
+</body>
+<back>${back}</back>
+</article>`;
+
+// The parser and serializer log heavily; silence them while converting.
+async function roundTrip(jatsBody, originalQmd = '', blockMap = new Map(), jatsBack = '', rawBlocks = [], inlineExpressions = [], docFilepath = 'test.qmd') {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    const pmDoc = await jatsToProseMirrorJSON(wrapJats(jatsBody, jatsBack), blockMap, 'test-repo', 'test-commit', docFilepath, rawBlocks, inlineExpressions);
+    const qmd = proseMirrorJSON_to_qmd(pmDoc, originalQmd);
+    return { pmDoc, qmd };
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+// Serializes a ProseMirror document without the serializer's debug output.
+function serialize(pmDoc, originalQmd = '') {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return proseMirrorJSON_to_qmd(pmDoc, originalQmd);
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+async function runMarkdownRoundTripTests() {
+  console.log("Running markdown round-trip tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  // Test case 1: Bullet list with a nested ordered list that starts at 3
+  const nestedList = await roundTrip(`
+<list list-type="bullet">
+  <list-item><p>First hypothesis</p></list-item>
+  <list-item>
+    <p>Second hypothesis</p>
+    <list list-type="order">
+      <list-item><label>3.</label><p>three</p></list-item>
+      <list-item><label>4.</label><p>four</p></list-item>
+    </list>
+  </list-item>
+</list>`);
+  assertEqual(nestedList.pmDoc.content[0].content[1].content[1].attrs, { start: 3, type: null }, "Test 1a: Ordered list start number parsed from label");
+  assertEqual(nestedList.qmd, "- First hypothesis\n- Second hypothesis\n  3. three\n  4. four\n", "Test 1b: Nested list serialized with indentation");
+
+  // Test case 2: Task list
+  const taskList = await roundTrip(`
+<list list-type="bullet">
+  <list-item><p>☒ Collect data</p></list-item>
+  <list-item><p>☐ Write discussion</p></list-item>
+</list>`);
+  assertEqual(taskList.pmDoc.content[0].content.map(item => item.attrs.checked), [true, false], "Test 2a: Task items keep their checked state");
+  assertEqual(taskList.qmd, "- [x] Collect data\n- [ ] Write discussion\n", "Test 2b: Task list serialized with checkboxes");
+
+  // Test case 3: Lower-alpha ordered list
+  const alphaList = await roundTrip(`
+<list list-type="alpha-lower">
+  <list-item><label>a.</label><p>alpha</p></list-item>
+  <list-item><label>b.</label><p>beta</p></list-item>
+</list>`);
+  assertEqual(alphaList.qmd, "a. alpha\nb. beta\n", "Test 3: Alphabetic ordered list");
+
+  // Test case 4: Definition list with a multi-paragraph definition
+  const defList = await roundTrip(`
+<def-list>
+  <def-item>
+    <term>Power</term>
+    <def>
+      <p>The probability of rejecting a false null.</p>
+      <p>Usually set to 0.8.</p>
+    </def>
+  </def-item>
+</def-list>`);
+  assertEqual(defList.qmd, "Power\n:   The probability of rejecting a false null.\n\n    Usually set to 0.8.\n", "Test 4: Definition list");
+
+  // Test case 5: Basic inline formatting
+  const inlineMarks = await roundTrip(`
+<p>Some <italic>emphasis</italic>, <bold>strong</bold>, <strike>gone</strike>, <monospace>x &lt;- 1</monospace>, H<sub>2</sub>O and x<sup>2</sup>.</p>`);
+  assertEqual(inlineMarks.qmd, "Some *emphasis*, **strong**, ~~gone~~, `x <- 1`, H~2~O and x^2^.\n", "Test 5: Inline formatting marks");
+
+  // Test case 6: Nested marks share delimiters across adjacent text nodes
+  const nestedMarks = await roundTrip(`
+<p><bold>bold <italic>and italic</italic></bold> text</p>`);
+  assertEqual(nestedMarks.pmDoc.content[0].content[1].marks.map(mark => mark.type), ["italic", "bold"], "Test 6a: Nested marks are both kept");
+  assertEqual(nestedMarks.qmd, "**bold *and italic*** text\n", "Test 6b: Nested marks serialized once");
+
+  // Test case 7: Links and autolinks
+  const links = await roundTrip(`
+<p>See <ext-link ext-link-type="uri" xlink:href="https://quarto.org">the <italic>Quarto</italic> docs</ext-link> or <uri>https://pandoc.org</uri>.</p>`);
+  assertEqual(links.qmd, "See [the *Quarto* docs](https://quarto.org) or <https://pandoc.org>.\n", "Test 7: Links and autolinks");
+
+  // Test case 8: Whitespace is moved outside delimiters, backticks inside code are fenced
+  const edgeCases = serialize({
+    type: 'doc',
+    content: [{
+      type: 'paragraph',
+      content: [
+        { type: 'text', text: 'a' },
+        { type: 'text', text: ' bold ', marks: [{ type: 'bold' }] },
+        { type: 'text', text: 'and ' },
+        { type: 'text', text: 'a`b', marks: [{ type: 'code' }] },
+      ],
+    }],
+  });
+  assertEqual(edgeCases, "a **bold** and ``a`b``\n", "Test 8: Whitespace and backtick edge cases");
+
+  // Test case 9: Inline math and a labelled display equation inside a paragraph
+  const mathQmd = "Energy $E = mc^2$ is\n\n$$\nE = mc^2\n$$ {#eq-energy}\n\nconserved.";
+  const { blockMap: mathBlockMap } = parseQmd(mathQmd);
+  const math = await roundTrip(`
+<p>Energy <inline-formula><alternatives><tex-math><![CDATA[E = mc^2]]></tex-math></alternatives></inline-formula> is <styled-content id="eq-energy"><disp-formula><alternatives><tex-math><![CDATA[E = mc^2 \\qquad(1)]]></tex-math></alternatives></disp-formula></styled-content> conserved.</p>`, mathQmd, mathBlockMap);
+  assertEqual(math.pmDoc.content.map(node => node.type), ["paragraph", "displayMath", "paragraph"], "Test 9a: Paragraph split around display math");
+  assertEqual(math.pmDoc.content[1].attrs, { latex: "E = mc^2", label: "eq-energy" }, "Test 9b: Equation number stripped and label kept");
+  assertEqual(math.qmd, mathQmd + "\n", "Test 9c: Math round-trips");
+
+  // Test case 10: Edited display math is rebuilt rather than taken from the original
+  math.pmDoc.content[1].attrs.latex = "E = m c^{2}";
+  assertEqual(serialize(math.pmDoc, mathQmd).includes("$$\nE = m c^{2}\n$$ {#eq-energy}"), true, "Test 10: Edited display math");
+
+  // Test case 11: Inline and reference-style footnotes keep their original syntax
+  const footnoteQmd = "Power analysis^[See *Cohen*, 1988.] was run.[^sim]\n\n[^sim]: Simulated 1000 times.";
+  const footnotes = await roundTrip(`
+<p>Power analysis<xref ref-type="fn" rid="fn1">1</xref> was run.<xref ref-type="fn" rid="fn2">2</xref></p>`, footnoteQmd, new Map(), `
+<fn-group>
+  <fn id="fn1"><label>1</label><p>See <italic>Cohen</italic>, 1988.</p></fn>
+  <fn id="fn2"><label>2</label><p>Simulated 1000 times.</p></fn>
+</fn-group>`);
+  assertEqual(footnotes.pmDoc.content[0].content[1].attrs.number, 1, "Test 11a: Footnote number parsed from rid");
+  assertEqual(footnotes.qmd, footnoteQmd + "\n", "Test 11b: Footnotes round-trip");
+
+  // Test case 12: A new multi-paragraph footnote becomes a reference-style note
+  const newFootnote = serialize({
+    type: 'doc',
+    content: [{
+      type: 'paragraph',
+      content: [
+        { type: 'text', text: 'Claim' },
+        {
+          type: 'footnote',
+          attrs: {
+            noteId: null,
+            number: null,
+            content: [
+              { type: 'paragraph', content: [{ type: 'text', text: 'First' }] },
+              { type: 'paragraph', content: [{ type: 'text', text: 'Second' }] },
+            ],
+          },
+        },
+      ],
+    }],
+  });
+  assertEqual(newFootnote, "Claim[^note1]\n\n[^note1]: First\n\n    Second\n", "Test 12: Multi-paragraph footnote");
+
+  // Test case 13: Callout with a heading title and a nested div
+  const calloutQmd = "::: {.callout-tip collapse=\"true\"}\n## Check power first\n\nRun a *pilot*.\n\n::: aside\nSide note.\n:::\n:::";
+  const { blockMap: calloutBlockMap } = parseQmd(calloutQmd);
+  const callout = await roundTrip(`
+<boxed-text>
+  <p><bold>Check power first</bold></p>
+  <p>Run a <italic>pilot</italic>.</p>
+  <boxed-text><p>Side note.</p></boxed-text>
+</boxed-text>`, calloutQmd, calloutBlockMap);
+  assertEqual(callout.pmDoc.content[0].attrs.calloutType, "tip", "Test 13a: Callout type recovered from the source");
+  assertEqual(callout.pmDoc.content[0].content.map(node => node.type), ["paragraph", "fencedDiv"], "Test 13b: Callout title paragraph dropped");
+  assertEqual(callout.qmd, calloutQmd + "\n", "Test 13c: Callout round-trips");
+
+  // Test case 14: Figure panels don't take a <boxed-text> slot
+  const { blockMap: panelBlockMap } = parseQmd(":::: {#fig-panel layout-ncol=2}\n![a](a.png)\n::::\n\n::: {.column-margin}\nMargin text.\n:::");
+  const panel = await roundTrip(`<boxed-text><p>Margin text.</p></boxed-text>`, '', panelBlockMap);
+  assertEqual(panel.qmd, "::: {.column-margin}\nMargin text.\n:::\n", "Test 14: Divs matched in order after figure panels");
+
+  // Test case 15: Labelled pipe table is editable and reused verbatim when unchanged
+  const tableQmd = "|Group|  N |\n|:----|---:|\n|Control|12|\n|Treatment|*14*|\n\n: Sample *sizes* {#tbl-sizes}";
+  const { blockMap: tableBlockMap } = parseQmd(tableQmd);
+  const tableJats = `
+<fig id="tbl-sizes">
+  <caption><p>Table 1: Sample <italic>sizes</italic></p></caption>
+  <table-wrap>
+    <table>
+      <thead><tr><th align="left">Group</th><th align="right">N</th></tr></thead>
+      <tbody>
+        <tr><td align="left">Control</td><td align="right">12</td></tr>
+        <tr><td align="left">Treatment</td><td align="right"><italic>14</italic></td></tr>
+      </tbody>
+    </table>
+  </table-wrap>
+</fig>`;
+  const table = await roundTrip(tableJats, tableQmd, tableBlockMap);
+  assertEqual(table.pmDoc.content[0].attrs, { caption: "Sample sizes", label: "tbl-sizes", alignments: ["left", "right"] }, "Test 15a: Table caption, label and alignment");
+  assertEqual(table.qmd, tableQmd + "\n", "Test 15b: Unchanged table reused verbatim");
+
+  // Test case 16: Editing a cell rebuilds the pipe table
+  table.pmDoc.content[0].content[1].content[0].content[0].content[0].text = "Placebo";
+  assertEqual(serialize(table.pmDoc, tableQmd), "| Group     | N    |\n|:----------|-----:|\n| Placebo   | 12   |\n| Treatment | *14* |\n\n: Sample *sizes* {#tbl-sizes}\n", "Test 16: Edited table rebuilt as a pipe table");
+
+  // Test case 17: Blockquotes, horizontal rules and hard line breaks
+  const quoteQmd = "> Quoted line one\\\n> line two.\n>\n> Second paragraph.\n\n---\n\nAfter the rule.";
+  const quote = await roundTrip(`
+<disp-quote>
+  <p>Quoted line one<break />line two.</p>
+  <p>Second paragraph.</p>
+</disp-quote>
+<hr />
+<p>After the rule.</p>`, quoteQmd);
+  assertEqual(quote.pmDoc.content.map(node => node.type), ["blockquote", "horizontalRule", "paragraph"], "Test 17a: Blockquote and rule parsed");
+  assertEqual(quote.qmd, quoteQmd + "\n", "Test 17b: Blockquote, rule and hard break round-trip");
+
+  // Test case 18: Raw passthrough blocks are restored where they were in the source
+  const rawQmd = "Intro paragraph.\n\n```{=html}\n<div class=\"banner\"></div>\n```\n\n# Methods\n\nText.\n\n```{=latex}\n\\newpage\n```";
+  const { blockMap: rawBlockMap, rawBlocks } = parseQmd(rawQmd);
+  const raw = await roundTrip(`
+<p>Intro paragraph.</p>
+<sec><title>Methods</title><p>Text.</p></sec>`, rawQmd, rawBlockMap, '', rawBlocks);
+  assertEqual(raw.pmDoc.content.map(node => node.type), ["paragraph", "rawBlock", "heading", "paragraph", "rawBlock"], "Test 18a: Raw blocks placed after their anchors");
+  assertEqual(raw.pmDoc.content[1].attrs.format, "html", "Test 18b: Raw block format");
+  assertEqual(raw.qmd, rawQmd + "\n", "Test 18c: Raw blocks round-trip");
+
+  // Test case 19: With a source map, only the edited paragraph is rewritten
+  const mappedQmd = "---\ntitle: \"Paper\"\n---\n\n## Introduction\n\nThe first paragraph is wrapped\nby hand. It has two sentences.\n\n<!-- TODO: cite the survey -->\n\nThe second   paragraph stays {{< var version >}} as written.\n\n* One\n* Two\n";
+  const { blockMap: mappedBlockMap } = parseQmd(mappedQmd);
+  const mapped = await roundTrip(`
+<sec><title>Introduction</title>
+<p>The first paragraph is wrapped by hand. It has two sentences.</p>
+<p>The second paragraph stays as written.</p>
+<list list-type="bullet"><list-item><p>One</p></list-item><list-item><p>Two</p></list-item></list>
+</sec>`, mappedQmd, mappedBlockMap);
+  attachSourceMap(mapped.pmDoc, mappedQmd);
+  assertEqual(mapped.pmDoc.content.filter(node => Number.isInteger(node.attrs && node.attrs.sourceStart)).length, 4, "Test 19a: Source ranges attached to every block");
+  assertEqual(serialize(mapped.pmDoc, mappedQmd), mappedQmd, "Test 19b: Unchanged document is byte-identical");
+  mapped.pmDoc.content[1].content[0].text = "The first paragraph is edited. It has two sentences.";
+  assertEqual(serialize(mapped.pmDoc, mappedQmd), mappedQmd.replace("The first paragraph is wrapped\nby hand. It", "The first paragraph is edited.\nIt"), "Test 19c: Only the edited paragraph changes");
+
+  // Test case 20: Deleted and inserted blocks with a source map
+  mapped.pmDoc.content.splice(2, 1, { type: "paragraph", content: [{ type: "text", text: "A new paragraph." }] });
+  assertEqual(serialize(mapped.pmDoc, mappedQmd), "---\ntitle: \"Paper\"\n---\n\n## Introduction\n\nThe first paragraph is edited.\nIt has two sentences.\n\n<!-- TODO: cite the survey -->\n\nA new paragraph.\n\n* One\n* Two\n", "Test 20: Deleted block dropped, new block inserted in place");
+
+  // Test case 21: Heading ids, classes and levels come from the source; @sec- references survive
+  const sectionQmd = "## Methods {#sec-methods .unnumbered}\n\nSee @sec-methods.\n\n### Data Sources\n\nText.";
+  const { blockMap: sectionBlockMap } = parseQmd(sectionQmd);
+  const section = await roundTrip(`
+<sec id="sec-methods">
+  <title>Methods</title>
+  <p>See <xref ref-type="sec" rid="sec-methods">Section 1</xref>.</p>
+  <sec id="data-sources"><title>Data Sources</title><p>Text.</p></sec>
+</sec>`, sectionQmd, sectionBlockMap);
+  assertEqual(section.pmDoc.content[0].attrs, { level: 2, id: "sec-methods", classes: ["unnumbered"], attributes: {} }, "Test 21a: Heading id and classes from the source");
+  assertEqual(section.pmDoc.content[1].content[1].type, "sectionReference", "Test 21b: @sec- reference parsed");
+  assertEqual(section.qmd, sectionQmd + "\n", "Test 21c: Headings and section references round-trip");
+
+  // Test case 22: Shortcodes and inline code keep their source, and show their rendered value
+  const expressionQmd = "We recruited `r nrow(df)` people at **{{< var site >}}**.\n\n| Sites | N |\n|-------|---|\n| Oslo  | {{< var n >}} |";
+  const { blockMap: expressionBlockMap, inlineExpressions } = parseQmd(expressionQmd);
+  const expression = await roundTrip(`
+<p>We recruited 42 people at <bold>Oslo</bold>.</p>
+<table-wrap><table>
+  <thead><tr><th>Sites</th><th>N</th></tr></thead>
+  <tbody><tr><td>Oslo</td><td>42</td></tr></tbody>
+</table></table-wrap>`, expressionQmd, expressionBlockMap, '', [], inlineExpressions);
+  assertEqual(expression.pmDoc.content[0].content[1], { type: "inlineExpression", attrs: { source: "`r nrow(df)`", value: "42", kind: "code" } }, "Test 22a: Inline code shows its value");
+  assertEqual(expression.pmDoc.content[0].content[3].marks, [{ type: "bold" }], "Test 22b: Shortcode keeps its formatting");
+  assertEqual(expression.qmd, "We recruited `r nrow(df)` people at **{{< var site >}}**.\n\n| Sites | N             |\n|-------|---------------|\n| Oslo  | {{< var n >}} |\n", "Test 22c: Expressions serialized from their source");
+
+  // Test case 23: Blocks rendered from an include fold back into the shortcode
+  const includeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'include-test-'));
+  fs.writeFileSync(path.join(includeDir, '_methods.qmd'), "We used a survey.\n\nIt had ten questions.\n");
+  const includeQmd = "Intro.\n\n{{< include _methods.qmd >}}\n\nOutro.";
+  const include = await roundTrip(`
+<p>Intro.</p>
+<p>We used a survey.</p>
+<p>It had ten questions.</p>
+<p>Outro.</p>`, includeQmd, new Map(), '', [], parseQmd(includeQmd).inlineExpressions, path.join(includeDir, 'doc.qmd'));
+  fs.rmSync(includeDir, { recursive: true, force: true });
+  assertEqual(include.pmDoc.content.length, 3, "Test 23a: Included blocks folded into one");
+  assertEqual(include.qmd, includeQmd + "\n", "Test 23b: Include shortcode round-trips");
+
+  // Test case 24: Pending suggestions are left out until they are accepted
+  const suggestionQmd = "The results were clear.\n\nNothing else changed.\n";
+  const suggestion = await roundTrip(`
+<p>The results were clear.</p>
+<p>Nothing else changed.</p>`, suggestionQmd, parseQmd(suggestionQmd).blockMap);
+  attachSourceMap(suggestion.pmDoc, suggestionQmd);
+  const change = { author: "Reviewer", timestamp: "2025-01-01T00:00:00.000Z" };
+  suggestion.pmDoc.content[0].content = [
+    { type: "text", text: "The results were " },
+    { type: "text", text: "not ", marks: [{ type: "insertion", attrs: { changeId: "s-1", ...change } }] },
+    { type: "text", text: "clear", marks: [{ type: "deletion", attrs: { changeId: "s-2", ...change } }] },
+    { type: "text", text: "." },
+  ];
+  assertEqual(serialize(suggestion.pmDoc, suggestionQmd), suggestionQmd, "Test 24a: Pending insertion and deletion not written");
+  suggestion.pmDoc.content[0].content[1].marks = [];
+  assertEqual(serialize(suggestion.pmDoc, suggestionQmd), "The results were not clear.\n\nNothing else changed.\n", "Test 24b: Accepted insertion written, deletion still pending");
+
+  // Test case 25: Code edited and re-run in the editor replaces only the chunk's body
+  const chunkQmd = "Intro.\n\n```{r}\n#| label: fig-plot\n#| echo: false\nplot(x)\n```\n\nOutro.\n";
+  const chunkDoc = {
+    type: "doc",
+    content: [
+      { type: "paragraph", content: [{ type: "text", text: "Intro." }] },
+      { type: "quartoBlock", attrs: { blockKey: "fig-plot", language: "r", code: "plot(x)" } },
+      { type: "paragraph", content: [{ type: "text", text: "Outro." }] },
+    ],
+  };
+  attachSourceMap(chunkDoc, chunkQmd);
+  assertEqual(serialize(chunkDoc, chunkQmd), chunkQmd, "Test 25a: Unedited chunk kept as written");
+  chunkDoc.content[1].attrs = { ...chunkDoc.content[1].attrs, code: "plot(log(x))\nabline(h = 0)", codeEdited: true };
+  assertEqual(serialize(chunkDoc, chunkQmd), chunkQmd.replace("plot(x)", "plot(log(x))\nabline(h = 0)"), "Test 25b: Edited code written between the options and the fence");
+
+  // Test case 26: Alphabetic lists that run past z are numbered
+  const longAlphaList = (length, start) => ({
+    type: "doc",
+    content: [{
+      type: "orderedList",
+      attrs: { type: "a", start },
+      content: Array.from({ length }, (_, i) => ({ type: "listItem", content: [{ type: "paragraph", content: [{ type: "text", text: `item ${i + 1}` }] }] })),
+    }],
+  });
+  const shortAlpha = serialize(longAlphaList(26, 1)).trim().split("\n");
+  const longAlpha = serialize(longAlphaList(27, 1)).trim().split("\n");
+  assertEqual(
+    [shortAlpha[25], longAlpha[0], longAlpha[26], serialize(longAlphaList(2, 26)).trim().split("\n")[0]],
+    ["z. item 26", "1. item 1", "27. item 27", "26. item 1"],
+    "Test 26: Alphabetic list past z numbered"
+  );
+
+  // Test case 27: Marks without delimiters don't split the spans around them
+  const unknownMarks = {
+    type: "doc",
+    content: [{
+      type: "paragraph",
+      content: [
+        { type: "text", text: "very ", marks: [{ type: "bold" }] },
+        { type: "text", text: "bold", marks: [{ type: "highlight" }, { type: "bold" }] },
+        { type: "text", text: " text", marks: [{ type: "bold" }, { type: "underline" }, { type: "highlight" }] },
+      ],
+    }],
+  };
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  const unknownMarksQmd = serialize(unknownMarks);
+  console.warn = originalWarn;
+  assertEqual(unknownMarksQmd, "**very bold text**\n", "Test 27: Unknown marks kept inside known ones");
+
+  console.log("\nMarkdown round-trip tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runMarkdownRoundTripTests();
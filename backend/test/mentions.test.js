@@ -0,0 +1,50 @@
+// Standalone tests for finding @-mentions in comment text
+// Run with: node test/mentions.test.js
+const { findMentions } = require('../src/core/mentions');
+
+function runMentionTests() {
+  console.log("Running mention tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  const names = ['Ana', 'Ana Lee', 'Prof. Smith', 'octocat'];
+
+  // Test case 1: Simple mention, matched case-insensitively
+  assertEqual(findMentions('@octocat can you check this?', names), ['octocat'], "Test 1a: Mention at the start");
+  assertEqual(findMentions('Thoughts, @OCTOCAT?', names), ['octocat'], "Test 1b: Case-insensitive match");
+
+  // Test case 2: Labels with spaces and punctuation, longest label wins
+  assertEqual(findMentions('Agreed with @Prof. Smith and @Ana Lee.', names), ['Prof. Smith', 'Ana Lee'], "Test 2a: Labels with spaces");
+  assertEqual(findMentions('@Ana, please look', names), ['Ana'], "Test 2b: Shorter label when the longer one doesn't match");
+
+  // Test case 3: Names running on into a longer word, and email addresses, are not mentions
+  assertEqual(findMentions('@Anastasia wrote ana@example.org', names), [], "Test 3: No partial-word or email matches");
+
+  // Test case 4: Each name is listed once, in order of first mention
+  assertEqual(findMentions('@octocat @Ana and again @octocat', names), ['octocat', 'Ana'], "Test 4: Duplicates removed");
+
+  // Test case 5: Nothing to match
+  assertEqual([findMentions('', names), findMentions('@someone', names), findMentions('@Ana', [])], [[], [], []], "Test 5: No mentions");
+
+  console.log("\nMention tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runMentionTests();
@@ -0,0 +1,71 @@
+// Standalone tests for the prose-level diff shown in the rendered review
+// Run with: node test/prose_diff.test.js
+const { computeProseDiff, diffProse } = require('../src/core/proseDiff');
+
+function runProseDiffTests() {
+  console.log("Running prose diff tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  const statusesOf = (diff) => diff.blocks.map(block => `${block.blockType}:${block.status}`);
+
+  // Test case 1: Sentences moved onto their own lines are not a change
+  const original = '# Results\n\nThe effect was small. It was significant.\n';
+  const reflowed = '# Results\n\nThe effect was small.\nIt was significant.\n';
+  assertEqual(computeProseDiff(original, reflowed).stats, { added: 0, removed: 0, modified: 0 }, "Test 1: Reflow ignored");
+
+  // Test case 2: A changed word is highlighted within its sentence
+  assertEqual(diffProse('The effect was small. It was significant.', 'The effect was tiny. It was significant.'), [
+    { type: 'equal', text: 'The effect was ' },
+    { type: 'delete', text: 'small' },
+    { type: 'insert', text: 'tiny' },
+    { type: 'equal', text: '. It was significant.' },
+  ], "Test 2: Word-level change inside a sentence");
+
+  // Test case 3: A new paragraph before an edited one is reported as added, not as an edit
+  const withNewParagraph = computeProseDiff(
+    'Intro paragraph.\n\nThe effect was small.\n',
+    'Intro paragraph.\n\nA completely unrelated note about methods.\n\nThe effect was very small.\n'
+  );
+  assertEqual(statusesOf(withNewParagraph), ['paragraph:unchanged', 'paragraph:added', 'paragraph:modified'], "Test 3: Added and edited paragraphs told apart");
+
+  // Test case 4: Code chunks are compared as a whole
+  const codeDiff = computeProseDiff('```{r}\nx <- 1\nplot(x)\n```\n', '```{r}\nx <- 2\nplot(x)\n```\n');
+  assertEqual(codeDiff.blocks, [{
+    blockType: 'code',
+    atomic: true,
+    status: 'modified',
+    oldText: '```{r}\nx <- 1\nplot(x)\n```',
+    newText: '```{r}\nx <- 2\nplot(x)\n```',
+  }], "Test 4: Code chunk diffed as a unit");
+
+  // Test case 5: Comment anchors and the comments appendix are not prose changes
+  const commented = 'The effect was [small]{.comment ref="c-1"}.\n\n<!-- Comments Appendix -->\n<div id="quartorium-comments" style="display:none;">\n```json\n{"comments":[{"id":"c-1"}]}\n```\n</div>\n';
+  assertEqual(computeProseDiff('The effect was small.\n', commented).stats, { added: 0, removed: 0, modified: 0 }, "Test 5: Comments ignored");
+
+  // Test case 6: Headings keep their level
+  const headingDiff = computeProseDiff('## Methods\n', '## Materials and Methods\n');
+  assertEqual([headingDiff.blocks[0].level, headingDiff.blocks[0].status], [2, 'modified'], "Test 6: Heading level kept");
+
+  console.log("\nProse diff tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runProseDiffTests();
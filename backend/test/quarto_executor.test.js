@@ -0,0 +1,116 @@
+// Standalone tests for the sandboxed Quarto execution commands
+// Run with: node test/quarto_executor.test.js
+const path = require('path');
+const { getExecutionConfig, buildCommand, chunkProgressOf } = require('../src/core/quartoExecutor');
+
+function runQuartoExecutorTests() {
+  console.log("Running Quarto executor tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  const run = { projectDir: '/repos/paper', workDir: '/tmp/work', args: ['render', 'paper.qmd', '--to', 'jats'], containerName: 'quartorium-test' };
+  const configFor = (env) => getExecutionConfig(env);
+  const argAfter = (args, flag) => args[args.indexOf(flag) + 1];
+
+  // Test case 1: Sandboxed by default, and an unknown mode is refused
+  let invalidError = null;
+  try {
+    configFor({ QUARTO_EXECUTION: 'docker' });
+  } catch (error) {
+    invalidError = error.message;
+  }
+  assertEqual([configFor({}).mode, invalidError], [
+    'subprocess',
+    'Invalid QUARTO_EXECUTION "docker". Expected one of: trusted, subprocess, bubblewrap, container.',
+  ], "Test 1: subprocess mode by default, unknown mode refused");
+
+  // Test case 2: Trusted mode runs Quarto on the copy of the project
+  const trusted = buildCommand(configFor({ QUARTO_EXECUTION: 'trusted' }), run);
+  assertEqual([trusted.command, trusted.args, trusted.cwd], ['quarto', run.args, '/tmp/work/project'], "Test 2: Trusted mode runs Quarto directly");
+
+  // Test case 3: The subprocess has limits, no network, none of the server's secrets and hides the server's files
+  const previousSecret = process.env.GITHUB_CLIENT_SECRET;
+  process.env.GITHUB_CLIENT_SECRET = 'secret';
+  const subprocess = buildCommand(configFor({ QUARTO_MEMORY_MB: '512', QUARTO_TIMEOUT_SECONDS: '60' }), run);
+  if (previousSecret === undefined) delete process.env.GITHUB_CLIENT_SECRET;
+  else process.env.GITHUB_CLIENT_SECRET = previousSecret;
+  const hidden = buildCommand(configFor({ QUARTO_HIDDEN_PATHS: '/srv/quartorium:/home/quartorium' }), run);
+  assertEqual(
+    [
+      subprocess.command,
+      subprocess.args.slice(0, 12),
+      subprocess.args.slice(-6),
+      Object.keys(subprocess.env),
+      subprocess.env.HOME,
+      subprocess.env.QUARTORIUM_HIDDEN_PATHS.split(':').includes(path.resolve(__dirname, '..')),
+      hidden.env.QUARTORIUM_HIDDEN_PATHS,
+    ],
+    [
+      'prlimit',
+      [`--data=${512 * 1024 * 1024}`, '--cpu=60', `--fsize=${1024 * 1024 * 1024}`, '--', 'unshare', '--net', '--map-root-user', '--mount', '--pid', '--fork', '--mount-proc', '--'],
+      ['/tmp/work', 'quarto', 'render', 'paper.qmd', '--to', 'jats'],
+      ['PATH', 'HOME', 'TMPDIR', 'QUARTORIUM_HIDDEN_PATHS'],
+      '/tmp/work/home',
+      true,
+      '/srv/quartorium:/home/quartorium',
+    ],
+    "Test 3: Subprocess limited, offline, with a stripped environment and the server's files hidden"
+  );
+
+  // Test case 4: Bubblewrap only gets the project read-only and copies it before rendering
+  const bubblewrap = buildCommand(configFor({ QUARTO_EXECUTION: 'bubblewrap', QUARTO_SANDBOX_PATHS: '/usr:/does-not-exist' }), run);
+  const bwrapArgs = bubblewrap.args.slice(bubblewrap.args.indexOf('bwrap'));
+  assertEqual(
+    [
+      bwrapArgs.includes('--unshare-all'),
+      bwrapArgs.filter(arg => arg === '--ro-bind').length,
+      argAfter(bwrapArgs, '/repos/paper'),
+      argAfter(bwrapArgs, '/tmp/work'),
+      bwrapArgs.slice(-5),
+    ],
+    [true, 2, '/project', '/work', ['quarto', 'render', 'paper.qmd', '--to', 'jats']],
+    "Test 4: Bubblewrap sandbox with a read-only project"
+  );
+
+  // Test case 5: The container has no network, limits and a read-only project
+  const container = buildCommand(configFor({ QUARTO_EXECUTION: 'container', QUARTO_CONTAINER_ENGINE: 'podman', QUARTO_CPUS: '2' }), run);
+  assertEqual(
+    [container.command, argAfter(container.args, '--network'), argAfter(container.args, '--memory'), argAfter(container.args, '--cpus'), container.args.includes('/repos/paper:/project:ro'), container.args.includes('--read-only')],
+    ['podman', 'none', '2048m', '2', true, true],
+    "Test 5: Container offline, limited and with a read-only project"
+  );
+
+  // Test case 6: Chunk progress is read from knitr and Jupyter output
+  assertEqual(
+    [
+      chunkProgressOf('processing file: paper.rmarkdown\n1/12                  \n2/12 [load-data]\n'),
+      chunkProgressOf("  Cell 4/7: 'plot'...Done\n"),
+      chunkProgressOf('  |..........          |  50% [setup]'),
+      chunkProgressOf('Output created: paper.xml\nsee 2024/05 notes'),
+    ],
+    [{ current: 2, total: 12 }, { current: 4, total: 7 }, { percent: 50 }, null],
+    "Test 6: Chunk progress read from Quarto's output"
+  );
+
+  console.log("\nQuarto executor tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runQuartoExecutorTests();
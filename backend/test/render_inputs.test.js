@@ -0,0 +1,127 @@
+// Standalone tests for the render cache key, a hash of the files a render reads
+// Run with: node test/render_inputs.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collectRenderInputs, renderCacheKey } = require('../src/core/renderInputs');
+
+async function runRenderInputTests() {
+  console.log("Running render input tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-inputs-test-'));
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, file), content);
+  };
+  const paper = path.join(projectDir, 'paper.qmd');
+  const keyOf = (file = paper) => renderCacheKey(file, projectDir);
+
+  write('paper.qmd', '---\ntitle: Paper\nbibliography: refs.bib\n---\n\nSee data/notes.txt.\n\n{{< include _methods.qmd >}}\n\n```{r}\ntrial <- read.csv("data/trial.csv")\n```\n');
+  write('_methods.qmd', 'We used a survey.\n\n{{< include sections/_survey.qmd >}}\n');
+  write('sections/_survey.qmd', 'It had ten questions.\n');
+  write('refs.bib', '@article{a, title={A}}\n');
+  write('data/trial.csv', 'id,score\n1,3\n');
+  write('data/notes.txt', 'Not read by the code.\n');
+  write('README.md', '# Paper\n');
+  write('_quarto.yml', 'project:\n  type: default\nbibliography: shared.bib\n');
+  write('shared.bib', '@article{b, title={B}}\n');
+
+  try {
+    // Test case 1: The document, its includes, bibliographies, data and config are the inputs
+    const inputs = await collectRenderInputs(paper, projectDir);
+    assertEqual(
+      [...inputs.keys()].sort(),
+      ['_methods.qmd', '_quarto.yml', 'data/trial.csv', 'paper.qmd', 'refs.bib', 'sections/_survey.qmd', 'shared.bib'],
+      "Test 1: Inputs collected"
+    );
+
+    // Test case 2: Files the render doesn't read leave the key as it is
+    const key = await keyOf();
+    write('README.md', '# Paper\n\nUpdated.\n');
+    write('data/notes.txt', 'Still not read by the code.\n');
+    assertEqual(await keyOf(), key, "Test 2: Unrelated changes keep the key");
+
+    // Test case 3: A change to any input gives a new key
+    const changedKeys = [];
+    for (const [file, content] of [
+      ['sections/_survey.qmd', 'It had twelve questions.\n'],
+      ['refs.bib', '@article{a, title={A, revised}}\n'],
+      ['shared.bib', '@article{b, title={B, revised}}\n'],
+      ['data/trial.csv', 'id,score\n1,4\n'],
+      ['_quarto.yml', 'project:\n  type: default\nbibliography: shared.bib\nlang: de\n'],
+      ['_metadata.yml', 'author: Someone\n'],
+      ['_freeze/paper/execute-results/html.json', '{"hash":"abc","result":{"markdown":""}}'],
+    ]) {
+      const before = await keyOf();
+      write(file, content);
+      changedKeys.push((await keyOf()) !== before);
+    }
+    assertEqual(changedKeys, [true, true, true, true, true, true, true], "Test 3: Nested include, bibliographies, data, _quarto.yml, _metadata.yml and frozen results change the key");
+
+    // Test case 4: Two documents with the same content have different keys
+    write('copy.qmd', fs.readFileSync(paper, 'utf8'));
+    assertEqual((await keyOf(path.join(projectDir, 'copy.qmd'))) !== (await keyOf()), true, "Test 4: Documents of a project don't share a key");
+
+    // Test case 5: Images in the text, extensions and the templates and files the metadata names are inputs
+    write('results.qmd', [
+      '---', 'title: Results', 'format:', '  html:', '    template-partials: [partials/title.html]',
+      '    include-in-header:', '      file: header.html', 'filters: [wordcount.lua]', '---', '',
+      '![Flow](figures/flow.png){#fig-flow}', '', '<img src="figures/logo.svg" alt="Logo">', '',
+      '![Remote](https://example.org/remote.png)', '',
+    ].join('\n'));
+    write('figures/flow.png', 'flow');
+    write('figures/logo.svg', '<svg/>');
+    write('partials/title.html', '<h1>$title$</h1>');
+    write('header.html', '<meta name="x">');
+    write('wordcount.lua', 'return {}');
+    write('_extensions/acme/journal/_extension.yml', 'title: Journal\n');
+    const results = path.join(projectDir, 'results.qmd');
+    const resultInputs = [...(await collectRenderInputs(results, projectDir)).keys()];
+    const extensionChanged = [];
+    for (const [file, content] of [
+      ['figures/flow.png', 'flow, redrawn'],
+      ['partials/title.html', '<h1 class="title">$title$</h1>'],
+      ['_extensions/acme/journal/template.tex', '$body$'],
+    ]) {
+      const before = await keyOf(results);
+      write(file, content);
+      extensionChanged.push((await keyOf(results)) !== before);
+    }
+    assertEqual(
+      [
+        ['figures/flow.png', 'figures/logo.svg', 'partials/title.html', 'header.html', 'wordcount.lua', '_extensions/acme/journal/_extension.yml']
+          .every(file => resultInputs.includes(file)),
+        resultInputs.some(file => file.includes('remote.png')),
+        extensionChanged,
+      ],
+      [true, false, [true, true, true]],
+      "Test 5: Images, extensions and files named in the metadata change the key"
+    );
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+
+  console.log("\nRender input tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runRenderInputTests();
@@ -0,0 +1,145 @@
+// Standalone tests for the render queue: deduplication, retries and cancellation
+// Run with: node test/render_queue.test.js
+// The queue runs against an in-memory database, not the server's.
+process.env.QUARTORIUM_DB_PATH = ':memory:';
+process.env.RENDER_MAX_ATTEMPTS = '2';
+const db = require('../src/db/sqlite');
+const {
+  registerRenderHandler, requestRender, getRenderJob, cancelRenderJob, subscribeToRenderJob,
+} = require('../src/core/renderQueue');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The tables are created as the database module loads
+async function waitForTables() {
+  for (;;) {
+    const row = await new Promise((resolve, reject) => {
+      db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'render_jobs'", (err, found) => (err ? reject(err) : resolve(found)));
+    });
+    if (row) return;
+    await sleep(10);
+  }
+}
+
+// Resolves with the job once it has one of the statuses
+async function waitForStatus(jobId, statuses) {
+  for (;;) {
+    const job = await getRenderJob(jobId, { withResult: true });
+    if (statuses.includes(job.status)) return job;
+    await sleep(10);
+  }
+}
+
+async function runRenderQueueTests() {
+  console.log("Running render queue tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  await waitForTables();
+
+  let renders = 0;
+  registerRenderHandler('test-render', async ({ name }, { reportProgress }) => {
+    renders++;
+    reportProgress(`Rendering ${name}`);
+    await sleep(20);
+    return { html: `<p>${name}</p>` };
+  });
+  const failures = new Map();
+  registerRenderHandler('test-flaky', async ({ name, failTimes }) => {
+    const failed = failures.get(name) || 0;
+    if (failed < failTimes) {
+      failures.set(name, failed + 1);
+      throw new Error(`Attempt ${failed + 1} failed`);
+    }
+    return { name };
+  });
+  let abortedRuns = 0;
+  registerRenderHandler('test-slow', (params, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      abortedRuns++;
+      reject(new Error('aborted'));
+    });
+  }));
+
+  // Test case 1: Requests for the same render share one job, also once it is done
+  const first = await requestRender('test-render', { repoId: 1, key: '1:abc:paper.qmd' }, { name: 'paper' });
+  const second = await requestRender('test-render', { repoId: 1, key: '1:abc:paper.qmd' }, { name: 'paper' });
+  const other = await requestRender('test-render', { repoId: 1, key: '1:def:paper.qmd' }, { name: 'revised' });
+  await waitForStatus(other.id, ['succeeded']);
+  const done = await waitForStatus(first.id, ['succeeded']);
+  const third = await requestRender('test-render', { repoId: 1, key: '1:abc:paper.qmd' }, { name: 'paper' });
+  assertEqual(
+    [second.id === first.id, other.id !== first.id, third.id === first.id, third.status, third.result, done.result, renders],
+    [true, true, true, 'succeeded', { html: '<p>paper</p>' }, { html: '<p>paper</p>' }, 2],
+    "Test 1: Same render deduplicated, before and after it finished"
+  );
+
+  // Test case 2: A failing render is retried, and given up after RENDER_MAX_ATTEMPTS
+  const statuses = [];
+  const flaky = await requestRender('test-flaky', { repoId: 2, key: 'flaky' }, { name: 'flaky', failTimes: 1 });
+  const unsubscribe = subscribeToRenderJob(flaky.id, (event, data) => {
+    if (event === 'status') statuses.push(data.status);
+  });
+  const recovered = await waitForStatus(flaky.id, ['succeeded', 'failed']);
+  unsubscribe();
+  const broken = await requestRender('test-flaky', { repoId: 2, key: 'broken' }, { name: 'broken', failTimes: 5 });
+  const givenUp = await waitForStatus(broken.id, ['succeeded', 'failed']);
+  const retried = await requestRender('test-flaky', { repoId: 2, key: 'broken' }, { name: 'broken', failTimes: 5 });
+  assertEqual(
+    [
+      [recovered.status, recovered.attempts, recovered.result, statuses],
+      [givenUp.status, givenUp.attempts, givenUp.error],
+      retried.id !== broken.id,
+    ],
+    [
+      ['succeeded', 2, { name: 'flaky' }, ['running', 'queued', 'running', 'succeeded']],
+      ['failed', 2, 'Attempt 2 failed'],
+      true,
+    ],
+    "Test 2: Failed renders retried, then given up; a failed render can be requested again"
+  );
+  await waitForStatus(retried.id, ['failed']);
+
+  // Test case 3: Running and queued renders can be cancelled; finished ones stay as they are
+  const running = await requestRender('test-slow', { repoId: 3, key: 'slow' }, {});
+  await waitForStatus(running.id, ['running']);
+  // Same repository, so it waits for the running one
+  const queued = await requestRender('test-slow', { repoId: 3, key: 'slow-2' }, {});
+  const cancelledQueued = await cancelRenderJob(queued.id);
+  const cancelledRunning = await cancelRenderJob(running.id);
+  await sleep(50);
+  const finished = await cancelRenderJob(first.id);
+  const again = await requestRender('test-slow', { repoId: 3, key: 'slow' }, {});
+  assertEqual(
+    [
+      cancelledQueued.status, cancelledRunning.status, (await getRenderJob(running.id)).status,
+      abortedRuns, finished.status, again.id !== running.id, await cancelRenderJob('no-such-job'),
+    ],
+    ['cancelled', 'cancelled', 'cancelled', 1, 'succeeded', true, null],
+    "Test 3: Cancellation stops running renders and drops queued ones"
+  );
+  await waitForStatus(again.id, ['running']);
+  await cancelRenderJob(again.id);
+
+  console.log("\nRender queue tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runRenderQueueTests();
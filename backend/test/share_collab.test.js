@@ -111,13 +111,15 @@ describe('API Routes', () => {
       await handler(mockReq, mockRes);
 
       expect(db.run).toHaveBeenCalledWith(
-        'INSERT INTO share_links (doc_id, user_id, share_token, collab_branch_name, collaborator_label) VALUES (?, ?, ?, ?, ?)',
+        'INSERT INTO share_links (doc_id, user_id, share_token, collab_branch_name, collaborator_label, collaborator_email, can_run_code) VALUES (?, ?, ?, ?, ?, ?, ?)',
         [
           'doc1', // doc.id
           'user-who-creates-link-id', // userId from req.body
           'mock-uuid-token', // share_token
           'feature/new-collab-branch', // collab_branch_name (from branchName)
           'Test Label', // label
+          null, // no email given
+          0, // running code not allowed
         ],
         expect.any(Function)
       );
@@ -0,0 +1,77 @@
+// Standalone tests for the ProseMirror JSON <-> Yjs conversion used to seed collaborative rooms
+// Run with: node test/yjs_prosemirror.test.js
+const Y = require('yjs');
+const { prosemirrorJSONToYXmlFragment, yXmlFragmentToProseMirrorJSON } = require('../src/core/yjsProseMirror');
+
+function runYjsProseMirrorTests() {
+  console.log("Running Yjs ProseMirror conversion tests...\n");
+  let testsPassed = 0;
+  let testsFailed = 0;
+
+  const assertEqual = (actual, expected, testName) => {
+    const actualStr = JSON.stringify(actual);
+    const expectedStr = JSON.stringify(expected);
+    if (actualStr === expectedStr) {
+      console.log(`✅ PASSED: ${testName}`);
+      testsPassed++;
+    } else {
+      console.error(`❌ FAILED: ${testName}`);
+      console.error(`   Expected: ${expectedStr}`);
+      console.error(`   Actual:   ${actualStr}`);
+      testsFailed++;
+    }
+  };
+
+  const pmDoc = {
+    type: 'doc',
+    content: [
+      { type: 'heading', attrs: { level: 2, id: 'sec-intro' }, content: [{ type: 'text', text: 'Introduction' }] },
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'text', text: 'See ' },
+          { type: 'text', text: 'Knuth', marks: [{ type: 'bold' }, { type: 'link', attrs: { href: 'https://example.org' } }] },
+          { type: 'text', text: ' and ' },
+          { type: 'citation', attrs: { rid: 'knuth84', label: 'Knuth 1984' } },
+          { type: 'text', text: '.' },
+        ],
+      },
+      { type: 'quartoBlock', attrs: { language: 'r', code: 'plot(1)' } },
+    ],
+  };
+
+  // Test case 1: Seeding a fragment and reading it back gives the same document
+  const doc = new Y.Doc();
+  const fragment = doc.getXmlFragment('default');
+  prosemirrorJSONToYXmlFragment(pmDoc, fragment);
+  assertEqual(yXmlFragmentToProseMirrorJSON(fragment), pmDoc, "Test 1: Document survives the round trip");
+
+  // Test case 2: Adjacent text nodes share one Y.XmlText, as y-prosemirror stores them
+  const paragraph = fragment.get(1);
+  assertEqual(paragraph.toArray().map(item => item.constructor.name), ['YXmlText', 'YXmlElement', 'YXmlText'], "Test 2: Text runs grouped around inline nodes");
+
+  // Test case 3: Edits made in another replica arrive as ProseMirror JSON
+  const remote = new Y.Doc();
+  Y.applyUpdate(remote, Y.encodeStateAsUpdate(doc));
+  remote.getXmlFragment('default').get(0).get(0).insert(0, 'An ');
+  Y.applyUpdate(doc, Y.encodeStateAsUpdate(remote));
+  assertEqual(yXmlFragmentToProseMirrorJSON(fragment).content[0].content, [{ type: 'text', text: 'An Introduction' }], "Test 3: Remote edit merged");
+
+  // Test case 4: Overlapping marks stored under hashed names come back under their own name
+  const hashed = new Y.Doc();
+  const hashedFragment = hashed.getXmlFragment('default');
+  const text = new Y.XmlText();
+  const element = new Y.XmlElement('paragraph');
+  hashedFragment.insert(0, [element]);
+  element.insert(0, [text]);
+  text.insert(0, 'noted', { 'comment--Ab3+/x9=': { commentId: 'c-1' } });
+  assertEqual(yXmlFragmentToProseMirrorJSON(hashedFragment).content[0].content[0].marks, [{ type: 'comment', attrs: { commentId: 'c-1' } }], "Test 4: Hashed mark name restored");
+
+  console.log("\nYjs ProseMirror conversion tests summary:");
+  console.log(`${testsPassed} tests passed.`);
+  console.log(`${testsFailed} tests failed.`);
+  console.log("-------------------------------------\n");
+  return testsFailed === 0;
+}
+
+runYjsProseMirrorTests();
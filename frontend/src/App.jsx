@@ -4,6 +4,7 @@ import DashboardPage from './pages/DashboardPage';
 import EditorPage from './pages/EditorPage';
 import CollabEditorPage from './pages/CollabEditorPage';
 import ReviewPage from './pages/ReviewPage';
+import ConflictResolutionPage from './pages/ConflictResolutionPage';
 import './App.css';
 
 function App() {
@@ -17,6 +18,7 @@ function App() {
           <Route path="/editor/:repoId/*" element={<EditorPage />} />
           <Route path="/collab/:shareToken" element={<CollabEditorPage />} />
           <Route path="/review/:shareToken" element={<ReviewPage />} />
+          <Route path="/review/:shareToken/conflicts" element={<ConflictResolutionPage />} />
         </Routes>
       </div>
     </BrowserRouter>
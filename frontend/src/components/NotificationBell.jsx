@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { COMMENT_EVENT_TYPES } from './editor/commentThreads';
+import { subscribeToCollabEvents } from './editor/collabEvents';
+import './NotificationBell.css';
+
+const formatTimeAgo = (timestamp) => {
+  const minutes = Math.floor((Date.now() - new Date(timestamp)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+/**
+ * Unread counter and inbox of the comments someone was @-mentioned in.
+ *
+ * @param {{
+ *   endpoint: string,
+ *   shareToken?: string,
+ *   onOpenNotification?: (notification: Object) => void,
+ * }} props - `endpoint` is '/api/notifications' for the signed-in owner or
+ *   '/api/collab/:shareToken/notifications' for a collaborator. With a `shareToken` the inbox
+ *   refreshes as comments are posted on that document; otherwise whenever the window gets focus.
+ */
+function NotificationBell({ endpoint, shareToken, onOpenNotification }) {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await fetch(endpoint, { credentials: 'include' });
+      if (!response.ok) return;
+      const data = await response.json();
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  }, [endpoint]);
+
+  useEffect(() => {
+    fetchNotifications();
+    if (shareToken) {
+      return subscribeToCollabEvents(shareToken, {
+        onEvent: (type) => {
+          if (COMMENT_EVENT_TYPES.includes(type)) fetchNotifications();
+        },
+        onReconnect: fetchNotifications,
+      });
+    }
+    window.addEventListener('focus', fetchNotifications);
+    return () => window.removeEventListener('focus', fetchNotifications);
+  }, [fetchNotifications, shareToken]);
+
+  const markRead = async (ids) => {
+    try {
+      const response = await fetch(`${endpoint}/read`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(ids ? { ids } : {}),
+      });
+      if (!response.ok) return;
+      const data = await response.json();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(notification => (
+        !ids || ids.includes(notification.id) ? { ...notification, readAt: notification.readAt || readAt } : notification
+      )));
+      setUnreadCount(data.unreadCount);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.readAt) markRead([notification.id]);
+    setIsOpen(false);
+    onOpenNotification?.(notification);
+  };
+
+  return (
+    <div className="notification-bell">
+      <button
+        className="notification-bell-button"
+        onClick={() => setIsOpen(!isOpen)}
+        title={unreadCount > 0 ? `${unreadCount} unread mention${unreadCount === 1 ? '' : 's'}` : 'No unread mentions'}
+      >
+        🔔
+        {unreadCount > 0 && <span className="notification-count">{unreadCount > 99 ? '99+' : unreadCount}</span>}
+      </button>
+      {isOpen && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <strong>Mentions</strong>
+            <button onClick={() => markRead()} disabled={unreadCount === 0}>Mark all as read</button>
+          </div>
+          {notifications.length === 0 ? (
+            <p className="notification-empty">Nobody has mentioned you yet.</p>
+          ) : (
+            <ul className="notification-list">
+              {notifications.map(notification => (
+                <li
+                  key={notification.id}
+                  className={`notification-item ${notification.readAt ? '' : 'unread'}`}
+                  onClick={() => openNotification(notification)}
+                >
+                  <div className="notification-meta">
+                    <strong>{notification.actor}</strong> mentioned you in {notification.filepath}
+                    <span> · {formatTimeAgo(notification.createdAt)}</span>
+                  </div>
+                  <div className="notification-excerpt">{notification.excerpt}</div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
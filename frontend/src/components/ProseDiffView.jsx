@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import './ProseDiffView.css';
+
+const SEGMENT_TAGS = { insert: 'ins', delete: 'del', equal: 'span' };
+
+function Segments({ segments }) {
+  return segments.map((segment, index) => {
+    const Tag = SEGMENT_TAGS[segment.type];
+    return <Tag key={index} className={`prose-diff-${segment.type}`}>{segment.text}</Tag>;
+  });
+}
+
+function BlockContent({ block }) {
+  if (block.atomic) {
+    if (block.status === 'modified') {
+      return (
+        <>
+          <pre className="prose-diff-source prose-diff-old">{block.oldText}</pre>
+          <pre className="prose-diff-source prose-diff-new">{block.newText}</pre>
+        </>
+      );
+    }
+    return <pre className="prose-diff-source">{block.text}</pre>;
+  }
+
+  const content = block.segments ? <Segments segments={block.segments} /> : block.text;
+  switch (block.blockType) {
+    case 'heading': {
+      const Heading = `h${block.level || 2}`;
+      return <Heading>{content}</Heading>;
+    }
+    case 'blockquote':
+      return <blockquote>{content}</blockquote>;
+    case 'list':
+      return <div className="prose-diff-list">{content}</div>;
+    default:
+      return <p>{content}</p>;
+  }
+}
+
+/**
+ * The document as a reader sees it, with the collaborator's changes highlighted inline.
+ *
+ * @param {{ blocks: Array<object>, stats: { added: number, removed: number, modified: number } }} props -
+ *   The result of GET /api/docs/diff/:shareToken/semantic.
+ */
+function ProseDiffView({ blocks, stats }) {
+  const [changesOnly, setChangesOnly] = useState(false);
+  const visibleBlocks = changesOnly ? blocks.filter(block => block.status !== 'unchanged') : blocks;
+
+  return (
+    <div className="prose-diff">
+      <div className="prose-diff-toolbar">
+        <span className="prose-diff-stats">
+          {stats.modified} edited, {stats.added} added, {stats.removed} removed
+        </span>
+        <label>
+          <input type="checkbox" checked={changesOnly} onChange={(e) => setChangesOnly(e.target.checked)} />
+          Show changed blocks only
+        </label>
+      </div>
+      {visibleBlocks.length === 0 && <p className="prose-diff-empty">No changes to the text.</p>}
+      {visibleBlocks.map((block, index) => (
+        <div key={index} className={`prose-diff-block ${block.status} block-${block.blockType}`}>
+          <BlockContent block={block} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ProseDiffView;
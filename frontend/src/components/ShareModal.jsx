@@ -4,6 +4,8 @@ import './ShareModal.css';
 
 function ShareModal({ userId, docId, docFilepath, repoId, onClose }) { // Added userId prop
   const [label, setLabel] = useState('');
+  const [email, setEmail] = useState('');
+  const [canRunCode, setCanRunCode] = useState(false);
   const [existingLinks, setExistingLinks] = useState([]);
   const [error, setError] = useState('');
   const [newLink, setNewLink] = useState(null);
@@ -77,6 +79,8 @@ function ShareModal({ userId, docId, docFilepath, repoId, onClose }) { // Added
         repoId,
         filepath: docFilepath,
         label,
+        email: email.trim() || undefined,
+        canRunCode,
         userId,
         branchName: branchToUse,
         collaborationMode: 'individual', // Default to individual mode
@@ -87,6 +91,8 @@ function ShareModal({ userId, docId, docFilepath, repoId, onClose }) { // Added
         const fullUrl = `${window.location.origin}/collab/${data.share_token}`;
         setNewLink(fullUrl);
         setLabel('');
+        setEmail('');
+        setCanRunCode(false);
         setSelectedBranch('new-branch');
         // Refresh the list of links
         fetch(`/api/docs/${docId}/shares`, { credentials: 'include' }).then(res => res.json()).then(setExistingLinks);
@@ -125,6 +131,30 @@ function ShareModal({ userId, docId, docFilepath, repoId, onClose }) { // Added
             />
           </div>
 
+          <div className="form-group">
+            <label htmlFor="email">Collaborator Email (optional)</label>
+            <input
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="For mention notification digests"
+            />
+          </div>
+
+          <div className="form-group checkbox-group">
+            <label htmlFor="canRunCode">
+              <input
+                type="checkbox"
+                id="canRunCode"
+                checked={canRunCode}
+                onChange={(e) => setCanRunCode(e.target.checked)}
+              />
+              Allow editing and running code chunks
+            </label>
+            <p className="form-hint">Code runs on this server, in the Quarto sandbox.</p>
+          </div>
+
           <div className="form-group">
             <label htmlFor="existingBranch">Select Branch</label>
             <select
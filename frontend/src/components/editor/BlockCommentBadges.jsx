@@ -0,0 +1,31 @@
+import React from 'react';
+import './BlockCommentBadges.css';
+
+/**
+ * One badge per comment on a code chunk, figure or equation. Clicking a badge opens the comment in
+ * the sidebar, through the `onCommentClick` option of the BlockComments extension.
+ */
+function BlockCommentBadges({ editor, commentIds }) {
+  if (!commentIds || commentIds.length === 0) return null;
+  const blockComments = editor.extensionManager.extensions.find(extension => extension.name === 'blockComments');
+
+  return (
+    <div className="block-comment-badges" contentEditable={false}>
+      {commentIds.map((commentId, index) => (
+        <button
+          key={commentId}
+          className="block-comment-badge"
+          onClick={(e) => {
+            e.stopPropagation();
+            blockComments?.options.onCommentClick(commentId);
+          }}
+          title="Show comment"
+        >
+          💬 {index + 1}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default BlockCommentBadges;
@@ -0,0 +1,122 @@
+import { Extension } from '@tiptap/core';
+import { NodeSelection, Plugin, PluginKey } from 'prosemirror-state';
+import { Decoration, DecorationSet } from 'prosemirror-view';
+import { commentHighlightPluginKey } from './CommentMark';
+
+// Code chunks and equations are atoms and a table is made of many cells, so a comment mark can't
+// cover them as a whole. Comments on one of these blocks are listed in its `commentIds` instead;
+// the backend anchors them to the block's key and puts them back after a render.
+export const BLOCK_COMMENT_TYPES = ['quartoBlock', 'table', 'displayMath'];
+
+const blockCommentsPluginKey = new PluginKey('blockComments');
+
+/**
+ * The block a selection comments on as a whole: a selected code chunk or equation, or the table
+ * around selected table cells.
+ *
+ * @param {import('prosemirror-state').Selection} selection
+ * @returns {{ node: import('prosemirror-model').Node, pos: number }|null}
+ */
+export function findCommentableBlock(selection) {
+  if (selection instanceof NodeSelection && BLOCK_COMMENT_TYPES.includes(selection.node.type.name)) {
+    return { node: selection.node, pos: selection.from };
+  }
+  // A CellSelection, i.e. several table cells
+  const $cell = selection.$anchorCell;
+  if ($cell) {
+    for (let depth = $cell.depth; depth > 0; depth--) {
+      if ($cell.node(depth).type.name === 'table') return { node: $cell.node(depth), pos: $cell.before(depth) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Ids of every comment in the document, on text (comment marks) or on whole blocks.
+ *
+ * @param {import('prosemirror-model').Node} doc
+ * @returns {Set<string>}
+ */
+export function commentIdsInDocument(doc) {
+  const ids = new Set();
+  doc.descendants((node) => {
+    node.marks.forEach(mark => {
+      if (mark.type.name === 'comment' && mark.attrs.commentId) ids.add(mark.attrs.commentId);
+    });
+    (node.attrs.commentIds || []).forEach(id => ids.add(id));
+  });
+  return ids;
+}
+
+export default Extension.create({
+  name: 'blockComments',
+
+  addOptions() {
+    return {
+      // Called with the comment id when a block's comment badge is clicked
+      onCommentClick: () => {},
+    };
+  },
+
+  addGlobalAttributes() {
+    return [
+      {
+        types: BLOCK_COMMENT_TYPES,
+        attributes: {
+          commentIds: { default: [], rendered: false, keepOnSplit: false },
+        },
+      },
+    ];
+  },
+
+  addCommands() {
+    return {
+      // Comments on the selected block; fails if the selection isn't on a commentable block
+      setBlockComment: (commentId) => ({ state, tr, dispatch }) => {
+        const block = findCommentableBlock(state.selection);
+        if (!block) return false;
+        if (dispatch) {
+          tr.setNodeMarkup(block.pos, undefined, { ...block.node.attrs, commentIds: [...block.node.attrs.commentIds, commentId] });
+        }
+        return true;
+      },
+      unsetBlockComment: (commentId) => ({ state, tr, dispatch }) => {
+        let found = false;
+        state.doc.descendants((node, pos) => {
+          const ids = node.attrs.commentIds;
+          if (!Array.isArray(ids) || !ids.includes(commentId)) return;
+          found = true;
+          if (dispatch) {
+            tr.setNodeMarkup(pos, undefined, { ...node.attrs, commentIds: ids.filter(id => id !== commentId) });
+          }
+        });
+        return found;
+      },
+    };
+  },
+
+  addProseMirrorPlugins() {
+    return [
+      new Plugin({
+        key: blockCommentsPluginKey,
+        props: {
+          // Outline commented blocks, and highlight the one whose comment is active in the sidebar
+          decorations(state) {
+            const activeId = commentHighlightPluginKey.getState(state)?.activeId;
+            const decorations = [];
+            state.doc.descendants((node, pos) => {
+              const ids = node.attrs.commentIds;
+              if (!Array.isArray(ids) || ids.length === 0) return;
+              decorations.push(Decoration.node(pos, pos + node.nodeSize, {
+                class: `block-commented${ids.includes(activeId) ? ' block-comment-active' : ''}`,
+                'data-block-type': node.type.name,
+                'data-comment-count': String(ids.length),
+              }));
+            });
+            return DecorationSet.create(state.doc, decorations);
+          },
+        },
+      }),
+    ];
+  },
+});
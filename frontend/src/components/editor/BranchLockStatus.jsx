@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { subscribeToCollabEvents } from './collabEvents';
 import './BranchLockStatus.css';
 
 function BranchLockStatus({ shareToken, collaboratorLabel, onLockChange, isEditing = false }) {
@@ -113,10 +114,15 @@ function BranchLockStatus({ shareToken, collaboratorLabel, onLockChange, isEditi
   }, [lockStatus, collaboratorLabel]);
 
   useEffect(() => {
+    if (!shareToken) return;
     fetchLockStatus();
-    // Poll for lock status changes every 5 seconds
-    const interval = setInterval(fetchLockStatus, 5000);
-    return () => clearInterval(interval);
+    // The server pushes lock changes; reload the status whenever one arrives
+    return subscribeToCollabEvents(shareToken, {
+      onEvent: (type) => {
+        if (type.startsWith('lock-')) fetchLockStatus();
+      },
+      onReconnect: fetchLockStatus,
+    });
   }, [shareToken, collaboratorLabel]);
 
   if (!lockStatus) {
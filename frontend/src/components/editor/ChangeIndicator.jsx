@@ -1,6 +1,23 @@
 import React, { useState, useEffect } from 'react';
+import { subscribeToCollabEvents } from './collabEvents';
 import './ChangeIndicator.css';
 
+// Sort by timestamp (most recent first) and keep only the most recent live change per user
+const sortAndDedupe = (changes) => {
+  const sorted = [...changes].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  return sorted.reduce((acc, current) => {
+    if (current.type === 'live') {
+      const existing = acc.find(item => item.type === 'live' && item.author === current.author);
+      if (!existing) {
+        acc.push(current);
+      }
+    } else {
+      acc.push(current);
+    }
+    return acc;
+  }, []);
+};
+
 function ChangeIndicator({ shareToken, collaboratorLabel }) {
   const [recentChanges, setRecentChanges] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
@@ -45,23 +62,7 @@ function ChangeIndicator({ shareToken, collaboratorLabel }) {
           });
         }
         
-        // Sort by timestamp (most recent first)
-        allChanges.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        
-        // Remove duplicate live changes for the same user, keeping only the most recent
-        const uniqueChanges = allChanges.reduce((acc, current) => {
-          if (current.type === 'live') {
-            const existing = acc.find(item => item.type === 'live' && item.author === current.author);
-            if (!existing) {
-              acc.push(current);
-            }
-          } else {
-            acc.push(current);
-          }
-          return acc;
-        }, []);
-        
-        setRecentChanges(uniqueChanges);
+        setRecentChanges(sortAndDedupe(allChanges));
       } else {
         console.warn('Failed to fetch recent changes:', response.status);
         setRecentChanges([]);
@@ -74,11 +75,67 @@ function ChangeIndicator({ shareToken, collaboratorLabel }) {
     }
   };
 
+  // Apply a pushed event to the list instead of fetching everything again
+  const handleCollabEvent = (type, data) => {
+    if (type === 'live-save') {
+      setRecentChanges(prev => sortAndDedupe([
+        {
+          id: `live-${data.shareToken}`,
+          author: data.collaboratorLabel,
+          timestamp: data.updatedAt,
+          type: 'live',
+          description: 'Is currently editing'
+        },
+        ...prev.filter(change => change.id !== `live-${data.shareToken}`)
+      ]));
+    } else if (type === 'commit') {
+      // Committing clears the collaborator's live changes
+      setRecentChanges(prev => sortAndDedupe([
+        {
+          id: `commit-${data.hash}`,
+          author: data.author,
+          timestamp: data.timestamp,
+          type: 'commit',
+          description: data.message.split('\n')[0]
+        },
+        ...prev.filter(change => change.id !== `live-${data.shareToken}`)
+      ]));
+    } else if (type === 'comment-added') {
+      setRecentChanges(prev => sortAndDedupe([
+        {
+          id: `comment-${data.commentId || data.timestamp}`,
+          author: data.author,
+          timestamp: data.timestamp,
+          type: 'comment',
+          description: 'Added a comment'
+        },
+        ...prev
+      ]));
+    } else if (type === 'comment-replied' || type === 'comment-updated') {
+      const description = type === 'comment-replied'
+        ? 'Replied to a comment'
+        : data.status === 'resolved' ? 'Resolved a comment' : 'Reopened a comment';
+      setRecentChanges(prev => sortAndDedupe([
+        {
+          id: `${type}-${data.commentId}-${data.timestamp}`,
+          author: data.author,
+          timestamp: data.timestamp,
+          type: 'comment',
+          description
+        },
+        ...prev
+      ]));
+    }
+  };
+
   useEffect(() => {
+    if (!shareToken) return;
     fetchRecentChanges();
-    // Poll for recent changes every 30 seconds
-    const interval = setInterval(fetchRecentChanges, 30000);
-    return () => clearInterval(interval);
+    // New changes are pushed by the server as they happen
+    return subscribeToCollabEvents(shareToken, {
+      onEvent: handleCollabEvent,
+      onReconnect: fetchRecentChanges,
+    });
   }, [shareToken]);
 
   const formatTimeAgo = (timestamp) => {
@@ -1,10 +1,20 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { withStoredThread } from './commentThreads';
 import './CommentSidebar.css';
 
-function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelect, currentUser, onAddComment }) {
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+
+/**
+ * Comment threads of the document. With a `commentsUrl` (the comments API of a share link, or the
+ * owner's one of the document), comments, replies and resolutions are posted there, which keeps the
+ * threads every collaborator sees; without one they only change the comments saved with the document.
+ */
+function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelect, currentUser, onAddComment, commentsUrl }) {
   const [replyText, setReplyText] = useState({}); // Store reply text for each comment { [commentId]: "text" }
   const [showReplyInput, setShowReplyInput] = useState({}); // { [commentId]: boolean }
   const [isCollapsed, setIsCollapsed] = useState(false); // New state for collapsible functionality
+  const [statusFilter, setStatusFilter] = useState('all'); // 'all' | 'open' | 'resolved'
+  const [authorFilter, setAuthorFilter] = useState(''); // '' shows every author
   const textareaRefs = useRef({}); // Refs for textareas
 
   // Focus on new comment textarea when it's created
@@ -40,9 +50,39 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
     setReplyText(prev => ({ ...prev, [commentId]: text }));
   };
 
-  const submitReply = (commentId) => {
+  // Sends a comment request and puts the thread the server returns into the comments
+  const sendCommentRequest = async (method, url, body) => {
+    try {
+      const response = await fetch(`${commentsUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Request failed with status ${response.status}`);
+      setComments(prevComments => prevComments.map(comment => (
+        comment.id === data.comment.id ? withStoredThread(comment, data.comment) : comment
+      )));
+      return true;
+    } catch (error) {
+      console.error('Comment request failed:', error);
+      alert(`Could not update the comment: ${error.message}`);
+      return false;
+    }
+  };
+
+  const submitReply = async (commentId) => {
     if (!replyText[commentId] || !replyText[commentId].trim()) return;
 
+    if (commentsUrl) {
+      if (await sendCommentRequest('POST', `/${encodeURIComponent(commentId)}/replies`, { text: replyText[commentId].trim() })) {
+        setReplyText(prev => ({ ...prev, [commentId]: '' }));
+        setShowReplyInput(prev => ({ ...prev, [commentId]: false }));
+      }
+      return;
+    }
+
     const newThreadMessage = {
       text: replyText[commentId].trim(),
       author: currentUser.id,
@@ -64,6 +104,12 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
   };
 
   const toggleResolveComment = (commentId) => {
+    if (commentsUrl) {
+      const comment = comments.find(c => c.id === commentId);
+      sendCommentRequest('PATCH', `/${encodeURIComponent(commentId)}`, { status: comment.status === 'open' ? 'resolved' : 'open' });
+      return;
+    }
+
     const updatedComments = comments.map(comment => {
       if (comment.id === commentId) {
         return {
@@ -79,6 +125,12 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
   const submitInitialComment = (commentId, text) => {
     if (!text || !text.trim()) return;
 
+    if (commentsUrl) {
+      const comment = comments.find(c => c.id === commentId);
+      sendCommentRequest('POST', '', { id: commentId, text: text.trim(), location: comment?.location });
+      return;
+    }
+
     const newThreadMessage = {
       text: text.trim(),
       author: currentUser.id,
@@ -122,6 +174,14 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
     );
   }
 
+  const authors = [...new Set(comments.filter(comment => !comment.isNew).map(comment => comment.author))].filter(Boolean);
+  // A comment still being written is always shown
+  const visibleComments = comments.filter(comment => comment.isNew || (
+    (statusFilter === 'all' || comment.status === statusFilter) &&
+    (!authorFilter || comment.author === authorFilter)
+  ));
+  const authorName = (author) => author === currentUser.id ? currentUser.name : author;
+
   return (
     <aside className={`comment-sidebar ${isCollapsed ? 'collapsed' : ''}`}>
       <div className="comment-sidebar-header">
@@ -134,9 +194,23 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
           {isCollapsed ? '◀' : '▶'}
         </button>
       </div>
+      {!isCollapsed && (
+        <div className="comment-filters">
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} aria-label="Filter by status">
+            <option value="all">All comments</option>
+            <option value="open">Open</option>
+            <option value="resolved">Resolved</option>
+          </select>
+          <select value={authorFilter} onChange={(e) => setAuthorFilter(e.target.value)} aria-label="Filter by author">
+            <option value="">All authors</option>
+            {authors.map(author => <option key={author} value={author}>{authorName(author)}</option>)}
+          </select>
+        </div>
+      )}
       {!isCollapsed && (
         <div className="comment-list">
-          {comments.map((comment) => {
+          {visibleComments.length === 0 && <p className="comment-filter-empty">No comments match these filters.</p>}
+          {visibleComments.map((comment) => {
             // Separate the first message from the subsequent replies
             const firstMessage = comment.thread?.[0];
             const replies = comment.thread?.slice(1) || [];
@@ -144,15 +218,21 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
             return (
               <div
                 key={comment.id}
-                className={`comment-item ${comment.id === activeCommentId ? 'active' : ''} comment-status-${comment.status}`}
+                className={`comment-item ${comment.id === activeCommentId ? 'active' : ''} comment-status-${comment.status} ${comment.orphaned ? 'orphaned' : ''}`}
                 onClick={() => onCommentSelect(comment.id)}
               >
+                {comment.orphaned && (
+                  <div className="comment-orphaned-notice" title="The text this comment was on was changed or removed">
+                    Text no longer found
+                    {comment.location?.exact && <blockquote>{comment.location.exact}</blockquote>}
+                  </div>
+                )}
                 {/* === Case 1: This is a brand new, empty comment === */}
                 {comment.isNew && !firstMessage ? (
                   <div className="new-comment-input-area" onClick={e => e.stopPropagation()}>
                     <textarea
                       ref={(el) => textareaRefs.current[comment.id] = el}
-                      placeholder="Add a comment..."
+                      placeholder={commentsUrl ? 'Add a comment... (@name to mention someone)' : 'Add a comment...'}
                       onKeyDown={(e) => {
                         if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
                           e.preventDefault();
@@ -182,8 +262,8 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
                     {firstMessage && (
                       <div className="comment-main">
                         <div className="comment-meta">
-                          <strong>{firstMessage.author === currentUser.id ? currentUser.name : firstMessage.author}</strong>
-                          <span> at {new Date(firstMessage.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+                          <strong>{authorName(firstMessage.author)}</strong>
+                          <span> at {formatTime(firstMessage.timestamp)}</span>
                         </div>
                         <div className="comment-body">
                           <p>{firstMessage.text}</p>
@@ -197,8 +277,8 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
                         {replies.map((reply, index) => (
                           <div key={index} className="comment-reply">
                             <div className="comment-meta">
-                              <strong>{reply.author === currentUser.id ? currentUser.name : reply.author}</strong>
-                              <span> at {new Date(firstMessage.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+                              <strong>{authorName(reply.author)}</strong>
+                              <span> at {formatTime(reply.timestamp)}</span>
                             </div>
                             <div className="comment-body">
                               <p>{reply.text}</p>
@@ -208,6 +288,13 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
                       </div>
                     )}
   
+                    {comment.status === 'resolved' && comment.resolvedBy && (
+                      <div className="comment-resolved-by">
+                        Resolved by {authorName(comment.resolvedBy)}
+                        {comment.resolvedAt && <span> at {formatTime(comment.resolvedAt)}</span>}
+                      </div>
+                    )}
+
                     {/* Render actions and the reply input area */}
                     <div className="comment-actions" onClick={e => e.stopPropagation()}>
                       <button onClick={() => setShowReplyInput(prev => ({ ...prev, [comment.id]: !prev[comment.id]}))}>
@@ -223,7 +310,7 @@ function CommentSidebar({ comments, setComments, activeCommentId, onCommentSelec
                         <textarea
                           value={replyText[comment.id] || ''}
                           onChange={(e) => handleReplyChange(comment.id, e.target.value)}
-                          placeholder="Write a reply..."
+                          placeholder={commentsUrl ? 'Write a reply... (@name to mention someone)' : 'Write a reply...'}
                           autoFocus
                         />
                         <div className="reply-input-buttons">
@@ -0,0 +1,47 @@
+// src/components/editor/DefinitionList.js
+import { Node, mergeAttributes } from '@tiptap/core';
+
+// Pandoc definition lists ("Term" followed by ":   Definition") rendered as <dl>.
+export const DefinitionList = Node.create({
+  name: 'definitionList',
+  group: 'block',
+  content: '(definitionTerm definitionDescription+)+',
+
+  parseHTML() {
+    return [{ tag: 'dl' }];
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ['dl', mergeAttributes(HTMLAttributes, { class: 'definition-list' }), 0];
+  },
+});
+
+export const DefinitionTerm = Node.create({
+  name: 'definitionTerm',
+  content: 'inline*',
+  defining: true,
+
+  parseHTML() {
+    return [{ tag: 'dt' }];
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ['dt', mergeAttributes(HTMLAttributes), 0];
+  },
+});
+
+export const DefinitionDescription = Node.create({
+  name: 'definitionDescription',
+  content: 'block+',
+  defining: true,
+
+  parseHTML() {
+    return [{ tag: 'dd' }];
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ['dd', mergeAttributes(HTMLAttributes), 0];
+  },
+});
+
+export default DefinitionList;
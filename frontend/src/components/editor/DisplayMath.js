@@ -0,0 +1,37 @@
+import { Node, mergeAttributes } from '@tiptap/core';
+import { ReactNodeViewRenderer } from '@tiptap/react';
+import DisplayMathNodeView from './DisplayMathNodeView';
+
+export default Node.create({
+  name: 'displayMath',
+  group: 'block',
+  atom: true,
+
+  addAttributes() {
+    return {
+      latex: {
+        default: '',
+        parseHTML: element => element.getAttribute('data-latex'),
+        renderHTML: attributes => ({ 'data-latex': attributes.latex }),
+      },
+      // The {#eq-...} cross-reference label, if any
+      label: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-label'),
+        renderHTML: attributes => (attributes.label ? { 'data-label': attributes.label } : {}),
+      },
+    };
+  },
+
+  parseHTML() {
+    return [{ tag: 'div[data-type="display-math"]' }];
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ['div', mergeAttributes(HTMLAttributes, { 'data-type': 'display-math' })];
+  },
+
+  addNodeView() {
+    return ReactNodeViewRenderer(DisplayMathNodeView);
+  },
+});
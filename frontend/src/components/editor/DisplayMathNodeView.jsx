@@ -0,0 +1,70 @@
+import { NodeViewWrapper } from '@tiptap/react';
+import React, { useState } from 'react';
+import 'katex/dist/katex.min.css';
+import { BlockMath } from 'react-katex';
+import BlockCommentBadges from './BlockCommentBadges';
+import './MathNodeView.css';
+
+const DisplayMathNodeView = (props) => {
+  const { node, updateAttributes, editor } = props;
+  const { latex, label, commentIds } = node.attrs;
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(latex);
+
+  const startEditing = () => {
+    if (!editor.isEditable) return;
+    setDraft(latex);
+    setIsEditing(true);
+  };
+
+  const commit = () => {
+    setIsEditing(false);
+    if (draft !== latex) {
+      updateAttributes({ latex: draft });
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    // Enter adds a line to the equation; Ctrl/Cmd+Enter finishes editing.
+    if (event.key === 'Enter' && (event.metaKey || event.ctrlKey)) {
+      event.preventDefault();
+      commit();
+    } else if (event.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
+
+  return (
+    <NodeViewWrapper className="display-math" data-label={label}>
+      {isEditing ? (
+        <div className="math-editor">
+          {/* Live preview while typing */}
+          <BlockMath
+            math={draft}
+            renderError={() => <div className="math-error">{draft}</div>}
+          />
+          <textarea
+            className="math-source-input"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={handleKeyDown}
+            rows={Math.max(draft.split('\n').length, 2)}
+            autoFocus
+          />
+        </div>
+      ) : (
+        <div className="math-preview" onClick={startEditing} title="Click to edit LaTeX">
+          <BlockMath
+            math={latex}
+            renderError={() => <div className="math-error">{latex}</div>}
+          />
+        </div>
+      )}
+      {label && <span className="math-label">{label}</span>}
+      <BlockCommentBadges editor={editor} commentIds={commentIds} />
+    </NodeViewWrapper>
+  );
+};
+
+export default DisplayMathNodeView;
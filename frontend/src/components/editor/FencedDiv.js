@@ -0,0 +1,36 @@
+import { Node, mergeAttributes } from '@tiptap/core';
+import { ReactNodeViewRenderer } from '@tiptap/react';
+import FencedDivNodeView from './FencedDivNodeView';
+
+// A Pandoc fenced div (`::: {.callout-note}` ... `:::`). The fence and header are kept verbatim
+// so the div is written back exactly as it was; the blocks inside stay editable.
+export default Node.create({
+  name: 'fencedDiv',
+  group: 'block',
+  content: 'block+',
+  defining: true,
+
+  addAttributes() {
+    return {
+      fence: { default: ':::' },
+      header: { default: '{}' },
+      id: { default: null },
+      classes: { default: [] },
+      calloutType: { default: null },
+      // The heading the callout's title came from, e.g. '## Check power first'
+      titleHeading: { default: null },
+    };
+  },
+
+  parseHTML() {
+    return [{ tag: 'div[data-type="fenced-div"]' }];
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ['div', mergeAttributes(HTMLAttributes, { 'data-type': 'fenced-div' }), 0];
+  },
+
+  addNodeView() {
+    return ReactNodeViewRenderer(FencedDivNodeView);
+  },
+});
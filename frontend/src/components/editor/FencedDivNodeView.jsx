@@ -0,0 +1,33 @@
+import React from 'react';
+import { NodeViewWrapper, NodeViewContent } from '@tiptap/react';
+import './FencedDivNodeView.css';
+
+const FencedDivNodeView = ({ node }) => {
+  const { header, calloutType, titleHeading, classes } = node.attrs;
+
+  if (calloutType) {
+    const title = titleHeading
+      ? titleHeading.replace(/^#+\s*/, '')
+      : calloutType.charAt(0).toUpperCase() + calloutType.slice(1);
+
+    return (
+      <NodeViewWrapper className={`fenced-div callout callout-${calloutType}`}>
+        <div className="callout-header" contentEditable={false}>
+          {title}
+        </div>
+        <NodeViewContent className="callout-body" />
+      </NodeViewWrapper>
+    );
+  }
+
+  return (
+    <NodeViewWrapper className={['fenced-div', ...(classes || [])].join(' ')}>
+      <div className="fenced-div-header" contentEditable={false}>
+        {`::: ${header}`}
+      </div>
+      <NodeViewContent className="fenced-div-body" />
+    </NodeViewWrapper>
+  );
+};
+
+export default FencedDivNodeView;
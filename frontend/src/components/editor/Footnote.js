@@ -0,0 +1,37 @@
+import { Node, mergeAttributes } from '@tiptap/core';
+import { ReactNodeViewRenderer } from '@tiptap/react';
+import FootnoteNodeView from './FootnoteNodeView';
+
+export default Node.create({
+  name: 'footnote',
+  group: 'inline',
+  inline: true,
+  atom: true,
+
+  addAttributes() {
+    return {
+      // The JATS id of the note, e.g. 'fn1'
+      noteId: { default: null },
+      // Pandoc's footnote number, used to match the note back to its original syntax
+      number: { default: null },
+      // The note's paragraphs as ProseMirror JSON
+      content: {
+        default: [],
+        parseHTML: element => JSON.parse(element.getAttribute('data-content') || '[]'),
+        renderHTML: attributes => ({ 'data-content': JSON.stringify(attributes.content || []) }),
+      },
+    };
+  },
+
+  parseHTML() {
+    return [{ tag: 'sup[data-type="footnote"]' }];
+  },
+
+  renderHTML({ HTMLAttributes }) {
+    return ['sup', mergeAttributes(HTMLAttributes, { 'data-type': 'footnote' })];
+  },
+
+  addNodeView() {
+    return ReactNodeViewRenderer(FootnoteNodeView);
+  },
+});
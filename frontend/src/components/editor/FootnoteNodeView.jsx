@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { NodeViewWrapper } from '@tiptap/react';
+import './FootnoteNodeView.css';
+
+// Flattens the note's paragraphs to plain text, one paragraph per block.
+const paragraphsToText = (content) =>
+  (content || [])
+    .map(paragraph => (paragraph.content || []).map(inline => inline.text || '').join(''))
+    .join('\n\n');
+
+// Paragraphs are separated by blank lines in the edit box.
+const textToParagraphs = (text) =>
+  text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => ({ type: 'paragraph', content: [{ type: 'text', text: paragraph }] }));
+
+const FootnoteNodeView = ({ node, updateAttributes, editor }) => {
+  const { number, content } = node.attrs;
+  const [isOpen, setIsOpen] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  const noteText = paragraphsToText(content);
+
+  const startEditing = () => {
+    setDraft(noteText);
+    setIsEditing(true);
+  };
+
+  const handleSave = () => {
+    // Only replace the content when it changed, so formatting inside untouched notes is kept.
+    if (draft !== noteText) {
+      updateAttributes({ content: textToParagraphs(draft) });
+    }
+    setIsEditing(false);
+  };
+
+  const handleClose = () => {
+    setIsEditing(false);
+    setIsOpen(false);
+  };
+
+  return (
+    <NodeViewWrapper as="span" className="footnote">
+      <sup
+        className="footnote-marker"
+        onClick={() => setIsOpen(!isOpen)}
+        title={noteText}
+      >
+        {number || '*'}
+      </sup>
+      {isOpen && (
+        <span className="footnote-popover" contentEditable={false}>
+          {isEditing ? (
+            <>
+              <textarea
+                className="footnote-input"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={4}
+                autoFocus
+              />
+              <span className="footnote-actions">
+                <button onClick={handleSave}>Save</button>
+                <button onClick={() => setIsEditing(false)}>Cancel</button>
+              </span>
+            </>
+          ) : (
+            <>
+              {noteText
+                ? noteText.split('\n\n').map((paragraph, index) => (
+                    <span key={index} className="footnote-paragraph">{paragraph}</span>
+                  ))
+                : <span className="footnote-empty">Empty footnote</span>}
+              <span className="footnote-actions">
+                {editor.isEditable && <button onClick={startEditing}>Edit</button>}
+                <button onClick={handleClose}>Close</button>
+              </span>
+            </>
+          )}
+        </span>
+      )}
+    </NodeViewWrapper>
+  );
+};
+
+export default FootnoteNodeView;
@@ -0,0 +1,26 @@
+import { Extension } from '@tiptap/core';
+
+// Pandoc attributes of a heading ({#sec-methods .unnumbered}), kept so they're written back on save.
+const headingAttribute = (defaultValue) => ({
+  default: defaultValue,
+  rendered: false,
+  // The second half of a split heading is a new heading, and ids must stay unique.
+  keepOnSplit: false,
+});
+
+export default Extension.create({
+  name: 'headingAttributes',
+
+  addGlobalAttributes() {
+    return [
+      {
+        types: ['heading'],
+        attributes: {
+          id: headingAttribute(null),
+          classes: headingAttribute([]),
+          attributes: headingAttribute({}),
+        },
+      },
+    ];
+  },
+});
@@ -0,0 +1,47 @@
+// src/components/editor/InlineExpression.js
+import { Node, mergeAttributes } from '@tiptap/core';
+
+// A shortcode ({{< var n >}}) or inline code expression (`r nrow(df)`). It shows the value Quarto
+// computed on the last render; the source is what gets saved.
+export default Node.create({
+  name: 'inlineExpression',
+
+  group: 'inline',
+  inline: true,
+  atom: true,
+
+  addAttributes() {
+    return {
+      source: {
+        default: '',
+        parseHTML: element => element.getAttribute('data-source'),
+        renderHTML: attributes => ({ 'data-source': attributes.source, title: attributes.source }),
+      },
+      value: {
+        default: '',
+        rendered: false,
+      },
+      // 'shortcode' or 'code'
+      kind: {
+        default: 'shortcode',
+        parseHTML: element => element.getAttribute('data-kind'),
+        renderHTML: attributes => ({ 'data-kind': attributes.kind }),
+      },
+    };
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: 'span[data-type="inline-expression"]',
+        getAttrs: element => ({ value: element.textContent }),
+      },
+    ];
+  },
+
+  renderHTML({ HTMLAttributes, node }) {
+    return ['span', mergeAttributes(HTMLAttributes, { 'data-type': 'inline-expression' }), node.attrs.value || node.attrs.source];
+  },
+
+  selectable: true,
+});
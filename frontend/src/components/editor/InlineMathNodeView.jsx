@@ -0,0 +1,59 @@
+import { NodeViewWrapper } from '@tiptap/react';
+import React, { useState } from 'react';
+import 'katex/dist/katex.min.css';
+import { InlineMath as KatexInlineMath } from 'react-katex';
+import './MathNodeView.css';
+
+const InlineMathNodeView = (props) => {
+  const { node, updateAttributes, editor } = props;
+  const { latex } = node.attrs;
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(latex);
+
+  const startEditing = () => {
+    if (!editor.isEditable) return;
+    setDraft(latex);
+    setIsEditing(true);
+  };
+
+  const commit = () => {
+    setIsEditing(false);
+    if (draft !== latex) {
+      updateAttributes({ latex: draft });
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      commit();
+    } else if (event.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
+
+  return (
+    <NodeViewWrapper as="span" className="inline-math" data-latex={latex}>
+      {isEditing ? (
+        <input
+          className="math-source-input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={commit}
+          onKeyDown={handleKeyDown}
+          size={Math.max(draft.length, 4)}
+          autoFocus
+        />
+      ) : (
+        <span className="math-preview" onClick={startEditing} title={latex}>
+          <KatexInlineMath
+            math={latex}
+            renderError={() => <span className="math-error">{`$${latex}$`}</span>}
+          />
+        </span>
+      )}
+    </NodeViewWrapper>
+  );
+};
+
+export default InlineMathNodeView;
@@ -7,6 +7,20 @@ export default Node.create({
   group: 'block',
   atom: true, // This makes it a single, non-editable unit
 
+  addOptions() {
+    return {
+      // Runs a chunk's code on the server and resolves with its HTML output; see chunkRuns.js.
+      // Without it the chunks can't be edited.
+      runChunk: null,
+    };
+  },
+
+  addStorage() {
+    return {
+      runChunk: this.options.runChunk,
+    };
+  },
+
   addAttributes() {
     return {
       blockKey: { default: null },
@@ -18,6 +32,15 @@ export default Node.create({
       figLabel: { default: '' },
       metadata: { default: null },
       bibliography: { default: null },
+      // Set once the code was edited and re-run here; the save then writes the new code
+      codeEdited: { default: false },
+      // 'fresh' or 'stale' when the project has frozen output for the chunk in _freeze
+      freezeStatus: { default: null },
+      // Set when a text-only render left the chunk unexecuted
+      notRun: { default: false },
+      // What the chunk's fence has between its braces, and its `#|` option lines; a re-run uses them
+      chunkOptions: { default: null },
+      chunkOptionLines: { default: null },
     };
   },
 
@@ -29,6 +52,15 @@ export default Node.create({
     return ['div', mergeAttributes(HTMLAttributes, { 'data-type': 'quarto-block' })];
   },
 
+  addCommands() {
+    return {
+      setChunkRunner: (runChunk) => () => {
+        this.storage.runChunk = runChunk;
+        return true;
+      },
+    };
+  },
+
   addNodeView() {
     return ReactNodeViewRenderer(QuartoBlockNodeView);
   },
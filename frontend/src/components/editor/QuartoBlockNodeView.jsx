@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import { NodeViewWrapper, NodeViewContent } from '@tiptap/react';
 import 'katex/dist/katex.min.css';
 import { BlockMath } from 'react-katex';
+import BlockCommentBadges from './BlockCommentBadges';
+import { cancelRenderJob } from './renderJobs';
 import './QuartoBlockNodeView.css';
 
 // Helper to format a single author
@@ -34,7 +36,7 @@ const formatReference = (ref) => {
   return text;
 };
 
-const QuartoBlockNodeView = ({ node, updateAttributes, editor }) => {
+const QuartoBlockNodeView = ({ node, updateAttributes, editor, getPos }) => {
   // Destructure all potential attributes
   const {
     code,
@@ -45,12 +47,22 @@ const QuartoBlockNodeView = ({ node, updateAttributes, editor }) => {
     figLabel,
     metadata,
     bibliography,
-    blockKey
+    blockKey,
+    commentIds,
+    codeEdited,
+    freezeStatus,
+    notRun,
+    chunkOptions,
+    chunkOptionLines
   } = node.attrs;
 
   const { isSelected } = editor;
 
   const [isCodeVisible, setIsCodeVisible] = useState(false);
+  const [isEditingCode, setIsEditingCode] = useState(false);
+  const [draftCode, setDraftCode] = useState('');
+  const [runProgress, setRunProgress] = useState(null); // { jobId, message } while the chunk runs
+  const [runError, setRunError] = useState('');
 
   // If metadata is present, render the metadata view.
   if (language === 'metadata' && metadata) {
@@ -134,27 +146,101 @@ const QuartoBlockNodeView = ({ node, updateAttributes, editor }) => {
     setIsCodeVisible(!isCodeVisible);
   };
 
+  // Only chunks with code, in an editor that can run them, are editable
+  const { runChunk } = editor.storage.quartoBlock;
+  const canEditCode = !!(runChunk && editor.isEditable && code && language && !(htmlOutput || '').includes('<table'));
+
+  const startEditingCode = () => {
+    setDraftCode(code);
+    setRunError('');
+    setIsEditingCode(true);
+    setIsCodeVisible(true);
+  };
+
+  const handleRun = () => {
+    setRunError('');
+    setRunProgress({ jobId: null, message: 'Starting the run' });
+    runChunk({ editor, pos: getPos(), code: draftCode, language, chunkOptions, chunkOptionLines, onProgress: setRunProgress })
+      .then(output => {
+        // The output replaces the rendered one; the new code is written on the next save
+        updateAttributes({ code: draftCode, codeEdited: codeEdited || draftCode !== code, htmlOutput: output, freezeStatus: null, notRun: false });
+        setIsEditingCode(false);
+      })
+      .catch(error => setRunError(typeof error === 'string' ? error : error.message))
+      .finally(() => setRunProgress(null));
+  };
+
   return (
     <NodeViewWrapper className="quarto-block-wrapper">
       <div className="quarto-block">
-        
+        <BlockCommentBadges editor={editor} commentIds={commentIds} />
+
         {/* Render header and toggle button only if there is code */}
         {code && (
           <div className="quarto-block-header">
-            <span>{`{${language || 'code'}}`}</span>
-            <button onClick={toggleCodeVisibility} className="code-toggle-button">
-              {isCodeVisible ? 'Hide Code' : 'Show Code'}
-            </button>
+            <span>
+              {`{${language || 'code'}}`}{codeEdited && <span className="code-edited-label"> edited</span>}
+              {freezeStatus === 'stale' && (
+                <span className="freeze-badge freeze-badge-stale" title="The code changed since its output was frozen in _freeze">stale</span>
+              )}
+              {freezeStatus === 'fresh' && (
+                <span className="freeze-badge" title="The output is the one frozen in _freeze">frozen</span>
+              )}
+            </span>
+            <span className="quarto-block-actions">
+              {canEditCode && !isEditingCode && (
+                <button onClick={startEditingCode} className="code-toggle-button">Edit</button>
+              )}
+              {!isEditingCode && (
+                <button onClick={toggleCodeVisibility} className="code-toggle-button">
+                  {isCodeVisible ? 'Hide Code' : 'Show Code'}
+                </button>
+              )}
+            </span>
+          </div>
+        )}
+
+        {/* Code being edited, with its run controls */}
+        {isEditingCode && (
+          <div className="quarto-block-code quarto-block-code-editor" contentEditable={false}>
+            <textarea
+              className="quarto-block-code-input"
+              value={draftCode}
+              onChange={e => setDraftCode(e.target.value)}
+              disabled={!!runProgress}
+              spellCheck={false}
+              rows={Math.min(Math.max(draftCode.split('\n').length, 3), 20)}
+            />
+            <div className="quarto-block-run-bar">
+              {runProgress ? (
+                <>
+                  <span className="quarto-block-run-status">{runProgress.message}</span>
+                  {runProgress.jobId && (
+                    <button onClick={() => cancelRenderJob(runProgress.jobId, runProgress.shareToken)} className="code-toggle-button">Cancel</button>
+                  )}
+                </>
+              ) : (
+                <>
+                  {runError && <span className="quarto-block-run-error">{runError}</span>}
+                  <button onClick={() => setIsEditingCode(false)} className="code-toggle-button">Discard</button>
+                  <button onClick={handleRun} className="code-toggle-button code-run-button">Run</button>
+                </>
+              )}
+            </div>
           </div>
         )}
 
         {/* Render code block only if it exists and is set to be visible */}
-        {code && isCodeVisible && (
+        {code && isCodeVisible && !isEditingCode && (
           <div className="quarto-block-code">
             <pre><code>{code}</code></pre>
           </div>
         )}
 
+        {notRun && !htmlOutput && (
+          <div className="quarto-block-not-run">Not run (text-only render)</div>
+        )}
+
         {/* Render output area only if there is output OR it's a figure */}
         {(htmlOutput || isFigure) && (
           <div className="quarto-block-output">
@@ -0,0 +1,40 @@
+// src/components/editor/RawBlock.js
+import { Node, mergeAttributes } from '@tiptap/core';
+
+// Raw passthrough content (```{=html}, ```{=latex}) that only one output format sees.
+// It is shown read-only and written back to the source unchanged.
+export default Node.create({
+  name: 'rawBlock',
+  group: 'block',
+  atom: true,
+  selectable: true,
+
+  addAttributes() {
+    return {
+      format: {
+        default: 'html',
+        parseHTML: element => element.getAttribute('data-format'),
+        renderHTML: attributes => ({ 'data-format': attributes.format }),
+      },
+      content: {
+        default: '',
+        parseHTML: element => element.querySelector('pre')?.textContent || '',
+        renderHTML: () => ({}),
+      },
+      blockKey: { default: null },
+    };
+  },
+
+  parseHTML() {
+    return [{ tag: 'div[data-type="raw-block"]' }];
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    return [
+      'div',
+      mergeAttributes(HTMLAttributes, { 'data-type': 'raw-block', class: 'raw-block' }),
+      ['div', { class: 'raw-block-label' }, `{=${node.attrs.format}}`],
+      ['pre', {}, node.attrs.content],
+    ];
+  },
+});
@@ -0,0 +1,29 @@
+import React, { useState } from 'react';
+import { cancelRenderJob } from './renderJobs';
+import './RenderProgress.css';
+
+/**
+ * Shown while the document is rendered: what Quarto is doing, its output, and a way to stop it.
+ */
+function RenderProgress({ progress }) {
+  const [showOutput, setShowOutput] = useState(false);
+
+  return (
+    <div className="render-progress" role="status">
+      <div className="render-progress-header">
+        <span className="render-progress-message">⏳ {progress.message}</span>
+        <div className="render-progress-actions">
+          {progress.output && (
+            <button onClick={() => setShowOutput(!showOutput)}>
+              {showOutput ? 'Hide Output' : 'Show Output'}
+            </button>
+          )}
+          <button onClick={() => cancelRenderJob(progress.jobId, progress.shareToken)}>Cancel</button>
+        </div>
+      </div>
+      {showOutput && <pre className="render-progress-output">{progress.output}</pre>}
+    </div>
+  );
+}
+
+export default RenderProgress;
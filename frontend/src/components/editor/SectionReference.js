@@ -0,0 +1,45 @@
+// src/components/editor/SectionReference.js
+import { Node, mergeAttributes } from '@tiptap/core';
+
+export default Node.create({
+  name: 'sectionReference', // Matches the "type" the parser generates for @sec- references
+
+  group: 'inline',
+  inline: true,
+  atom: true,
+
+  addAttributes() {
+    return {
+      rid: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-rid'),
+        renderHTML: attributes => ({ 'data-rid': attributes.rid }),
+      },
+      label: {
+        default: '',
+        parseHTML: element => element.textContent,
+        renderHTML: () => ({}), // Label is rendered as the node's content
+      },
+      // The section id written back as @sec-..., e.g. 'sec-methods'
+      originalKey: {
+        default: null,
+        rendered: false,
+      },
+    };
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: 'span[data-type="section-reference"]',
+      },
+    ];
+  },
+
+  renderHTML({ HTMLAttributes, node }) {
+    return ['span', mergeAttributes(HTMLAttributes, { 'data-type': 'section-reference' }), node.attrs.label || node.attrs.rid];
+  },
+
+  selectable: true,
+  draggable: true,
+});
@@ -0,0 +1,42 @@
+import { Extension } from '@tiptap/core';
+
+// Where each top-level block came from in the original .qmd. The backend sets these when the
+// document is loaded and uses them on save to copy unchanged blocks back verbatim.
+const sourceAttribute = {
+  default: null,
+  rendered: false,
+  // A block split in two is an edit; neither half is the original block any more.
+  keepOnSplit: false,
+};
+
+export default Extension.create({
+  name: 'sourceMap',
+
+  addGlobalAttributes() {
+    return [
+      {
+        types: [
+          'paragraph',
+          'heading',
+          'blockquote',
+          'horizontalRule',
+          'bulletList',
+          'orderedList',
+          'taskList',
+          'definitionList',
+          'quartoBlock',
+          'codeBlock',
+          'displayMath',
+          'fencedDiv',
+          'table',
+          'rawBlock',
+        ],
+        attributes: {
+          sourceStart: sourceAttribute,
+          sourceEnd: sourceAttribute,
+          sourceHash: sourceAttribute,
+        },
+      },
+    ];
+  },
+});
@@ -0,0 +1,49 @@
+// src/components/editor/Table.js
+import { mergeAttributes } from '@tiptap/core';
+import TiptapTable from '@tiptap/extension-table';
+import TableRow from '@tiptap/extension-table-row';
+import TableHeader from '@tiptap/extension-table-header';
+import TableCell from '@tiptap/extension-table-cell';
+
+// Markdown pipe tables. The cells are editable; the caption, {#tbl-...} label and column
+// alignments are kept as attributes so the table serializes back to the same pipe table.
+export const Table = TiptapTable.extend({
+  addAttributes() {
+    return {
+      ...this.parent?.(),
+      caption: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-caption'),
+        renderHTML: attributes => (attributes.caption ? { 'data-caption': attributes.caption } : {}),
+      },
+      label: {
+        default: null,
+        parseHTML: element => element.getAttribute('data-label'),
+        renderHTML: attributes => (attributes.label ? { 'data-label': attributes.label } : {}),
+      },
+      alignments: {
+        default: [],
+        parseHTML: element => JSON.parse(element.getAttribute('data-alignments') || '[]'),
+        renderHTML: attributes => ({ 'data-alignments': JSON.stringify(attributes.alignments || []) }),
+      },
+    };
+  },
+
+  renderHTML({ node, HTMLAttributes }) {
+    const [tag, attrs, ...children] = this.parent({ node, HTMLAttributes });
+    const { caption } = node.attrs;
+    if (!caption) {
+      return [tag, attrs, ...children];
+    }
+    return [
+      tag,
+      mergeAttributes(attrs, { class: 'pipe-table' }),
+      ['caption', { class: 'table-caption', contenteditable: 'false' }, caption],
+      ...children,
+    ];
+  },
+});
+
+export { TableRow, TableHeader, TableCell };
+
+export default Table;
@@ -0,0 +1,270 @@
+// src/components/editor/TrackChanges.js
+import { Extension, Mark, mergeAttributes } from '@tiptap/core';
+import { Plugin, PluginKey, TextSelection } from 'prosemirror-state';
+import { Mapping, ReplaceStep } from 'prosemirror-transform';
+import { Fragment, Slice } from 'prosemirror-model';
+import { ySyncPluginKey } from 'y-prosemirror';
+
+// Suggestion mode: while it is on, typed text gets an `insertion` mark and deleted text stays in
+// the document with a `deletion` mark, until someone accepts or rejects the change.
+
+export const trackChangesPluginKey = new PluginKey('trackChanges');
+
+const changeAttributes = () => ({
+  changeId: {
+    default: null,
+    parseHTML: element => element.getAttribute('data-change-id'),
+    renderHTML: attributes => ({ 'data-change-id': attributes.changeId }),
+  },
+  author: {
+    default: null,
+    parseHTML: element => element.getAttribute('data-author'),
+    renderHTML: attributes => ({ 'data-author': attributes.author }),
+  },
+  timestamp: {
+    default: null,
+    parseHTML: element => element.getAttribute('data-timestamp'),
+    renderHTML: attributes => ({ 'data-timestamp': attributes.timestamp }),
+  },
+});
+
+const createChangeMark = (name, tag) => Mark.create({
+  name,
+
+  // Typing next to a suggestion with suggestion mode off must not extend it
+  inclusive: false,
+
+  addAttributes: changeAttributes,
+
+  parseHTML() {
+    return [{ tag: `${tag}[data-change-id]` }];
+  },
+
+  renderHTML({ HTMLAttributes, mark }) {
+    const title = [mark.attrs.author, mark.attrs.timestamp && new Date(mark.attrs.timestamp).toLocaleString()]
+      .filter(Boolean)
+      .join(', ');
+    return [tag, mergeAttributes(HTMLAttributes, { class: `tracked-${name}`, title }), 0];
+  },
+});
+
+export const Insertion = createChangeMark('insertion', 'ins');
+export const Deletion = createChangeMark('deletion', 'del');
+
+const newChangeId = () => `s-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+
+const findChangeMark = (node, name, author) =>
+  node?.marks.find(mark => mark.type.name === name && mark.attrs.author === author);
+
+// Continue the author's change right next to this range, so a word typed letter by letter is one change
+const changeAttrsAt = (doc, from, to, name, author, timestamp) => {
+  const adjacent = findChangeMark(doc.resolve(from).nodeBefore, name, author) ||
+    findChangeMark(doc.resolve(to).nodeAfter, name, author);
+  return adjacent ? adjacent.attrs : { changeId: newChangeId(), author, timestamp };
+};
+
+// Deleting your own suggestion removes it for good instead of marking it deleted
+const withoutOwnInsertions = (fragment, author) => {
+  const nodes = [];
+  fragment.forEach(node => {
+    if (node.isInline) {
+      if (!findChangeMark(node, 'insertion', author)) nodes.push(node);
+    } else {
+      nodes.push(node.copy(withoutOwnInsertions(node.content, author)));
+    }
+  });
+  return Fragment.fromArray(nodes);
+};
+
+const hasInlineContent = (fragment) => {
+  let found = false;
+  fragment.descendants(node => {
+    if (node.isInline) found = true;
+    return !found;
+  });
+  return found;
+};
+
+const isTrackable = (transaction) =>
+  transaction.docChanged &&
+  !transaction.getMeta(trackChangesPluginKey) &&
+  // Remote edits were already tracked in the browser that made them
+  !transaction.getMeta(ySyncPluginKey) &&
+  !transaction.getMeta('preventUpdate');
+
+function trackTransactions(transactions, oldState, newState, author) {
+  const insertions = [];
+  const deletions = [];
+
+  transactions.forEach((transaction, transactionIndex) => {
+    if (!isTrackable(transaction)) return;
+    const laterMapping = new Mapping();
+    transactions.slice(transactionIndex + 1).forEach(later => laterMapping.appendMapping(later.mapping));
+
+    transaction.steps.forEach((step, stepIndex) => {
+      // Only text edits are tracked; structural steps (lifting, wrapping) go through as they are
+      if (!(step instanceof ReplaceStep)) return;
+      const mapping = transaction.mapping.slice(stepIndex + 1);
+      mapping.appendMapping(laterMapping);
+
+      if (step.slice.size > 0) {
+        insertions.push({ from: mapping.map(step.from, 1), to: mapping.map(step.from + step.slice.size, -1) });
+      }
+      if (step.to > step.from) {
+        const deleted = transaction.docs[stepIndex].slice(step.from, step.to);
+        const content = withoutOwnInsertions(deleted.content, author);
+        if (hasInlineContent(content)) {
+          deletions.push({
+            pos: mapping.map(step.from, -1),
+            slice: new Slice(content, deleted.openStart, deleted.openEnd),
+            oldFrom: step.from,
+            oldTo: step.to,
+          });
+        }
+      }
+    });
+  });
+
+  if (insertions.length === 0 && deletions.length === 0) return null;
+
+  const tr = newState.tr;
+  const timestamp = new Date().toISOString();
+  const { insertion, deletion } = newState.schema.marks;
+
+  insertions.forEach(({ from, to }) => {
+    if (to <= from) return;
+    const attrs = changeAttrsAt(tr.doc, from, to, 'insertion', author, timestamp);
+    tr.removeMark(from, to, deletion);
+    tr.addMark(from, to, insertion.create(attrs));
+  });
+
+  let cursor = null;
+  deletions.forEach(({ pos, slice, oldFrom, oldTo }) => {
+    const from = tr.mapping.map(pos, -1);
+    const sizeBefore = tr.doc.content.size;
+    tr.replace(from, from, slice);
+    const to = from + (tr.doc.content.size - sizeBefore);
+    const attrs = changeAttrsAt(tr.doc, from, to, 'deletion', author, timestamp);
+    // Text that was already marked deleted keeps its original change
+    tr.doc.nodesBetween(from, to, (node, nodePos) => {
+      if (!node.isInline || node.marks.some(mark => mark.type === deletion)) return;
+      tr.addMark(Math.max(from, nodePos), Math.min(to, nodePos + node.nodeSize), deletion.create(attrs));
+    });
+    // Backspace leaves the cursor before the deleted text, Delete after it
+    const isBackspace = oldState.selection.empty && oldState.selection.from === oldTo && oldTo > oldFrom;
+    cursor = isBackspace ? from : to;
+  });
+
+  if (cursor !== null && insertions.length === 0) {
+    tr.setSelection(TextSelection.create(tr.doc, cursor));
+  }
+  return tr.setMeta(trackChangesPluginKey, true);
+}
+
+/**
+ * Lists the pending changes in a document, one entry per change and kind.
+ *
+ * @returns {Array<{changeId: string, type: string, author: string, timestamp: string, text: string, from: number}>}
+ */
+export function collectTrackedChanges(doc) {
+  const changes = new Map();
+  doc.descendants((node, pos) => {
+    if (!node.isInline) return;
+    node.marks.forEach(mark => {
+      if (mark.type.name !== 'insertion' && mark.type.name !== 'deletion') return;
+      const key = `${mark.type.name}:${mark.attrs.changeId}`;
+      if (!changes.has(key)) {
+        changes.set(key, { ...mark.attrs, type: mark.type.name, text: '', from: pos });
+      }
+      changes.get(key).text += node.isText ? node.text : '￼';
+    });
+  });
+  return Array.from(changes.values());
+}
+
+// Accepting an insertion or rejecting a deletion keeps the text; the opposite removes it
+function resolveChanges(tr, shouldResolve, accept) {
+  const ranges = [];
+  tr.doc.descendants((node, pos) => {
+    if (!node.isInline) return;
+    const marks = node.marks.filter(mark =>
+      (mark.type.name === 'insertion' || mark.type.name === 'deletion') && shouldResolve(mark.attrs.changeId));
+    if (marks.length > 0) {
+      ranges.push({ from: pos, to: pos + node.nodeSize, marks });
+    }
+  });
+  // Back to front, so removing text does not move the ranges still to be resolved
+  ranges.reverse().forEach(({ from, to, marks }) => {
+    const keepText = marks.every(mark => (mark.type.name === 'insertion') === accept);
+    if (keepText) {
+      marks.forEach(mark => tr.removeMark(from, to, mark));
+    } else {
+      tr.delete(from, to);
+    }
+  });
+  return tr.setMeta(trackChangesPluginKey, true);
+}
+
+export default Extension.create({
+  name: 'trackChanges',
+
+  addOptions() {
+    return {
+      enabled: false,
+      author: 'Anonymous',
+    };
+  },
+
+  addStorage() {
+    return {
+      enabled: this.options.enabled,
+      author: this.options.author,
+    };
+  },
+
+  addExtensions() {
+    return [Insertion, Deletion];
+  },
+
+  addCommands() {
+    return {
+      setTrackChanges: (enabled) => () => {
+        this.storage.enabled = enabled;
+        return true;
+      },
+      setChangeAuthor: (author) => () => {
+        this.storage.author = author;
+        return true;
+      },
+      acceptChange: (changeId) => ({ tr, dispatch }) => {
+        if (dispatch) resolveChanges(tr, id => id === changeId, true);
+        return true;
+      },
+      rejectChange: (changeId) => ({ tr, dispatch }) => {
+        if (dispatch) resolveChanges(tr, id => id === changeId, false);
+        return true;
+      },
+      acceptAllChanges: () => ({ tr, dispatch }) => {
+        if (dispatch) resolveChanges(tr, () => true, true);
+        return true;
+      },
+      rejectAllChanges: () => ({ tr, dispatch }) => {
+        if (dispatch) resolveChanges(tr, () => true, false);
+        return true;
+      },
+    };
+  },
+
+  addProseMirrorPlugins() {
+    const storage = this.storage;
+    return [
+      new Plugin({
+        key: trackChangesPluginKey,
+        appendTransaction: (transactions, oldState, newState) => {
+          if (!storage.enabled) return null;
+          return trackTransactions(transactions, oldState, newState, storage.author);
+        },
+      }),
+    ];
+  },
+});
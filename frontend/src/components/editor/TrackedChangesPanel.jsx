@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { collectTrackedChanges } from './TrackChanges';
+import './TrackedChangesPanel.css';
+
+function TrackedChangesPanel({ editor, canResolve = false }) {
+  const [changes, setChanges] = useState([]);
+
+  useEffect(() => {
+    if (!editor) return;
+    const refresh = () => setChanges(collectTrackedChanges(editor.state.doc));
+    refresh();
+    editor.on('update', refresh);
+    return () => editor.off('update', refresh);
+  }, [editor]);
+
+  const showChange = (change) => {
+    editor.chain().focus().setTextSelection(change.from).scrollIntoView().run();
+  };
+
+  const excerpt = (text) => (text.length > 40 ? `${text.slice(0, 40)}…` : text);
+
+  return (
+    <div className="tracked-changes-panel">
+      <div className="tracked-changes-header">
+        <span>Suggested Changes</span>
+        {canResolve && changes.length > 0 && (
+          <div className="tracked-changes-bulk">
+            <button onClick={() => editor.commands.acceptAllChanges()}>Accept all</button>
+            <button onClick={() => editor.commands.rejectAllChanges()}>Reject all</button>
+          </div>
+        )}
+      </div>
+      {changes.length === 0 ? (
+        <div className="tracked-change empty">No pending suggestions</div>
+      ) : (
+        changes.map(change => (
+          <div key={`${change.type}-${change.changeId}`} className={`tracked-change ${change.type}`}>
+            <button className="tracked-change-text" onClick={() => showChange(change)} title="Show in document">
+              {change.type === 'insertion' ? 'Added' : 'Deleted'} “{excerpt(change.text)}”
+            </button>
+            <div className="tracked-change-meta">
+              {change.author}
+              {change.timestamp && ` · ${new Date(change.timestamp).toLocaleString()}`}
+            </div>
+            {canResolve && (
+              <div className="tracked-change-actions">
+                <button onClick={() => editor.commands.acceptChange(change.changeId)}>Accept</button>
+                <button onClick={() => editor.commands.rejectChange(change.changeId)}>Reject</button>
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+export default TrackedChangesPanel;
@@ -0,0 +1,70 @@
+import { fetchRenderedView } from './renderJobs';
+
+// Re-running one code chunk from the editor. The server runs the chunk after the chunks before it,
+// so it sees the objects they create; its kernel cache keeps that from redoing the whole document.
+
+// quartoBlocks that hold something other than executable code
+const NON_EXECUTABLE_LANGUAGES = ['metadata', 'bibliography', 'latex'];
+
+const isExecutableChunk = (node) =>
+  node.type.name === 'quartoBlock' && !!node.attrs.code && !!node.attrs.language
+  && !NON_EXECUTABLE_LANGUAGES.includes(node.attrs.language);
+
+// A chunk as the server runs it: its code, and the options it is written with
+const runnableChunk = ({ code, language, chunkOptions, chunkOptionLines }) => ({
+  code,
+  language,
+  ...(chunkOptions ? { chunkOptions } : {}),
+  ...(chunkOptionLines ? { chunkOptionLines } : {}),
+});
+
+/**
+ * The chunks before a position that run in the same language, with their current code and options.
+ *
+ * @param {import('prosemirror-model').Node} doc
+ * @param {number} pos - Position of the chunk being run.
+ * @param {string} language
+ * @returns {Array<{ code: string, language: string, chunkOptions?: string, chunkOptionLines?: string }>}
+ */
+export function chunksBefore(doc, pos, language) {
+  const chunks = [];
+  doc.descendants((node, nodePos) => {
+    if (nodePos >= pos) return false;
+    if (isExecutableChunk(node) && node.attrs.language === language) {
+      chunks.push(runnableChunk(node.attrs));
+    }
+    return true;
+  });
+  return chunks;
+}
+
+/**
+ * Makes the runChunk option of the QuartoBlock extension for a chunk run endpoint.
+ *
+ * @param {string} url - `/api/docs/chunks/run` or `/api/collab/:shareToken/chunks/run`.
+ * @param {Object} [params] - Sent along with every run, e.g. the document's repoId and filepath.
+ * @param {{ shareToken?: string }} [options] - The collaborator's share link, to cancel runs with.
+ * @returns {(run: { editor: Object, pos: number, code: string, language: string, chunkOptions?: string,
+ *   chunkOptionLines?: string, onProgress?: Function }) => Promise<string>}
+ *   Resolves with the chunk's HTML output; rejects with a message.
+ */
+export function chunkRunner(url, params = {}, options = {}) {
+  return async ({ editor, pos, code, language, chunkOptions, chunkOptionLines, onProgress }) => {
+    const body = {
+      ...params,
+      ...runnableChunk({ code, language, chunkOptions, chunkOptionLines }),
+      previousChunks: chunksBefore(editor.state.doc, pos, language),
+    };
+    const response = await fetchRenderedView(url, onProgress, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(body),
+    }, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return Promise.reject(data.error || `The chunk could not be run (status ${response.status}).`);
+    }
+    return data.htmlOutput;
+  };
+}
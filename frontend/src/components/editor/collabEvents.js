@@ -0,0 +1,57 @@
+// One EventSource per share link, shared by every component that listens for collaboration events
+const streams = new Map();
+
+export const COLLAB_EVENT_TYPES = [
+  'lock-acquired', 'lock-released', 'lock-expired', 'live-save', 'commit',
+  'comment-added', 'comment-replied', 'comment-updated',
+];
+
+function openStream(shareToken) {
+  const source = new EventSource(`/api/collab/${shareToken}/events`);
+  const stream = { source, listeners: new Set(), hasOpened: false };
+
+  COLLAB_EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        console.warn(`Ignoring malformed ${type} event:`, event.data);
+        return;
+      }
+      stream.listeners.forEach(listener => listener.onEvent?.(type, data));
+    });
+  });
+  // After a dropped connection listeners reload their state, since events may have been missed
+  source.addEventListener('open', () => {
+    if (stream.hasOpened) {
+      stream.listeners.forEach(listener => listener.onReconnect?.());
+    }
+    stream.hasOpened = true;
+  });
+
+  return stream;
+}
+
+/**
+ * Subscribes to the collaboration events of the document behind a share link.
+ *
+ * @param {string} shareToken
+ * @param {{ onEvent?: (type: string, data: Object) => void, onReconnect?: () => void }} listener
+ * @returns {() => void} Unsubscribe function.
+ */
+export function subscribeToCollabEvents(shareToken, listener) {
+  if (!streams.has(shareToken)) {
+    streams.set(shareToken, openStream(shareToken));
+  }
+  const stream = streams.get(shareToken);
+  stream.listeners.add(listener);
+
+  return () => {
+    stream.listeners.delete(listener);
+    if (stream.listeners.size === 0) {
+      stream.source.close();
+      streams.delete(shareToken);
+    }
+  };
+}
@@ -0,0 +1,42 @@
+// Comment threads are kept by the server (see /api/collab/:shareToken/comments). The editor's copy
+// of a comment also has its anchor and flags like `orphaned`, which the server's copy doesn't.
+
+export const COMMENT_EVENT_TYPES = ['comment-added', 'comment-replied', 'comment-updated'];
+
+/**
+ * Takes the thread, status and resolution of a comment from the server's copy.
+ *
+ * @param {Object} comment - The editor's comment.
+ * @param {Object} stored - The comment as returned by the comments API.
+ * @returns {Object}
+ */
+export function withStoredThread(comment, stored) {
+  const merged = { ...comment, ...stored, location: comment.location || stored.location };
+  delete merged.isNew;
+  if (stored.status !== 'resolved') {
+    delete merged.resolvedBy;
+    delete merged.resolvedAt;
+  }
+  return merged;
+}
+
+/**
+ * Updates the editor's comments from the comments API. Stored comments the editor doesn't have yet
+ * are added if their mark is in the document, e.g. ones another collaborator just made.
+ *
+ * @param {Array<Object>} comments - The editor's comments.
+ * @param {Array<Object>} storedComments - The comments API's list.
+ * @param {Set<string>} markedIds - Ids of the comment marks in the document.
+ * @returns {Array<Object>}
+ */
+export function mergeStoredThreads(comments, storedComments, markedIds) {
+  const storedById = new Map(storedComments.map(comment => [comment.id, comment]));
+  const merged = comments.map(comment => (
+    storedById.has(comment.id) ? withStoredThread(comment, storedById.get(comment.id)) : comment
+  ));
+  const knownIds = new Set(comments.map(comment => comment.id));
+  storedComments
+    .filter(comment => !knownIds.has(comment.id) && markedIds.has(comment.id))
+    .forEach(comment => merged.push(comment));
+  return merged;
+}
@@ -0,0 +1,109 @@
+// The document views answer 202 with a render job when the document has to be rendered first.
+// These helpers follow the job and fetch the view again once it is done.
+
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+// A finished job is followed by a fresh view; give up if that keeps asking for renders
+const MAX_RENDER_ROUNDS = 3;
+// The browser reconnects a dropped event stream; give up after this many failures in a row
+const MAX_CONNECTION_ERRORS = 5;
+
+/**
+ * Follows a render job until it finishes.
+ *
+ * @param {string} jobId
+ * @param {(progress: { jobId: string, shareToken?: string, message: string, output: string }) => void} [onProgress]
+ * @param {{ shareToken?: string }} [options] - The share link the job was started from, which
+ *   collaborators need to cancel it; passed on in the progress.
+ * @returns {Promise<void>} Resolves when the render succeeded; rejects with a message otherwise.
+ */
+export function waitForRenderJob(jobId, onProgress, { shareToken } = {}) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/render-jobs/${jobId}/events`);
+    const progress = { jobId, ...(shareToken ? { shareToken } : {}), message: 'Waiting for the render to start', output: '' };
+    const report = () => onProgress?.({ ...progress });
+    let connectionErrors = 0;
+    const parse = (event) => {
+      try {
+        return JSON.parse(event.data);
+      } catch {
+        console.warn('Ignoring malformed render job event:', event.data);
+        return null;
+      }
+    };
+
+    source.addEventListener('open', () => {
+      connectionErrors = 0;
+    });
+    source.addEventListener('error', () => {
+      connectionErrors++;
+      // CLOSED when the server answered with an error, such as an unknown job; otherwise the
+      // browser is reconnecting
+      if (source.readyState === EventSource.CLOSED || connectionErrors >= MAX_CONNECTION_ERRORS) {
+        source.close();
+        reject('Lost the connection to the render. Reload the page to try again.');
+        return;
+      }
+      progress.message = 'Connection to the render lost, reconnecting';
+      report();
+    });
+    source.addEventListener('progress', (event) => {
+      const data = parse(event);
+      if (!data) return;
+      progress.message = data.message;
+      report();
+    });
+    source.addEventListener('output', (event) => {
+      const data = parse(event);
+      if (!data) return;
+      progress.output += data.text;
+      report();
+    });
+    source.addEventListener('status', (event) => {
+      const data = parse(event);
+      if (!data) return;
+      // The first status event has the output so far, also after a reconnect
+      if (data.output !== undefined) progress.output = data.output;
+      if (data.progress) progress.message = data.progress;
+      if (data.status === 'queued' && data.error) progress.message = `Render failed, trying again (${data.error})`;
+      report();
+      if (!FINISHED_STATUSES.includes(data.status)) return;
+      source.close();
+      if (data.status === 'succeeded') resolve();
+      else if (data.status === 'cancelled') reject('The render was cancelled.');
+      else reject(`The document could not be rendered: ${data.error || 'unknown error'}`);
+    });
+  });
+}
+
+/**
+ * Fetches a document view, waiting for its render job if it needs one.
+ *
+ * @param {string} url
+ * @param {(progress: { jobId: string, shareToken?: string, message: string, output: string }) => void} [onProgress]
+ * @param {RequestInit} [init] - Passed to fetch, for views that are POSTed.
+ * @param {{ shareToken?: string }} [options] - See waitForRenderJob.
+ * @returns {Promise<Response>} The view's final response.
+ */
+export async function fetchRenderedView(url, onProgress, init, options) {
+  for (let round = 0; round < MAX_RENDER_ROUNDS; round++) {
+    const response = await fetch(url, init);
+    if (response.status !== 202) return response;
+    const { jobId } = await response.json();
+    await waitForRenderJob(jobId, onProgress, options);
+  }
+  return Promise.reject('The document was rendered, but could not be loaded.');
+}
+
+/**
+ * Cancels a render job. Owners are recognised by their session; collaborators pass their share token.
+ *
+ * @param {string} jobId
+ * @param {string} [shareToken]
+ */
+export async function cancelRenderJob(jobId, shareToken) {
+  const query = shareToken ? `?shareToken=${encodeURIComponent(shareToken)}` : '';
+  const response = await fetch(`/api/render-jobs/${jobId}${query}`, { method: 'DELETE', credentials: 'include' });
+  if (!response.ok && response.status !== 409) {
+    console.error('Failed to cancel render job:', response.status);
+  }
+}
@@ -3,24 +3,65 @@ import { useParams } from 'react-router-dom';
 import { useEditor, EditorContent } from '@tiptap/react';
 import Link from '@tiptap/extension-link';
 import StarterKit from '@tiptap/starter-kit';
+import TaskList from '@tiptap/extension-task-list';
+import TaskItem from '@tiptap/extension-task-item';
+import Superscript from '@tiptap/extension-superscript';
+import Subscript from '@tiptap/extension-subscript';
+import Collaboration from '@tiptap/extension-collaboration';
+import CollaborationCursor from '@tiptap/extension-collaboration-cursor';
+import * as Y from 'yjs';
+import { WebsocketProvider } from 'y-websocket';
+import { ySyncPluginKey } from 'y-prosemirror';
 import debounce from 'lodash.debounce';
 import QuartoBlock from '../components/editor/QuartoBlock';
 import Citation from '../components/editor/Citation';
 import FigureReference from '../components/editor/FigureReference';
 import TableReference from '../components/editor/TableReference.jsx';
 import EquationReference from '../components/editor/EquationReference.jsx';
+import SectionReference from '../components/editor/SectionReference';
+import InlineExpression from '../components/editor/InlineExpression';
+import InlineMath from '../components/editor/InlineMath';
+import DisplayMath from '../components/editor/DisplayMath';
+import Footnote from '../components/editor/Footnote';
+import FencedDiv from '../components/editor/FencedDiv';
+import { Table, TableRow, TableHeader, TableCell } from '../components/editor/Table';
+import RawBlock from '../components/editor/RawBlock';
+import SourceMap from '../components/editor/SourceMap';
+import HeadingAttributes from '../components/editor/HeadingAttributes';
+import TrackChanges from '../components/editor/TrackChanges';
+import { DefinitionList, DefinitionTerm, DefinitionDescription } from '../components/editor/DefinitionList';
 import CommentMark, { commentHighlightPluginKey } from '../components/editor/CommentMark';
 import CommentSidebar from '../components/editor/CommentSidebar';
+import BlockComments, { commentIdsInDocument } from '../components/editor/BlockComments';
+import { COMMENT_EVENT_TYPES, mergeStoredThreads } from '../components/editor/commentThreads';
+import { subscribeToCollabEvents } from '../components/editor/collabEvents';
 import FloatingCommentButton from '../components/editor/FloatingCommentButton';
 import BranchLockStatus from '../components/editor/BranchLockStatus';
 import ChangeIndicator from '../components/editor/ChangeIndicator';
+import TrackedChangesPanel from '../components/editor/TrackedChangesPanel';
 import SaveStatus from '../components/editor/SaveStatus';
+import RenderProgress from '../components/editor/RenderProgress';
+import { fetchRenderedView } from '../components/editor/renderJobs';
+import { chunkRunner } from '../components/editor/chunkRuns';
+import NotificationBell from '../components/NotificationBell';
 import './EditorPage.css';
 
+const CURSOR_COLORS = ['#f783ac', '#4dabf7', '#69db7c', '#ffa94d', '#b197fc', '#38d9a9', '#ff8787', '#ffd43b'];
+
+// Same colour for the same collaborator in every browser
+const cursorColor = (name) => {
+  let hash = 0;
+  for (const char of name) {
+    hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  }
+  return CURSOR_COLORS[Math.abs(hash) % CURSOR_COLORS.length];
+};
+
 function CollabEditorPage() {
   const { shareToken } = useParams();
   const [status, setStatus] = useState('Loading...');
   const [error, setError] = useState('');
+  const [renderProgress, setRenderProgress] = useState(null); // { jobId, message, output } while the document renders
   const [baseCommitHash, setBaseCommitHash] = useState(null);
   const [comments, setComments] = useState([]);
   const [activeCommentId, setActiveCommentId] = useState(null);
@@ -28,6 +69,10 @@ function CollabEditorPage() {
   const [lockStatus, setLockStatus] = useState(null);
   const [isEditorEnabled, setIsEditorEnabled] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
+  const [isDocumentLoaded, setIsDocumentLoaded] = useState(false);
+  const [collabSession, setCollabSession] = useState(null);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [canRunCode, setCanRunCode] = useState(false);
   const commentsRef = useRef(comments);
 
   // Update ref whenever comments change
@@ -55,6 +100,7 @@ function CollabEditorPage() {
         } else {
           console.log('No collaborator label in share link info');
         }
+        setCanRunCode(!!data.canRunCode);
       })
       .catch(error => {
         console.error('Failed to fetch share link info:', error);
@@ -69,12 +115,10 @@ function CollabEditorPage() {
     console.log('isLocked:', newLockStatus.isLocked);
     
     setLockStatus(newLockStatus);
-    const hasLock = newLockStatus.isLockedByMe || !newLockStatus.isLocked;
-    console.log('hasLock calculated as:', hasLock);
-    setIsEditorEnabled(hasLock);
     
-    if (!hasLock && newLockStatus.isLocked) {
-      setStatus('Document is being edited by another collaborator');
+    // Edits from everyone merge through Yjs, so the lock no longer decides who may type
+    if (newLockStatus.isLocked && !newLockStatus.isLockedByMe) {
+      setStatus('Another collaborator is editing - their changes appear as they type');
     } else if (newLockStatus.isLockedByMe) {
       setStatus('You are editing - changes will be saved automatically');
     } else {
@@ -156,10 +200,35 @@ function CollabEditorPage() {
     [shareToken, baseCommitHash] // Remove comments from dependencies to avoid timing issues
   );
 
+  // Join the shared Yjs room once the backend has loaded (and if needed seeded) the document
+  useEffect(() => {
+    if (!shareToken || !isDocumentLoaded) return;
+
+    const ydoc = new Y.Doc();
+    const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const provider = new WebsocketProvider(`${wsProtocol}//${window.location.host}/api/collab/${shareToken}`, 'yjs', ydoc);
+    provider.on('sync', (isSynced) => setIsEditorEnabled(isSynced));
+    provider.on('status', ({ status: connectionStatus }) => {
+      if (connectionStatus === 'disconnected') {
+        setStatus('Connection lost - reconnecting...');
+      }
+    });
+    setCollabSession({ ydoc, provider });
+
+    return () => {
+      setIsEditorEnabled(false);
+      setCollabSession(null);
+      provider.destroy();
+      ydoc.destroy();
+    };
+  }, [shareToken, isDocumentLoaded]);
+
   const editor = useEditor({
     extensions: [
       StarterKit.configure({
         link: false,
+        // Collaboration brings its own undo history that only undoes your own changes
+        history: false,
         bold: true,
         italic: true,
         strike: true,
@@ -170,48 +239,83 @@ function CollabEditorPage() {
         autolink: false,
         editable: false,
       }),
+      TaskList,
+      TaskItem.configure({
+        nested: true,
+      }),
+      Superscript,
+      Subscript,
+      DefinitionList,
+      DefinitionTerm,
+      DefinitionDescription,
       // Re-enable custom extensions since backend returns content with these node types
       QuartoBlock,
       Citation,
       FigureReference,
       TableReference,
       EquationReference,
+      SectionReference,
+      InlineExpression,
+      InlineMath,
+      DisplayMath,
+      Footnote,
+      FencedDiv,
+      Table,
+      TableRow,
+      TableHeader,
+      TableCell,
+      RawBlock,
+      SourceMap,
+      HeadingAttributes,
+      TrackChanges.configure({
+        enabled: isSuggesting,
+        author: collaboratorLabel || 'Anonymous',
+      }),
       CommentMark.configure({
         onCommentClick: (id) => {
           setActiveCommentId(id);
         },
       }),
+      BlockComments.configure({
+        onCommentClick: (id) => {
+          setActiveCommentId(id);
+        },
+      }),
+      ...(collabSession ? [
+        Collaboration.configure({
+          document: collabSession.ydoc,
+        }),
+        CollaborationCursor.configure({
+          provider: collabSession.provider,
+          user: {
+            name: collaboratorLabel || 'Anonymous',
+            color: cursorColor(collaboratorLabel || 'Anonymous'),
+          },
+        }),
+      ] : []),
     ],
-    content: {
-      type: 'doc',
-      content: []
-    },
     editable: isEditorEnabled,
-    onUpdate: ({ editor }) => {
-      if (!isEditorEnabled) return;
+    onUpdate: ({ editor, transaction }) => {
+      if (!editor.isEditable) return;
       
       console.log('Editor update triggered');
-      setIsEditing(true); // Mark as editing when user types
-      setStatus('Unsaved');
-      saveDocument(editor.getJSON());
+      // Changes from other collaborators arrive through Yjs and are saved by their own browser
+      const isRemoteChange = transaction.getMeta(ySyncPluginKey)?.isChangeOrigin;
+      if (!isRemoteChange) {
+        setIsEditing(true); // Mark as editing when user types
+        setStatus('Unsaved');
+        saveDocument(editor.getJSON());
+      }
 
       // Comment deletion synchronization
-      const docCommentIds = new Set();
-      editor.state.doc.descendants((node) => {
-        if (node.marks) {
-          node.marks.forEach(mark => {
-            if (mark.type.name === 'comment' && mark.attrs.commentId) {
-              docCommentIds.add(mark.attrs.commentId);
-            }
-          });
-        }
-      });
+      const docCommentIds = commentIdsInDocument(editor.state.doc);
 
       console.log('Comment IDs found in document:', Array.from(docCommentIds));
       console.log('Current comments state before filtering:', comments);
       
       setComments(prevComments => {
-        const filteredComments = prevComments.filter(comment => docCommentIds.has(comment.id));
+        // Orphaned comments lost their text in a re-render, not by an edit here, so they stay
+        const filteredComments = prevComments.filter(comment => comment.orphaned || docCommentIds.has(comment.id));
         console.log('Comments after filtering:', filteredComments);
         return filteredComments;
       });
@@ -226,7 +330,29 @@ function CollabEditorPage() {
       console.log('Editor is editable:', editor.isEditable);
       console.log('Editor content:', editor.getJSON());
     },
-  }, [isEditorEnabled]);
+  }, [collabSession]);
+
+  // Show the collaborator's name on their cursor and suggestions once the share link info arrives
+  useEffect(() => {
+    if (editor && !editor.isDestroyed && collaboratorLabel) {
+      editor.commands.setChangeAuthor(collaboratorLabel);
+      if (collabSession) {
+        editor.commands.updateUser({ name: collaboratorLabel, color: cursorColor(collaboratorLabel) });
+      }
+    }
+  }, [editor, collabSession, collaboratorLabel]);
+
+  // Collaborators may only edit and re-run code chunks if their share link allows it
+  useEffect(() => {
+    if (editor && !editor.isDestroyed) {
+      editor.commands.setChunkRunner(canRunCode ? chunkRunner(`/api/collab/${shareToken}/chunks/run`, {}, { shareToken }) : null);
+    }
+  }, [editor, canRunCode, shareToken]);
+
+  const toggleSuggesting = () => {
+    editor.commands.setTrackChanges(!isSuggesting);
+    setIsSuggesting(!isSuggesting);
+  };
 
   // Update editor editable state when isEditorEnabled changes
   useEffect(() => {
@@ -283,6 +409,34 @@ function CollabEditorPage() {
     }
   }, [comments, editor]); // Remove saveDocument from dependencies to avoid infinite loops
 
+  // Comments, replies and resolutions from other collaborators are announced as events
+  useEffect(() => {
+    if (!shareToken || !editor) return;
+
+    const refreshCommentThreads = async () => {
+      try {
+        const response = await fetch(`/api/collab/${shareToken}/comments`);
+        if (!response.ok) return;
+        const { comments: storedComments } = await response.json();
+        const markedIds = commentIdsInDocument(editor.state.doc);
+        setComments(prevComments => {
+          const merged = mergeStoredThreads(prevComments, storedComments, markedIds);
+          // Leave the state alone when nothing changed, so no save is triggered
+          return JSON.stringify(merged) === JSON.stringify(prevComments) ? prevComments : merged;
+        });
+      } catch (error) {
+        console.error('Failed to refresh comment threads:', error);
+      }
+    };
+
+    return subscribeToCollabEvents(shareToken, {
+      onEvent: (type) => {
+        if (COMMENT_EVENT_TYPES.includes(type)) refreshCommentThreads();
+      },
+      onReconnect: refreshCommentThreads,
+    });
+  }, [shareToken, editor]);
+
   // Add a check to see if editor is created
   useEffect(() => {
     console.log('Editor state check:', { editor: !!editor, shareToken });
@@ -292,7 +446,7 @@ function CollabEditorPage() {
   }, [editor, shareToken]);
 
   useEffect(() => {
-    if (!editor || !shareToken) return;
+    if (!shareToken) return;
     setStatus('Loading document...');
     console.log('Loading document for shareToken:', shareToken);
 
@@ -303,8 +457,10 @@ function CollabEditorPage() {
     // If this page is *only* for collab links, then /api/collab/${shareToken} needs to be updated in backend
     // to match the { prosemirrorJson, comments, currentCommitHash } structure.
     // Sticking to /api/collab/ for now as per original description of CollabEditorPage
-    fetch(`/api/collab/${shareToken}`)
+    // Documents that have to be rendered first come with a render job to follow
+    fetchRenderedView(`/api/collab/${shareToken}`, setRenderProgress, undefined, { shareToken })
       .then(res => {
+        setRenderProgress(null);
         console.log('API response status:', res.status);
         if (!res.ok) {
           return res.json().then(errData => Promise.reject(errData.error || `HTTP error! status: ${res.status}`))
@@ -329,10 +485,9 @@ function CollabEditorPage() {
               throw new Error("Invalid JSON format received from backend.");
             }
           }
-          console.log('Setting editor content:', contentToLoad);
-          console.log('Content to load type:', typeof contentToLoad);
-          console.log('Content to load structure:', JSON.stringify(contentToLoad, null, 2));
-          editor.commands.setContent(contentToLoad);
+          // The content itself comes from the Yjs room, which the backend seeded from this document
+          console.log('Document loaded:', contentToLoad);
+          setIsDocumentLoaded(true);
           setBaseCommitHash(data.currentCommitHash);
           // Set collaborator label if provided by the backend
           if (data.collaboratorLabel) {
@@ -354,22 +509,15 @@ function CollabEditorPage() {
         }
       })
       .catch(errMsg => {
+        setRenderProgress(null);
         console.error('Failed to load document:', errMsg);
         setError(typeof errMsg === 'string' ? errMsg : 'This share link is invalid or has expired.');
-        console.log('Setting fallback content');
-        editor.commands.setContent({
-          type: 'doc',
-          content: [{
-            type: 'paragraph',
-            content: [{ type: 'text', text: 'Could not load document.' }]
-          }]
-        });
       });
-  }, [editor, shareToken]);
+  }, [shareToken]);
 
   const addComment = (commentText) => {
     if (!editor || !editor.state.selection.from || editor.state.selection.empty) {
-      alert('Please select text to comment on.');
+      alert('Please select text or a block to comment on.');
       return;
     }
 
@@ -398,13 +546,16 @@ function CollabEditorPage() {
       console.log('Updated comments state:', updatedComments);
       return updatedComments;
     });
-    editor.chain().focus().setComment(newCommentId).run(); // Use setComment to apply the mark
+    // A selected code chunk, equation or table is commented on as a whole
+    if (!editor.commands.setBlockComment(newCommentId)) {
+      editor.chain().focus().setComment(newCommentId).run();
+    }
     setActiveCommentId(newCommentId);
   };
 
   const createEmptyComment = () => {
     if (!editor || !editor.state.selection.from || editor.state.selection.empty) {
-      alert('Please select text to comment on.');
+      alert('Please select text or a block to comment on.');
       return;
     }
 
@@ -423,7 +574,10 @@ function CollabEditorPage() {
       console.log('Updated comments state:', updatedComments);
       return updatedComments;
     });
-    editor.chain().focus().setComment(newCommentId).run(); // Use setComment to apply the mark
+    // A selected code chunk, equation or table is commented on as a whole
+    if (!editor.commands.setBlockComment(newCommentId)) {
+      editor.chain().focus().setComment(newCommentId).run();
+    }
     setActiveCommentId(newCommentId);
   };
 
@@ -433,7 +587,12 @@ function CollabEditorPage() {
         <h3>Quartorium</h3>
         {collaboratorLabel && <p>Hello, {collaboratorLabel}!</p>}
         
-        <div>
+        <div style={{ display: 'flex', alignItems: 'center' }}>
+          <NotificationBell
+            endpoint={`/api/collab/${shareToken}/notifications`}
+            shareToken={shareToken}
+            onOpenNotification={(notification) => setActiveCommentId(notification.commentId)}
+          />
           <button 
             onClick={createEmptyComment} 
             style={{ margin: '1rem' }}
@@ -441,6 +600,14 @@ function CollabEditorPage() {
           >
             Add Comment
           </button>
+          <button
+            onClick={toggleSuggesting}
+            style={{ marginRight: '1rem' }}
+            disabled={!isEditorEnabled}
+            title="Record your edits as suggestions the author can accept or reject"
+          >
+            {isSuggesting ? 'Stop Suggesting' : 'Suggest Changes'}
+          </button>
           <button
             onClick={handleCollabCommit}
             style={{ marginRight: '2rem' }}
@@ -473,9 +640,13 @@ function CollabEditorPage() {
             shareToken={shareToken}
             collaboratorLabel={collaboratorLabel}
           />
+
+          {/* Suggestions waiting for the author */}
+          <TrackedChangesPanel editor={editor} />
         </div>
 
         <main className="editor-content-area">
+          {renderProgress && <RenderProgress progress={renderProgress} />}
           {error ? <p style={{color: 'red'}}>{error}</p> : <EditorContent editor={editor} />}
           {isEditorEnabled && (
             <FloatingCommentButton 
@@ -492,6 +663,7 @@ function CollabEditorPage() {
           onCommentSelect={setActiveCommentId}
           currentUser={currentUser}
           onAddComment={addComment}
+          commentsUrl={`/api/collab/${shareToken}/comments`}
         />
       </div>
     </div>
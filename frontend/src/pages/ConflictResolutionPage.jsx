@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import './ConflictResolutionPage.css';
+
+const CHOICES = [
+  { value: 'main', label: 'Keep main (ours)' },
+  { value: 'collab', label: "Take collaborator's (theirs)" },
+  { value: 'both', label: 'Keep both' },
+  { value: 'custom', label: 'Edit' },
+];
+
+// The text a resolution puts in the document, used to prefill the editor when switching to 'Edit'
+const resolvedText = (conflict, choice) => {
+  if (choice === 'collab') return conflict.collabText;
+  if (choice === 'both') return [conflict.mainText, conflict.collabText].filter(Boolean).join('\n\n');
+  return conflict.mainText;
+};
+
+function ConflictResolutionPage() {
+  const { shareToken } = useParams();
+  const navigate = useNavigate();
+  const [mergeData, setMergeData] = useState(null);
+  const [resolutions, setResolutions] = useState({});
+  const [isCommitting, setIsCommitting] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadConflicts = useCallback(() => {
+    setLoading(true);
+    setError('');
+    return fetch(`/api/docs/merge/${shareToken}/conflicts`, { credentials: 'include' })
+      .then(res => res.ok ? res.json() : Promise.reject(res))
+      .then(data => {
+        setMergeData(data);
+        setResolutions({});
+      })
+      .catch(() => setError('Could not load merge conflicts.'))
+      .finally(() => setLoading(false));
+  }, [shareToken]);
+
+  useEffect(() => {
+    loadConflicts();
+  }, [loadConflicts]);
+
+  const chooseResolution = (conflict, choice) => {
+    setResolutions(prev => ({
+      ...prev,
+      [conflict.id]: choice === 'custom'
+        ? { choice, text: resolvedText(conflict, prev[conflict.id]?.choice) }
+        : { choice },
+    }));
+  };
+
+  const editResolution = (conflictId, text) => {
+    setResolutions(prev => ({ ...prev, [conflictId]: { choice: 'custom', text } }));
+  };
+
+  const handleCommit = async () => {
+    setIsCommitting(true);
+    try {
+      const res = await fetch(`/api/docs/merge/${shareToken}/resolve`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          resolutions,
+          mainCommit: mergeData.mainCommit,
+          collabCommit: mergeData.collabCommit,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || 'Merge failed');
+        if (res.status === 409) loadConflicts();
+        return;
+      }
+      alert('Merge successful!');
+      navigate('/dashboard');
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setIsCommitting(false);
+    }
+  };
+
+  if (loading) return <div>Loading conflicts...</div>;
+  if (error) return <div style={{ color: 'red' }}>{error}</div>;
+
+  const conflicts = mergeData.conflicts;
+  const unresolvedCount = conflicts.filter(conflict => !resolutions[conflict.id]).length;
+
+  return (
+    <div className="conflict-resolution">
+      <button onClick={() => navigate(`/review/${shareToken}`)}>← Back to Review</button>
+      <h2>Resolve Conflicts: {mergeData.branchName} → {mergeData.mainBranch}</h2>
+      <p>
+        These parts of <code>{mergeData.filepath}</code> were changed on both branches. Everything else
+        merges on its own.
+      </p>
+
+      {conflicts.length === 0 && <p>There are no conflicts left; the branch can be merged from the review page.</p>}
+
+      {conflicts.map((conflict, index) => {
+        const resolution = resolutions[conflict.id];
+        return (
+          <div key={conflict.id} className={`conflict ${resolution ? 'resolved' : ''}`}>
+            <div className="conflict-header">
+              <strong>Conflict {index + 1}</strong>
+              <span className="conflict-block-types">{conflict.blockTypes.join(', ')}</span>
+            </div>
+            <div className="conflict-versions">
+              <div className="conflict-version base">
+                <h4>Before both changes</h4>
+                <pre>{conflict.baseText || '(nothing)'}</pre>
+              </div>
+              <div className="conflict-version main">
+                <h4>Main (ours)</h4>
+                <pre>{conflict.mainText || '(removed)'}</pre>
+              </div>
+              <div className="conflict-version collab">
+                <h4>Collaborator (theirs)</h4>
+                <pre>{conflict.collabText || '(removed)'}</pre>
+              </div>
+            </div>
+            <div className="conflict-choices">
+              {CHOICES.map(choice => (
+                <label key={choice.value}>
+                  <input
+                    type="radio"
+                    name={`conflict-${conflict.id}`}
+                    checked={resolution?.choice === choice.value}
+                    onChange={() => chooseResolution(conflict, choice.value)}
+                  />
+                  {choice.label}
+                </label>
+              ))}
+            </div>
+            {resolution?.choice === 'custom' && (
+              <textarea
+                className="conflict-editor"
+                value={resolution.text}
+                onChange={(e) => editResolution(conflict.id, e.target.value)}
+                rows={Math.max(4, resolution.text.split('\n').length + 1)}
+              />
+            )}
+          </div>
+        );
+      })}
+
+      {conflicts.length > 0 && (
+        <div className="conflict-actions">
+          <span>{unresolvedCount === 0 ? 'All conflicts resolved.' : `${unresolvedCount} conflict${unresolvedCount === 1 ? '' : 's'} left to resolve.`}</span>
+          <button
+            className="conflict-commit"
+            onClick={handleCommit}
+            disabled={unresolvedCount > 0 || isCommitting}
+          >
+            {isCommitting ? 'Merging...' : 'Commit Merge'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ConflictResolutionPage;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Link } from 'react-router-dom';
 import ShareModal from '../components/ShareModal';
+import NotificationBell from '../components/NotificationBell';
 import './DashboardPage.css';
 
 function DashboardPage() {
@@ -129,6 +130,12 @@ function DashboardPage() {
         {user && (
           <div className="dashboard-user-info">
             <span>Welcome, {user.username}!</span>
+            <NotificationBell
+              endpoint="/api/notifications"
+              onOpenNotification={(notification) => {
+                if (notification.shareToken) navigate(`/collab/${notification.shareToken}`);
+              }}
+            />
             <img src={user.avatar_url} alt="User avatar" width="40" style={{ borderRadius: '50%' }} />
             <button className="dashboard-logout-button" onClick={handleLogout}>Logout</button>
           </div>
@@ -3,16 +3,37 @@ import { useNavigate, useParams } from 'react-router-dom';
 import { useEditor, EditorContent } from '@tiptap/react';
 import Link from '@tiptap/extension-link';
 import StarterKit from '@tiptap/starter-kit';
+import TaskList from '@tiptap/extension-task-list';
+import TaskItem from '@tiptap/extension-task-item';
+import Superscript from '@tiptap/extension-superscript';
+import Subscript from '@tiptap/extension-subscript';
 import debounce from 'lodash.debounce';
 import QuartoBlock from '../components/editor/QuartoBlock';
 import Citation from '../components/editor/Citation';
 import FigureReference from '../components/editor/FigureReference';
 import TableReference from '../components/editor/TableReference.jsx';
 import EquationReference from '../components/editor/EquationReference.jsx';
+import SectionReference from '../components/editor/SectionReference';
+import InlineExpression from '../components/editor/InlineExpression';
+import InlineMath from '../components/editor/InlineMath';
+import DisplayMath from '../components/editor/DisplayMath';
+import Footnote from '../components/editor/Footnote';
+import FencedDiv from '../components/editor/FencedDiv';
+import { Table, TableRow, TableHeader, TableCell } from '../components/editor/Table';
+import RawBlock from '../components/editor/RawBlock';
+import SourceMap from '../components/editor/SourceMap';
+import HeadingAttributes from '../components/editor/HeadingAttributes';
+import TrackChanges from '../components/editor/TrackChanges';
+import { DefinitionList, DefinitionTerm, DefinitionDescription } from '../components/editor/DefinitionList';
 import CommentMark, { commentHighlightPluginKey } from '../components/editor/CommentMark';
 import CommentSidebar from '../components/editor/CommentSidebar';
+import BlockComments, { commentIdsInDocument } from '../components/editor/BlockComments';
 import FloatingCommentButton from '../components/editor/FloatingCommentButton';
 import SaveStatus from '../components/editor/SaveStatus';
+import RenderProgress from '../components/editor/RenderProgress';
+import { fetchRenderedView } from '../components/editor/renderJobs';
+import { chunkRunner } from '../components/editor/chunkRuns';
+import TrackedChangesPanel from '../components/editor/TrackedChangesPanel';
 import SuggestionsViewer from '../components/SuggestionsViewer';
 import './EditorPage.css';
 
@@ -23,25 +44,35 @@ function EditorPage() {
   // State management
   const [status, setStatus] = useState('Loading...');
   const [error, setError] = useState('');
+  const [renderProgress, setRenderProgress] = useState(null); // { jobId, message, output } while the document renders
   const [baseCommitHash, setBaseCommitHash] = useState(null);
   const [editorContent, setEditorContent] = useState(null);
   const [comments, setComments] = useState([]);
   const [activeCommentId, setActiveCommentId] = useState(null);
   const [docId, setDocId] = useState(null);
   const [showSuggestions, setShowSuggestions] = useState(false);
+  const [trackedDocuments, setTrackedDocuments] = useState([]);
   const commentsRef = useRef(comments);
   const [isEditorEnabled, setIsEditorEnabled] = useState(true);
+  const [textOnly, setTextOnly] = useState(false); // Render without executing the code chunks
 
   // Update ref whenever comments change
   useEffect(() => {
     commentsRef.current = comments;
   }, [comments]);
 
-  // Current user context
-  const currentUser = { 
+  // Current user context; comments posted through the API are authored by the signed-in owner
+  const [currentUser, setCurrentUser] = useState({ 
     id: 'author', 
     name: 'Author' 
-  };
+  });
+
+  useEffect(() => {
+    fetch('/api/me', { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : Promise.reject(res)))
+      .then((user) => setCurrentUser({ id: user.username, name: user.username }))
+      .catch(() => console.warn('Could not load the signed-in user'));
+  }, []);
 
   // Debounced save function
   const saveJsonDocument = useCallback(
@@ -98,16 +129,48 @@ function EditorPage() {
         autolink: false,
         editable: false,
       }),
-      QuartoBlock,
+      TaskList,
+      TaskItem.configure({
+        nested: true,
+      }),
+      Superscript,
+      Subscript,
+      DefinitionList,
+      DefinitionTerm,
+      DefinitionDescription,
+      QuartoBlock.configure({
+        runChunk: chunkRunner('/api/docs/chunks/run', { repoId, filepath }),
+      }),
       Citation,
       FigureReference,
       TableReference,
       EquationReference,
+      SectionReference,
+      InlineExpression,
+      InlineMath,
+      DisplayMath,
+      Footnote,
+      FencedDiv,
+      Table,
+      TableRow,
+      TableHeader,
+      TableCell,
+      RawBlock,
+      SourceMap,
+      HeadingAttributes,
+      TrackChanges.configure({
+        author: currentUser.name,
+      }),
       CommentMark.configure({
         onCommentClick: (id) => {
           setActiveCommentId(id);
         },
       }),
+      BlockComments.configure({
+        onCommentClick: (id) => {
+          setActiveCommentId(id);
+        },
+      }),
     ],
     content: {
       type: 'doc',
@@ -120,22 +183,14 @@ function EditorPage() {
       saveJsonDocument(editor.getJSON());
 
       // Comment deletion synchronization
-      const docCommentIds = new Set();
-      editor.state.doc.descendants((node) => {
-        if (node.marks) {
-          node.marks.forEach(mark => {
-            if (mark.type.name === 'comment' && mark.attrs.commentId) {
-              docCommentIds.add(mark.attrs.commentId);
-            }
-          });
-        }
-      });
+      const docCommentIds = commentIdsInDocument(editor.state.doc);
 
       console.log('Comment IDs found in document:', Array.from(docCommentIds));
       console.log('Current comments state before filtering:', comments);
       
       setComments(prevComments => {
-        const filteredComments = prevComments.filter(comment => docCommentIds.has(comment.id));
+        // Orphaned comments lost their text in a re-render, not by an edit here, so they stay
+        const filteredComments = prevComments.filter(comment => comment.orphaned || docCommentIds.has(comment.id));
         console.log('Comments after filtering:', filteredComments);
         return filteredComments;
       });
@@ -200,8 +255,10 @@ function EditorPage() {
     setStatus('Loading document...');
     console.log('Loading document for repoId:', repoId, 'filepath:', filepath);
 
-    fetch(`/api/docs/view?repoId=${repoId}&filepath=${filepath}`)
+    // Documents that have to be rendered first come with a render job to follow
+    fetchRenderedView(`/api/docs/view?repoId=${repoId}&filepath=${filepath}${textOnly ? '&render=text' : ''}`, setRenderProgress)
       .then(res => {
+        setRenderProgress(null);
         console.log('API response status:', res.status);
         if (!res.ok) {
           return res.json().then(errData => Promise.reject(errData.error || `HTTP error! status: ${res.status}`))
@@ -238,6 +295,7 @@ function EditorPage() {
         }
       })
       .catch(errMsg => {
+        setRenderProgress(null);
         console.error('Failed to load document:', errMsg);
         setError(typeof errMsg === 'string' ? errMsg : 'Failed to load document.');
         console.log('Setting fallback content');
@@ -249,7 +307,7 @@ function EditorPage() {
           }]
         });
       });
-  }, [editor, repoId, filepath]);
+  }, [editor, repoId, filepath, textOnly]);
 
   // Fetch document ID for suggestions
   useEffect(() => {
@@ -274,6 +332,24 @@ function EditorPage() {
     fetchDocId();
   }, [repoId, filepath]);
 
+  // Collaborators' live documents with suggestions to review
+  useEffect(() => {
+    if (!docId) return;
+
+    fetch(`/api/docs/${docId}/tracked-changes`, { credentials: 'include' })
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error(`HTTP error! status: ${res.status}`))))
+      .then(data => setTrackedDocuments(data.documents || []))
+      .catch(error => console.warn('Failed to fetch tracked changes:', error));
+  }, [docId]);
+
+  // Load a collaborator's version so each suggestion can be accepted or rejected before committing
+  const reviewTrackedDocument = (trackedDocument) => {
+    if (!editor) return;
+    editor.commands.setContent(trackedDocument.prosemirrorJson);
+    setBaseCommitHash(trackedDocument.baseCommitHash);
+    setStatus(`Reviewing suggestions from ${trackedDocument.collaborator}`);
+  };
+
   // Commit handler
   const handleCommit = async () => {
     if (!editor) {
@@ -321,7 +397,7 @@ function EditorPage() {
   // Add comment handler
   const addComment = (commentText) => {
     if (!editor || !editor.state.selection.from || editor.state.selection.empty) {
-      alert('Please select text to comment on.');
+      alert('Please select text or a block to comment on.');
       return;
     }
 
@@ -350,13 +426,16 @@ function EditorPage() {
       console.log('Updated comments state:', updatedComments);
       return updatedComments;
     });
-    editor.chain().focus().setComment(newCommentId).run();
+    // A selected code chunk, equation or table is commented on as a whole
+    if (!editor.commands.setBlockComment(newCommentId)) {
+      editor.chain().focus().setComment(newCommentId).run();
+    }
     setActiveCommentId(newCommentId);
   };
 
   const createEmptyComment = () => {
     if (!editor || !editor.state.selection.from || editor.state.selection.empty) {
-      alert('Please select text to comment on.');
+      alert('Please select text or a block to comment on.');
       return;
     }
 
@@ -375,7 +454,10 @@ function EditorPage() {
       console.log('Updated comments state:', updatedComments);
       return updatedComments;
     });
-    editor.chain().focus().setComment(newCommentId).run();
+    // A selected code chunk, equation or table is commented on as a whole
+    if (!editor.commands.setBlockComment(newCommentId)) {
+      editor.chain().focus().setComment(newCommentId).run();
+    }
     setActiveCommentId(newCommentId);
   };
 
@@ -426,6 +508,15 @@ function EditorPage() {
           <div className="author-info">
             <h4>Author Tools</h4>
             <p>You are editing as the document author.</p>
+            <label className="render-mode-toggle" title="Show the chunks without running their code">
+              <input
+                type="checkbox"
+                checked={textOnly}
+                onChange={e => setTextOnly(e.target.checked)}
+                disabled={!!renderProgress}
+              />
+              Text-only render
+            </label>
             {docId && (
               <button 
                 onClick={() => setShowSuggestions(true)} 
@@ -443,10 +534,22 @@ function EditorPage() {
                 View All Collaborator Suggestions
               </button>
             )}
+            {trackedDocuments.map(trackedDocument => (
+              <button
+                key={trackedDocument.shareToken}
+                onClick={() => reviewTrackedDocument(trackedDocument)}
+                style={{ width: '100%', marginTop: '8px', fontSize: '12px' }}
+              >
+                Review {trackedDocument.changes.length} suggested change{trackedDocument.changes.length === 1 ? '' : 's'} from {trackedDocument.collaborator}
+              </button>
+            ))}
           </div>
+
+          <TrackedChangesPanel editor={editor} canResolve />
         </div>
 
         <main className="editor-content-area">
+          {renderProgress && <RenderProgress progress={renderProgress} />}
           {error ? <p style={{color: 'red'}}>{error}</p> : <EditorContent editor={editor} />}
           {isEditorEnabled && (
             <FloatingCommentButton 
@@ -463,6 +566,7 @@ function EditorPage() {
           onCommentSelect={setActiveCommentId}
           currentUser={currentUser}
           onAddComment={addComment}
+          commentsUrl={docId ? `/api/docs/${docId}/comments` : undefined}
         />
       </div>
 
@@ -1,28 +1,70 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import ReactDiffViewer from 'react-diff-viewer-continued';
+import ProseDiffView from '../components/ProseDiffView';
+
+const HUNK_LABELS = { added: 'Added', removed: 'Removed', modified: 'Changed' };
 
 function ReviewPage() {
   const { shareToken } = useParams();
   const navigate = useNavigate();
   const [diffData, setDiffData] = useState(null);
+  const [proseDiff, setProseDiff] = useState(null);
+  const [viewMode, setViewMode] = useState('document'); // 'document' (rendered prose diff) or 'source' (QMD)
+  const [hunks, setHunks] = useState([]);
+  const [mainBranch, setMainBranch] = useState('');
+  const [selectedHunkIds, setSelectedHunkIds] = useState(new Set());
+  const [isMerging, setIsMerging] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
+  // The full diff and the mergeable hunks, reloaded after every partial merge
+  const loadReview = useCallback(() => {
+    return Promise.all([
+      fetch(`/api/docs/diff/${shareToken}`, { credentials: 'include' })
+        .then(res => res.ok ? res.json() : Promise.reject(res))
+        .then(data => setDiffData(data)),
+      fetch(`/api/docs/diff/${shareToken}/semantic`, { credentials: 'include' })
+        .then(res => res.ok ? res.json() : Promise.reject(res))
+        .then(data => setProseDiff(data)),
+      fetch(`/api/docs/merge/${shareToken}/hunks`, { credentials: 'include' })
+        .then(res => res.ok ? res.json() : Promise.reject(res))
+        .then(data => {
+          setHunks(data.hunks);
+          setMainBranch(data.mainBranch);
+          setSelectedHunkIds(new Set(data.hunks.map(hunk => hunk.id)));
+        }),
+    ]);
+  }, [shareToken]);
+
   useEffect(() => {
-    fetch(`/api/docs/diff/${shareToken}`, { credentials: 'include' })
-      .then(res => res.ok ? res.json() : Promise.reject(res))
-      .then(data => setDiffData(data))
+    loadReview()
       .catch(() => setError('Could not load diff.'))
       .finally(() => setLoading(false));
-  }, [shareToken]);
+  }, [loadReview]);
+
+  const toggleHunk = (hunkId) => {
+    setSelectedHunkIds(prev => {
+      const next = new Set(prev);
+      if (next.has(hunkId)) next.delete(hunkId);
+      else next.add(hunkId);
+      return next;
+    });
+  };
 
   const handleMerge = () => {
     if (!window.confirm('Are you sure you want to merge these changes? This action cannot be undone.')) {
       return;
     }
     fetch(`/api/docs/merge/${shareToken}`, { method: 'POST', credentials: 'include' })
-      .then(res => {
+      .then(async res => {
+        if (res.status === 409) {
+          const data = await res.json();
+          if (data.hasConflicts && window.confirm('Both branches changed the same parts of the document. Resolve the conflicts now?')) {
+            navigate(`/review/${shareToken}/conflicts`);
+          }
+          return;
+        }
         if (!res.ok) throw new Error('Merge failed');
         alert('Merge successful!');
         navigate('/dashboard');
@@ -30,6 +72,36 @@ function ReviewPage() {
       .catch(err => alert(err.message));
   };
 
+  const handleMergeSelected = async () => {
+    const count = selectedHunkIds.size;
+    if (!window.confirm(`Merge ${count} selected change${count === 1 ? '' : 's'} into ${mainBranch || 'the main branch'}?`)) {
+      return;
+    }
+    setIsMerging(true);
+    try {
+      const res = await fetch(`/api/docs/merge/${shareToken}/hunks`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ acceptedHunkIds: Array.from(selectedHunkIds) }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Merge failed');
+      alert(`Merged ${data.mergedCount} change${data.mergedCount === 1 ? '' : 's'}.`);
+      if (data.remainingCount === 0) {
+        navigate('/dashboard');
+        return;
+      }
+      await loadReview();
+    } catch (err) {
+      alert(err.message);
+      // The branches may have moved on; show what can be merged now
+      loadReview().catch(() => {});
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
   if (loading) return <div>Loading diff...</div>;
   if (error) return <div style={{ color: 'red' }}>{error}</div>;
 
@@ -37,19 +109,69 @@ function ReviewPage() {
     <div style={{ padding: '1rem', textAlign: 'left' }}>
       <button onClick={() => navigate('/dashboard')}>← Back to Dashboard</button>
       <h2>Reviewing Changes from: {diffData?.branchName}</h2>
-      <p>Review the changes below. When you are ready, you can merge them into your main branch.</p>
+      <p>Review the changes below. Pick the ones to bring into your main branch, or merge everything at once.</p>
       <button onClick={handleMerge} style={{ backgroundColor: 'green', color: 'white', padding: '10px 20px', border: 'none', borderRadius: '5px', cursor: 'pointer' }}>
         Merge All Changes
       </button>
       <hr style={{ margin: '1rem 0' }} />
-      <ReactDiffViewer
-        oldValue={diffData?.mainContent}
-        newValue={diffData?.collabContent}
-        splitView={true}
-        compareMethod="diffWords"
-      />
+
+      <h3>Changes ({hunks.length})</h3>
+      {hunks.length === 0 ? (
+        <p>The main branch already contains every change from this branch.</p>
+      ) : (
+        <>
+          <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+            <button onClick={() => setSelectedHunkIds(new Set(hunks.map(hunk => hunk.id)))}>Select All</button>
+            <button onClick={() => setSelectedHunkIds(new Set())}>Select None</button>
+            <button
+              onClick={handleMergeSelected}
+              disabled={selectedHunkIds.size === 0 || isMerging}
+              style={{ backgroundColor: '#007bff', color: 'white', border: 'none', borderRadius: '5px', padding: '6px 14px', cursor: 'pointer' }}
+            >
+              {isMerging ? 'Merging...' : `Merge Selected (${selectedHunkIds.size})`}
+            </button>
+          </div>
+          {hunks.map(hunk => (
+            <div key={hunk.id} style={{ border: '1px solid #ddd', borderRadius: '5px', marginBottom: '1rem' }}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.5rem', background: '#f6f8fa', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={selectedHunkIds.has(hunk.id)}
+                  onChange={() => toggleHunk(hunk.id)}
+                />
+                <strong>{HUNK_LABELS[hunk.type]}</strong>
+                <span style={{ color: '#666' }}>{hunk.blockTypes.join(', ')}</span>
+              </label>
+              <ReactDiffViewer
+                oldValue={hunk.mainText}
+                newValue={hunk.collabText}
+                splitView={true}
+                hideLineNumbers={true}
+                compareMethod="diffWords"
+              />
+            </div>
+          ))}
+        </>
+      )}
+
+      <hr style={{ margin: '1rem 0' }} />
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <h3 style={{ marginRight: 'auto' }}>Full Document</h3>
+        <button onClick={() => setViewMode('document')} disabled={viewMode === 'document'}>Document</button>
+        <button onClick={() => setViewMode('source')} disabled={viewMode === 'source'}>Source (QMD)</button>
+      </div>
+      {viewMode === 'document' && proseDiff ? (
+        <ProseDiffView blocks={proseDiff.blocks} stats={proseDiff.stats} />
+      ) : (
+        <ReactDiffViewer
+          oldValue={diffData?.mainContent}
+          newValue={diffData?.collabContent}
+          splitView={true}
+          compareMethod="diffWords"
+        />
+      )}
     </div>
   );
 }
 
-export default ReviewPage;
\ No newline at end of file
+export default ReviewPage;
@@ -10,6 +10,8 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:8000',
         changeOrigin: true,
+        // Real-time co-editing runs over a WebSocket on /api/collab/:shareToken/yjs
+        ws: true,
       },
     },
   },